@@ -0,0 +1,113 @@
+// The analytics dashboard of the Personal CRM: completions per week, on-time
+// rate, time to complete, and the contacts and tasks that have gone quiet.
+// Completion times come from the status changes recorded on each task.
+
+import { addDays, daysBetween, parseISODate, startOfWeek, toISODate } from "./dates.mjs";
+import { lastTouched } from "./today.mjs";
+
+/**
+ * @typedef {{ status: string; at: string }} StatusChange at is ISO
+ * @typedef {{ id: string; status: string }} TrackedTask
+ * @typedef {{ id: string; title: string; category: string; status: string; createdAt: string; dueDate?: string; statusChanges?: StatusChange[]; nextSteps: { id: string; text: string; done?: boolean; completedAt?: string }[] }} AnalyticsTask
+ * @typedef {{ id: string; name: string; lastContacted?: string }} AnalyticsContact
+ * @typedef {{ type: string; at: string; taskId?: string; contactIds?: string[] }} AnalyticsInteraction
+ */
+
+/**
+ * @template {AnalyticsTask} [T=AnalyticsTask]
+ * @template {AnalyticsContact} [C=AnalyticsContact]
+ * @typedef {object} Analytics
+ * @property {string[]} weeks first day of each week, oldest first
+ * @property {Record<string, number[]>} completions tasks completed per week, by category
+ * @property {number[]} steps next steps completed per week
+ * @property {number} onTime completed on or before the due date, among tasks that had one
+ * @property {number} late
+ * @property {Record<string, { total: number; count: number }>} daysToComplete createdAt → completion, by category
+ * @property {number} untracked completed tasks with no recorded completion time
+ * @property {{ contact: C; days: number | null }[]} neglectedContacts null = never contacted
+ * @property {{ task: T; days: number }[]} neglectedTasks
+ */
+
+export const DASHBOARD_WEEKS = 8;
+export const NEGLECTED_CONTACT_DAYS = 30;
+export const NEGLECTED_TASK_DAYS = 14;
+
+// Timestamps every status change between two versions of the task list
+/** @template {TrackedTask & { statusChanges?: StatusChange[] }} T @param {T[]} prev @param {T[]} next @returns {T[]} */
+export function recordStatusChanges(prev, next, now = new Date()) {
+  const before = new Map(prev.map((t) => [t.id, t.status]));
+  const changed = (/** @type {T} */ t) => before.has(t.id) && before.get(t.id) !== t.status;
+  if (!next.some(changed)) return next;
+  const at = now.toISOString();
+  return next.map((t) => (changed(t) ? { ...t, statusChanges: [...(t.statusChanges || []), { status: t.status, at }] } : t));
+}
+
+// When the task was last completed; unknown for tasks completed before
+// status changes were recorded
+/** @param {{ status: string; statusChanges?: StatusChange[] }} task */
+export function taskCompletedAt(task) {
+  if (task.status !== "Completed") return undefined;
+  return [...(task.statusChanges || [])].reverse().find((c) => c.status === "Completed")?.at;
+}
+
+/**
+ * @template {AnalyticsTask} T
+ * @template {AnalyticsContact} C
+ * @param {T[]} tasks
+ * @param {C[]} contacts
+ * @param {AnalyticsInteraction[]} interactions
+ * @returns {Analytics<T, C>}
+ */
+export function buildAnalytics(tasks, contacts, interactions, now = new Date(), weekStartsOn = 0) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const first = addDays(startOfWeek(today, weekStartsOn), -7 * (DASHBOARD_WEEKS - 1));
+  const weeks = Array.from({ length: DASHBOARD_WEEKS }, (_, i) => toISODate(addDays(first, 7 * i)));
+  const weekOf = (/** @type {string} */ at) => {
+    const i = Math.floor(daysBetween(first, parseISODate(toISODate(new Date(at)))) / 7);
+    return i >= 0 && i < DASHBOARD_WEEKS ? i : -1;
+  };
+
+  /** @type {Analytics<T, C>} */
+  const result = {
+    weeks, completions: {}, steps: weeks.map(() => 0), onTime: 0, late: 0, daysToComplete: {}, untracked: 0, neglectedContacts: [], neglectedTasks: [],
+  };
+  for (const t of tasks) {
+    for (const n of t.nextSteps) {
+      const w = n.done && n.completedAt ? weekOf(n.completedAt) : -1;
+      if (w >= 0) result.steps[w]++;
+    }
+    if (t.status !== "Completed") continue;
+    const at = taskCompletedAt(t);
+    if (!at) {
+      result.untracked++;
+      continue;
+    }
+    const w = weekOf(at);
+    if (w >= 0) (result.completions[t.category] ||= weeks.map(() => 0))[w]++;
+    if (t.dueDate) {
+      if (toISODate(new Date(at)) <= t.dueDate) result.onTime++;
+      else result.late++;
+    }
+    const cycle = (result.daysToComplete[t.category] ||= { total: 0, count: 0 });
+    cycle.total += Math.max(0, Date.parse(at) - Date.parse(t.createdAt)) / 86400000;
+    cycle.count++;
+  }
+
+  for (const contact of contacts) {
+    const stamps = [
+      contact.lastContacted ? parseISODate(contact.lastContacted).getTime() : NaN,
+      ...interactions.filter((i) => i.type !== "note" && i.contactIds?.includes(contact.id)).map((i) => Date.parse(i.at)),
+    ].filter((n) => !isNaN(n));
+    const days = stamps.length ? daysBetween(new Date(Math.max(...stamps)), now) : null;
+    if (days === null || days >= NEGLECTED_CONTACT_DAYS) result.neglectedContacts.push({ contact, days });
+  }
+  result.neglectedContacts.sort((a, b) => (b.days ?? Infinity) - (a.days ?? Infinity));
+
+  for (const task of tasks) {
+    if (task.status === "Completed") continue;
+    const days = daysBetween(lastTouched(task, interactions, now.getTime()), now);
+    if (days >= NEGLECTED_TASK_DAYS) result.neglectedTasks.push({ task, days });
+  }
+  result.neglectedTasks.sort((a, b) => b.days - a.days);
+  return result;
+}
@@ -0,0 +1,209 @@
+// Bundles for the Personal CRM: a zip holding a manifest, the JSON export
+// (data.json) and the attached files it references.
+//
+// Written uncompressed ("stored"); reading also accepts deflated entries so a
+// bundle that was unpacked and re-zipped still imports.
+
+import { buildExport } from "./json_import.mjs";
+
+/**
+ * @typedef {import("./storage.mjs").AttachmentStore} AttachmentStore
+ * @typedef {{ id: string; name: string; type: string; size: number }} AttachmentMeta
+ * @typedef {{ attachments?: AttachmentMeta[] }} AttachingTask
+ * @typedef {{ name: string; data: Uint8Array }} ZipEntry
+ *
+ * @typedef {object} BundleManifest
+ * @property {typeof BUNDLE_FORMAT} format
+ * @property {1} version
+ * @property {string} data path of the export envelope
+ * @property {Array<AttachmentMeta & { path: string }>} attachments
+ * @property {string[]} missing attachment ids whose bytes weren't on this device
+ */
+
+export const BUNDLE_FORMAT = "personal-crm-bundle";
+const BUNDLE_MANIFEST = "manifest.json";
+const BUNDLE_DATA = "data.json";
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/** @param {Uint8Array} bytes */
+export function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/** @param {ZipEntry[]} entries @returns {Uint8Array} */
+export function buildZip(entries, now = new Date()) {
+  const encoder = new TextEncoder();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  /** @type {Uint8Array[]} */
+  const parts = [];
+  /** @type {Uint8Array[]} */
+  const central = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const crc = crc32(entry.data);
+    const size = entry.data.length;
+    const local = new Uint8Array(30 + name.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    lv.setUint16(4, 20, true); // version needed
+    lv.setUint16(6, 0x0800, true); // names are UTF-8
+    lv.setUint16(10, time, true);
+    lv.setUint16(12, date, true);
+    lv.setUint32(14, crc, true);
+    lv.setUint32(18, size, true);
+    lv.setUint32(22, size, true);
+    lv.setUint16(26, name.length, true);
+    local.set(name, 30);
+    const header = new Uint8Array(46 + name.length);
+    const cv = new DataView(header.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint16(4, 20, true);
+    cv.setUint16(6, 20, true);
+    cv.setUint16(8, 0x0800, true);
+    cv.setUint16(12, time, true);
+    cv.setUint16(14, date, true);
+    cv.setUint32(16, crc, true);
+    cv.setUint32(20, size, true);
+    cv.setUint32(24, size, true);
+    cv.setUint16(28, name.length, true);
+    cv.setUint32(42, offset, true);
+    header.set(name, 46);
+    parts.push(local, entry.data);
+    central.push(header);
+    offset += local.length + size;
+  }
+  const centralSize = central.reduce((sum, h) => sum + h.length, 0);
+  const end = new Uint8Array(22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, entries.length, true);
+  ev.setUint16(10, entries.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+
+  const out = new Uint8Array(offset + centralSize + end.length);
+  let at = 0;
+  for (const part of [...parts, ...central, end]) {
+    out.set(part, at);
+    at += part.length;
+  }
+  return out;
+}
+
+/** @param {Uint8Array} data */
+async function inflateRaw(data) {
+  if (typeof DecompressionStream === "undefined") throw new Error("This browser can't read compressed zip files; re-zip without compression.");
+  const stream = new Blob([data.slice()]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Entries by path; directories are skipped and every entry's checksum is checked
+/** @param {Uint8Array} bytes @returns {Promise<Map<string, Uint8Array>>} */
+export async function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error("Not a zip file.");
+
+  /** @type {Map<string, Uint8Array>} */
+  const files = new Map();
+  const decoder = new TextDecoder();
+  let at = view.getUint32(end + 16, true);
+  for (let n = view.getUint16(end + 10, true); n > 0; n--) {
+    if (view.getUint32(at, true) !== 0x02014b50) throw new Error("The zip file is damaged.");
+    const method = view.getUint16(at + 10, true);
+    const crc = view.getUint32(at + 16, true);
+    const compressedSize = view.getUint32(at + 20, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const skip = nameLength + view.getUint16(at + 30, true) + view.getUint16(at + 32, true);
+    const localAt = view.getUint32(at + 42, true);
+    const name = decoder.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+    at += 46 + skip;
+    if (name.endsWith("/")) continue;
+
+    const start = localAt + 30 + view.getUint16(localAt + 26, true) + view.getUint16(localAt + 28, true);
+    const raw = bytes.subarray(start, start + compressedSize);
+    const data = method === 0 ? raw : method === 8 ? await inflateRaw(raw) : null;
+    if (!data) throw new Error(`${name} uses an unsupported compression method.`);
+    if (crc32(data) !== crc) throw new Error(`${name} is damaged (checksum mismatch).`);
+    files.set(name, data);
+  }
+  return files;
+}
+
+/**
+ * @param {{ tasks: AttachingTask[]; contacts: unknown[]; interactions: unknown[]; trash: { task: AttachingTask }[] }} data
+ * @param {AttachmentStore} store
+ * @returns {Promise<Blob>}
+ */
+export async function buildBundle(data, store, now = new Date()) {
+  const encoder = new TextEncoder();
+  /** @type {BundleManifest} */
+  const manifest = { format: BUNDLE_FORMAT, version: 1, data: BUNDLE_DATA, attachments: [], missing: [] };
+  /** @type {ZipEntry[]} */
+  const entries = [];
+  /** @type {Set<string>} */
+  const seen = new Set();
+  for (const task of [...data.tasks, ...data.trash.map((e) => e.task)]) {
+    for (const a of task.attachments || []) {
+      if (seen.has(a.id)) continue;
+      seen.add(a.id);
+      const blob = await store.get(a.id);
+      if (!blob) {
+        manifest.missing.push(a.id);
+        continue;
+      }
+      const path = `attachments/${a.id}/${a.name.replace(/[\\/:*?"<>|]/g, "_") || "file"}`;
+      entries.push({ name: path, data: new Uint8Array(await blob.arrayBuffer()) });
+      manifest.attachments.push({ id: a.id, name: a.name, type: a.type, size: a.size, path });
+    }
+  }
+  entries.unshift(
+    { name: BUNDLE_MANIFEST, data: encoder.encode(JSON.stringify(manifest, null, 2)) },
+    { name: BUNDLE_DATA, data: encoder.encode(JSON.stringify(buildExport(data, now), null, 2)) }
+  );
+  return new Blob([buildZip(entries, now).slice()], { type: "application/zip" });
+}
+
+// The export JSON plus the attached files it references, keyed by attachment id
+/** @param {Uint8Array} bytes @returns {Promise<{ text: string; files: Map<string, Blob> }>} */
+export async function readBundle(bytes) {
+  const entries = await readZip(bytes);
+  const decoder = new TextDecoder();
+  const rawManifest = entries.get(BUNDLE_MANIFEST);
+  /** @type {BundleManifest} */
+  let manifest;
+  try {
+    manifest = JSON.parse(decoder.decode(rawManifest));
+  } catch {
+    throw new Error(`The zip has no readable ${BUNDLE_MANIFEST}; it isn't a Personal CRM bundle.`);
+  }
+  if (manifest?.format !== BUNDLE_FORMAT) throw new Error("The zip isn't a Personal CRM bundle.");
+  const data = entries.get(manifest.data);
+  if (!data) throw new Error(`The bundle is missing ${manifest.data}.`);
+  /** @type {Map<string, Blob>} */
+  const files = new Map();
+  for (const a of manifest.attachments || []) {
+    const bytes = entries.get(a.path);
+    if (bytes) files.set(a.id, new Blob([bytes.slice()], { type: a.type }));
+  }
+  return { text: decoder.decode(data), files };
+}
@@ -0,0 +1,119 @@
+// Nested checklists and blocked-by dependencies between tasks in the
+// Personal CRM. Checklist edits return new trees; nothing is changed in place.
+
+/**
+ * @typedef {{ id: string; text: string; done?: boolean; children?: ChecklistItem[] }} ChecklistItem
+ * @typedef {{ id: string; status: string; blockedBy?: string[] }} DependentTask
+ */
+
+export const MAX_CHECKLIST_DEPTH = 3;
+
+// Swaps the entry at `index` with its neighbour `delta` away; out of range is a no-op
+/** @template T @param {T[]} list @param {number} index @param {number} delta @returns {T[]} */
+export function moveInList(list, index, delta) {
+  const to = index + delta;
+  if (index < 0 || to < 0 || to >= list.length) return list;
+  const next = [...list];
+  [next[index], next[to]] = [next[to], next[index]];
+  return next;
+}
+
+/** @param {ChecklistItem[]} [items] @returns {{ done: number; total: number }} */
+export function checklistProgress(items = []) {
+  return items.reduce((acc, item) => {
+    const sub = checklistProgress(item.children);
+    return { done: acc.done + (item.done ? 1 : 0) + sub.done, total: acc.total + 1 + sub.total };
+  }, { done: 0, total: 0 });
+}
+
+// Rewrites the sibling list that holds `id`
+/** @param {ChecklistItem[]} items @param {string} id @param {(list: ChecklistItem[], index: number) => ChecklistItem[]} edit @returns {ChecklistItem[]} */
+export function editSiblings(items, id, edit) {
+  const index = items.findIndex((c) => c.id === id);
+  if (index >= 0) return edit(items, index);
+  return items.map((c) => (c.children ? { ...c, children: editSiblings(c.children, id, edit) } : c));
+}
+
+/** @param {ChecklistItem[]} items @param {string} id @returns {ChecklistItem | undefined} */
+function checklistParent(items, id) {
+  for (const c of items) {
+    if (c.children?.some((k) => k.id === id)) return c;
+    const found = c.children && checklistParent(c.children, id);
+    if (found) return found;
+  }
+  return undefined;
+}
+
+// Checking an item checks everything under it
+/** @param {ChecklistItem} item @param {boolean} done @returns {ChecklistItem} */
+export function setChecklistDone(item, done) {
+  return { ...item, done, children: item.children?.map((c) => setChecklistDone(c, done)) };
+}
+
+// Makes the item the last child of the sibling above it
+/** @param {ChecklistItem[]} items @param {string} id */
+export function indentChecklistItem(items, id) {
+  return editSiblings(items, id, (list, i) => {
+    if (i === 0) return list;
+    const prev = list[i - 1];
+    return [...list.slice(0, i - 1), { ...prev, children: [...(prev.children || []), list[i]] }, ...list.slice(i + 1)];
+  });
+}
+
+// Moves the item up a level, just after its former parent
+/** @param {ChecklistItem[]} items @param {string} id */
+export function outdentChecklistItem(items, id) {
+  const parent = checklistParent(items, id);
+  const item = parent?.children?.find((c) => c.id === id);
+  if (!parent || !item) return items;
+  const rest = (parent.children || []).filter((c) => c.id !== id);
+  return editSiblings(items, parent.id, (list, i) => [
+    ...list.slice(0, i),
+    { ...parent, children: rest.length ? rest : undefined },
+    item,
+    ...list.slice(i + 1),
+  ]);
+}
+
+// Blockers that still hold a task up. Deleted or purged blockers no longer count.
+/** @template {DependentTask} T @param {DependentTask} task @param {T[]} tasks @returns {T[]} */
+export function openBlockers(task, tasks) {
+  const blockedBy = task.blockedBy;
+  if (!blockedBy?.length) return [];
+  return tasks.filter((t) => blockedBy.includes(t.id) && t.status !== "Completed");
+}
+
+// The chain of ids leading from taskId back to itself if it were blocked by
+// `blockedBy`, e.g. [deck, nda, deck]; null when there is no cycle
+/** @param {DependentTask[]} tasks @param {string} taskId @param {string[]} blockedBy @returns {string[] | null} */
+export function dependencyCycle(tasks, taskId, blockedBy) {
+  const edges = new Map(tasks.map((t) => [t.id, t.blockedBy || []]));
+  edges.set(taskId, blockedBy);
+  /** @type {Set<string>} */
+  const seen = new Set();
+  /** @param {string} id @param {string[]} path @returns {string[] | null} */
+  function walk(id, path) {
+    for (const next of edges.get(id) || []) {
+      if (next === taskId) return [...path, next];
+      if (seen.has(next)) continue;
+      seen.add(next);
+      const found = walk(next, [...path, next]);
+      if (found) return found;
+    }
+    return null;
+  }
+  return walk(taskId, [taskId]);
+}
+
+// Open tasks whose last open blocker was completed between the two snapshots
+/** @template {DependentTask} T @param {DependentTask[]} before @param {T[]} after @returns {T[]} */
+export function newlyUnblocked(before, after) {
+  const wasOpen = new Set(before.filter((t) => t.status !== "Completed").map((t) => t.id));
+  const completed = new Set(after.filter((t) => t.status === "Completed" && wasOpen.has(t.id)).map((t) => t.id));
+  if (!completed.size) return [];
+  return after.filter((t) =>
+    t.status !== "Completed" &&
+    t.blockedBy?.some((id) => completed.has(id)) &&
+    !openBlockers(t, after).length
+  );
+}
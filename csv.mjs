@@ -0,0 +1,301 @@
+// CSV export and import for the Personal CRM.
+//
+// Spreadsheet round-trip for the table view. Export writes the currently
+// filtered tasks; import maps arbitrary columns onto task fields.
+
+import { minutesToTime, timeRange, toISODate } from "./dates.mjs";
+import { uid } from "./ids.mjs";
+
+/**
+ * @typedef {{ id: string; text: string; dueDate?: string; done?: boolean }} CsvStep
+ * @typedef {{ id: string; title: string; description?: string; category: string; status: string; priority?: string; effort?: number; dueDate?: string; startTime?: string; endTime?: string; contactIds?: string[]; nextSteps: CsvStep[] }} CsvTask
+ * @typedef {{ task: CsvTask; step?: CsvStep }} CsvRow
+ * @typedef {{
+ *   categoryOf(id: string): { name: string };
+ *   stageName(task: CsvTask): string;
+ *   nearestStep(task: CsvTask): CsvStep | undefined;
+ *   contacts: { id: string; name: string }[];
+ * }} CsvContext
+ */
+
+const STATUSES = /** @type {const} */ (["Active", "Pending", "Completed"]);
+/** @typedef {typeof STATUSES[number]} Status */
+/** @typedef {"P1" | "P2" | "P3" | "P4"} Priority */
+
+/** @type {Array<{ key: string; label: string; value: (row: CsvRow, ctx: CsvContext) => string }>} */
+export const CSV_EXPORT_COLUMNS = [
+  { key: "title", label: "Title", value: ({ task }) => task.title },
+  { key: "category", label: "Category", value: ({ task }, ctx) => ctx.categoryOf(task.category).name },
+  { key: "status", label: "Status", value: ({ task }) => task.status },
+  { key: "priority", label: "Priority", value: ({ task }) => task.priority || "" },
+  { key: "effort", label: "Effort (min)", value: ({ task }) => (task.effort ? String(task.effort) : "") },
+  { key: "stage", label: "Stage", value: ({ task }, ctx) => ctx.stageName(task) },
+  { key: "due", label: "Due", value: ({ task }) => task.dueDate || "" },
+  { key: "start", label: "Start", value: ({ task }) => task.startTime || "" },
+  { key: "end", label: "End", value: ({ task }) => (task.startTime ? minutesToTime(/** @type {number} */ (timeRange(task).end)) : "") },
+  { key: "description", label: "Description", value: ({ task }) => task.description || "" },
+  { key: "contacts", label: "Contacts", value: ({ task }, ctx) => ctx.contacts.filter((c) => task.contactIds?.includes(c.id)).map((c) => c.name).join("; ") },
+  { key: "step", label: "Next Step", value: ({ step }) => step?.text || "" },
+  { key: "stepDue", label: "Next Step Due", value: ({ step }) => step?.dueDate || "" },
+  { key: "stepDone", label: "Next Step Done", value: ({ step }) => (step ? (step.done ? "yes" : "no") : "") },
+];
+export const CSV_DEFAULT_EXPORT = ["title", "category", "status", "due", "step", "stepDue"];
+
+// Spreadsheets run cells starting with = + - @ as formulas; a leading
+// apostrophe makes them text (and is dropped again on import)
+const FORMULA_START = /^[=+\-@]/;
+
+/** @param {string} value */
+function csvCell(value) {
+  const text = FORMULA_START.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// perStep: one row per next step (tasks without steps still get a row);
+// otherwise one row per task carrying its nearest open step
+/** @param {CsvTask[]} tasks @param {string[]} columnKeys @param {boolean} perStep @param {CsvContext} ctx */
+export function buildCSV(tasks, columnKeys, perStep, ctx) {
+  const columns = CSV_EXPORT_COLUMNS.filter((c) => columnKeys.includes(c.key));
+  /** @type {CsvRow[]} */
+  const rows = tasks.flatMap((task) =>
+    perStep && task.nextSteps.length ? task.nextSteps.map((step) => ({ task, step })) : [{ task, step: perStep ? undefined : ctx.nearestStep(task) }]
+  );
+  const lines = [columns.map((c) => csvCell(c.label)), ...rows.map((row) => columns.map((c) => csvCell(c.value(row, ctx))))];
+  return lines.map((l) => l.join(",")).join("\r\n") + "\r\n";
+}
+
+// RFC 4180 with the delimiter sniffed from the first line (comma, semicolon or tab)
+/** @param {string} text @returns {string[][]} */
+export function parseCSV(text) {
+  const src = text.replace(/^\uFEFF/, "");
+  const firstLine = src.slice(0, src.search(/\r?\n|$/));
+  const delimiter = [",", ";", "\t"].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ",");
+  /** @type {string[][]} */
+  const rows = [];
+  /** @type {string[]} */
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === "") quoted = true;
+    else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+export const CSV_FIELDS = /** @type {const} */ (["ignore", "title", "description", "category", "status", "priority", "effort", "due", "start", "end", "step", "stepDue", "stepDone", "contact", "phone", "email"]);
+/** @typedef {typeof CSV_FIELDS[number]} CsvField */
+/** @type {Record<CsvField, string>} */
+export const CSV_FIELD_LABELS = {
+  ignore: "— ignore —", title: "Title", description: "Description", category: "Category", status: "Status",
+  priority: "Priority", effort: "Effort (minutes)",
+  due: "Due date", start: "Start time", end: "End time", step: "Next step", stepDue: "Next step due",
+  stepDone: "Next step done", contact: "Contact name(s)", phone: "Contact phone", email: "Contact email",
+};
+
+// Header spellings seen in our own export and typical lead sheets
+/** @param {string} header @returns {CsvField} */
+export function guessCsvField(header) {
+  const h = header.trim().toLowerCase().replace(/[^a-z]/g, "");
+  /** @type {Array<[CsvField, string[]]>} */
+  const guesses = [
+    ["stepDue", ["nextstepdue", "followupdate", "followupdue"]],
+    ["stepDone", ["nextstepdone"]],
+    ["step", ["nextstep", "followup", "action"]],
+    ["title", ["title", "task", "subject", "lead", "vehicle"]],
+    ["description", ["description", "notes", "note", "comments"]],
+    ["category", ["category", "type", "list"]],
+    ["status", ["status", "state"]],
+    ["priority", ["priority", "prio"]],
+    ["effort", ["effort", "effortmin", "estimate", "minutes"]],
+    ["due", ["due", "duedate", "date", "deadline"]],
+    ["start", ["start", "starttime", "time"]],
+    ["end", ["end", "endtime"]],
+    ["contact", ["contact", "contacts", "name", "customer", "client", "fullname"]],
+    ["phone", ["phone", "mobile", "cell", "telephone"]],
+    ["email", ["email", "emailaddress", "mail"]],
+  ];
+  return guesses.find(([, names]) => names.includes(h))?.[0] || "ignore";
+}
+
+export const DATE_FORMATS = /** @type {const} */ (["ymd", "mdy", "dmy"]);
+/** @typedef {typeof DATE_FORMATS[number]} DateFormat */
+/** @type {Record<DateFormat, string>} */
+export const DATE_FORMAT_LABELS = { ymd: "YYYY-MM-DD", mdy: "MM/DD/YYYY", dmy: "DD/MM/YYYY" };
+
+// Returns YYYY-MM-DD, or null when the value doesn't fit the format. A time
+// after the date ("2026-10-20 15:00") is returned separately.
+/** @param {string} value @param {DateFormat} format @returns {{ date: string; time?: string } | null} */
+export function parseCsvDate(value, format) {
+  const m = /^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})(?:[ T](.+))?$/.exec(value.trim());
+  if (!m) return null;
+  const [a, b, c] = [m[1], m[2], m[3]].map(Number);
+  let [y, mo, d] = format === "ymd" ? [a, b, c] : format === "mdy" ? [c, a, b] : [c, b, a];
+  if (format === "ymd" ? m[1].length !== 4 : m[1].length > 2 || m[3].length === 3) return null;
+  if (y < 100) y += 2000;
+  const date = new Date(y, mo - 1, d);
+  if (date.getFullYear() !== y || date.getMonth() !== mo - 1 || date.getDate() !== d) return null;
+  const time = m[4] ? parseCsvTime(m[4]) : undefined;
+  return { date: toISODate(date), time: time || undefined };
+}
+
+// "15:00", "3pm", "3:30 PM"
+/** @param {string} value @returns {string | null} */
+export function parseCsvTime(value) {
+  const m = /^(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*([ap]\.?m\.?)?$/i.exec(value.trim());
+  if (!m) return null;
+  let h = Number(m[1]);
+  const min = Number(m[2] || 0);
+  if (m[3]) {
+    if (h < 1 || h > 12) return null;
+    h = (h % 12) + (/^p/i.test(m[3]) ? 12 : 0);
+  } else if (!m[2]) return null;
+  if (h > 23 || min > 59) return null;
+  return minutesToTime(h * 60 + min);
+}
+
+// The first format that reads every value; day-first only wins when a
+// value rules out month-first (e.g. 25/12/2026)
+/** @param {string[]} values @returns {DateFormat} */
+export function detectDateFormat(values) {
+  const sample = values.filter((v) => v.trim());
+  return DATE_FORMATS.find((f) => sample.every((v) => parseCsvDate(v, f))) || "ymd";
+}
+
+// "P1"/"1" or high/medium/low as lead sheets tend to write it
+/** @param {string} value @returns {Priority | undefined} */
+export function parsePriority(value) {
+  const v = value.trim().toLowerCase();
+  const n = /^p?([1-4])$/.exec(v);
+  if (n) return /** @type {Priority} */ (`P${n[1]}`);
+  if (/urgent|critical|highest/.test(v)) return "P1";
+  if (/high|hot/.test(v)) return "P2";
+  if (/med|normal|warm/.test(v)) return "P3";
+  if (/low|cold/.test(v)) return "P4";
+  return undefined;
+}
+
+/** @param {string} value @returns {Status} */
+export function guessStatus(value) {
+  const v = value.trim().toLowerCase();
+  const exact = STATUSES.find((s) => s.toLowerCase() === v);
+  if (exact) return exact;
+  if (/done|closed|complete|won|sold|lost|finished/.test(v)) return "Completed";
+  if (/pend|wait|hold|paused/.test(v)) return "Pending";
+  return "Active";
+}
+
+/**
+ * @typedef {object} CsvImportSpec
+ * @property {CsvField[]} fields per column
+ * @property {DateFormat} dateFormat
+ * @property {Record<string, string>} categoryMap raw cell value → category id
+ * @property {Record<string, Status>} statusMap
+ * @property {string} defaultCategory
+ *
+ * @typedef {{ id: string; text: string; dueDate?: string; done?: boolean }} ImportedStep
+ * @typedef {{ id: string; title: string; description?: string; category: string; status: Status; priority?: Priority; effort?: number; dueDate?: string; startTime?: string; endTime?: string; createdAt: string; nextSteps: ImportedStep[]; contactIds?: string[] }} ImportedTask
+ * @typedef {{ id: string; name: string; phone?: string; email?: string; tags: string[]; createdAt: string }} ImportedContact
+ * @typedef {{ tasks: ImportedTask[]; contacts: ImportedContact[]; errors: string[] }} CsvImportResult
+ */
+
+// Rows repeating a task (same title, category and due date) add next steps
+// to it, so a one-row-per-step export comes back as the same tasks
+/** @param {string[][]} rows @param {CsvImportSpec} spec @param {{ id: string; name: string }[]} existingContacts @returns {CsvImportResult} */
+export function csvRowsToRecords(rows, spec, existingContacts) {
+  /** @type {ImportedTask[]} */
+  const tasks = [];
+  /** @type {ImportedContact[]} */
+  const contacts = [];
+  /** @type {string[]} */
+  const errors = [];
+  const now = new Date().toISOString();
+
+  rows.forEach((row, index) => {
+    const line = index + 2; // 1-based, after the header
+    const get = (/** @type {CsvField} */ field) => {
+      const i = spec.fields.indexOf(field);
+      return i >= 0 ? (row[i] || "").trim().replace(/^'(?=[=+\-@])/, "") : "";
+    };
+    const title = get("title");
+    if (!title) {
+      errors.push(`Row ${line}: no title, skipped`);
+      return;
+    }
+    const date = (/** @type {CsvField} */ field) => {
+      const raw = get(field);
+      if (!raw) return undefined;
+      const parsed = parseCsvDate(raw, spec.dateFormat);
+      if (!parsed) errors.push(`Row ${line}: “${raw}” isn't a ${DATE_FORMAT_LABELS[spec.dateFormat]} date, left empty`);
+      return parsed || undefined;
+    };
+    const time = (/** @type {CsvField} */ field) => {
+      const raw = get(field);
+      if (!raw) return undefined;
+      const parsed = parseCsvTime(raw);
+      if (!parsed) errors.push(`Row ${line}: “${raw}” isn't a time, left empty`);
+      return parsed || undefined;
+    };
+
+    const due = date("due");
+    const startTime = time("start") || due?.time;
+    const endTime = startTime ? time("end") : undefined;
+    const category = spec.categoryMap[get("category")] || spec.defaultCategory;
+    const stepDue = date("stepDue");
+    const done = /^(yes|y|true|1|x|done)$/i.test(get("stepDone"));
+    const step = get("step") ? { id: uid(), text: get("step"), dueDate: stepDue?.date, done: done || undefined } : undefined;
+
+    // Several names separated by ";" as in our export; phone/email only
+    // describe a single new contact
+    const names = get("contact").split(";").map((n) => n.trim()).filter(Boolean);
+    const contactIds = names.length ? names.map((name) => {
+      const known = [...existingContacts, ...contacts].find((c) => c.name.toLowerCase() === name.toLowerCase());
+      if (known) return known.id;
+      const single = names.length === 1;
+      /** @type {ImportedContact} */
+      const contact = { id: uid(), name, phone: (single && get("phone")) || undefined, email: (single && get("email")) || undefined, tags: [], createdAt: now };
+      contacts.push(contact);
+      return contact.id;
+    }) : undefined;
+
+    const same = tasks.find((t) => t.title === title && t.category === category && t.dueDate === due?.date);
+    if (same) {
+      if (step) same.nextSteps.push(step);
+      if (contactIds) same.contactIds = Array.from(new Set([...(same.contactIds || []), ...contactIds]));
+      return;
+    }
+    tasks.push({
+      id: uid(),
+      title,
+      description: get("description") || undefined,
+      category,
+      status: spec.statusMap[get("status")] || "Active",
+      priority: parsePriority(get("priority")),
+      effort: Number(get("effort")) > 0 ? Math.round(Number(get("effort"))) : undefined,
+      dueDate: due?.date,
+      startTime,
+      endTime,
+      createdAt: now,
+      nextSteps: step ? [step] : [],
+      contactIds,
+    });
+  });
+  return { tasks, contacts, errors };
+}
@@ -0,0 +1,105 @@
+// Calendar-day helpers for the Personal CRM.
+//
+// Due dates are calendar days ("YYYY-MM-DD") in the user's own timezone, not
+// instants. Go through parseISODate/toISODate: `new Date("YYYY-MM-DD")` is
+// UTC midnight and `toISOString()` gives the UTC day, and either one puts
+// items on the wrong day for anyone away from UTC.
+
+export const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** @param {Date} date */
+export function startOfMonth(date) {
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+/** @param {Date} date @param {number} n */
+export function addDays(date, n) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + n);
+  return d;
+}
+
+/** @param {Date} date */
+export function startOfWeek(date, weekStartsOn = 0) {
+  const d = new Date(date);
+  const diff = (d.getDay() + 7 - weekStartsOn) % 7;
+  return addDays(d, -diff);
+}
+
+/** @param {Date} a @param {Date} b */
+export function isSameMonth(a, b) {
+  return a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth();
+}
+
+/** @param {Date} a @param {Date} b */
+export function isSameDay(a, b) {
+  return a.toDateString() === b.toDateString();
+}
+
+/** @param {string} iso */
+export function parseISODate(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/** @param {Date} date */
+export function toISODate(date) {
+  const pad = (/** @type {number} */ n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/** @param {Date} a @param {Date} b */
+export function daysBetween(a, b) {
+  // Round to absorb DST shifts between local midnights
+  return Math.round((b.getTime() - a.getTime()) / 86400000);
+}
+
+/** @param {string} [dateISO] */
+export function isOverdue(dateISO, now = new Date()) {
+  return !!dateISO && dateISO < toISODate(now);
+}
+
+// Due today or within the next `days` days
+/** @param {string} [dateISO] */
+export function isDueWithinDays(dateISO, days = 3, now = new Date()) {
+  return !!dateISO && dateISO >= toISODate(now) && dateISO <= toISODate(addDays(now, days));
+}
+
+// Tasks with something on `date`: the task or one of its steps is due that
+// day, or repeats onto it according to `occurrences` (item id → ISO days)
+/**
+ * @template {{ id: string; dueDate?: string; nextSteps: { id: string; dueDate?: string }[] }} T
+ * @param {T[]} tasks
+ * @param {Date} date
+ * @param {Map<string, Set<string>>} [occurrences]
+ * @returns {T[]}
+ */
+export function tasksOn(tasks, date, occurrences = new Map()) {
+  const iso = toISODate(date);
+  const on = (/** @type {{ id: string; dueDate?: string }} */ item) => item.dueDate === iso || !!occurrences.get(item.id)?.has(iso);
+  return tasks.filter((t) => on(t) || t.nextSteps.some(on));
+}
+
+// Times of day are "HH:MM" strings, also local
+export const DEFAULT_DURATION_MINUTES = 30;
+
+/** @param {string} time */
+export function timeToMinutes(time) {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + (m || 0);
+}
+
+/** @param {number} minutes */
+export function minutesToTime(minutes) {
+  const clamped = Math.max(0, Math.min(minutes, 24 * 60 - 1));
+  return `${String(Math.floor(clamped / 60)).padStart(2, "0")}:${String(clamped % 60).padStart(2, "0")}`;
+}
+
+// Items without a start time are all-day; a missing or inverted end gets the default length
+/** @param {{ startTime?: string; endTime?: string }} item */
+export function timeRange(item) {
+  if (!item.startTime) return {};
+  const start = timeToMinutes(item.startTime);
+  const end = item.endTime ? timeToMinutes(item.endTime) : 0;
+  return { start, end: end > start ? end : start + DEFAULT_DURATION_MINUTES };
+}
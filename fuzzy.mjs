@@ -0,0 +1,45 @@
+// Fuzzy matching for the Personal CRM's command palette.
+
+/**
+ * @typedef {{ group: string; label: string; keywords?: string }} RankedCommand
+ */
+
+export const PALETTE_LIMIT = 50;
+
+// Subsequence match, higher is better: consecutive letters and word starts
+// score, gaps cost. null when the letters don't all appear in order.
+/** @param {string} query @param {string} text @returns {number | null} */
+export function fuzzyScore(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, "");
+  if (!q) return 0;
+  const t = text.toLowerCase();
+  let score = 0;
+  let at = -1;
+  for (const ch of q) {
+    const found = t.indexOf(ch, at + 1);
+    if (found < 0) return null;
+    const wordStart = found === 0 || /[\s\-_/:“(]/.test(t[found - 1]);
+    score += found === at + 1 ? 3 : wordStart ? 2 : 1;
+    score -= Math.min(found - at - 1, 5) * 0.1;
+    at = found;
+  }
+  return score - t.length * 0.01; // shorter labels win ties
+}
+
+// Best first; a match in the label beats one that needs the group or keywords.
+// Equal scores keep the commands' own order.
+/** @template {RankedCommand} C @param {C[]} commands @param {string} query @returns {C[]} */
+export function rankCommands(commands, query) {
+  if (!query.trim()) return commands.slice(0, PALETTE_LIMIT);
+  /** @type {{ command: C; i: number; score: number }[]} */
+  const ranked = [];
+  commands.forEach((command, i) => {
+    const main = fuzzyScore(query, command.label);
+    const score = main !== null ? main + 1 : fuzzyScore(query, `${command.group} ${command.label} ${command.keywords || ""}`);
+    if (score !== null) ranked.push({ command, i, score });
+  });
+  return ranked
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .slice(0, PALETTE_LIMIT)
+    .map((r) => r.command);
+}
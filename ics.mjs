@@ -0,0 +1,319 @@
+// iCalendar (RFC 5545) export and import for the Personal CRM.
+//
+// Our own UIDs are "<record id>@personal-crm", so re-importing an export
+// updates records in place. Times are written floating (no zone), which
+// calendar apps show in the viewer's local time, matching how we store them.
+
+import { addDays, minutesToTime, parseISODate, timeRange, toISODate } from "./dates.mjs";
+import { uid } from "./ids.mjs";
+
+/**
+ * @typedef {import("./recurrence.mjs").RecurrenceRule} RecurrenceRule
+ * @typedef {{ params: Record<string, string>; value: string }} IcsProp
+ * @typedef {{ kind: "VEVENT" | "VTODO"; props: Record<string, IcsProp> }} IcsComponent
+ * @typedef {{ id: string; text: string; done?: boolean; dueDate?: string; startTime?: string; endTime?: string; recurrence?: RecurrenceRule; priority?: string }} IcsStep
+ * @typedef {{ id: string; title: string; description?: string; category: string; status: string; dueDate?: string; startTime?: string; endTime?: string; recurrence?: RecurrenceRule; priority?: string; icalUid?: string; nextSteps: IcsStep[] }} IcsTask
+ */
+
+const ICS_UID_SUFFIX = "@personal-crm";
+const ICS_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+// PRIORITY runs 1 (highest) to 9; 0 means undefined
+/** @type {Record<string, number>} */
+const ICS_PRIORITY = { P1: 1, P2: 3, P3: 5, P4: 9 };
+// VEVENT has no "completed" STATUS, so our events carry done-ness here
+const ICS_DONE_PROP = "X-PERSONAL-CRM-DONE";
+
+/** @param {string} [value] */
+function icsToPriority(value) {
+  const n = Number(value);
+  if (!n) return undefined;
+  return n <= 2 ? "P1" : n <= 4 ? "P2" : n <= 6 ? "P3" : "P4";
+}
+
+/** @param {string} text */
+function icsEscape(text) {
+  return text.replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+/** @param {string} text */
+function icsUnescape(text) {
+  return text.replace(/\\([\\;,nN])/g, (_, ch) => (ch === "n" || ch === "N" ? "\n" : ch));
+}
+
+// Content lines are limited to 75 octets; continuations start with a space
+/** @param {string} line */
+function icsFold(line) {
+  const encoder = new TextEncoder();
+  /** @type {string[]} */
+  const parts = [];
+  let cur = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    if (bytes + size > (parts.length ? 74 : 75)) {
+      parts.push(cur);
+      cur = "";
+      bytes = 0;
+    }
+    cur += ch;
+    bytes += size;
+  }
+  parts.push(cur);
+  return parts.join("\r\n ");
+}
+
+/** @param {string} iso */
+function icsDate(iso) {
+  return iso.replace(/-/g, "");
+}
+
+/** @param {string} iso @param {string} time */
+function icsDateTime(iso, time) {
+  return `${icsDate(iso)}T${time.replace(":", "")}00`;
+}
+
+/** @param {RecurrenceRule} rule @param {string} anchorISO @param {boolean} timed */
+function recurrenceToRRule(rule, anchorISO, timed) {
+  const anchor = parseISODate(anchorISO);
+  /** @type {string[]} */
+  const parts = [];
+  switch (rule.freq) {
+    case "daily":
+      parts.push("FREQ=DAILY");
+      break;
+    case "custom":
+      parts.push("FREQ=DAILY", `INTERVAL=${Math.max(1, rule.interval || 1)}`);
+      break;
+    case "weekdays":
+      parts.push("FREQ=WEEKLY", "BYDAY=MO,TU,WE,TH,FR");
+      break;
+    case "weekly": {
+      const days = rule.byDay?.length ? rule.byDay : [anchor.getDay()];
+      parts.push("FREQ=WEEKLY");
+      if ((rule.interval || 1) > 1) parts.push(`INTERVAL=${rule.interval}`);
+      parts.push(`BYDAY=${days.map((d) => ICS_WEEKDAYS[d]).join(",")}`);
+      break;
+    }
+    case "monthly": {
+      const nth = rule.nth ?? Math.ceil(anchor.getDate() / 7);
+      parts.push("FREQ=MONTHLY", `BYDAY=${nth}${ICS_WEEKDAYS[rule.weekday ?? anchor.getDay()]}`);
+      break;
+    }
+  }
+  // UNTIL has to match DTSTART's value type
+  if (rule.until) parts.push(`UNTIL=${timed ? icsDateTime(rule.until, "23:59") : icsDate(rule.until)}`);
+  if (rule.count !== undefined) parts.push(`COUNT=${rule.count}`);
+  return parts.join(";");
+}
+
+// Only the patterns the app can represent; anything else returns undefined
+/** @param {string} rrule @returns {RecurrenceRule | undefined} */
+function rruleToRecurrence(rrule) {
+  const f = Object.fromEntries(rrule.split(";").map((p) => p.split("=")));
+  const interval = Number(f.INTERVAL) || 1;
+  const until = f.UNTIL ? `${f.UNTIL.slice(0, 4)}-${f.UNTIL.slice(4, 6)}-${f.UNTIL.slice(6, 8)}` : undefined;
+  const count = f.COUNT ? Number(f.COUNT) : undefined;
+  /** @type {string[]} */
+  const byDay = f.BYDAY ? f.BYDAY.split(",") : [];
+  /** @type {RecurrenceRule | undefined} */
+  let rule;
+  if (f.FREQ === "DAILY") rule = interval > 1 ? { freq: "custom", interval } : { freq: "daily" };
+  else if (f.FREQ === "WEEKLY") {
+    const days = byDay.map((d) => ICS_WEEKDAYS.indexOf(d)).filter((d) => d >= 0);
+    if (interval === 1 && days.length === 5 && [1, 2, 3, 4, 5].every((d) => days.includes(d))) rule = { freq: "weekdays" };
+    else rule = { freq: "weekly", interval: interval > 1 ? interval : undefined, byDay: days.length ? days : undefined };
+  } else if (f.FREQ === "MONTHLY" && byDay.length === 1) {
+    const m = /^([+-]?\d)?([A-Z]{2})$/.exec(byDay[0]);
+    const nth = m?.[1] ? Number(m[1]) : NaN;
+    if (m && (nth === -1 || (nth >= 1 && nth <= 4))) rule = { freq: "monthly", nth, weekday: ICS_WEEKDAYS.indexOf(m[2]) };
+  }
+  return rule && { ...rule, until, count };
+}
+
+/**
+ * @param {IcsTask[]} tasks
+ * @param {{ id: string; name: string }[]} categories
+ * @param {boolean} untimedAsTodos
+ */
+export function buildICS(tasks, categories, untimedAsTodos) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Personal CRM//Tasks//EN", "CALSCALE:GREGORIAN", "X-WR-CALNAME:Personal CRM"];
+
+  /**
+   * @param {{ id: string; summary: string; description?: string; dueDate: string; startTime?: string; endTime?: string;
+   *   recurrence?: RecurrenceRule; category: string; done: boolean; relatedTo?: string; priority?: string }} item
+   */
+  function component(item) {
+    const timed = !!item.startTime;
+    const kind = !timed && untimedAsTodos ? "VTODO" : "VEVENT";
+    const out = [`BEGIN:${kind}`, `UID:${item.id}${ICS_UID_SUFFIX}`, `DTSTAMP:${stamp}`, `SUMMARY:${icsEscape(item.summary)}`];
+    if (item.description) out.push(`DESCRIPTION:${icsEscape(item.description)}`);
+    out.push(`CATEGORIES:${icsEscape(item.category)}`);
+    if (item.priority) out.push(`PRIORITY:${ICS_PRIORITY[item.priority]}`);
+    if (timed) {
+      const range = timeRange(item);
+      out.push(`DTSTART:${icsDateTime(item.dueDate, /** @type {string} */ (item.startTime))}`, `DTEND:${icsDateTime(item.dueDate, minutesToTime(/** @type {number} */ (range.end)))}`);
+    } else if (kind === "VTODO") {
+      out.push(`DUE;VALUE=DATE:${icsDate(item.dueDate)}`);
+    } else {
+      out.push(`DTSTART;VALUE=DATE:${icsDate(item.dueDate)}`, `DTEND;VALUE=DATE:${icsDate(toISODate(addDays(parseISODate(item.dueDate), 1)))}`);
+    }
+    out.push(kind === "VTODO" ? `STATUS:${item.done ? "COMPLETED" : "NEEDS-ACTION"}` : `${ICS_DONE_PROP}:${item.done ? "TRUE" : "FALSE"}`);
+    if (item.recurrence) out.push(`RRULE:${recurrenceToRRule(item.recurrence, item.dueDate, timed)}`);
+    if (item.relatedTo) out.push(`RELATED-TO:${item.relatedTo}${ICS_UID_SUFFIX}`);
+    out.push(`END:${kind}`);
+    lines.push(...out);
+  }
+
+  tasks.forEach((t) => {
+    const category = categories.find((c) => c.id === t.category)?.name ?? t.category;
+    if (t.dueDate) {
+      component({ ...t, summary: t.title, dueDate: t.dueDate, category, done: t.status === "Completed" });
+    }
+    t.nextSteps.forEach((n) => {
+      if (!n.dueDate) return;
+      component({ ...n, summary: n.text, description: `Next step for: ${t.title}`, dueDate: n.dueDate, category, done: !!n.done, relatedTo: t.id });
+    });
+  });
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+/** @param {string} text @returns {IcsComponent[]} */
+export function parseICS(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  /** @type {IcsComponent[]} */
+  const out = [];
+  /** @type {IcsComponent | null} */
+  let cur = null;
+  let nested = 0; // e.g. VALARM inside an event
+  lines.forEach((line) => {
+    const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    if (colon < 0) return;
+    const [name, ...rawParams] = line.slice(0, colon).split(";");
+    const value = line.slice(colon + 1);
+    const key = name.toUpperCase();
+    if (key === "BEGIN") {
+      if (cur) nested++;
+      else if (value === "VEVENT" || value === "VTODO") cur = { kind: value, props: {} };
+      return;
+    }
+    if (key === "END") {
+      if (nested) nested--;
+      else if (cur && value === cur.kind) {
+        out.push(cur);
+        cur = null;
+      }
+      return;
+    }
+    if (!cur || nested) return;
+    const params = Object.fromEntries(rawParams.map((p) => {
+      const [k, v = ""] = p.split("=");
+      return [k.toUpperCase(), v.replace(/^"|"$/g, "")];
+    }));
+    cur.props[key] ??= { params, value };
+  });
+  return out;
+}
+
+// DATE, floating DATE-TIME, UTC ("Z") or TZID values; TZID is read as local wall time
+/** @param {IcsProp} [prop] @returns {{ date: string; time?: string } | undefined} */
+function icsToLocal(prop) {
+  const m = prop && /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(prop.value.trim());
+  if (!m) return undefined;
+  const [, y, mo, d, h, mi, , utc] = m;
+  if (h === undefined) return { date: `${y}-${mo}-${d}` };
+  if (utc) {
+    const local = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi));
+    return { date: toISODate(local), time: minutesToTime(local.getHours() * 60 + local.getMinutes()) };
+  }
+  return { date: `${y}-${mo}-${d}`, time: `${h}:${mi}` };
+}
+
+// Whether the item is done, or undefined when the file doesn't say. VEVENT's
+// STATUS (TENTATIVE/CONFIRMED/CANCELLED) isn't about completion.
+/** @param {IcsComponent} item */
+function icsDone(item) {
+  const { STATUS, [ICS_DONE_PROP]: flag } = item.props;
+  if (item.kind === "VTODO" && STATUS) return STATUS.value === "COMPLETED";
+  if (flag) return flag.value === "TRUE";
+  return undefined;
+}
+
+/**
+ * @template {IcsTask} T
+ * @param {T[]} tasks
+ * @param {IcsComponent[]} items
+ * @param {{ id: string; name: string }[]} categories
+ * @param {string} fallbackCategory
+ * @returns {{ tasks: T[]; added: number; updated: number; skipped: string[] }}
+ */
+export function applyICS(tasks, items, categories, fallbackCategory) {
+  /** @type {any[]} */
+  let next = [...tasks];
+  let added = 0;
+  let updated = 0;
+  /** @type {string[]} */
+  const skipped = [];
+  const ownId = (/** @type {string | undefined} */ uid) => (uid?.endsWith(ICS_UID_SUFFIX) ? uid.slice(0, -ICS_UID_SUFFIX.length) : undefined);
+
+  // CATEGORIES is a list: split on unescaped commas, then unescape each name
+  /** @param {string} [value] */
+  function mapCategory(value) {
+    const names = (value?.match(/(?:\\.|[^\\,])+/g) || []).map((c) => icsUnescape(c).trim().toLowerCase());
+    return categories.find((c) => names.includes(c.name.toLowerCase()) || names.includes(c.id.toLowerCase()))?.id || fallbackCategory;
+  }
+
+  items.forEach((item) => {
+    const p = item.props;
+    const summary = p.SUMMARY ? icsUnescape(p.SUMMARY.value).trim() : "";
+    const start = icsToLocal(item.kind === "VTODO" ? p.DUE || p.DTSTART : p.DTSTART);
+    const end = icsToLocal(p.DTEND);
+    const itemUid = p.UID?.value;
+    if (!summary) {
+      skipped.push(`${itemUid || "entry"} has no title`);
+      return;
+    }
+    const recurrence = p.RRULE ? rruleToRecurrence(p.RRULE.value) : undefined;
+    if (p.RRULE && !recurrence) skipped.push(`repeat rule of “${summary}” isn't supported; imported as a single date`);
+    const timing = {
+      dueDate: start?.date,
+      startTime: start?.time,
+      endTime: start?.time && end?.time && end.date === start.date ? end.time : undefined,
+      recurrence: start ? recurrence : undefined,
+    };
+    const done = icsDone(item);
+    const priority = icsToPriority(p.PRIORITY?.value);
+
+    // Our own next steps come back attached to their task
+    const parentId = ownId(p["RELATED-TO"]?.value);
+    const stepId = ownId(itemUid);
+    const parent = parentId && next.find((t) => t.id === parentId);
+    if (parent && stepId) {
+      const current = parent.nextSteps.find((/** @type {IcsStep} */ n) => n.id === stepId);
+      const step = { ...current, id: stepId, text: summary, ...timing, priority, done: done === undefined ? current?.done : done || undefined };
+      const steps = current ? parent.nextSteps.map((/** @type {IcsStep} */ n) => (n.id === stepId ? step : n)) : [...parent.nextSteps, step];
+      next = next.map((t) => (t.id === parent.id ? { ...t, nextSteps: steps } : t));
+      current ? updated++ : added++;
+      return;
+    }
+
+    const existing = next.find((t) => (stepId && t.id === stepId) || (itemUid && t.icalUid === itemUid));
+    const fields = {
+      title: summary,
+      description: p.DESCRIPTION ? icsUnescape(p.DESCRIPTION.value) : undefined,
+      category: mapCategory(p.CATEGORIES?.value),
+      ...timing,
+      priority,
+    };
+    if (existing) {
+      const status = done === undefined ? existing.status : done ? "Completed" : existing.status === "Completed" ? "Active" : existing.status;
+      next = next.map((t) => (t.id === existing.id ? { ...t, ...fields, status } : t));
+      updated++;
+    } else {
+      next = [{ id: stepId || uid(), icalUid: stepId ? undefined : itemUid, status: done ? "Completed" : "Active", createdAt: new Date().toISOString(), nextSteps: [], ...fields }, ...next];
+      added++;
+    }
+  });
+  return { tasks: next, added, updated, skipped };
+}
@@ -0,0 +1,4 @@
+// Record ids: short, random, unique enough for one person's data.
+export function uid() {
+  return Math.random().toString(36).slice(2, 10);
+}
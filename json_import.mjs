@@ -0,0 +1,221 @@
+// JSON export and import for the Personal CRM.
+//
+// An export wraps the stored data in an envelope carrying its schema
+// version, so older files are migrated on the way in. Imports are checked
+// record by record: broken records are reported and left out, and what is
+// left is merged into the current data by id.
+
+import { ISO_DATE_RE } from "./dates.mjs";
+import { SCHEMA_VERSION, migrate } from "./storage.mjs";
+import { uid } from "./ids.mjs";
+
+/**
+ * @typedef {import("./storage.mjs").StorageDefaults} StorageDefaults
+ * @typedef {"replace" | "merge" | "skip"} ImportMode
+ * @typedef {{ collection: string; index: number; label: string; messages: string[] }} RecordError
+ */
+
+// Same id but a different creation stamp means two different records collided
+/**
+ * @template T
+ * @typedef {{ added: T[]; changed: T[]; conflicting: T[]; unchanged: T[] }} RecordDiff
+ */
+
+/**
+ * @template D
+ * @typedef {object} ExportEnvelope
+ * @property {typeof EXPORT_FORMAT} format
+ * @property {number} schemaVersion
+ * @property {string} exportedAt ISO
+ * @property {Record<string, number>} counts
+ * @property {D} data
+ */
+
+export const EXPORT_FORMAT = "personal-crm-export";
+
+const STATUSES = ["Active", "Pending", "Completed"];
+const PRIORITIES = ["P1", "P2", "P3", "P4"];
+const INTERACTION_TYPES = ["call", "meeting", "email", "text", "note"];
+const TIME_RE = /^\d{2}:\d{2}$/;
+
+/**
+ * @template {{ tasks: unknown[]; contacts: unknown[]; interactions: unknown[] }} D
+ * @param {D} data
+ * @returns {ExportEnvelope<D>}
+ */
+export function buildExport(data, now = new Date()) {
+  return {
+    format: EXPORT_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: now.toISOString(),
+    counts: { tasks: data.tasks.length, contacts: data.contacts.length, interactions: data.interactions.length },
+    data,
+  };
+}
+
+/** @param {any} n @param {string} path @returns {string[]} */
+function validateNextStep(n, path) {
+  if (!n || typeof n !== "object") return [`${path} is not an object`];
+  const errors = [];
+  if (typeof n.id !== "string" || !n.id) errors.push(`${path}.id must be a non-empty string`);
+  if (typeof n.text !== "string") errors.push(`${path}.text must be a string`);
+  if (n.dueDate !== undefined && !(typeof n.dueDate === "string" && ISO_DATE_RE.test(n.dueDate))) errors.push(`${path}.dueDate must be YYYY-MM-DD`);
+  if (n.done !== undefined && typeof n.done !== "boolean") errors.push(`${path}.done must be true or false`);
+  if (n.startTime !== undefined && !(typeof n.startTime === "string" && TIME_RE.test(n.startTime))) errors.push(`${path}.startTime must be HH:mm`);
+  return errors;
+}
+
+/** @param {any} items @param {string} path @returns {string[]} */
+function validateChecklist(items, path) {
+  if (!Array.isArray(items)) return [`${path} must be a list`];
+  return items.flatMap((c, i) => {
+    const at = `${path}[${i}]`;
+    if (!c || typeof c !== "object") return [`${at} is not an object`];
+    const errors = [];
+    if (typeof c.id !== "string" || !c.id) errors.push(`${at}.id must be a non-empty string`);
+    if (typeof c.text !== "string") errors.push(`${at}.text must be a string`);
+    if (c.children !== undefined) errors.push(...validateChecklist(c.children, `${at}.children`));
+    return errors;
+  });
+}
+
+/** @param {any} t @returns {string[]} */
+export function validateTask(t) {
+  if (!t || typeof t !== "object" || Array.isArray(t)) return ["not an object"];
+  const errors = [];
+  if (typeof t.id !== "string" || !t.id) errors.push("id must be a non-empty string");
+  if (typeof t.title !== "string" || !t.title.trim()) errors.push("title must be a non-empty string");
+  if (typeof t.category !== "string" || !t.category) errors.push("category must be a string");
+  if (!STATUSES.includes(t.status)) errors.push(`status must be one of ${STATUSES.join(", ")}`);
+  if (typeof t.createdAt !== "string" || isNaN(Date.parse(t.createdAt))) errors.push("createdAt must be an ISO timestamp");
+  if (t.dueDate !== undefined && t.dueDate !== "" && !(typeof t.dueDate === "string" && ISO_DATE_RE.test(t.dueDate))) errors.push("dueDate must be YYYY-MM-DD");
+  if (t.startTime !== undefined && !(typeof t.startTime === "string" && TIME_RE.test(t.startTime))) errors.push("startTime must be HH:mm");
+  if (t.priority !== undefined && !PRIORITIES.includes(t.priority)) errors.push(`priority must be one of ${PRIORITIES.join(", ")}`);
+  if (t.effort !== undefined && !(typeof t.effort === "number" && t.effort > 0)) errors.push("effort must be a positive number of minutes");
+  if (t.contactIds !== undefined && !(Array.isArray(t.contactIds) && t.contactIds.every((/** @type {any} */ c) => typeof c === "string"))) errors.push("contactIds must be a list of ids");
+  if (t.statusChanges !== undefined && !(Array.isArray(t.statusChanges) && t.statusChanges.every((/** @type {any} */ c) => STATUSES.includes(c?.status) && !isNaN(Date.parse(c?.at))))) errors.push("statusChanges must be a list of { status, at }");
+  if (t.attachments !== undefined && !(Array.isArray(t.attachments) && t.attachments.every((/** @type {any} */ a) => typeof a?.id === "string" && typeof a.name === "string" && typeof a.size === "number"))) errors.push("attachments must be a list of { id, name, type, size }");
+  if (t.blockedBy !== undefined && !(Array.isArray(t.blockedBy) && t.blockedBy.every((/** @type {any} */ b) => typeof b === "string"))) errors.push("blockedBy must be a list of task ids");
+  if (t.checklist !== undefined) errors.push(...validateChecklist(t.checklist, "checklist"));
+  if (!Array.isArray(t.nextSteps)) errors.push("nextSteps must be a list");
+  else t.nextSteps.forEach((/** @type {any} */ n, /** @type {number} */ i) => errors.push(...validateNextStep(n, `nextSteps[${i}]`)));
+  return errors;
+}
+
+/** @param {any} c @returns {string[]} */
+export function validateContact(c) {
+  if (!c || typeof c !== "object") return ["not an object"];
+  const errors = [];
+  if (typeof c.id !== "string" || !c.id) errors.push("id must be a non-empty string");
+  if (typeof c.name !== "string" || !c.name.trim()) errors.push("name must be a non-empty string");
+  if (!Array.isArray(c.tags)) errors.push("tags must be a list");
+  return errors;
+}
+
+/** @param {any} i @returns {string[]} */
+export function validateInteraction(i) {
+  if (!i || typeof i !== "object") return ["not an object"];
+  const errors = [];
+  if (typeof i.id !== "string" || !i.id) errors.push("id must be a non-empty string");
+  if (!INTERACTION_TYPES.includes(i.type)) errors.push(`type must be one of ${INTERACTION_TYPES.join(", ")}`);
+  if (typeof i.at !== "string" || isNaN(Date.parse(i.at))) errors.push("at must be an ISO timestamp");
+  if (typeof i.summary !== "string") errors.push("summary must be a string");
+  return errors;
+}
+
+// The records that pass `validate`; the others are reported in `errors`
+/**
+ * @template T
+ * @param {string} collection
+ * @param {unknown} records
+ * @param {(r: any) => string[]} validate
+ * @param {(r: any) => string} label
+ * @param {RecordError[]} errors
+ * @returns {T[]}
+ */
+export function keepValid(collection, records, validate, label, errors) {
+  if (records === undefined) return [];
+  if (!Array.isArray(records)) {
+    errors.push({ collection, index: -1, label: collection, messages: ["expected a list"] });
+    return [];
+  }
+  return records.filter((r, index) => {
+    const messages = validate(r);
+    if (messages.length) errors.push({ collection, index, label: label(r) || `#${index + 1}`, messages });
+    return !messages.length;
+  });
+}
+
+// Accepts a versioned export envelope or a bare task array from before
+// envelopes existed (no schemaVersion then); either way `raw` comes out
+// migrated to the current schema but not yet validated
+/**
+ * @param {string} text
+ * @param {StorageDefaults} defaults
+ * @returns {{ ok: true; raw: any; schemaVersion?: number; exportedAt?: string } | { ok: false; error: string }}
+ */
+export function readExport(text, defaults) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    return { ok: false, error: "The file is not valid JSON." };
+  }
+
+  if (Array.isArray(json)) return { ok: true, raw: migrate({ schemaVersion: 1, savedAt: "", data: { tasks: json } }, defaults) };
+  if (json?.format !== EXPORT_FORMAT || typeof json.schemaVersion !== "number") {
+    return { ok: false, error: "This doesn't look like a Personal CRM export." };
+  }
+  if (json.schemaVersion > SCHEMA_VERSION) {
+    return { ok: false, error: `This export is from a newer version of the app (schema ${json.schemaVersion}).` };
+  }
+  try {
+    const raw = migrate({ schemaVersion: json.schemaVersion, savedAt: json.exportedAt, data: json.data || {} }, defaults);
+    return { ok: true, raw, schemaVersion: json.schemaVersion, exportedAt: json.exportedAt };
+  } catch (err) {
+    return { ok: false, error: `Could not upgrade this export: ${String(err)}` };
+  }
+}
+
+/**
+ * @template {{ id: string }} T
+ * @param {T[]} existing
+ * @param {T[]} incoming
+ * @param {(r: T) => string | undefined} stamp
+ * @returns {RecordDiff<T>}
+ */
+export function diffRecords(existing, incoming, stamp) {
+  const byId = new Map(existing.map((r) => [r.id, r]));
+  /** @type {RecordDiff<T>} */
+  const diff = { added: [], changed: [], conflicting: [], unchanged: [] };
+  incoming.forEach((r) => {
+    const cur = byId.get(r.id);
+    if (!cur) diff.added.push(r);
+    else if (stamp(cur) !== stamp(r)) diff.conflicting.push(r);
+    else if (JSON.stringify(cur) === JSON.stringify(r)) diff.unchanged.push(r);
+    else diff.changed.push(r);
+  });
+  return diff;
+}
+
+// replace: incoming wins wholesale. merge: add new, update changed, keep both
+// sides of a conflict (incoming gets a fresh id). skip: only add new ids.
+/**
+ * @template {{ id: string }} T
+ * @param {T[]} existing
+ * @param {T[]} incoming
+ * @param {(r: T) => string | undefined} stamp
+ * @param {ImportMode} mode
+ * @returns {T[]}
+ */
+export function mergeRecords(existing, incoming, stamp, mode) {
+  if (mode === "replace") return incoming;
+  const diff = diffRecords(existing, incoming, stamp);
+  if (mode === "skip") return [...diff.added, ...existing];
+  const updates = new Map(diff.changed.map((r) => [r.id, r]));
+  return [
+    ...diff.added,
+    ...diff.conflicting.map((r) => ({ ...r, id: uid() })),
+    ...existing.map((r) => updates.get(r.id) || r),
+  ];
+}
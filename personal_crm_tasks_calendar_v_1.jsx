@@ -1,20 +1,142 @@
-import React, { useEffect, useMemo, useState } from "react";
-import { Plus, Calendar as CalendarIcon, X, Edit3, Trash2, Search, Filter, CheckCircle, ListFilter, LayoutGrid, Table as TableIcon, ChevronLeft, ChevronRight, Clock } from "lucide-react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Plus, Calendar as CalendarIcon, X, Edit3, Trash2, Search, Filter, CheckCircle, ListFilter, LayoutGrid, Table as TableIcon, ChevronLeft, ChevronRight, Clock, Users, Phone, Mail, Repeat, Kanban, ArrowUp, ArrowDown, Car, House, Briefcase, Sparkles, User, Heart, Dumbbell, BookOpen, Star, Tag, Archive, ArchiveRestore, FolderCog, Undo2, Redo2, Bell, Sun, Pin, PinOff, SkipForward, BarChart3, Lock, ListChecks, CornerDownRight, CornerUpLeft, Paperclip, FileText, Download, Settings as SettingsIcon, Cloud, CloudOff, RefreshCw, Command as CommandIcon, Keyboard, MessageSquare, Copy } from "lucide-react";
+import { defaultStorageBackend, loadAppData, saveAppData, MAX_ATTACHMENT_BYTES, defaultAttachmentStore, referencedAttachments, pruneAttachments } from "./storage.mjs";
+import type { LoadResult, AttachmentStore } from "./storage.mjs";
+import { uid } from "./ids.mjs";
+import { buildExport, validateTask, validateContact, validateInteraction, keepValid, readExport, diffRecords, mergeRecords } from "./json_import.mjs";
+import type { ImportMode, RecordError, RecordDiff } from "./json_import.mjs";
+import { ISO_DATE_RE, startOfMonth, addDays, startOfWeek, isSameMonth, isSameDay, parseISODate, toISODate, daysBetween, isOverdue, isDueWithinDays, tasksOn, DEFAULT_DURATION_MINUTES, timeToMinutes, minutesToTime, timeRange } from "./dates.mjs";
+import { occurrenceIndex, nextRecurringTask, nextRecurringStep } from "./recurrence.mjs";
+import { buildICS, parseICS, applyICS } from "./ics.mjs";
+import type { IcsComponent } from "./ics.mjs";
+import { CSV_EXPORT_COLUMNS, CSV_DEFAULT_EXPORT, buildCSV, parseCSV, CSV_FIELDS, CSV_FIELD_LABELS, guessCsvField, DATE_FORMATS, DATE_FORMAT_LABELS, detectDateFormat, guessStatus, csvRowsToRecords } from "./csv.mjs";
+import type { CsvField, DateFormat, CsvImportSpec, CsvImportResult } from "./csv.mjs";
+import { DEFAULT_REMINDER_TIME, reminderId, collectReminders, createReminderScheduler, snoozeReminder, dismissReminders, reminderInbox } from "./reminders.mjs";
+import type { ReminderLog, ScheduledReminder } from "./reminders.mjs";
+import { EMPTY_DAY_PLAN, buildToday } from "./today.mjs";
+import type { DayPlan, TodayItem } from "./today.mjs";
+import { QUERY_HELP, parseQuery, matchQuery } from "./query.mjs";
+import type { QueryContext } from "./query.mjs";
+import { MAX_CHECKLIST_DEPTH, moveInList, checklistProgress, editSiblings, setChecklistDone, indentChecklistItem, outdentChecklistItem, openBlockers, dependencyCycle, newlyUnblocked } from "./checklists.mjs";
+import { DASHBOARD_WEEKS, NEGLECTED_CONTACT_DAYS, NEGLECTED_TASK_DAYS, recordStatusChanges, buildAnalytics } from "./analytics.mjs";
+import type { Analytics } from "./analytics.mjs";
+import { buildBundle, readBundle } from "./bundle.mjs";
+import { newSyncState, trackLocalChanges, acknowledgeChanges, resolveConflict, syncRound, createHttpTransport } from "./sync.mjs";
+import type { SyncCollection, SyncState } from "./sync.mjs";
+import { parseQuickAdd, QUICK_ADD_HELP, quickAddTask, quickAddStep } from "./quick_add.mjs";
+import type { QuickAddResult } from "./quick_add.mjs";
+import { rankCommands } from "./fuzzy.mjs";
+import { MERGE_FIELDS, DEFAULT_TEMPLATES, mergeFieldsFor, renderTemplate, mailtoLink, smsLink, validateTemplate } from "./templates.mjs";
+import type { MessageTemplate, TemplateChannel } from "./templates.mjs";
 
 // -----------------------------
 // Helpers & Types
 // -----------------------------
-const CATEGORIES = ["Dealership", "Family", "Business", "Spiritual", "Personal"] as const;
 const STATUSES = ["Active", "Pending", "Completed"] as const;
+const PRIORITIES = ["P1", "P2", "P3", "P4"] as const; // P1 = most urgent
+const INTERACTION_TYPES = ["call", "meeting", "email", "text", "note"] as const;
+const RECURRENCE_FREQS = ["daily", "weekdays", "weekly", "monthly", "custom"] as const;
 
-type Category = typeof CATEGORIES[number];
+// Tasks store the category id. The built-in ids are their original names, so
+// data saved before categories became editable still resolves.
+type Category = string;
 type Status = typeof STATUSES[number];
+type Priority = typeof PRIORITIES[number];
+type InteractionType = typeof INTERACTION_TYPES[number];
+type RecurrenceFreq = typeof RECURRENCE_FREQS[number];
+
+// Anchored at the item's dueDate, which is always the first occurrence
+type Recurrence = {
+  freq: RecurrenceFreq;
+  interval?: number; // custom: every N days; weekly: every N weeks
+  byDay?: number[]; // weekly: 0 = Sun … 6 = Sat
+  nth?: number; // monthly: 1–4, or -1 for the last
+  weekday?: number; // monthly: 0 = Sun … 6 = Sat
+  until?: string; // ISO date (YYYY-MM-DD), inclusive
+  count?: number; // occurrences remaining, including the current one
+};
+
+// Either a clock time some days ahead ({ daysBefore: 1, at: "09:00" }) or an
+// offset from the due time ({ minutesBefore: 15 }; {} = at due time)
+type Reminder = {
+  daysBefore?: number;
+  at?: string; // "HH:mm"
+  minutesBefore?: number;
+};
+
+// Literal class names so Tailwind can see them
+const CATEGORY_COLORS = {
+  blue: { badge: "bg-blue-50 text-blue-700 border-blue-200", swatch: "bg-blue-500", bar: "border-l-blue-500" },
+  rose: { badge: "bg-rose-50 text-rose-700 border-rose-200", swatch: "bg-rose-500", bar: "border-l-rose-500" },
+  violet: { badge: "bg-violet-50 text-violet-700 border-violet-200", swatch: "bg-violet-500", bar: "border-l-violet-500" },
+  amber: { badge: "bg-amber-50 text-amber-800 border-amber-200", swatch: "bg-amber-500", bar: "border-l-amber-500" },
+  green: { badge: "bg-green-50 text-green-700 border-green-200", swatch: "bg-green-500", bar: "border-l-green-500" },
+  teal: { badge: "bg-teal-50 text-teal-700 border-teal-200", swatch: "bg-teal-500", bar: "border-l-teal-500" },
+  orange: { badge: "bg-orange-50 text-orange-700 border-orange-200", swatch: "bg-orange-500", bar: "border-l-orange-500" },
+  slate: { badge: "bg-slate-50 text-slate-700 border-slate-200", swatch: "bg-slate-500", bar: "border-l-slate-500" },
+} as const;
+
+const CATEGORY_ICONS = {
+  car: Car, house: House, briefcase: Briefcase, sparkles: Sparkles, user: User,
+  heart: Heart, dumbbell: Dumbbell, book: BookOpen, star: Star, tag: Tag,
+} as const;
+
+type CategoryColor = keyof typeof CATEGORY_COLORS;
+type CategoryIcon = keyof typeof CATEGORY_ICONS;
+
+type CategoryDef = {
+  id: Category;
+  name: string;
+  color: CategoryColor;
+  icon: CategoryIcon;
+  archived?: boolean; // kept for existing tasks, hidden from pickers and columns
+  reminders?: Reminder[]; // default for tasks and steps that don't set their own
+};
+
+const DEFAULT_CATEGORIES: CategoryDef[] = [
+  { id: "Dealership", name: "Dealership", color: "blue", icon: "car" },
+  { id: "Family", name: "Family", color: "rose", icon: "house" },
+  { id: "Business", name: "Business", color: "violet", icon: "briefcase" },
+  { id: "Spiritual", name: "Spiritual", color: "amber", icon: "sparkles" },
+  { id: "Personal", name: "Personal", color: "green", icon: "user" },
+];
+
+// Unknown ids (e.g. from an import) still render, just without styling
+function findCategory(categories: CategoryDef[], id: Category): CategoryDef {
+  return categories.find((c) => c.id === id) || { id, name: id, color: "slate", icon: "tag" };
+}
 
 type NextStep = {
   id: string;
   text: string;
   dueDate?: string; // ISO date (YYYY-MM-DD)
   done?: boolean;
+  completedAt?: string; // ISO timestamp, set while done
+  recurrence?: Recurrence;
+  startTime?: string; // "HH:mm", local; only meaningful with a dueDate
+  endTime?: string; // "HH:mm"
+  reminders?: Reminder[]; // undefined = category default
+  priority?: Priority;
+  effort?: number; // estimated minutes
+};
+
+type StatusChange = { status: Status; at: string }; // ISO timestamp
+
+// File metadata; the bytes live in an AttachmentStore under the same id
+type Attachment = {
+  id: string;
+  name: string;
+  type: string; // MIME type, "" when the browser didn't know
+  size: number; // bytes
+  addedAt: string; // ISO
+};
+
+// A checklist entry; unlike next steps these carry no dates and can nest
+type ChecklistItem = {
+  id: string;
+  text: string;
+  done?: boolean;
+  children?: ChecklistItem[];
 };
 
 type Task = {
@@ -26,62 +148,355 @@ type Task = {
   dueDate?: string; // ISO date
   createdAt: string; // ISO
   nextSteps: NextStep[];
+  contactIds?: string[]; // linked Contact ids
+  recurrence?: Recurrence;
+  seriesId?: string; // shared by every occurrence of a recurring task
+  startTime?: string; // "HH:mm", local; only meaningful with a dueDate
+  endTime?: string; // "HH:mm"
+  stageId?: string; // pipeline stage within its category; see stageOf
+  icalUid?: string; // UID of the calendar entry this was imported from
+  reminders?: Reminder[]; // undefined = category default
+  priority?: Priority;
+  effort?: number; // estimated minutes
+  checklist?: ChecklistItem[];
+  blockedBy?: string[]; // ids of tasks that must be completed first
+  statusChanges?: StatusChange[]; // appended on every status change, oldest first
+  attachments?: Attachment[];
+};
+
+// A pipeline column. Each stage maps onto a Status so filters, metrics and
+// completion keep working whatever the pipeline looks like.
+type Stage = {
+  id: string;
+  name: string;
+  status: Status;
+  wipLimit?: number;
+};
+
+// One task or next step placed on a calendar day; start/end in minutes after midnight
+type CalendarEntry = {
+  key: string;
+  task: Task;
+  step?: NextStep;
+  virtual: boolean; // projected recurrence, not the stored occurrence
+  start?: number;
+  end?: number;
+};
+
+type Contact = {
+  id: string;
+  name: string;
+  company?: string;
+  phone?: string;
+  email?: string;
+  vehicle?: string; // of interest; fills {{vehicle}} in message templates
+  tags: string[];
+  notes?: string;
+  lastContacted?: string; // ISO date (YYYY-MM-DD)
+  createdAt: string; // ISO
+};
+
+// What actually happened; survives deletion of the next step it came from
+type Interaction = {
+  id: string;
+  type: InteractionType;
+  at: string; // ISO timestamp
+  summary: string;
+  outcome?: string;
+  taskId?: string;
+  contactIds?: string[];
+  nextStepId?: string;
+};
+
+type Settings = {
+  autoCompleteTasks: boolean; // mark a task Completed once every next step is done
+  icsUntimedAsTodos: boolean; // .ics: untimed items as VTODO instead of all-day VEVENT
+  trashRetentionDays: number; // deleted tasks are purged after this many days; 0 keeps them
+  weekStartsOn: 0 | 1; // Sunday or Monday, for the calendar and dashboard weeks
+  locale: string; // BCP 47 tag for dates and times; "" = the browser's
+  dateFormat: DateDisplay;
+};
+
+const DEFAULT_SETTINGS: Settings = {
+  autoCompleteTasks: false,
+  icsUntimedAsTodos: false,
+  trashRetentionDays: 30,
+  weekStartsOn: 0,
+  locale: "",
+  dateFormat: "locale",
 };
 
-function uid() {
-  return Math.random().toString(36).slice(2, 10);
+// Value for <input type="datetime-local"> in the browser's local time
+function toLocalInputValue(date: Date) {
+  const pad = (n: number) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
 }
 
-function isOverdue(dateISO?: string) {
-  if (!dateISO) return false;
-  const today = new Date();
-  const d = new Date(dateISO + "T23:59:59");
-  return d.getTime() < today.getTime();
+const DURATION_OPTIONS = [15, 30, 45, 60, 90, 120, 180];
+
+function formatTime(time?: string) {
+  if (!time) return "";
+  const d = new Date();
+  d.setHours(0, timeToMinutes(time), 0, 0);
+  return d.toLocaleTimeString(dateLocale(), { hour: "numeric", minute: "2-digit" });
 }
 
-function isDueWithinDays(dateISO?: string, days = 3) {
-  if (!dateISO) return false;
-  const today = new Date();
-  const future = new Date();
-  future.setDate(today.getDate() + days);
-  const d = new Date(dateISO);
-  return d >= new Date(today.toDateString()) && d <= future;
+// Drag payload shared by calendar chips, time blocks and task cards
+const DRAG_MIME = "application/x-personal-crm-item";
+const SNAP_MINUTES = 15;
+
+type ItemRef = { taskId: string; stepId?: string };
+
+function startDrag(e: React.DragEvent, ref: ItemRef, grab = 0) {
+  e.dataTransfer.setData(DRAG_MIME, JSON.stringify({ ...ref, grab }));
+  e.dataTransfer.effectAllowed = "move";
 }
 
-function formatDateShort(iso?: string) {
-  if (!iso) return "—";
-  const d = new Date(iso);
-  return d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+function readDrag(e: React.DragEvent): (ItemRef & { grab: number }) | null {
+  const raw = e.dataTransfer.getData(DRAG_MIME);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+function allowDrop(e: React.DragEvent) {
+  if (e.dataTransfer.types.includes(DRAG_MIME)) e.preventDefault();
+}
+
+// Alt+arrow keys: the keyboard equivalent of dragging
+function arrowMove(e: React.KeyboardEvent): { dx: number; dy: number } | null {
+  if (!e.altKey) return null;
+  const moves: Record<string, [number, number]> = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+  const move = moves[e.key];
+  if (!move) return null;
+  e.preventDefault();
+  e.stopPropagation();
+  return { dx: move[0], dy: move[1] };
+}
+
+// Side-by-side columns for overlapping blocks: each cluster of transitively
+// overlapping entries shares a column count, entries take the first free column
+function layoutTimedEntries(entries: CalendarEntry[]) {
+  const sorted = [...entries].sort((a, b) => a.start! - b.start! || b.end! - a.end!);
+  const placed: Array<{ entry: CalendarEntry; col: number; cols: number }> = [];
+  let cluster: typeof placed = [];
+  let colEnds: number[] = [];
+  let clusterEnd = -1;
+  const flush = () => {
+    cluster.forEach((p) => (p.cols = colEnds.length));
+    cluster = [];
+    colEnds = [];
+  };
+  sorted.forEach((entry) => {
+    if (entry.start! >= clusterEnd) flush();
+    let col = colEnds.findIndex((end) => end <= entry.start!);
+    if (col === -1) col = colEnds.length;
+    colEnds[col] = entry.end!;
+    const item = { entry, col, cols: 1 };
+    cluster.push(item);
+    placed.push(item);
+    clusterEnd = Math.max(clusterEnd, entry.end!);
+  });
+  flush();
+  return placed;
+}
+
+function guessInteractionType(text: string): InteractionType {
+  const t = text.trim().toLowerCase();
+  if (/^(call|phone|ring)\b/.test(t)) return "call";
+  if (/^(email|e-mail|mail)\b/.test(t)) return "email";
+  if (/^(text|sms|message)\b/.test(t)) return "text";
+  if (/^(meet|visit|lunch|coffee)\b/.test(t)) return "meeting";
+  return "note";
+}
+
+// -----------------------------
+// Pipelines
+// -----------------------------
+function defaultStages(category: Category): Stage[] {
+  if (category === "Dealership") {
+    return [
+      { id: "lead", name: "Lead", status: "Active" },
+      { id: "contacted", name: "Contacted", status: "Active" },
+      { id: "test-drive", name: "Test Drive", status: "Active" },
+      { id: "negotiation", name: "Negotiation", status: "Pending" },
+      { id: "sold", name: "Sold", status: "Completed" },
+      { id: "lost", name: "Lost", status: "Completed" },
+    ];
+  }
+  return STATUSES.map((s) => ({ id: s.toLowerCase(), name: s, status: s }));
+}
+
+// Tasks saved before pipelines existed (or whose stage was deleted, or whose
+// status changed elsewhere) fall back to the first stage matching their status
+function stageOf(task: Task, stages: Stage[]) {
+  const own = stages.find((s) => s.id === task.stageId);
+  if (own && own.status === task.status) return own;
+  return stages.find((s) => s.status === task.status) || stages[0];
+}
+
+// Earliest-dated open step; falls back to the first open step when none are dated
+function nearestNextStep(task: Task) {
+  const open = (task.nextSteps || []).filter((n) => !n.done);
+  if (!open.length) return undefined;
+  const withDates = open.filter((n) => !!n.dueDate);
+  if (!withDates.length) return open[0];
+  return [...withDates].sort((a, b) => (a.dueDate || "").localeCompare(b.dueDate || ""))[0];
+}
+
+function setStepDone(step: NextStep, done: boolean): NextStep {
+  return { ...step, done, completedAt: done ? new Date().toISOString() : undefined };
+}
+
+// Keeps status in step with next-step completion when the setting is on
+function withAutoStatus(task: Task, settings: Settings): Task {
+  if (!settings.autoCompleteTasks || !task.nextSteps.length) return task;
+  const allDone = task.nextSteps.every((n) => n.done);
+  if (allDone && task.status !== "Completed") return { ...task, status: "Completed" };
+  if (!allDone && task.status === "Completed") return { ...task, status: "Active" };
+  return task;
 }
 
 function classNames(...args: Array<string | false | null | undefined>) {
   return args.filter(Boolean).join(" ");
 }
 
-// Month utilities (no external deps)
-function startOfMonth(date: Date) {
-  return new Date(date.getFullYear(), date.getMonth(), 1);
+// -----------------------------
+// Dates
+// -----------------------------
+// Calendar-day math lives in dates.mjs; this is display and preferences.
+const DATE_DISPLAYS = ["locale", "iso", "mdy", "dmy"] as const;
+type DateDisplay = typeof DATE_DISPLAYS[number];
+const DATE_DISPLAY_LABELS: Record<DateDisplay, string> = {
+  locale: "Locale default",
+  iso: "Year-month-day",
+  mdy: "Month/day",
+  dmy: "Day/month",
+};
+
+type DatePreferences = Pick<Settings, "weekStartsOn" | "locale" | "dateFormat">;
+
+// The app updates this on every render so formatters anywhere in the tree
+// follow the settings without taking them as props
+const datePreferences: DatePreferences = { weekStartsOn: 0, locale: "", dateFormat: "locale" };
+
+function isValidLocale(locale: string) {
+  try {
+    new Intl.DateTimeFormat(locale);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function configureDates(prefs: DatePreferences) {
+  datePreferences.weekStartsOn = prefs.weekStartsOn;
+  datePreferences.locale = prefs.locale && isValidLocale(prefs.locale) ? prefs.locale : "";
+  datePreferences.dateFormat = prefs.dateFormat;
+}
+
+function dateLocale() {
+  return datePreferences.locale || undefined;
+}
+
+function formatDay(date: Date) {
+  switch (datePreferences.dateFormat) {
+    case "iso": return toISODate(date);
+    case "mdy": return `${date.getMonth() + 1}/${date.getDate()}`;
+    case "dmy": return `${date.getDate()}/${date.getMonth() + 1}`;
+    default: return date.toLocaleDateString(dateLocale(), { month: "short", day: "numeric" });
+  }
+}
+
+// Accepts a calendar date or a full timestamp
+function formatDateShort(iso?: string) {
+  if (!iso) return "—";
+  return formatDay(ISO_DATE_RE.test(iso) ? parseISODate(iso) : new Date(iso));
 }
-function addDays(date: Date, n: number) {
-  const d = new Date(date);
-  d.setDate(d.getDate() + n);
-  return d;
+
+function formatDateTime(iso?: string) {
+  if (!iso) return "—";
+  const d = new Date(iso);
+  if (datePreferences.dateFormat === "locale") {
+    return d.toLocaleString(dateLocale(), { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+  }
+  return `${formatDay(d)} ${formatTime(toLocalInputValue(d).slice(11))}`;
 }
-function startOfWeek(date: Date, weekStartsOn = 0) {
-  const d = new Date(date);
-  const diff = (d.getDay() + 7 - weekStartsOn) % 7;
-  return addDays(d, -diff);
+
+// Whether typed dates like 3/4 mean 3 April under the current settings
+function dayComesFirst() {
+  if (datePreferences.dateFormat !== "locale") return datePreferences.dateFormat === "dmy";
+  const parts = new Intl.DateTimeFormat(dateLocale()).formatToParts(new Date(2024, 11, 31)).map((p) => p.type);
+  return parts.indexOf("day") < parts.indexOf("month");
 }
-function isSameMonth(a: Date, b: Date) {
-  return a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth();
+
+// Short weekday names starting from the configured first day of the week
+function weekdayLabels(weekStartsOn = datePreferences.weekStartsOn) {
+  const start = startOfWeek(new Date(2024, 0, 7), weekStartsOn); // any week will do
+  return [...Array(7)].map((_, i) => addDays(start, i).toLocaleDateString(dateLocale(), { weekday: "short" }));
 }
-function isSameDay(a: Date, b: Date) {
-  return a.toDateString() === b.toDateString();
+
+// -----------------------------
+// Recurrence (occurrences are computed, never stored)
+// -----------------------------
+// Matching, expansion and the next occurrence live in recurrence.mjs
+const WEEKDAY_SHORT = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const NTH_LABELS: Record<number, string> = { 1: "1st", 2: "2nd", 3: "3rd", 4: "4th", [-1]: "last" };
+
+function describeRecurrence(rule: Recurrence) {
+  const every = Math.max(1, rule.interval || 1);
+  let text: string;
+  switch (rule.freq) {
+    case "daily":
+      text = "Daily";
+      break;
+    case "weekdays":
+      text = "Every weekday";
+      break;
+    case "weekly": {
+      const days = (rule.byDay || []).map((d) => WEEKDAY_SHORT[d]).join(", ");
+      text = (every > 1 ? `Every ${every} weeks` : "Weekly") + (days ? ` on ${days}` : "");
+      break;
+    }
+    case "monthly":
+      text = rule.nth !== undefined && rule.weekday !== undefined
+        ? `Monthly on the ${NTH_LABELS[rule.nth]} ${WEEKDAY_SHORT[rule.weekday]}`
+        : "Monthly";
+      break;
+    case "custom":
+      text = every > 1 ? `Every ${every} days` : "Daily";
+      break;
+  }
+  if (rule.until) text += ` until ${formatDateShort(rule.until)}`;
+  if (rule.count !== undefined) text += ` · ${rule.count} left`;
+  return text;
 }
 
 // -----------------------------
 // Seed Data (can be removed)
 // -----------------------------
+const seedContacts: Contact[] = [
+  {
+    id: uid(),
+    name: "Grace",
+    company: "BMW allocation",
+    tags: ["dealership"],
+    notes: "Point of contact for X3 allocation",
+    createdAt: new Date().toISOString(),
+  },
+  {
+    id: uid(),
+    name: "Julie",
+    tags: ["dealership", "lead"],
+    createdAt: new Date().toISOString(),
+  },
+];
+
+const SEED_NDA_TASK_ID = uid();
+
 const seedTasks: Task[] = [
   {
     id: uid(),
@@ -89,11 +504,12 @@ const seedTasks: Task[] = [
     description: "Prepare proposals and call top 5 prospects",
     category: "Dealership",
     status: "Active",
-    dueDate: new Date(Date.now() + 86400000).toISOString().slice(0, 10),
+    dueDate: toISODate(addDays(new Date(), 1)),
     createdAt: new Date().toISOString(),
     nextSteps: [
-      { id: uid(), text: "Call Grace re: X3 allocation", dueDate: new Date().toISOString().slice(0, 10) },
+      { id: uid(), text: "Call Grace re: X3 allocation", dueDate: toISODate(new Date()) },
     ],
+    contactIds: [seedContacts[0].id],
   },
   {
     id: uid(),
@@ -101,23 +517,37 @@ const seedTasks: Task[] = [
     description: "Book dinner for Friday",
     category: "Family",
     status: "Pending",
-    dueDate: new Date(Date.now() + 4 * 86400000).toISOString().slice(0, 10),
+    dueDate: toISODate(addDays(new Date(), 4)),
     createdAt: new Date().toISOString(),
     nextSteps: [
-      { id: uid(), text: "Check babysitter availability", dueDate: new Date(Date.now() + 2 * 86400000).toISOString().slice(0, 10) },
+      { id: uid(), text: "Check babysitter availability", dueDate: toISODate(addDays(new Date(), 2)) },
     ],
   },
+  {
+    id: SEED_NDA_TASK_ID,
+    title: "Countersign MG Capital NDA",
+    category: "Business",
+    status: "Pending",
+    dueDate: toISODate(addDays(new Date(), 1)),
+    createdAt: new Date().toISOString(),
+    nextSteps: [],
+  },
   {
     id: uid(),
     title: "MG Capital deck tweaks",
     description: "Refine use-of-funds and roadmap",
     category: "Business",
     status: "Active",
-    dueDate: new Date(Date.now() + 2 * 86400000).toISOString().slice(0, 10),
+    dueDate: toISODate(addDays(new Date(), 2)),
     createdAt: new Date().toISOString(),
     nextSteps: [
-      { id: uid(), text: "Add NDA step into next steps", dueDate: new Date(Date.now() + 2 * 86400000).toISOString().slice(0, 10) },
+      { id: uid(), text: "Add NDA step into next steps", dueDate: toISODate(addDays(new Date(), 2)) },
     ],
+    checklist: [
+      { id: uid(), text: "Use of funds", children: [{ id: uid(), text: "Hiring plan" }, { id: uid(), text: "Marketing spend" }] },
+      { id: uid(), text: "Roadmap slide" },
+    ],
+    blockedBy: [SEED_NDA_TASK_ID],
   },
   {
     id: uid(),
@@ -125,8 +555,10 @@ const seedTasks: Task[] = [
     description: "Matthew 6 + journaling",
     category: "Spiritual",
     status: "Active",
+    dueDate: toISODate(new Date()),
     createdAt: new Date().toISOString(),
     nextSteps: [ { id: uid(), text: "Set 5:15am alarm" } ],
+    recurrence: { freq: "daily" },
   },
   {
     id: uid(),
@@ -134,724 +566,5711 @@ const seedTasks: Task[] = [
     description: "50-minute workout (YMCA)",
     category: "Personal",
     status: "Pending",
-    dueDate: new Date(Date.now() + 6 * 86400000).toISOString().slice(0, 10),
+    dueDate: toISODate(addDays(new Date(), 6)),
     createdAt: new Date().toISOString(),
-    nextSteps: [ { id: uid(), text: "Pack gym bag tonight", dueDate: new Date(Date.now() + 5 * 86400000).toISOString().slice(0, 10) } ],
+    nextSteps: [ { id: uid(), text: "Pack gym bag tonight", dueDate: toISODate(addDays(new Date(), 5)) } ],
+    recurrence: { freq: "weekly" },
   },
 ];
 
 // -----------------------------
-// Main Component
+// Storage (versioned document, pluggable backend)
 // -----------------------------
-export default function PersonalCRM() {
-  const [tasks, setTasks] = useState<Task[]>([]);
-  const [query, setQuery] = useState("");
-  const [activeCategories, setActiveCategories] = useState<Category[]>([...CATEGORIES]);
-  const [statusFilter, setStatusFilter] = useState<Status | "All">("All");
-  const [sortKey, setSortKey] = useState<"dueDate" | "createdAt" | "category">("dueDate");
-  const [view, setView] = useState<"grid" | "table" | "calendar">("grid");
-  const [showModal, setShowModal] = useState(false);
-  const [editing, setEditing] = useState<Task | null>(null);
-  const [calendarCursor, setCalendarCursor] = useState<Date>(new Date());
-  const [calendarMode, setCalendarMode] = useState<"month" | "week" | "day">("month");
+// Documents, backends and migrations live in storage.mjs
+type AppData = {
+  tasks: Task[];
+  contacts: Contact[];
+  interactions: Interaction[];
+  categories: CategoryDef[];
+  pipelines: Partial<Record<Category, Stage[]>>;
+  settings: Settings;
+  trash: TrashedTask[];
+  reminderLog: ReminderLog;
+  dayPlan: DayPlan;
+  savedViews: SavedView[];
+  templates: MessageTemplate[];
+};
 
-  // Load & persist
-  useEffect(() => {
-    const raw = localStorage.getItem("personal_crm_tasks_v1");
-    if (raw) {
-      try {
-        const parsed = JSON.parse(raw) as Task[];
-        setTasks(parsed);
-        return;
-      } catch {}
-    }
-    setTasks(seedTasks);
-  }, []);
+type TrashedTask = { task: Task; deletedAt: string }; // ISO
 
-  useEffect(() => {
-    localStorage.setItem("personal_crm_tasks_v1", JSON.stringify(tasks));
-  }, [tasks]);
+// What migrations give collections that older saved data doesn't have
+const STORAGE_DEFAULTS = { categories: DEFAULT_CATEGORIES, settings: DEFAULT_SETTINGS, dayPlan: EMPTY_DAY_PLAN, templates: DEFAULT_TEMPLATES };
 
-  // Derived
-  const filtered = useMemo(() => {
-    const q = query.trim().toLowerCase();
-    let list = tasks.filter((t) => activeCategories.includes(t.category));
-    if (statusFilter !== "All") list = list.filter((t) => t.status === statusFilter);
-    if (q)
-      list = list.filter(
-        (t) =>
-          t.title.toLowerCase().includes(q) ||
-          (t.description || "").toLowerCase().includes(q) ||
-          t.nextSteps.some((n) => n.text.toLowerCase().includes(q))
-      );
+function downloadText(text: string, filename: string, type = "application/json") {
+  downloadBlob(new Blob([text], { type }), filename);
+}
 
-    const sorter: Record<typeof sortKey, (a: Task, b: Task) => number> = {
-      dueDate: (a, b) => (a.dueDate || "9999").localeCompare(b.dueDate || "9999"),
-      createdAt: (a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""),
-      category: (a, b) => a.category.localeCompare(b.category),
-    } as const;
+function downloadBlob(blob: Blob, filename: string) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
 
-    return [...list].sort(sorter[sortKey]);
-  }, [tasks, activeCategories, statusFilter, query, sortKey]);
+// -----------------------------
+// JSON export / import
+// -----------------------------
+// Envelopes, record validation and merging live in json_import.mjs
+type ParsedImport = {
+  source: string; // human description of what was read
+  data: AppData; // valid records only
+  errors: RecordError[];
+};
 
-  const byCategory = useMemo(() => {
-    const map: Record<Category, Task[]> = {
-      Dealership: [], Family: [], Business: [], Spiritual: [], Personal: [],
-    };
-    filtered.forEach((t) => map[t.category].push(t));
-    return map;
-  }, [filtered]);
+function parseImport(text: string): { ok: true; value: ParsedImport } | { ok: false; error: string } {
+  const read = readExport(text, STORAGE_DEFAULTS);
+  if (!read.ok) return read;
+  const { raw } = read;
+  const source = read.schemaVersion === undefined
+    ? "Task list from an older export (no version information)"
+    : `Export (schema ${read.schemaVersion}) from ${formatDateTime(read.exportedAt)}`;
 
-  const metrics = useMemo(() => {
-    const total = tasks.length;
-    const overdue = tasks.filter((t) => isOverdue(t.dueDate)).length;
-    const dueSoon = tasks.filter((t) => isDueWithinDays(t.dueDate, 3)).length;
-    const active = tasks.filter((t) => t.status !== "Completed").length;
-    const counts = CATEGORIES.reduce(
-      (acc, c) => ({ ...acc, [c]: tasks.filter((t) => t.category === c).length }),
-      {} as Record<Category, number>
-    );
-    return { total, overdue, dueSoon, active, counts };
-  }, [tasks]);
+  const errors: RecordError[] = [];
+  const data: AppData = {
+    tasks: keepValid<Task>("tasks", raw.tasks, validateTask, (r) => r?.title, errors),
+    contacts: keepValid<Contact>("contacts", raw.contacts, validateContact, (r) => r?.name, errors),
+    interactions: keepValid<Interaction>("interactions", raw.interactions, validateInteraction, (r) => r?.summary, errors),
+    categories: Array.isArray(raw.categories) ? raw.categories.filter((c: any) => typeof c?.id === "string" && typeof c?.name === "string" && c.color in CATEGORY_COLORS && c.icon in CATEGORY_ICONS) : [],
+    pipelines: raw.pipelines && typeof raw.pipelines === "object" ? raw.pipelines : {},
+    settings: { ...DEFAULT_SETTINGS, ...(raw.settings || {}) },
+    trash: [], // never carried over from a file
+    reminderLog: {},
+    dayPlan: EMPTY_DAY_PLAN,
+    savedViews: Array.isArray(raw.savedViews) ? raw.savedViews.filter((v: any) => typeof v?.id === "string" && typeof v?.name === "string" && v.state && typeof v.state === "object") : [],
+    templates: keepValid<MessageTemplate>("templates", raw.templates, validateTemplate, (r) => r?.name, errors),
+  };
+  return { ok: true, value: { source, data, errors } };
+}
 
-  function resetForm() {
-    setEditing(null);
-    setShowModal(false);
+// Replacing moves the current tasks to the trash rather than dropping them
+function applyImport(current: AppData, incoming: AppData, mode: ImportMode): AppData {
+  if (mode === "replace") {
+    return {
+      ...incoming,
+      categories: incoming.categories.length ? incoming.categories : current.categories,
+      settings: current.settings,
+      trash: [...trashTasks(current.tasks), ...current.trash],
+      reminderLog: current.reminderLog,
+      dayPlan: current.dayPlan,
+      savedViews: incoming.savedViews.length ? incoming.savedViews : current.savedViews,
+      templates: incoming.templates.length ? incoming.templates : current.templates,
+    };
   }
+  const knownCategories = new Set(current.categories.map((c) => c.id));
+  const knownPipelines = Object.fromEntries(Object.entries(incoming.pipelines).filter(([id]) => !current.pipelines[id]));
+  return {
+    tasks: mergeRecords(current.tasks, incoming.tasks, (t) => t.createdAt, mode),
+    contacts: mergeRecords(current.contacts, incoming.contacts, (c) => c.createdAt, mode),
+    interactions: mergeRecords(current.interactions, incoming.interactions, (i) => i.at, mode),
+    categories: [...current.categories, ...incoming.categories.filter((c) => !knownCategories.has(c.id))],
+    pipelines: { ...knownPipelines, ...current.pipelines },
+    settings: current.settings,
+    trash: current.trash,
+    reminderLog: current.reminderLog,
+    dayPlan: current.dayPlan,
+    savedViews: [...current.savedViews, ...incoming.savedViews.filter((v) => !current.savedViews.some((c) => c.id === v.id))],
+    templates: [...current.templates, ...incoming.templates.filter((t) => !current.templates.some((c) => c.id === t.id))],
+  };
+}
 
-  function upsertTask(task: Task) {
-    setTasks((prev) => {
-      const exists = prev.some((p) => p.id === task.id);
-      return exists ? prev.map((p) => (p.id === task.id ? task : p)) : [task, ...prev];
-    });
-    resetForm();
-  }
+// -----------------------------
+// Bundles (zip of data.json + attached files)
+// -----------------------------
+// Zip writing and reading, and the bundle manifest, live in bundle.mjs
 
-  function removeTask(id: string) {
-    setTasks((prev) => prev.filter((p) => p.id !== id));
+// -----------------------------
+// Markdown (descriptions)
+// -----------------------------
+// A small subset rendered straight to React elements; raw HTML is shown as
+// text and only http(s)/mailto/tel links are made clickable, so nothing in a
+// description can run script.
+type MdListItem = { text: string; checked?: boolean; line: number }; // line: index in the source, for toggling
+type MdBlock =
+  | { type: "heading"; level: number; text: string }
+  | { type: "paragraph"; text: string }
+  | { type: "quote"; text: string }
+  | { type: "code"; text: string }
+  | { type: "list"; ordered: boolean; items: MdListItem[] };
+
+const MD_LIST_RE = /^\s*(?:[-*+]|(\d+)[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/;
+const MD_FENCE_RE = /^\s*```/;
+const MD_CHECKBOX_RE = /\[([ xX])\]/;
+// code | **bold** | *em* or _em_ | [label](url) | bare URL | email
+const MD_INLINE_RE = /(`[^`]+`)|\*\*(.+?)\*\*|(?<![\w*])[*_](?![\s*_])(.+?)(?<![\s*])[*_](?![\w*])|\[([^\]]+)\]\(([^)\s]+)\)|((?:https?:\/\/|www\.)[^\s<]*[^\s<.,;:!?)\]'"])|([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+const SAFE_URL_PROTOCOLS = ["http:", "https:", "mailto:", "tel:"];
+
+function parseMarkdown(source: string): MdBlock[] {
+  const lines = source.replace(/\r\n?/g, "\n").split("\n");
+  const blocks: MdBlock[] = [];
+  let paragraph: string[] = [];
+  const flush = () => {
+    if (paragraph.length) blocks.push({ type: "paragraph", text: paragraph.join("\n") });
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const last = blocks[blocks.length - 1];
+    const heading = /^(#{1,3})\s+(.*)$/.exec(line);
+    const item = MD_LIST_RE.exec(line);
+    if (MD_FENCE_RE.test(line)) {
+      flush();
+      const code: string[] = [];
+      while (++i < lines.length && !MD_FENCE_RE.test(lines[i])) code.push(lines[i]);
+      blocks.push({ type: "code", text: code.join("\n") });
+    } else if (!line.trim()) {
+      flush();
+    } else if (heading) {
+      flush();
+      blocks.push({ type: "heading", level: heading[1].length, text: heading[2] });
+    } else if (line.startsWith(">")) {
+      flush();
+      const text = line.replace(/^>\s?/, "");
+      if (last?.type === "quote") last.text += "\n" + text;
+      else blocks.push({ type: "quote", text });
+    } else if (item) {
+      flush();
+      const ordered = item[1] !== undefined;
+      const entry: MdListItem = { text: item[3], checked: item[2] === undefined ? undefined : item[2] !== " ", line: i };
+      if (last?.type === "list" && last.ordered === ordered) last.items.push(entry);
+      else blocks.push({ type: "list", ordered, items: [entry] });
+    } else {
+      paragraph.push(line);
+    }
   }
+  flush();
+  return blocks;
+}
 
-  function toggleCategory(cat: Category) {
-    setActiveCategories((prev) =>
-      prev.includes(cat) ? prev.filter((c) => c !== cat) : [...prev, cat]
-    );
+function toggleMarkdownCheckbox(source: string, line: number) {
+  const lines = source.replace(/\r\n?/g, "\n").split("\n");
+  if (!lines[line]) return source;
+  lines[line] = lines[line].replace(MD_CHECKBOX_RE, (_, mark: string) => (mark === " " ? "[x]" : "[ ]"));
+  return lines.join("\n");
+}
+
+function safeUrl(url: string) {
+  try {
+    const parsed = new URL(url);
+    return SAFE_URL_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null;
   }
+}
 
-  function nearestNextStep(task: Task) {
-    if (!task.nextSteps?.length) return undefined;
-    const withDates = task.nextSteps.filter((n) => !!n.dueDate);
-    if (!withDates.length) return task.nextSteps[0];
-    return withDates.sort((a, b) => (a.dueDate || "").localeCompare(b.dueDate || ""))[0];
+function renderInline(text: string): React.ReactNode[] {
+  const out: React.ReactNode[] = [];
+  const link = (href: string | null, label: React.ReactNode, fallback: string) =>
+    href ? (
+      <a key={out.length} href={href} target="_blank" rel="noopener noreferrer" className="text-blue-600 underline break-all" onClick={(e) => e.stopPropagation()}>
+        {label}
+      </a>
+    ) : fallback;
+  let last = 0;
+  for (const m of text.matchAll(MD_INLINE_RE)) {
+    const [whole, code, bold, em, label, href, bare, email] = m;
+    if (m.index! > last) out.push(text.slice(last, m.index));
+    if (code) out.push(<code key={out.length} className="rounded bg-neutral-100 px-1 font-mono text-[0.9em]">{code.slice(1, -1)}</code>);
+    else if (bold) out.push(<strong key={out.length}>{renderInline(bold)}</strong>);
+    else if (em) out.push(<em key={out.length}>{renderInline(em)}</em>);
+    else if (label) out.push(link(safeUrl(href), renderInline(label), whole));
+    else if (bare) out.push(link(safeUrl(bare.startsWith("www.") ? `https://${bare}` : bare), bare, whole));
+    else if (email) out.push(link(safeUrl(`mailto:${email}`), email, whole));
+    last = m.index! + whole.length;
   }
+  if (last < text.length) out.push(text.slice(last));
+  return out;
+}
 
-  // Calendar: tasks mapped by day
-  const calendarMatrix = useMemo(() => {
-    const first = startOfMonth(calendarCursor);
-    const gridStart = startOfWeek(first, 0); // Sun
-    const days: Date[] = [];
-    for (let i = 0; i < 42; i++) days.push(addDays(gridStart, i));
-    return days;
-  }, [calendarCursor]);
+// -----------------------------
+// iCalendar (RFC 5545)
+// -----------------------------
+// Export, parsing and import live in ics.mjs
 
-  function tasksOn(date: Date) {
-    const iso = date.toISOString().slice(0, 10);
-    return tasks.filter((t) => t.dueDate === iso || t.nextSteps.some((n) => n.dueDate === iso));
-  }
+// -----------------------------
+// CSV
+// -----------------------------
+// Export columns, parsing, column guessing and row mapping live in csv.mjs
 
-  // -----------------------------
-  // Render
-  // -----------------------------
-  return (
-    <div className="min-h-screen w-full bg-neutral-50 text-neutral-900 p-4 md:p-6">
-      {/* Header */}
-      <div className="mx-auto max-w-7xl">
-        <div className="flex items-center justify-between mb-6">
-          <div>
-            <h1 className="text-2xl md:text-3xl font-semibold tracking-tight">Personal CRM</h1>
-            <p className="text-sm text-neutral-500">Tasks, next steps with dates, and a calendar view</p>
-          </div>
-          <div className="flex items-center gap-2">
-            <button
-              className="inline-flex items-center gap-2 rounded-2xl border border-neutral-200 bg-white px-3 py-2 text-sm shadow-sm hover:shadow"
-              onClick={() => setView("grid")}
-              title="Grid View"
-            >
-              <LayoutGrid className="h-4 w-4" /> <span className="hidden sm:inline">Grid</span>
-            </button>
-            <button
-              className="inline-flex items-center gap-2 rounded-2xl border border-neutral-200 bg-white px-3 py-2 text-sm shadow-sm hover:shadow"
-              onClick={() => setView("table")}
-              title="Table View"
-            >
-              <TableIcon className="h-4 w-4" /> <span className="hidden sm:inline">Table</span>
-            </button>
-            <button
-              className={classNames(
-                "inline-flex items-center gap-2 rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:shadow",
-                view === "calendar" ? "border-blue-500" : "border-neutral-200"
-              )}
-              onClick={() => setView("calendar")}
-              title="Calendar View"
-            >
-              <CalendarIcon className="h-4 w-4" /> <span className="hidden sm:inline">Calendar</span>
-            </button>
-            <button
-              className="inline-flex items-center gap-2 rounded-2xl bg-blue-600 text-white px-3 py-2 text-sm shadow-sm hover:bg-blue-700"
-              onClick={() => {
-                setEditing({
-                  id: uid(),
-                  title: "",
-                  description: "",
-                  category: "Dealership",
-                  status: "Active",
-                  dueDate: "",
-                  createdAt: new Date().toISOString(),
-                  nextSteps: [],
-                });
-                setShowModal(true);
-              }}
-            >
-              <Plus className="h-4 w-4" /> Add Task
-            </button>
-          </div>
-        </div>
+// -----------------------------
+// Reminders
+// -----------------------------
+// Collecting and scheduling live in reminders.mjs
+const REMINDER_PRESETS: Reminder[] = [
+  {},
+  { minutesBefore: 15 },
+  { minutesBefore: 60 },
+  { daysBefore: 0, at: "09:00" },
+  { daysBefore: 1, at: "09:00" },
+  { daysBefore: 7, at: "09:00" },
+];
 
-        {/* Metrics */}
-        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 md:gap-4 mb-6">
-          <MetricBox label="Total Tasks" value={metrics.total} sub="All categories" />
-          <MetricBox label="Active" value={metrics.active} sub="Not completed" />
-          <MetricBox label="Due ≤ 3 Days" value={metrics.dueSoon} sub="Upcoming" />
-          <MetricBox label="Overdue" value={metrics.overdue} sub="Past due" tone="danger" />
-        </div>
+function describeReminder(r: Reminder) {
+  const days = r.daysBefore || 0;
+  if (r.at) return `${days === 0 ? "On the day" : `${days} day${days === 1 ? "" : "s"} before`} at ${formatTime(r.at)}`;
+  const minutes = days * 24 * 60 + (r.minutesBefore || 0);
+  if (minutes === 0) return "At due time";
+  if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)} day${minutes === 24 * 60 ? "" : "s"} before`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? "" : "s"} before`;
+  return `${minutes} minutes before`;
+}
 
-        {/* Filters */}
-        <div className="flex flex-col md:flex-row md:items-center gap-3 md:gap-4 mb-6">
-          <div className="flex items-center gap-2 flex-wrap">
-            {CATEGORIES.map((c) => (
+// -----------------------------
+// Priority, effort & Today
+// -----------------------------
+const PRIORITY_STYLES: Record<Priority, string> = {
+  P1: "bg-red-100 text-red-700",
+  P2: "bg-orange-100 text-orange-700",
+  P3: "bg-sky-100 text-sky-700",
+  P4: "bg-neutral-100 text-neutral-600",
+};
+const EFFORT_OPTIONS = [5, 15, 30, 60, 120, 240, 480]; // minutes
+
+function formatEffort(minutes?: number) {
+  if (!minutes) return "";
+  if (minutes < 60) return `${minutes}m`;
+  const hours = minutes / 60;
+  return `${Number.isInteger(hours) ? hours : hours.toFixed(1)}h`;
+}
+
+function priorityRank(p?: Priority) {
+  return p ? PRIORITIES.indexOf(p) : PRIORITIES.length;
+}
+
+// Scoring and the list itself live in today.mjs
+
+// -----------------------------
+// Checklists & dependencies
+// -----------------------------
+// Checklist edits and dependency checks live in checklists.mjs
+
+// -----------------------------
+// Query language & saved views
+// -----------------------------
+// Parsing and matching the search box live in query.mjs
+
+const VIEW_MODES = ["today", "grid", "table", "board", "calendar", "contacts", "dashboard", "trash"] as const;
+type ViewMode = typeof VIEW_MODES[number];
+const SORT_KEYS = ["dueDate", "createdAt", "category", "priority"] as const;
+type SortKey = typeof SORT_KEYS[number];
+
+// Everything a saved view or a bookmark restores
+type ViewState = { view: ViewMode; query: string; status: Status | "All"; sort: SortKey; hidden: Category[] };
+type SavedView = { id: string; name: string; state: ViewState };
+
+const DEFAULT_VIEW_STATE: ViewState = { view: "grid", query: "", status: "All", sort: "dueDate", hidden: [] };
+
+// Only non-default values go into the hash, e.g. #view=table&q=cat%3ADealership
+function viewStateToHash(state: ViewState) {
+  const params = new URLSearchParams();
+  if (state.view !== DEFAULT_VIEW_STATE.view) params.set("view", state.view);
+  if (state.query) params.set("q", state.query);
+  if (state.status !== "All") params.set("status", state.status);
+  if (state.sort !== DEFAULT_VIEW_STATE.sort) params.set("sort", state.sort);
+  if (state.hidden.length) params.set("hide", state.hidden.join(","));
+  const hash = params.toString();
+  return hash ? `#${hash}` : "";
+}
+
+// Unknown or malformed values fall back to the defaults
+function viewStateFromHash(hash: string): ViewState {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const pick = <T extends string>(value: string | null, allowed: readonly T[], fallback: T) => (allowed.includes(value as T) ? (value as T) : fallback);
+  return {
+    view: pick(params.get("view"), VIEW_MODES, DEFAULT_VIEW_STATE.view),
+    query: params.get("q") || "",
+    status: pick(params.get("status"), ["All", ...STATUSES] as const, "All"),
+    sort: pick(params.get("sort"), SORT_KEYS, DEFAULT_VIEW_STATE.sort),
+    hidden: (params.get("hide") || "").split(",").filter(Boolean),
+  };
+}
+
+function sameViewState(a: ViewState, b: ViewState) {
+  return viewStateToHash(a) === viewStateToHash(b);
+}
+
+// -----------------------------
+// Follow-up templates
+// -----------------------------
+// Merge fields, rendering and mailto/sms links live in templates.mjs
+
+// What to record once a message has gone out
+type FollowUpOutcome = {
+  channel: TemplateChannel;
+  contactId?: string;
+  summary: string;
+  logTouch: boolean;
+  completeStepId?: string; // the step the message took care of
+  followUp?: { text: string; dueDate: string };
+};
+
+// -----------------------------
+// Quick add (natural-language entry)
+// -----------------------------
+// The parser lives in quick_add.mjs; QuickAddBar shows its preview
+
+// -----------------------------
+// Command palette & shortcuts
+// -----------------------------
+type Command = {
+  id: string;
+  group: string; // "Views", "Calendar", "Filters", "Actions", "Tasks"
+  label: string;
+  keywords?: string; // extra words to match, not shown
+  shortcut?: string;
+  run: () => void;
+};
+
+const SHORTCUTS: { keys: string; does: string }[] = [
+  { keys: "Ctrl/⌘ K", does: "Command palette" },
+  { keys: "?", does: "This list" },
+  { keys: "/", does: "Search" },
+  { keys: "n", does: "Quick add" },
+  { keys: "j / k", does: "Next / previous row (table)" },
+  { keys: "e", does: "Edit the current row" },
+  { keys: "x", does: "Complete or reopen the current row" },
+  { keys: "← ↑ → ↓", does: "Move between days (calendar month)" },
+  { keys: "Enter", does: "Open the focused day (calendar month)" },
+  { keys: "Alt + arrows", does: "Move the focused item by a day or a week" },
+  { keys: "Ctrl/⌘ Z", does: "Undo" },
+  { keys: "Ctrl/⌘ Shift Z", does: "Redo" },
+  { keys: "Esc", does: "Close a dialog" },
+];
+
+// Matching and ranking live in fuzzy.mjs
+
+// Single-key shortcuts stay out of the way of typing and of open dialogs
+function isTypingTarget(target: EventTarget | null) {
+  const el = target as HTMLElement | null;
+  return !!el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.tagName === "SELECT" || el.isContentEditable);
+}
+
+// -----------------------------
+// Analytics
+// -----------------------------
+// Status history, weekly counts and neglect live in analytics.mjs
+
+// -----------------------------
+// Sync (per-field last-writer-wins with a change log)
+// -----------------------------
+// The engine (shadows, outbox, merging, conflicts) lives in sync.mjs; this
+// keeps the app's side: where its state is stored, how often it runs and
+// which records are complete enough to add.
+const SYNC_KEY = "personal_crm_sync";
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+function validSyncRecord(collection: SyncCollection, record: any) {
+  switch (collection) {
+    case "tasks": return validateTask(record).length === 0;
+    case "contacts": return validateContact(record).length === 0;
+    case "interactions": return validateInteraction(record).length === 0;
+    case "categories": return typeof record.name === "string" && typeof record.color === "string" && typeof record.icon === "string";
+  }
+}
+
+// -----------------------------
+// Trash & undo history
+// -----------------------------
+const HISTORY_LIMIT = 50;
+const TOAST_MS = 6000;
+
+type HistoryEntry = { label: string; data: AppData };
+
+function trashTasks(tasks: Task[], now = new Date()): TrashedTask[] {
+  return tasks.map((task) => ({ task, deletedAt: now.toISOString() }));
+}
+
+// Entries older than the retention period; a period of 0 keeps everything
+function purgeTrash(trash: TrashedTask[], retentionDays: number, now = new Date()) {
+  if (retentionDays <= 0) return trash;
+  const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+  return trash.filter((t) => Date.parse(t.deletedAt) >= cutoff);
+}
+
+// -----------------------------
+// Main Component
+// -----------------------------
+export default function PersonalCRM() {
+  // Filters, sort and view mode start from the URL so bookmarks restore them
+  const [initialView] = useState(() => viewStateFromHash(typeof location === "undefined" ? "" : location.hash));
+  const [tasks, setTaskList] = useState<Task[]>([]);
+  // Edits go through here so status changes get timestamped; loading and
+  // undo/redo restore stored lists as they are
+  const setTasks = (update: Task[] | ((prev: Task[]) => Task[])) =>
+    setTaskList((prev) => recordStatusChanges(prev, typeof update === "function" ? update(prev) : update));
+  const [query, setQuery] = useState(initialView.query);
+  const [categories, setCategories] = useState<CategoryDef[]>(DEFAULT_CATEGORIES);
+  const [hiddenCategories, setHiddenCategories] = useState<Category[]>(initialView.hidden);
+  const [managingCategories, setManagingCategories] = useState(false);
+  const [statusFilter, setStatusFilter] = useState<Status | "All">(initialView.status);
+  const [sortKey, setSortKey] = useState<SortKey>(initialView.sort);
+  const [view, setView] = useState<ViewMode>(initialView.view);
+  const [showModal, setShowModal] = useState(false);
+  const [editing, setEditing] = useState<Task | null>(null);
+  const [contacts, setContacts] = useState<Contact[]>([]);
+  const [selectedContactId, setSelectedContactId] = useState<string | null>(null);
+  const [editingContact, setEditingContact] = useState<Contact | null>(null);
+  const [interactions, setInteractions] = useState<Interaction[]>([]);
+  const [settings, setSettings] = useState<Settings>(DEFAULT_SETTINGS);
+  configureDates(settings);
+  const [stepToLog, setStepToLog] = useState<{ task: Task; step: NextStep } | null>(null);
+  const [moveFocus, setMoveFocus] = useState<string | null>(null);
+  const [pipelines, setPipelines] = useState<Partial<Record<Category, Stage[]>>>({});
+  const [boardCategory, setBoardCategory] = useState<Category>(DEFAULT_CATEGORIES[0].id);
+  const [editingStagesFor, setEditingStagesFor] = useState<Category | null>(null);
+  const [calendarCursor, setCalendarCursor] = useState<Date>(new Date());
+  const [calendarMode, setCalendarMode] = useState<"month" | "week" | "day">("month");
+
+  // Load & persist
+  const storage = useMemo(defaultStorageBackend, []);
+  const files = useMemo(defaultAttachmentStore, []);
+  const [loaded, setLoaded] = useState(false);
+  const [storageProblem, setStorageProblem] = useState<Extract<LoadResult<AppData>, { status: "corrupt" }> | null>(null);
+  const [saveError, setSaveError] = useState<string | null>(null);
+  const [pendingImport, setPendingImport] = useState<{ fileName: string; result: ReturnType<typeof parseImport>; files?: Map<string, Blob> } | null>(null);
+  const [csvExport, setCsvExport] = useState<{ tasks: Task[]; scope: string } | null>(null);
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [selectionAnchor, setSelectionAnchor] = useState<string | null>(null); // last clicked row, for shift-click ranges
+  const [pendingCSV, setPendingCSV] = useState<{ fileName: string; rows: string[][] } | null>(null);
+  const [pendingICS, setPendingICS] = useState<{ fileName: string; items: IcsComponent[] } | null>(null);
+  // A linked .ics file (File System Access API) rewritten on every change so a
+  // calendar app can subscribe to it; handles don't survive a reload
+  const [feedFile, setFeedFile] = useState<{ handle: any; name: string } | null>(null);
+  const [feedError, setFeedError] = useState<string | null>(null);
+
+  const [trash, setTrash] = useState<TrashedTask[]>([]);
+  const [reminderLog, setReminderLog] = useState<ReminderLog>({});
+  const [showInbox, setShowInbox] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
+  const [composeFor, setComposeFor] = useState<Task | null>(null);
+  const [managingTemplates, setManagingTemplates] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [activeRowId, setActiveRowId] = useState<string | null>(null); // table row j/k/e/x act on
+  const focusCalendarDay = useRef(false); // set by arrow keys so the focused cell follows the cursor
+
+  const [dayPlan, setDayPlan] = useState<DayPlan>(EMPTY_DAY_PLAN);
+  const [savedViews, setSavedViews] = useState<SavedView[]>([]);
+  const [templates, setTemplates] = useState<MessageTemplate[]>(DEFAULT_TEMPLATES);
+
+  const appData: AppData = { tasks, contacts, interactions, categories, pipelines, settings, trash, reminderLog, dayPlan, savedViews, templates };
+
+  function replaceAppData(data: AppData) {
+    setTaskList(data.tasks);
+    setContacts(data.contacts);
+    setInteractions(data.interactions);
+    setCategories(data.categories);
+    setPipelines(data.pipelines);
+    setSettings(data.settings);
+    setTrash(data.trash);
+    setReminderLog(data.reminderLog);
+    setDayPlan(data.dayPlan);
+    setSavedViews(data.savedViews);
+    setTemplates(data.templates);
+  }
+
+  // Undo history: whole-document snapshots taken right before each undoable
+  // change. Settings are left alone when stepping through it.
+  const [history, setHistory] = useState<{ past: HistoryEntry[]; future: HistoryEntry[] }>({ past: [], future: [] });
+  const [toast, setToast] = useState<{ message: string } | null>(null);
+  const replayedTasks = useRef<Task[] | null>(null); // set by undo/redo so old states aren't announced
+
+  function checkpoint(label: string) {
+    setHistory((h) => ({ past: [...h.past.slice(1 - HISTORY_LIMIT), { label, data: appData }], future: [] }));
+  }
+
+  function undo() {
+    const entry = history.past[history.past.length - 1];
+    if (!entry) return;
+    setHistory({ past: history.past.slice(0, -1), future: [...history.future, { label: entry.label, data: appData }] });
+    replayedTasks.current = entry.data.tasks;
+    replaceAppData({ ...entry.data, settings, reminderLog, dayPlan, savedViews, templates });
+    setToast({ message: `Undid: ${entry.label}` });
+  }
+
+  function redo() {
+    const entry = history.future[history.future.length - 1];
+    if (!entry) return;
+    setHistory({ past: [...history.past, { label: entry.label, data: appData }], future: history.future.slice(0, -1) });
+    replayedTasks.current = entry.data.tasks;
+    replaceAppData({ ...entry.data, settings, reminderLog, dayPlan, savedViews, templates });
+    setToast({ message: `Redid: ${entry.label}` });
+  }
+
+  // Re-bound every render so the handler sees current state; text fields keep
+  // their own native undo, and an open dialog keeps the page from changing under it
+  useEffect(() => {
+    function onKey(e: KeyboardEvent) {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+      if (document.querySelector('[aria-modal="true"]')) return;
+      const el = e.target as HTMLElement | null;
+      if (el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.tagName === "SELECT" || el.isContentEditable)) return;
+      e.preventDefault();
+      e.shiftKey ? redo() : undo();
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  // However a blocker gets completed (card, board, form, batch, auto-complete),
+  // say which tasks it freed up
+  const previousTasks = useRef<Task[] | null>(null);
+  useEffect(() => {
+    const before = previousTasks.current;
+    previousTasks.current = tasks;
+    if (!before || tasks === replayedTasks.current) return;
+    const freed = newlyUnblocked(before, tasks);
+    if (freed.length) setToast({ message: freed.length === 1 ? `“${freed[0].title}” is no longer blocked` : `${freed.length} tasks are no longer blocked` });
+  }, [tasks]);
+
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(() => setToast(null), TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadAppData<AppData>(storage, STORAGE_DEFAULTS)
+      .then((result) => {
+        if (cancelled) return;
+        if (result.status === "ok") {
+          replaceAppData(result.data);
+          pruneAttachments(files, result.data).catch(() => {}); // best effort; retried next start
+        } else if (result.status === "empty") {
+          // Seed contacts only alongside seed tasks so their links resolve
+          setTasks(seedTasks);
+          setContacts(seedContacts);
+        } else {
+          setStorageProblem(result);
+        }
+        setLoaded(true);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setStorageProblem({ status: "corrupt", reason: `storage unavailable: ${String(err)}`, raw: "", quarantineKey: "" });
+        setLoaded(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [storage, files]);
+
+  // Nothing is written until a load has finished, and never while a problem
+  // is unresolved, so a bad read can't be replaced by empty or seed data
+  useEffect(() => {
+    if (!loaded || storageProblem) return;
+    saveAppData(storage, appData)
+      .then(() => setSaveError(null))
+      .catch((err) => setSaveError(String(err)));
+  }, [storage, loaded, storageProblem, tasks, contacts, interactions, categories, pipelines, settings, trash, reminderLog, dayPlan, savedViews, templates]);
+
+  useEffect(() => {
+    if (!loaded) return;
+    setTrash((prev) => {
+      const kept = purgeTrash(prev, settings.trashRetentionDays);
+      return kept.length === prev.length ? prev : kept;
+    });
+  }, [loaded, settings.trashRetentionDays]);
+
+  // Sync: this device's id, cursor, shadows and outbox live under their own
+  // key so exports and undo never carry them
+  const [sync, setSync] = useState<SyncState | null>(null);
+  const [showSync, setShowSync] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const syncInFlight = useRef(false);
+  const latest = useRef({ data: appData, sync });
+  latest.current = { data: appData, sync };
+
+  useEffect(() => {
+    storage
+      .get(SYNC_KEY)
+      .then((raw) => setSync(raw ? { ...newSyncState(), ...JSON.parse(raw) } : newSyncState()))
+      .catch(() => setSync(newSyncState()));
+  }, [storage]);
+
+  useEffect(() => {
+    if (sync) storage.set(SYNC_KEY, JSON.stringify(sync)).catch((err) => setSaveError(String(err)));
+  }, [storage, sync]);
+
+  const syncActive = loaded && !storageProblem && !!sync?.serverUrl;
+  useEffect(() => {
+    if (syncActive) setSync((s) => s && trackLocalChanges(s, { tasks, contacts, interactions, categories }));
+  }, [syncActive, tasks, contacts, interactions, categories]);
+
+  // Pull, merge, push. Reads state through `latest` so timers and listeners
+  // bound on an old render still see current data.
+  async function runSync() {
+    const start = latest.current.sync;
+    if (!start?.serverUrl || syncInFlight.current) return;
+    syncInFlight.current = true;
+    setSyncing(true);
+    try {
+      const outgoing = await syncRound(createHttpTransport(start.serverUrl, start.token), {
+        read: () => {
+          const { data, sync: current } = latest.current;
+          return current && current.serverUrl === start.serverUrl ? { state: current, data } : null;
+        },
+        onMerged: (merged) => {
+          if (merged.applied) replaceAppData(merged.data);
+          setSync(merged.state);
+          latest.current = { data: merged.data, sync: merged.state };
+        },
+        isValidRecord: validSyncRecord,
+      });
+      if (!outgoing) return;
+      setSync((s) => s && { ...acknowledgeChanges(s, outgoing), lastSyncAt: new Date().toISOString(), lastError: undefined });
+    } catch (err) {
+      setSync((s) => s && { ...s, lastError: err instanceof Error ? err.message : String(err) });
+    } finally {
+      syncInFlight.current = false;
+      setSyncing(false);
+    }
+  }
+
+  useEffect(() => {
+    if (!syncActive) return;
+    runSync();
+    const timer = setInterval(runSync, SYNC_INTERVAL_MS);
+    window.addEventListener("focus", runSync);
+    window.addEventListener("online", runSync);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener("focus", runSync);
+      window.removeEventListener("online", runSync);
+    };
+  }, [syncActive, sync?.token]);
+
+  // Local edits go out a few seconds after they stop
+  const outboxSize = sync?.outbox.length ?? 0;
+  useEffect(() => {
+    if (!syncActive || !outboxSize) return;
+    const timer = setTimeout(runSync, 3000);
+    return () => clearTimeout(timer);
+  }, [syncActive, outboxSize]);
+
+  function updateSyncServer(serverUrl: string, token: string) {
+    setSync((s) => {
+      if (!s) return s;
+      // Another server has its own log: start over and upload everything
+      if (serverUrl !== s.serverUrl && s.serverUrl) return { ...newSyncState(s.deviceId), serverUrl, token };
+      return { ...s, serverUrl, token, lastError: undefined };
+    });
+  }
+
+  function resolveSyncConflict(key: string, choice: "mine" | "theirs") {
+    if (!sync) return;
+    const result = resolveConflict(sync, appData, key, choice);
+    replaceAppData(result.data);
+    setSync(result.state);
+  }
+
+  // Reminders fire while the tab is open; whatever came due while it was
+  // closed is logged as missed and only shows up in the inbox
+  const reminders = useMemo(() => collectReminders(tasks, categories), [tasks, categories]);
+  const scheduler = useMemo(
+    () =>
+      createReminderScheduler((fired, log) => {
+        setReminderLog(log);
+        if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+        fired.filter((r) => !log[r.key].missed).forEach((r) => {
+          const note = new Notification(r.title, { body: `Due ${formatDateShort(r.dueDate)}${r.startTime ? ` ${formatTime(r.startTime)}` : ""}`, tag: r.key });
+          note.onclick = () => {
+            window.focus();
+            setShowInbox(true);
+          };
+        });
+      }),
+    []
+  );
+  useEffect(() => {
+    if (loaded && !storageProblem) scheduler.update(reminders, reminderLog);
+  }, [scheduler, loaded, storageProblem, reminders, reminderLog]);
+  useEffect(() => () => scheduler.stop(), [scheduler]);
+
+  const inbox = reminderInbox(reminders, reminderLog);
+
+  useEffect(() => {
+    if (!feedFile) return;
+    const text = buildICS(tasks, categories, settings.icsUntimedAsTodos);
+    (async () => {
+      const writable = await feedFile.handle.createWritable();
+      await writable.write(text);
+      await writable.close();
+    })()
+      .then(() => setFeedError(null))
+      .catch((err) => setFeedError(String(err)));
+  }, [feedFile, tasks, categories, settings.icsUntimedAsTodos]);
+
+  async function linkFeedFile() {
+    const picker = (window as any).showSaveFilePicker;
+    if (!picker) {
+      setFeedError("This browser can't keep a file updated; use Export .ics instead.");
+      return;
+    }
+    try {
+      const handle = await picker({ suggestedName: "personal-crm.ics", types: [{ description: "iCalendar", accept: { "text/calendar": [".ics"] } }] });
+      setFeedFile({ handle, name: handle.name });
+    } catch (err) {
+      if ((err as Error)?.name !== "AbortError") setFeedError(String(err));
+    }
+  }
+
+  const visibleCategories = categories.filter((c) => !c.archived);
+  const boardCat = visibleCategories.some((c) => c.id === boardCategory) ? boardCategory : visibleCategories[0]?.id;
+
+  function categoryOf(id: Category) {
+    return findCategory(categories, id);
+  }
+
+  // Derived
+  const parsedQuery = useMemo(() => parseQuery(query), [query]);
+
+  const filtered = useMemo(() => {
+    let list = tasks.filter((t) => !hiddenCategories.includes(t.category));
+    if (statusFilter !== "All") list = list.filter((t) => t.status === statusFilter);
+    if (parsedQuery.node) {
+      const now = new Date();
+      const ctx: QueryContext = {
+        categoryOf,
+        stageName: (t: Task) => stageOf(t, stagesFor(t.category)).name,
+        contacts,
+        today: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
+        isBlocked: (t: Task) => openBlockers(t, tasks).length > 0,
+      };
+      list = list.filter((t) => matchQuery(parsedQuery.node, t, ctx));
+    }
+
+    // User-defined category order; unknown categories last
+    const order = (id: Category) => {
+      const idx = categories.findIndex((c) => c.id === id);
+      return idx === -1 ? categories.length : idx;
+    };
+    const sorter: Record<typeof sortKey, (a: Task, b: Task) => number> = {
+      dueDate: (a, b) => (a.dueDate || "9999").localeCompare(b.dueDate || "9999"),
+      createdAt: (a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""),
+      category: (a, b) => order(a.category) - order(b.category),
+      priority: (a, b) => priorityRank(a.priority) - priorityRank(b.priority) || (a.dueDate || "9999").localeCompare(b.dueDate || "9999"),
+    } as const;
+
+    return [...list].sort(sorter[sortKey]);
+  }, [tasks, categories, contacts, pipelines, hiddenCategories, statusFilter, parsedQuery, sortKey]);
+
+  const viewState: ViewState = { view, query, status: statusFilter, sort: sortKey, hidden: hiddenCategories };
+
+  function applyViewState(state: ViewState) {
+    setView(state.view);
+    setQuery(state.query);
+    setStatusFilter(state.status);
+    setSortKey(state.sort);
+    setHiddenCategories(state.hidden);
+  }
+
+  // replaceState keeps typing in the search box out of the back button
+  useEffect(() => {
+    const hash = viewStateToHash(viewState);
+    if (hash !== location.hash) window.history.replaceState(null, "", hash || `${location.pathname}${location.search}`);
+  }, [view, query, statusFilter, sortKey, hiddenCategories]);
+
+  useEffect(() => {
+    const onHashChange = () => applyViewState(viewStateFromHash(location.hash));
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  const todayISO = toISODate(new Date());
+  const plan = dayPlan.date === todayISO ? dayPlan : { ...EMPTY_DAY_PLAN, date: todayISO };
+  const todayItems = useMemo(() => buildToday(tasks, interactions, plan), [tasks, interactions, dayPlan, todayISO]);
+
+  // Pinning and deferring are exclusive; either one again clears it
+  function planItem(list: "pinned" | "deferred", key: string) {
+    const other = list === "pinned" ? "deferred" : "pinned";
+    setDayPlan({
+      ...plan,
+      [list]: plan[list].includes(key) ? plan[list].filter((k) => k !== key) : [...plan[list], key],
+      [other]: plan[other].filter((k) => k !== key),
+    });
+  }
+
+  const byCategory = useMemo(() => {
+    const map: Record<Category, Task[]> = Object.fromEntries(categories.map((c) => [c.id, [] as Task[]]));
+    filtered.forEach((t) => map[t.category]?.push(t));
+    return map;
+  }, [filtered, categories]);
+
+  const metrics = useMemo(() => {
+    const total = tasks.length;
+    const overdue = tasks.filter((t) => isOverdue(t.dueDate)).length;
+    const dueSoon = tasks.filter((t) => isDueWithinDays(t.dueDate, 3)).length;
+    const active = tasks.filter((t) => t.status !== "Completed").length;
+    const counts = categories.reduce(
+      (acc, c) => ({ ...acc, [c.id]: tasks.filter((t) => t.category === c.id).length }),
+      {} as Record<Category, number>
+    );
+    return { total, overdue, dueSoon, active, counts };
+  }, [tasks, categories]);
+
+  // Whole history, not the filtered list: trends shouldn't move with the search box
+  const analytics = useMemo(() => (view === "dashboard" ? buildAnalytics(tasks, contacts, interactions, new Date(), settings.weekStartsOn) : null), [view, tasks, contacts, interactions, settings.weekStartsOn]);
+
+  function resetForm() {
+    setEditing(null);
+    setShowModal(false);
+  }
+
+  function upsertTask(task: Task) {
+    checkpoint(tasks.some((p) => p.id === task.id) ? `Edit “${task.title}”` : `Add “${task.title}”`);
+    setTasks((prev) => {
+      const exists = prev.some((p) => p.id === task.id);
+      return exists ? prev.map((p) => (p.id === task.id ? task : p)) : [task, ...prev];
+    });
+    resetForm();
+  }
+
+  function quickAdd(parsed: QuickAddResult) {
+    if (parsed.kind === "step") {
+      const task = tasks.find((t) => t.id === parsed.taskId);
+      if (!task) return;
+      checkpoint(`Add step to “${task.title}”`);
+      setTasks((prev) => prev.map((p) => (p.id === task.id ? { ...p, nextSteps: [...p.nextSteps, quickAddStep(parsed)] } : p)));
+      setToast({ message: `Added “${parsed.title}” to “${task.title}”` });
+      return;
+    }
+    const task = quickAddTask(parsed, { category: (visibleCategories[0] || categories[0]).id, status: "Active" });
+    checkpoint(`Add “${task.title}”`);
+    setTasks((prev) => [task, ...prev]);
+    setToast({ message: `Added “${task.title}”` });
+  }
+
+  function openNewTask() {
+    setEditing({
+      id: uid(),
+      title: "",
+      description: "",
+      category: (visibleCategories[0] || categories[0]).id,
+      status: "Active",
+      dueDate: "",
+      createdAt: new Date().toISOString(),
+      nextSteps: [],
+    });
+    setShowModal(true);
+  }
+
+  function toggleComplete(task: Task) {
+    checkpoint(task.status === "Completed" ? `Reopen “${task.title}”` : `Complete “${task.title}”`);
+    if (task.status === "Completed") {
+      setTasks((prev) => prev.map((p) => (p.id === task.id ? { ...task, status: "Active" } : p)));
+      return;
+    }
+    const done: Task = { ...task, status: "Completed", recurrence: undefined };
+    const following = task.recurrence && task.dueDate ? nextRecurringTask(task) : undefined;
+    setTasks((prev) => {
+      const rest = prev.map((p) => (p.id === task.id ? done : p));
+      return following ? [following, ...rest] : rest;
+    });
+  }
+
+  function toggleDescriptionCheck(task: Task, line: number) {
+    const description = toggleMarkdownCheckbox(task.description || "", line);
+    setTasks((prev) => prev.map((p) => (p.id === task.id ? { ...p, description } : p)));
+  }
+
+  function toggleNextStep(task: Task, stepId: string) {
+    const step = task.nextSteps.find((n) => n.id === stepId);
+    if (!step) return;
+    checkpoint(step.done ? `Reopen “${step.text}”` : `Complete “${step.text}”`);
+    const steps = task.nextSteps.map((n) => (n.id === stepId ? setStepDone(n, !n.done) : n));
+    const following = !step.done ? nextRecurringStep(step) : undefined;
+    const next = withAutoStatus(
+      { ...task, nextSteps: following ? [...steps.map((n) => (n.id === stepId ? { ...n, recurrence: undefined } : n)), following] : steps },
+      settings
+    );
+    setTasks((prev) => prev.map((p) => (p.id === task.id ? next : p)));
+    if (!step.done) setStepToLog({ task: next, step });
+  }
+
+  // start: minutes to place at (keeping duration), null to make all-day, undefined to keep the time
+  function rescheduleItem(ref: ItemRef, day: Date, start?: number | null) {
+    const task = tasks.find((t) => t.id === ref.taskId);
+    if (!task) return;
+    const step = ref.stepId ? task.nextSteps.find((n) => n.id === ref.stepId) : undefined;
+    const dueDate = toISODate(day);
+    checkpoint(`Reschedule “${step ? step.text : task.title}”`);
+    function place<T extends { dueDate?: string; startTime?: string; endTime?: string }>(item: T): T {
+      if (start === undefined) return { ...item, dueDate };
+      if (start === null) return { ...item, dueDate, startTime: undefined, endTime: undefined };
+      const range = timeRange(item);
+      const length = range.start !== undefined ? range.end! - range.start : DEFAULT_DURATION_MINUTES;
+      const at = Math.max(0, Math.min(start, 24 * 60 - length));
+      return { ...item, dueDate, startTime: minutesToTime(at), endTime: minutesToTime(at + length) };
+    }
+    setTasks((prev) =>
+      prev.map((t) =>
+        t.id !== ref.taskId
+          ? t
+          : ref.stepId
+          ? { ...t, nextSteps: t.nextSteps.map((n) => (n.id === ref.stepId ? place(n) : n)) }
+          : place(t)
+      )
+    );
+    setMoveFocus(ref.stepId || ref.taskId);
+  }
+
+  function stagesFor(category: Category) {
+    return pipelines[category]?.length ? pipelines[category]! : defaultStages(category);
+  }
+
+  function moveToStage(taskId: string, stage: Stage) {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task) return;
+    checkpoint(`Move “${task.title}” to ${stage.name}`);
+    setTasks((prev) => prev.map((t) => (t.id === taskId ? { ...t, stageId: stage.id, status: stage.status } : t)));
+    setMoveFocus(taskId);
+  }
+
+  function moveToCategory(taskId: string, category: Category) {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task) return;
+    checkpoint(`Move “${task.title}” to ${findCategory(categories, category).name}`);
+    setTasks((prev) => prev.map((t) => (t.id === taskId ? { ...t, category } : t)));
+    setMoveFocus(taskId);
+  }
+
+  // Moved items remount in their new cell; hand keyboard focus back to them
+  useEffect(() => {
+    if (!moveFocus) return;
+    (document.querySelector(`[data-move-key="${moveFocus}"]`) as HTMLElement | null)?.focus();
+  }, [tasks, moveFocus]);
+
+  function removeTask(id: string) {
+    const task = tasks.find((p) => p.id === id);
+    if (!task) return;
+    checkpoint(`Delete “${task.title}”`);
+    setTasks((prev) => prev.filter((p) => p.id !== id));
+    setTrash((prev) => [...trashTasks([task]), ...prev]);
+    setToast({ message: `Moved “${task.title}” to the trash` });
+  }
+
+  // Table selection. Rows hidden by the current filters stay selected but
+  // are never acted on.
+  const selected = filtered.filter((t) => selectedIds.includes(t.id));
+
+  function toggleSelect(id: string, range: boolean) {
+    const on = !selectedIds.includes(id);
+    let ids = [id];
+    const from = filtered.findIndex((t) => t.id === selectionAnchor);
+    const to = filtered.findIndex((t) => t.id === id);
+    if (range && from >= 0 && to >= 0) ids = filtered.slice(Math.min(from, to), Math.max(from, to) + 1).map((t) => t.id);
+    setSelectedIds((prev) => (on ? Array.from(new Set([...prev, ...ids])) : prev.filter((x) => !ids.includes(x))));
+    setSelectionAnchor(id);
+  }
+
+  // One undo entry per batch
+  function updateSelected(label: string, change: (t: Task) => Task[]) {
+    const ids = selected.map((t) => t.id);
+    if (!ids.length) return;
+    checkpoint(`${label} (${ids.length} tasks)`);
+    setTasks((prev) => prev.flatMap((t) => (ids.includes(t.id) ? change(t) : [t])));
+  }
+
+  function batchSetStatus(status: Status) {
+    updateSelected(`Set status to ${status}`, (t) => {
+      if (t.status === status) return [t];
+      // Same as completing one by one: a repeating task rolls on to its next occurrence
+      const following = status === "Completed" ? nextRecurringTask(t) : undefined;
+      const updated: Task = { ...t, status, recurrence: following ? undefined : t.recurrence };
+      return following ? [following, updated] : [updated];
+    });
+  }
+
+  function batchSetCategory(category: Category) {
+    updateSelected(`Move to ${categoryOf(category).name}`, (t) => [t.category === category ? t : { ...t, category, stageId: undefined }]);
+  }
+
+  function batchShiftDue(days: number, includeSteps: boolean) {
+    const shift = (iso?: string) => iso && toISODate(addDays(parseISODate(iso), days));
+    updateSelected(`Shift due dates by ${days} days`, (t) => [{
+      ...t,
+      dueDate: shift(t.dueDate),
+      nextSteps: includeSteps ? t.nextSteps.map((n) => (n.done ? n : { ...n, dueDate: shift(n.dueDate) })) : t.nextSteps,
+    }]);
+  }
+
+  function batchAddStep(text: string, dueDate?: string) {
+    updateSelected(`Add step “${text}”`, (t) => [{ ...t, nextSteps: [...t.nextSteps, { id: uid(), text, dueDate }] }]);
+  }
+
+  function batchDelete() {
+    if (!selected.length) return;
+    const ids = selected.map((t) => t.id);
+    checkpoint(`Delete ${ids.length} tasks`);
+    setTasks((prev) => prev.filter((t) => !ids.includes(t.id)));
+    setTrash((prev) => [...trashTasks(selected), ...prev]);
+    setSelectedIds((prev) => prev.filter((id) => !ids.includes(id)));
+    setToast({ message: `Moved ${ids.length} tasks to the trash` });
+  }
+
+  function restoreTask(id: string) {
+    const entry = trash.find((t) => t.task.id === id);
+    if (!entry) return;
+    checkpoint(`Restore “${entry.task.title}”`);
+    setTrash((prev) => prev.filter((t) => t.task.id !== id));
+    // A task with the same id may have come back through an import meanwhile
+    setTasks((prev) => [prev.some((p) => p.id === id) ? { ...entry.task, id: uid() } : entry.task, ...prev]);
+  }
+
+  function purgeFromTrash(ids: string[]) {
+    checkpoint(ids.length === 1 ? "Delete forever" : "Empty trash");
+    setTrash((prev) => prev.filter((t) => !ids.includes(t.task.id)));
+    setToast({ message: ids.length === 1 ? "Deleted forever" : `Deleted ${ids.length} tasks forever` });
+  }
+
+  function upsertContact(contact: Contact, label?: string) {
+    checkpoint(label || (contacts.some((p) => p.id === contact.id) ? `Edit contact “${contact.name}”` : `Add contact “${contact.name}”`));
+    setContacts((prev) => {
+      const exists = prev.some((p) => p.id === contact.id);
+      return exists ? prev.map((p) => (p.id === contact.id ? contact : p)) : [contact, ...prev];
+    });
+    setSelectedContactId(contact.id);
+    setEditingContact(null);
+  }
+
+  function removeContact(id: string) {
+    const contact = contacts.find((c) => c.id === id);
+    if (!contact) return;
+    checkpoint(`Delete contact “${contact.name}”`);
+    setContacts((prev) => prev.filter((p) => p.id !== id));
+    // Drop dangling links so tasks never point at a deleted person
+    setTasks((prev) =>
+      prev.map((t) =>
+        t.contactIds?.includes(id) ? { ...t, contactIds: t.contactIds.filter((c) => c !== id) } : t
+      )
+    );
+    setInteractions((prev) =>
+      prev.map((i) =>
+        i.contactIds?.includes(id) ? { ...i, contactIds: i.contactIds.filter((c) => c !== id) } : i
+      )
+    );
+    setSelectedContactId((cur) => (cur === id ? null : cur));
+    setToast({ message: `Deleted contact “${contact.name}”` });
+  }
+
+  function logInteraction(entry: Interaction) {
+    setInteractions((prev) => [entry, ...prev]);
+    // Notes aren't a touch; anything else counts as having contacted the person
+    if (entry.type === "note" || !entry.contactIds?.length) return;
+    const day = toLocalInputValue(new Date(entry.at)).slice(0, 10);
+    setContacts((prev) =>
+      prev.map((c) =>
+        entry.contactIds!.includes(c.id) && (c.lastContacted || "") < day ? { ...c, lastContacted: day } : c
+      )
+    );
+  }
+
+  function recordFollowUp(task: Task, outcome: FollowUpOutcome) {
+    checkpoint(`Follow up on “${task.title}”`);
+    let steps = task.nextSteps;
+    const step = steps.find((n) => n.id === outcome.completeStepId && !n.done);
+    if (step) {
+      const following = nextRecurringStep(step);
+      steps = steps.map((n) => (n.id === step.id ? { ...setStepDone(n, true), ...(following ? { recurrence: undefined } : {}) } : n));
+      if (following) steps = [...steps, following];
+    }
+    if (outcome.followUp) steps = [...steps, { id: uid(), text: outcome.followUp.text, dueDate: outcome.followUp.dueDate }];
+    if (steps !== task.nextSteps) {
+      const next = withAutoStatus({ ...task, nextSteps: steps }, settings);
+      setTasks((prev) => prev.map((p) => (p.id === task.id ? next : p)));
+    }
+    if (outcome.logTouch) {
+      logInteraction({
+        id: uid(),
+        type: outcome.channel === "email" ? "email" : "text",
+        at: new Date().toISOString(),
+        summary: outcome.summary,
+        taskId: task.id,
+        ...(outcome.contactId ? { contactIds: [outcome.contactId] } : {}),
+        ...(step ? { nextStepId: step.id } : {}),
+      });
+    }
+    const done = [outcome.logTouch && "logged", outcome.followUp && `follow-up set for ${formatDateShort(outcome.followUp.dueDate)}`].filter(Boolean).join(", ");
+    if (done) setToast({ message: `Follow-up on “${task.title}”: ${done}` });
+  }
+
+  function removeInteraction(id: string) {
+    setInteractions((prev) => prev.filter((i) => i.id !== id));
+  }
+
+  function contactsFor(task: Task) {
+    const ids = task.contactIds || [];
+    return contacts.filter((c) => ids.includes(c.id));
+  }
+
+  function toggleCategory(cat: Category) {
+    setHiddenCategories((prev) =>
+      prev.includes(cat) ? prev.filter((c) => c !== cat) : [...prev, cat]
+    );
+  }
+
+  // reassignTo: category that inherits the tasks, or null to move them to the trash
+  function deleteCategory(id: Category, reassignTo: Category | null) {
+    const name = findCategory(categories, id).name;
+    const removed = reassignTo === null ? tasks.filter((t) => t.category === id) : [];
+    checkpoint(`Delete category “${name}”`);
+    setTasks((prev) =>
+      reassignTo === null
+        ? prev.filter((t) => t.category !== id)
+        : prev.map((t) => (t.category === id ? { ...t, category: reassignTo, stageId: undefined } : t))
+    );
+    if (removed.length) {
+      setTrash((prev) => [...trashTasks(removed), ...prev]);
+      setSelectedIds((prev) => prev.filter((x) => !removed.some((t) => t.id === x)));
+    }
+    setCategories((prev) => prev.filter((c) => c.id !== id));
+    setHiddenCategories((prev) => prev.filter((c) => c !== id));
+    setPipelines((prev) => ({ ...prev, [id]: undefined }));
+    setToast({
+      message: removed.length
+        ? `Deleted “${name}” and moved ${removed.length} task${removed.length === 1 ? "" : "s"} to the trash`
+        : `Deleted category “${name}”`,
+    });
+  }
+
+  // Calendar: tasks mapped by day
+  const calendarMatrix = useMemo(() => {
+    const first = startOfMonth(calendarCursor);
+    const gridStart = startOfWeek(first, settings.weekStartsOn);
+    const days: Date[] = [];
+    for (let i = 0; i < 42; i++) days.push(addDays(gridStart, i));
+    return days;
+  }, [calendarCursor, settings.weekStartsOn]);
+
+  function stepsOn(task: Task, date: Date) {
+    const iso = toISODate(date);
+    return task.nextSteps
+      .filter((n) => n.dueDate === iso || occursOn(n, iso))
+      .map((n) => ({ step: n, virtual: n.dueDate !== iso }));
+  }
+
+  function entriesOn(date: Date): CalendarEntry[] {
+    const iso = toISODate(date);
+    const out: CalendarEntry[] = [];
+    tasks.forEach((t) => {
+      if (t.dueDate === iso || occursOn(t, iso)) out.push({ key: t.id, task: t, virtual: t.dueDate !== iso, ...timeRange(t) });
+      t.nextSteps.forEach((n) => {
+        if (n.dueDate === iso || occursOn(n, iso)) out.push({ key: n.id, task: t, step: n, virtual: n.dueDate !== iso, ...timeRange(n) });
+      });
+    });
+    return out;
+  }
+
+  function shiftCalendar(dir: 1 | -1) {
+    setCalendarCursor((d) =>
+      calendarMode === "month"
+        ? new Date(d.getFullYear(), d.getMonth() + dir, 1)
+        : addDays(d, dir * (calendarMode === "week" ? 7 : 1))
+    );
+  }
+
+  // Recurring items expanded across the visible grid only
+  const occurrences = useMemo(
+    () => occurrenceIndex(tasks, toISODate(calendarMatrix[0]), toISODate(calendarMatrix[calendarMatrix.length - 1])),
+    [tasks, calendarMatrix]
+  );
+
+  function occursOn(item: { id: string }, iso: string) {
+    return !!occurrences.get(item.id)?.has(iso);
+  }
+
+  // Keyboard: palette, shortcuts list, table rows
+  const activeRow = view === "table" ? filtered.find((t) => t.id === activeRowId) : undefined;
+
+  function moveActiveRow(dir: 1 | -1) {
+    if (!filtered.length) return;
+    const i = filtered.findIndex((t) => t.id === activeRowId);
+    const next = i < 0 ? (dir > 0 ? 0 : filtered.length - 1) : Math.min(filtered.length - 1, Math.max(0, i + dir));
+    setActiveRowId(filtered[next].id);
+  }
+
+  useEffect(() => {
+    if (activeRowId) document.querySelector(`[data-row-id="${activeRowId}"]`)?.scrollIntoView({ block: "nearest" });
+  }, [activeRowId]);
+
+  useEffect(() => {
+    if (!focusCalendarDay.current) return;
+    focusCalendarDay.current = false;
+    (document.querySelector(`[data-day="${toISODate(calendarCursor)}"]`) as HTMLElement | null)?.focus();
+  }, [calendarCursor]);
+
+  function moveCalendarFocus(day: Date, days: number) {
+    focusCalendarDay.current = true;
+    setCalendarCursor(addDays(day, days));
+  }
+
+  // Re-bound every render like the undo handler above
+  useEffect(() => {
+    function onKey(e: KeyboardEvent) {
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === "k") {
+        // Not over another dialog: its commands would act behind it
+        if (!showPalette && document.querySelector('[aria-modal="true"]')) return;
+        e.preventDefault();
+        setShowPalette((open) => !open);
+        return;
+      }
+      if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target) || document.querySelector('[aria-modal="true"]')) return;
+      const focus = (id: string) => (document.getElementById(id) as HTMLInputElement | null)?.focus();
+      const handled = (() => {
+        switch (e.key) {
+          case "?": return setShowShortcuts(true), true;
+          case "/": return focus("task-search"), true;
+          case "n": return focus("quick-add"), true;
+        }
+        if (view !== "table") return false;
+        switch (e.key) {
+          case "j": return moveActiveRow(1), true;
+          case "k": return moveActiveRow(-1), true;
+          case "e": return !!activeRow && (setEditing(activeRow), setShowModal(true), true);
+          case "x": return !!activeRow && (toggleComplete(activeRow), true);
+        }
+        return false;
+      })();
+      if (handled) e.preventDefault();
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  function paletteCommands(): Command[] {
+    const commands: Command[] = [];
+    const add = (group: string, label: string, run: () => void, extra: Partial<Command> = {}) =>
+      commands.push({ id: `${group}:${label}`, group, label, run, ...extra });
+    const viewLabels: Record<ViewMode, string> = { today: "Today", grid: "Grid", table: "Table", board: "Pipeline board", calendar: "Calendar", contacts: "Contacts", dashboard: "Dashboard", trash: "Trash" };
+    const showCalendar = (fn: () => void) => () => {
+      setView("calendar");
+      fn();
+    };
+
+    add("Actions", "New task", openNewTask, { keywords: "add create" });
+    add("Actions", "Quick add", () => setTimeout(() => (document.getElementById("quick-add") as HTMLInputElement | null)?.focus()), { shortcut: "n" });
+    add("Actions", "Search and filter", () => setTimeout(() => (document.getElementById("task-search") as HTMLInputElement | null)?.focus()), { shortcut: "/" });
+    if (activeRow) add("Actions", `Mark “${activeRow.title}” ${activeRow.status === "Completed" ? "open" : "completed"}`, () => toggleComplete(activeRow), { shortcut: "x", keywords: "done complete" });
+    if (selected.length) add("Actions", `Mark ${selected.length} selected completed`, () => batchSetStatus("Completed"), { keywords: "done complete batch" });
+    if (history.past.length) add("Actions", `Undo ${history.past[history.past.length - 1].label}`, undo, { shortcut: "Ctrl+Z" });
+    if (history.future.length) add("Actions", `Redo ${history.future[history.future.length - 1].label}`, redo, { shortcut: "Ctrl+Shift+Z" });
+    if (activeRow) add("Actions", `Follow-up message for “${activeRow.title}”`, () => setComposeFor(activeRow), { keywords: "email sms text compose template" });
+    add("Actions", "Message templates", () => setManagingTemplates(true), { keywords: "email sms follow-up" });
+    add("Actions", "Reminders", () => setShowInbox(true), { keywords: "inbox notifications" });
+    add("Actions", "Manage categories", () => setManagingCategories(true));
+    add("Actions", "Sync", () => setShowSync(true), { keywords: "server devices conflicts" });
+    add("Actions", "Settings", () => setShowSettings(true), { keywords: "preferences locale week date" });
+    add("Actions", "Keyboard shortcuts", () => setShowShortcuts(true), { shortcut: "?", keywords: "help keys" });
+
+    VIEW_MODES.forEach((v) => add("Views", `Go to ${viewLabels[v]}`, () => setView(v), { keywords: "view show open" }));
+
+    add("Calendar", "Go to today", showCalendar(() => setCalendarCursor(new Date())));
+    add("Calendar", `Next ${calendarMode}`, showCalendar(() => shiftCalendar(1)), { keywords: "forward later" });
+    add("Calendar", `Previous ${calendarMode}`, showCalendar(() => shiftCalendar(-1)), { keywords: "back earlier" });
+    (["month", "week", "day"] as const).forEach((m) => add("Calendar", `${m[0].toUpperCase()}${m.slice(1)} view`, showCalendar(() => setCalendarMode(m))));
+
+    (["All", ...STATUSES] as const).forEach((st) => add("Filters", `Status: ${st}`, () => setStatusFilter(st)));
+    visibleCategories.forEach((c) => add("Filters", `Only ${c.name}`, () => setHiddenCategories(categories.filter((o) => o.id !== c.id).map((o) => o.id)), { keywords: "category" }));
+    add("Filters", "Show all categories", () => setHiddenCategories([]));
+    if (query) add("Filters", "Clear search", () => setQuery(""));
+    SORT_KEYS.forEach((k) => add("Filters", `Sort by ${{ dueDate: "due date", createdAt: "created", category: "category", priority: "priority" }[k]}`, () => setSortKey(k)));
+    savedViews.forEach((v) => add("Filters", `Saved view: ${v.name}`, () => applyViewState(v.state)));
+
+    tasks.forEach((t) => {
+      add("Tasks", `Open “${t.title}”`, () => {
+        setEditing(t);
+        setShowModal(true);
+      }, { id: `open:${t.id}`, keywords: categoryOf(t.category).name });
+      if (t.status !== "Completed") add("Tasks", `Complete “${t.title}”`, () => toggleComplete(t), { id: `complete:${t.id}`, keywords: "done mark" });
+      if (t.status !== "Completed") add("Tasks", `Message about “${t.title}”`, () => setComposeFor(t), { id: `compose:${t.id}`, keywords: "email sms text follow-up" });
+    });
+    return commands;
+  }
+
+  // -----------------------------
+  // Render
+  // -----------------------------
+  return (
+    <div className="min-h-screen w-full bg-neutral-50 text-neutral-900 p-4 md:p-6">
+      {/* Header */}
+      <div className="mx-auto max-w-7xl">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h1 className="text-2xl md:text-3xl font-semibold tracking-tight">Personal CRM</h1>
+            <p className="text-sm text-neutral-500">Tasks, next steps with dates, and a calendar view</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              className={classNames(
+                "inline-flex items-center gap-2 rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:shadow",
+                view === "today" ? "border-blue-500" : "border-neutral-200"
+              )}
+              onClick={() => setView("today")}
+              title="Today"
+            >
+              <Sun className="h-4 w-4" /> <span className="hidden sm:inline">Today</span>
+            </button>
+            <button
+              className="inline-flex items-center gap-2 rounded-2xl border border-neutral-200 bg-white px-3 py-2 text-sm shadow-sm hover:shadow"
+              onClick={() => setView("grid")}
+              title="Grid View"
+            >
+              <LayoutGrid className="h-4 w-4" /> <span className="hidden sm:inline">Grid</span>
+            </button>
+            <button
+              className="inline-flex items-center gap-2 rounded-2xl border border-neutral-200 bg-white px-3 py-2 text-sm shadow-sm hover:shadow"
+              onClick={() => setView("table")}
+              title="Table View"
+            >
+              <TableIcon className="h-4 w-4" /> <span className="hidden sm:inline">Table</span>
+            </button>
+            <button
+              className={classNames(
+                "inline-flex items-center gap-2 rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:shadow",
+                view === "board" ? "border-blue-500" : "border-neutral-200"
+              )}
+              onClick={() => setView("board")}
+              title="Pipeline Board"
+            >
+              <Kanban className="h-4 w-4" /> <span className="hidden sm:inline">Board</span>
+            </button>
+            <button
+              className={classNames(
+                "inline-flex items-center gap-2 rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:shadow",
+                view === "calendar" ? "border-blue-500" : "border-neutral-200"
+              )}
+              onClick={() => setView("calendar")}
+              title="Calendar View"
+            >
+              <CalendarIcon className="h-4 w-4" /> <span className="hidden sm:inline">Calendar</span>
+            </button>
+            <button
+              className={classNames(
+                "inline-flex items-center gap-2 rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:shadow",
+                view === "contacts" ? "border-blue-500" : "border-neutral-200"
+              )}
+              onClick={() => setView("contacts")}
+              title="Contacts"
+            >
+              <Users className="h-4 w-4" /> <span className="hidden sm:inline">Contacts</span>
+            </button>
+            <button
+              className={classNames(
+                "inline-flex items-center gap-2 rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:shadow",
+                view === "dashboard" ? "border-blue-500" : "border-neutral-200"
+              )}
+              onClick={() => setView("dashboard")}
+              title="Dashboard"
+            >
+              <BarChart3 className="h-4 w-4" /> <span className="hidden sm:inline">Dashboard</span>
+            </button>
+            <button
+              className="relative p-2 rounded-2xl border border-neutral-200 bg-white shadow-sm hover:shadow"
+              onClick={() => setShowInbox(true)}
+              title="Reminders"
+            >
+              <Bell className="h-4 w-4" />
+              {inbox.length > 0 && (
+                <span className="absolute -top-1 -right-1 min-w-[1.1rem] rounded-full bg-red-600 px-1 text-[10px] leading-4 text-white">{inbox.length}</span>
+              )}
+            </button>
+            <button
+              className={classNames(
+                "inline-flex items-center gap-2 rounded-2xl border bg-white px-3 py-2 text-sm shadow-sm hover:shadow",
+                view === "trash" ? "border-blue-500" : "border-neutral-200"
+              )}
+              onClick={() => setView("trash")}
+              title="Trash"
+            >
+              <Trash2 className="h-4 w-4" /> <span className="hidden sm:inline">Trash{trash.length > 0 && ` (${trash.length})`}</span>
+            </button>
+            <button
+              className="p-2 rounded-2xl border border-neutral-200 bg-white shadow-sm hover:shadow disabled:opacity-40"
+              disabled={!history.past.length}
+              onClick={undo}
+              title={history.past.length ? `Undo ${history.past[history.past.length - 1].label} (Ctrl+Z)` : "Nothing to undo"}
+            >
+              <Undo2 className="h-4 w-4" />
+            </button>
+            <button
+              className="p-2 rounded-2xl border border-neutral-200 bg-white shadow-sm hover:shadow disabled:opacity-40"
+              disabled={!history.future.length}
+              onClick={redo}
+              title={history.future.length ? `Redo ${history.future[history.future.length - 1].label} (Ctrl+Shift+Z)` : "Nothing to redo"}
+            >
+              <Redo2 className="h-4 w-4" />
+            </button>
+            <button
+              className="relative p-2 rounded-2xl border border-neutral-200 bg-white shadow-sm hover:shadow"
+              onClick={() => setShowSync(true)}
+              title={!sync?.serverUrl ? "Sync is off" : sync.lastError ? `Sync failed: ${sync.lastError}` : sync.lastSyncAt ? `Synced ${formatDateTime(sync.lastSyncAt)}` : "Sync"}
+            >
+              {sync?.serverUrl && !sync.lastError ? <Cloud className={classNames("h-4 w-4", syncing && "animate-pulse")} /> : <CloudOff className={classNames("h-4 w-4", sync?.lastError && "text-red-600")} />}
+              {!!sync?.conflicts.length && (
+                <span className="absolute -top-1 -right-1 min-w-[1.1rem] rounded-full bg-amber-500 px-1 text-[10px] leading-4 text-white">{sync.conflicts.length}</span>
+              )}
+            </button>
+            <button
+              className="p-2 rounded-2xl border border-neutral-200 bg-white shadow-sm hover:shadow"
+              onClick={() => setShowPalette(true)}
+              title="Commands (Ctrl+K) · shortcuts (?)"
+            >
+              <CommandIcon className="h-4 w-4" />
+            </button>
+            <button
+              className="p-2 rounded-2xl border border-neutral-200 bg-white shadow-sm hover:shadow"
+              onClick={() => setShowSettings(true)}
+              title="Settings"
+            >
+              <SettingsIcon className="h-4 w-4" />
+            </button>
+            <button
+              className="inline-flex items-center gap-2 rounded-2xl bg-blue-600 text-white px-3 py-2 text-sm shadow-sm hover:bg-blue-700"
+              onClick={openNewTask}
+            >
+              <Plus className="h-4 w-4" /> Add Task
+            </button>
+          </div>
+        </div>
+
+        {storageProblem && (
+          <div className="mb-6 rounded-2xl border border-red-200 bg-red-50 p-4 text-sm text-red-800">
+            <div className="font-semibold">Saved data couldn't be loaded ({storageProblem.reason}).</div>
+            <div className="mt-1">
+              {storageProblem.quarantineKey
+                ? `The original was kept untouched as "${storageProblem.quarantineKey}". `
+                : ""}
+              Changes are not being saved until you decide what to do.
+            </div>
+            <div className="mt-3 flex items-center gap-2">
+              {storageProblem.raw && (
+                <button
+                  className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50"
+                  onClick={() => downloadText(storageProblem.raw, `personal-crm-unreadable-${toISODate(new Date())}.json`)}
+                >
+                  Download raw copy
+                </button>
+              )}
+              <button className="px-3 py-2 rounded-xl bg-red-600 text-white hover:bg-red-700" onClick={() => setStorageProblem(null)}>
+                Start fresh and save from now on
+              </button>
+            </div>
+          </div>
+        )}
+        {feedError && (
+          <div className="mb-6 rounded-2xl border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">
+            Calendar feed: {feedError}
+          </div>
+        )}
+        {saveError && (
+          <div className="mb-6 rounded-2xl border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">
+            Last save failed: {saveError}
+          </div>
+        )}
+
+        <QuickAddBar
+          categories={categories}
+          contacts={contacts}
+          tasks={tasks}
+          defaultCategory={(visibleCategories[0] || categories[0]).id}
+          weekStartsOn={settings.weekStartsOn}
+          dayFirst={dayComesFirst()}
+          onAdd={quickAdd}
+        />
+
+        {/* Metrics */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 md:gap-4 mb-6">
+          <MetricBox label="Total Tasks" value={metrics.total} sub="All categories" />
+          <MetricBox label="Active" value={metrics.active} sub="Not completed" />
+          <MetricBox label="Due ≤ 3 Days" value={metrics.dueSoon} sub="Upcoming" />
+          <MetricBox label="Overdue" value={metrics.overdue} sub="Past due" tone="danger" />
+        </div>
+
+        <div className="lg:flex lg:items-start lg:gap-6">
+          <aside className="lg:w-56 shrink-0 mb-6">
+            <SavedViewsSidebar
+              views={savedViews}
+              current={viewState}
+              onApply={applyViewState}
+              onSave={(name) => setSavedViews((prev) => [...prev, { id: uid(), name, state: viewState }])}
+              onUpdate={(id) => setSavedViews((prev) => prev.map((v) => (v.id === id ? { ...v, state: viewState } : v)))}
+              onDelete={(id) => setSavedViews((prev) => prev.filter((v) => v.id !== id))}
+            />
+          </aside>
+          <div className="flex-1 min-w-0">
+            {/* Filters */}
+            <div className="flex flex-col md:flex-row md:items-center gap-3 md:gap-4 mb-6">
+              <div className="flex items-center gap-2 flex-wrap">
+                {visibleCategories.map((c) => (
+                  <button
+                    key={c.id}
+                    onClick={() => toggleCategory(c.id)}
+                    className={classNames(
+                      "inline-flex items-center gap-1.5 rounded-full px-3 py-1.5 text-xs font-medium border",
+                      !hiddenCategories.includes(c.id)
+                        ? "bg-neutral-900 text-white border-neutral-900"
+                        : "bg-white text-neutral-700 border-neutral-200"
+                    )}
+                  >
+                    <span className={classNames("h-2 w-2 rounded-full", CATEGORY_COLORS[c.color].swatch)} />
+                    {c.name} ({metrics.counts[c.id] || 0})
+                  </button>
+                ))}
+                <button
+                  className="p-1.5 rounded-full border border-neutral-200 bg-white hover:bg-neutral-50"
+                  onClick={() => setManagingCategories(true)}
+                  title="Manage categories"
+                >
+                  <FolderCog className="h-3.5 w-3.5" />
+                </button>
+              </div>
+              <div className="flex items-center gap-2 flex-1">
+                <div className="relative w-full">
+                  <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-neutral-400" />
+                  <input
+                    id="task-search"
+                    className="w-full pl-9 pr-3 py-2 rounded-xl border border-neutral-200 bg-white text-sm focus:outline-none focus:ring-2 focus:ring-neutral-300"
+                    placeholder='Search or filter, e.g. cat:Dealership due:<7d -status:completed "X3"'
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    title={QUERY_HELP}
+                  />
+                  {parsedQuery.errors.length > 0 && (
+                    <div className="absolute left-0 top-full mt-1 z-10 rounded-lg border border-amber-200 bg-amber-50 px-2 py-1 text-xs text-amber-800">
+                      {parsedQuery.errors.join(" · ")}
+                    </div>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  <select
+                    className="px-3 py-2 text-sm rounded-xl border border-neutral-200 bg-white"
+                    value={statusFilter}
+                    onChange={(e) => setStatusFilter(e.target.value as any)}
+                  >
+                    <option value="All">All Statuses</option>
+                    {STATUSES.map((s) => (
+                      <option key={s} value={s}>{s}</option>
+                    ))}
+                  </select>
+                  <select
+                    className="px-3 py-2 text-sm rounded-xl border border-neutral-200 bg-white"
+                    value={sortKey}
+                    onChange={(e) => setSortKey(e.target.value as any)}
+                  >
+                    <option value="dueDate">Sort: Due Date</option>
+                    <option value="createdAt">Sort: Created</option>
+                    <option value="category">Sort: Category</option>
+                    <option value="priority">Sort: Priority</option>
+                  </select>
+                </div>
+              </div>
+            </div>
+
+            {/* Views */}
+            {view === "today" && (
+              <TodayView
+                items={todayItems}
+                plan={plan}
+                categoryOf={categoryOf}
+                onToggle={(item) => (item.step ? toggleNextStep(item.task, item.step.id) : toggleComplete(item.task))}
+                onEdit={(task) => {setEditing(task); setShowModal(true);}}
+                onPin={(key) => planItem("pinned", key)}
+                onDefer={(key) => planItem("deferred", key)}
+              />
+            )}
+
+            {view === "grid" && (
+              <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-[repeat(auto-fit,minmax(14rem,1fr))] gap-4">
+                {visibleCategories.map(({ id: cat }, catIdx) => (
+                  <div
+                    key={cat}
+                    className="bg-white rounded-2xl border border-neutral-200 shadow-sm overflow-hidden"
+                    onDragOver={allowDrop}
+                    onDrop={(e) => {
+                      const ref = readDrag(e);
+                      if (ref && !ref.stepId) moveToCategory(ref.taskId, cat);
+                    }}
+                  >
+                    <div className="px-4 py-3 border-b border-neutral-100 flex items-center justify-between">
+                      <h3 className="text-sm font-semibold"><CategoryBadge category={categoryOf(cat)} /></h3>
+                      <span className="text-xs text-neutral-500">{byCategory[cat]?.length || 0} tasks</span>
+                    </div>
+                    <div className="p-3 space-y-3 min-h-[180px]">
+                      {(byCategory[cat] || []).map((t) => (
+                        <div
+                          key={t.id}
+                          data-move-key={t.id}
+                          tabIndex={0}
+                          draggable
+                          aria-label={`${t.title}. Alt+Left or Alt+Right moves it to another category.`}
+                          className="rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-300"
+                          onDragStart={(e) => startDrag(e, { taskId: t.id })}
+                          onKeyDown={(e) => {
+                            const move = arrowMove(e);
+                            if (!move || !move.dx) return;
+                            const next = visibleCategories[catIdx + move.dx];
+                            if (next) moveToCategory(t.id, next.id);
+                          }}
+                        >
+                          <TaskCard task={t} category={categoryOf(t.category)} contacts={contactsFor(t)} blockers={openBlockers(t, tasks)} onEdit={() => {setEditing(t); setShowModal(true);}} onRemove={() => removeTask(t.id)} onToggleStep={(stepId) => toggleNextStep(t, stepId)} onToggleCheck={(line) => toggleDescriptionCheck(t, line)} onToggleComplete={() => toggleComplete(t)} onCompose={() => setComposeFor(t)} />
+                        </div>
+                      ))}
+                      {!(byCategory[cat] || []).length && (
+                        <p className="text-xs text-neutral-400">No tasks in this category.</p>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {view === "board" && (() => {
+              const stages = boardCat ? stagesFor(boardCat) : [];
+              const inCategory = filtered.filter((t) => t.category === boardCat);
+              return (
+                <div className="space-y-3">
+                  <div className="flex items-center gap-2 flex-wrap">
+                    {visibleCategories.map((c) => (
+                      <button
+                        key={c.id}
+                        className={classNames(
+                          "inline-flex items-center gap-1.5 px-3 py-1.5 rounded-xl border text-sm",
+                          boardCat === c.id ? "border-neutral-900" : "border-neutral-200 bg-white"
+                        )}
+                        onClick={() => setBoardCategory(c.id)}
+                      >
+                        <span className={classNames("h-2 w-2 rounded-full", CATEGORY_COLORS[c.color].swatch)} />
+                        {c.name}
+                      </button>
+                    ))}
+                    <button className="ml-auto px-3 py-1.5 rounded-xl border bg-white hover:bg-neutral-50 text-sm disabled:opacity-40" disabled={!boardCat} onClick={() => boardCat && setEditingStagesFor(boardCat)}>
+                      Edit stages
+                    </button>
+                  </div>
+                  <div className="flex gap-4 overflow-x-auto pb-2">
+                    {stages.map((stage, idx) => {
+                      const cards = inCategory.filter((t) => stageOf(t, stages).id === stage.id);
+                      const overLimit = !!stage.wipLimit && cards.length > stage.wipLimit;
+                      return (
+                        <div
+                          key={stage.id}
+                          className="w-72 shrink-0 bg-white rounded-2xl border border-neutral-200 shadow-sm overflow-hidden"
+                          onDragOver={allowDrop}
+                          onDrop={(e) => {
+                            const ref = readDrag(e);
+                            if (ref && !ref.stepId) moveToStage(ref.taskId, stage);
+                          }}
+                        >
+                          <div className="px-4 py-3 border-b border-neutral-100 flex items-center justify-between">
+                            <h3 className="text-sm font-semibold">{stage.name}</h3>
+                            <span className={classNames("text-xs", overLimit ? "text-red-600 font-semibold" : "text-neutral-500")}>
+                              {cards.length}{stage.wipLimit ? ` / ${stage.wipLimit}` : ""}
+                            </span>
+                          </div>
+                          <div className="p-3 space-y-3 min-h-[180px]">
+                            {cards.map((t) => (
+                              <div
+                                key={t.id}
+                                data-move-key={t.id}
+                                tabIndex={0}
+                                draggable
+                                aria-label={`${t.title}. Alt+Left or Alt+Right moves it to another stage.`}
+                                className="rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-300"
+                                onDragStart={(e) => startDrag(e, { taskId: t.id })}
+                                onKeyDown={(e) => {
+                                  const move = arrowMove(e);
+                                  if (!move || !move.dx) return;
+                                  const next = stages[idx + move.dx];
+                                  if (next) moveToStage(t.id, next);
+                                }}
+                              >
+                                <TaskCard task={t} category={categoryOf(t.category)} contacts={contactsFor(t)} blockers={openBlockers(t, tasks)} onEdit={() => {setEditing(t); setShowModal(true);}} onRemove={() => removeTask(t.id)} onToggleStep={(stepId) => toggleNextStep(t, stepId)} onToggleCheck={(line) => toggleDescriptionCheck(t, line)} onToggleComplete={() => toggleComplete(t)} onCompose={() => setComposeFor(t)} />
+                              </div>
+                            ))}
+                            {!cards.length && <p className="text-xs text-neutral-400">Nothing in this stage.</p>}
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              );
+            })()}
+
+            {view === "table" && (
+              <div className="bg-white rounded-2xl border border-neutral-200 shadow-sm overflow-hidden">
+                {selected.length > 0 && (
+                  <BatchBar
+                    count={selected.length}
+                    categories={visibleCategories}
+                    onStatus={batchSetStatus}
+                    onCategory={batchSetCategory}
+                    onShiftDue={batchShiftDue}
+                    onAddStep={batchAddStep}
+                    onExport={() => setCsvExport({ tasks: selected, scope: "selected" })}
+                    onDelete={batchDelete}
+                    onClear={() => setSelectedIds([])}
+                  />
+                )}
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead className="bg-neutral-50 border-b border-neutral-200">
+                      <tr className="text-left text-xs text-neutral-600">
+                        <th className="pl-4 py-3 w-6">
+                          <input
+                            type="checkbox"
+                            checked={filtered.length > 0 && selected.length === filtered.length}
+                            ref={(el) => {
+                              if (el) el.indeterminate = selected.length > 0 && selected.length < filtered.length;
+                            }}
+                            onChange={(e) => setSelectedIds(e.target.checked ? filtered.map((t) => t.id) : [])}
+                            title="Select all shown"
+                          />
+                        </th>
+                        <th className="px-4 py-3">Title</th>
+                        <th className="px-4 py-3">Category</th>
+                        <th className="px-4 py-3">Status</th>
+                        <th className="px-4 py-3">Due</th>
+                        <th className="px-4 py-3">Next Step</th>
+                        <th className="px-4 py-3">Next Step Due</th>
+                        <th className="px-4 py-3"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {filtered.map((t) => {
+                        const nn = nearestNextStep(t);
+                        return (
+                          <tr
+                            key={t.id}
+                            data-row-id={t.id}
+                            className={classNames(
+                              "border-b last:border-0 hover:bg-neutral-50/70",
+                              selectedIds.includes(t.id) && "bg-blue-50/60",
+                              activeRowId === t.id && "outline outline-2 -outline-offset-2 outline-blue-300"
+                            )}
+                            onClick={() => setActiveRowId(t.id)}
+                          >
+                            <td className="pl-4 py-3">
+                              <input
+                                type="checkbox"
+                                checked={selectedIds.includes(t.id)}
+                                onChange={(e) => toggleSelect(t.id, (e.nativeEvent as MouseEvent).shiftKey)}
+                                aria-label={`Select ${t.title}`}
+                              />
+                            </td>
+                            <td className="px-4 py-3 font-medium">
+                              {t.priority && <PriorityBadge priority={t.priority} />} {t.title}
+                              <BlockedBadge blockers={openBlockers(t, tasks)} />
+                            </td>
+                            <td className="px-4 py-3">
+                              <CategoryBadge category={categoryOf(t.category)} />
+                            </td>
+                            <td className="px-4 py-3">
+                              <span className={classNames(
+                                "inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-xs",
+                                t.status === "Completed"
+                                  ? "bg-green-100 text-green-700"
+                                  : t.status === "Pending"
+                                  ? "bg-amber-100 text-amber-800"
+                                  : "bg-blue-100 text-blue-700"
+                              )}>
+                                <CheckCircle className="h-3.5 w-3.5" /> {stageOf(t, stagesFor(t.category)).name}
+                              </span>
+                            </td>
+                            <td className="px-4 py-3">{formatDateShort(t.dueDate)}{t.startTime && ` ${formatTime(t.startTime)}`}</td>
+                            <td className="px-4 py-3 truncate max-w-[240px]" title={nn?.text || "—"}>
+                              {nn ? (
+                                <label className="inline-flex items-center gap-2">
+                                  <input type="checkbox" checked={false} onChange={() => toggleNextStep(t, nn.id)} title="Mark step done" />
+                                  {nn.text}
+                                </label>
+                              ) : "—"}
+                            </td>
+                            <td className="px-4 py-3">{formatDateShort(nn?.dueDate)}</td>
+                            <td className="px-4 py-3">
+                              <div className="flex items-center gap-2">
+                                <button className="p-1 rounded hover:bg-neutral-100" onClick={() => setComposeFor(t)} title="Follow-up message"><MessageSquare className="h-4 w-4" /></button>
+                                <button className="p-1 rounded hover:bg-neutral-100" onClick={() => {setEditing(t); setShowModal(true);}}><Edit3 className="h-4 w-4" /></button>
+                                <button className="p-1 rounded hover:bg-neutral-100" onClick={() => removeTask(t.id)}><Trash2 className="h-4 w-4" /></button>
+                              </div>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            {view === "calendar" && (
+              <div className="bg-white rounded-2xl border border-neutral-200 shadow-sm p-4">
+                {/* Calendar header */}
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+                  <div className="flex items-center gap-2">
+                    <button className="p-2 rounded-xl border hover:bg-neutral-50" onClick={() => setCalendarCursor(new Date())}>Today</button>
+                    <div className="flex items-center gap-1">
+                      <button className="p-2 rounded-xl border hover:bg-neutral-50" onClick={() => shiftCalendar(-1)}><ChevronLeft className="h-4 w-4" /></button>
+                      <button className="p-2 rounded-xl border hover:bg-neutral-50" onClick={() => shiftCalendar(1)}><ChevronRight className="h-4 w-4" /></button>
+                    </div>
+                    <div className="text-lg font-semibold ml-1">
+                      {calendarCursor.toLocaleString(dateLocale(), { month: "long", year: "numeric" })}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {(["month","week","day"] as const).map((m) => (
+                      <button
+                        key={m}
+                        className={classNames(
+                          "px-3 py-1.5 rounded-xl border text-sm",
+                          calendarMode === m ? "border-neutral-900" : "border-neutral-200 bg-white"
+                        )}
+                        onClick={() => setCalendarMode(m)}
+                      >
+                        {m[0].toUpperCase() + m.slice(1)}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                {/* Month Grid */}
+                {calendarMode === "month" && (
+                  <div>
+                    <div className="grid grid-cols-7 text-xs text-neutral-500 mb-1">
+                      {weekdayLabels().map((d) => (
+                        <div key={d} className="px-2 py-1">{d}</div>
+                      ))}
+                    </div>
+                    <div className="grid grid-cols-7 gap-px bg-neutral-200 rounded-lg overflow-hidden">
+                      {calendarMatrix.map((day, idx) => {
+                        const dayTasks = tasksOn(tasks, day, occurrences);
+                        const inMonth = isSameMonth(day, calendarCursor);
+                        const today = isSameDay(day, new Date());
+                        return (
+                          <div
+                            key={idx}
+                            data-day={toISODate(day)}
+                            tabIndex={isSameDay(day, calendarCursor) ? 0 : -1}
+                            aria-label={day.toLocaleDateString(dateLocale(), { weekday: "long", month: "long", day: "numeric" })}
+                            className="min-h-[110px] bg-white p-2 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-300"
+                            onKeyDown={(e) => {
+                              if (e.altKey || e.ctrlKey || e.metaKey) return;
+                              const step = ({ ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 } as Record<string, number>)[e.key];
+                              if (step) {
+                                e.preventDefault();
+                                moveCalendarFocus(day, step);
+                              } else if (e.key === "Enter" && e.target === e.currentTarget) {
+                                setCalendarCursor(day);
+                                setCalendarMode("day");
+                              }
+                            }}
+                            onDragOver={allowDrop}
+                            onDrop={(e) => {
+                              const ref = readDrag(e);
+                              if (ref) rescheduleItem(ref, day);
+                            }}
+                          >
+                            <div className="flex items-center justify-between mb-1">
+                              <span className={classNames("text-xs", inMonth ? "text-neutral-800" : "text-neutral-300")}>{day.getDate()}</span>
+                              {today && <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-blue-600 text-white">Today</span>}
+                            </div>
+                            <div className="space-y-1">
+                              {dayTasks.slice(0,3).map((t) => (
+                                <div key={t.id} className={classNames("text-[11px] px-2 py-1 rounded-md border border-l-4", CATEGORY_COLORS[categoryOf(t.category).color].bar)}
+                                  title={`${t.title} (${categoryOf(t.category).name})`}>
+                                  <MonthChipHandle
+                                    itemRef={{ taskId: t.id }}
+                                    // Only the task's own due day moves it; elsewhere it just groups its steps
+                                    movable={t.dueDate === toISODate(day)}
+                                    onMove={(days) => rescheduleItem({ taskId: t.id }, addDays(day, days))}
+                                  >
+                                    <div className="truncate">
+                                      <span className="font-medium">{t.title}</span>
+                                      <span className="ml-1 text-neutral-500">· {categoryOf(t.category).name}</span>
+                                    </div>
+                                  </MonthChipHandle>
+                                  {stepsOn(t, day).map(({ step: n, virtual }) => (
+                                    <MonthChipHandle
+                                      key={n.id}
+                                      itemRef={{ taskId: t.id, stepId: n.id }}
+                                      movable={!virtual}
+                                      onMove={(days) => rescheduleItem({ taskId: t.id, stepId: n.id }, addDays(day, days))}
+                                    >
+                                      <StepCheck step={n} disabled={virtual} onToggle={() => toggleNextStep(t, n.id)} />
+                                    </MonthChipHandle>
+                                  ))}
+                                </div>
+                              ))}
+                              {dayTasks.length > 3 && (
+                                <div className="text-[11px] text-neutral-500">+{dayTasks.length - 3} more…</div>
+                              )}
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
+
+                {/* Week & Day (hourly grids) */}
+                {calendarMode === "week" && (
+                  <TimeGrid
+                    days={[...Array(7)].map((_, i) => addDays(startOfWeek(calendarCursor, settings.weekStartsOn), i))}
+                    entriesOn={entriesOn}
+                    categoryOf={categoryOf}
+                    onOpen={(t) => {setEditing(t); setShowModal(true);}}
+                    onToggleStep={toggleNextStep}
+                    onReschedule={rescheduleItem}
+                  />
+                )}
+
+                {calendarMode === "day" && (
+                  <TimeGrid
+                    days={[calendarCursor]}
+                    entriesOn={entriesOn}
+                    categoryOf={categoryOf}
+                    onOpen={(t) => {setEditing(t); setShowModal(true);}}
+                    onToggleStep={toggleNextStep}
+                    onReschedule={rescheduleItem}
+                  />
+                )}
+              </div>
+            )}
+
+            {view === "dashboard" && (
+              <DashboardView
+                analytics={analytics}
+                categories={categories}
+                onEditTask={(task) => {setEditing(task); setShowModal(true);}}
+                onOpenContact={(id) => {setSelectedContactId(id); setView("contacts");}}
+              />
+            )}
+
+            {view === "trash" && (
+              <TrashView
+                trash={trash}
+                categoryOf={categoryOf}
+                retentionDays={settings.trashRetentionDays}
+                onRetentionChange={(days) => setSettings((prev) => ({ ...prev, trashRetentionDays: days }))}
+                onRestore={restoreTask}
+                onPurge={purgeFromTrash}
+              />
+            )}
+
+            {view === "contacts" && (
+              <ContactsView
+                contacts={contacts}
+                tasks={tasks}
+                categoryOf={categoryOf}
+                selectedId={selectedContactId}
+                onSelect={setSelectedContactId}
+                onAdd={() => setEditingContact({ id: uid(), name: "", tags: [], createdAt: new Date().toISOString() })}
+                onEdit={(c) => setEditingContact(c)}
+                onRemove={removeContact}
+                onMarkContacted={(c) => upsertContact({ ...c, lastContacted: toISODate(new Date()) }, `Mark “${c.name}” contacted`)}
+                onEditTask={(t) => {setEditing(t); setShowModal(true);}}
+                interactions={interactions}
+                onLogInteraction={logInteraction}
+                onRemoveInteraction={removeInteraction}
+              />
+            )}
+          </div>
+        </div>
+
+        {/* Modal */}
+        {showModal && editing && (
+          <Modal onClose={resetForm}>
+            <TaskForm
+              key={editing.id}
+              initial={editing}
+              categories={categories}
+              contacts={contacts}
+              tasks={tasks}
+              files={files}
+              stagesFor={stagesFor}
+              interactions={interactions.filter((i) => i.taskId === editing.id)}
+              onLogInteraction={logInteraction}
+              onRemoveInteraction={removeInteraction}
+              onCancel={resetForm}
+              onSave={(task) => upsertTask(withAutoStatus(task, settings))}
+            />
+          </Modal>
+        )}
+
+        {stepToLog && (
+          <Modal title="Log interaction" onClose={() => setStepToLog(null)}>
+            <div className="text-sm mb-3">
+              Completed <span className="font-medium">{stepToLog.step.text}</span> · {stepToLog.task.title}
+            </div>
+            <InteractionForm
+              defaults={{
+                type: guessInteractionType(stepToLog.step.text),
+                summary: stepToLog.step.text,
+                nextStepId: stepToLog.step.id,
+                taskId: stepToLog.task.id,
+                contactIds: stepToLog.task.contactIds?.length ? stepToLog.task.contactIds : undefined,
+              }}
+              onSave={(entry) => { logInteraction(entry); setStepToLog(null); }}
+              onCancel={() => setStepToLog(null)}
+            />
+          </Modal>
+        )}
+
+        {pendingImport && (
+          <Modal title={`Import ${pendingImport.fileName}`} onClose={() => setPendingImport(null)}>
+            <ImportDialog
+              current={appData}
+              result={pendingImport.result}
+              onCancel={() => setPendingImport(null)}
+              onApply={(mode, incoming) => {
+                checkpoint(`Import ${pendingImport.fileName}`);
+                const next = applyImport(appData, incoming, mode);
+                const bundled = pendingImport.files;
+                if (bundled) {
+                  const ids = [...referencedAttachments(next)].filter((id) => bundled.has(id));
+                  Promise.all(ids.map((id) => files.put(id, bundled.get(id)!)))
+                    .catch((err) => setToast({ message: `Some attached files couldn't be saved: ${String(err)}` }));
+                }
+                replaceAppData(next);
+                setPendingImport(null);
+                setToast({ message: `Imported ${pendingImport.fileName}` });
+              }}
+            />
+          </Modal>
+        )}
+
+        {csvExport && (
+          <Modal title="Export CSV" onClose={() => setCsvExport(null)}>
+            <CsvExportDialog
+              count={csvExport.tasks.length}
+              scope={csvExport.scope}
+              onCancel={() => setCsvExport(null)}
+              onExport={(columns, perStep) => {
+                const ctx = { categoryOf, stageName: (t: Task) => stageOf(t, stagesFor(t.category)).name, nearestStep: nearestNextStep, contacts };
+                downloadText(buildCSV(csvExport.tasks, columns, perStep, ctx), `personal-crm-tasks-${toISODate(new Date())}.csv`, "text/csv");
+                setCsvExport(null);
+              }}
+            />
+          </Modal>
+        )}
+
+        {pendingCSV && (
+          <Modal title={`Import ${pendingCSV.fileName}`} onClose={() => setPendingCSV(null)}>
+            <CsvImportDialog
+              rows={pendingCSV.rows}
+              categories={visibleCategories}
+              contacts={contacts}
+              onCancel={() => setPendingCSV(null)}
+              onApply={(result) => {
+                checkpoint(`Import ${pendingCSV.fileName}`);
+                setTasks((prev) => [...result.tasks, ...prev]);
+                setContacts((prev) => [...result.contacts, ...prev]);
+                setPendingCSV(null);
+                setToast({ message: `Imported ${result.tasks.length} tasks from ${pendingCSV.fileName}` });
+              }}
+            />
+          </Modal>
+        )}
+
+        {pendingICS && (
+          <Modal title={`Import ${pendingICS.fileName}`} onClose={() => setPendingICS(null)}>
+            <IcsImportDialog
+              tasks={tasks}
+              items={pendingICS.items}
+              categories={visibleCategories}
+              onCancel={() => setPendingICS(null)}
+              onApply={(next) => {
+                checkpoint(`Import ${pendingICS.fileName}`);
+                setTasks(next);
+                setPendingICS(null);
+                setToast({ message: `Imported ${pendingICS.fileName}` });
+              }}
+            />
+          </Modal>
+        )}
+
+        {managingCategories && (
+          <Modal title="Categories" onClose={() => setManagingCategories(false)}>
+            <CategoryManager
+              categories={categories}
+              counts={metrics.counts}
+              onChange={setCategories}
+              onDelete={deleteCategory}
+            />
+          </Modal>
+        )}
+
+        {showSettings && (
+          <Modal title="Settings" onClose={() => setShowSettings(false)}>
+            <SettingsPanel settings={settings} onChange={(patch) => setSettings((prev) => ({ ...prev, ...patch }))} />
+          </Modal>
+        )}
+
+        {showPalette && <CommandPalette commands={paletteCommands()} onClose={() => setShowPalette(false)} />}
+
+        {showShortcuts && (
+          <Modal title="Keyboard shortcuts" onClose={() => setShowShortcuts(false)}>
+            <ShortcutList />
+          </Modal>
+        )}
+
+        {composeFor && (
+          <Modal title={`Follow-up: ${composeFor.title}`} onClose={() => setComposeFor(null)}>
+            <ComposeMessage
+              task={composeFor}
+              contacts={contacts}
+              categoryName={categoryOf(composeFor.category).name}
+              templates={templates}
+              onManageTemplates={() => setManagingTemplates(true)}
+              onDone={(outcome) => {
+                recordFollowUp(composeFor, outcome);
+                setComposeFor(null);
+              }}
+            />
+          </Modal>
+        )}
+
+        {managingTemplates && (
+          <Modal title="Message templates" onClose={() => setManagingTemplates(false)}>
+            <TemplateManager templates={templates} onChange={setTemplates} />
+          </Modal>
+        )}
+
+        {showSync && sync && (
+          <Modal title="Sync" onClose={() => setShowSync(false)}>
+            <SyncPanel sync={sync} syncing={syncing} onConnect={updateSyncServer} onSyncNow={runSync} onResolve={resolveSyncConflict} />
+          </Modal>
+        )}
+
+        {showInbox && (
+          <Modal title="Reminders" onClose={() => setShowInbox(false)}>
+            <ReminderInbox
+              items={inbox}
+              log={reminderLog}
+              onOpen={(taskId) => {
+                const task = tasks.find((t) => t.id === taskId);
+                if (!task) return;
+                setShowInbox(false);
+                setEditing(task);
+                setShowModal(true);
+              }}
+              onSnooze={(key, until) => setReminderLog((prev) => snoozeReminder(prev, key, until))}
+              onDismiss={(keys) => setReminderLog((prev) => dismissReminders(prev, keys))}
+            />
+          </Modal>
+        )}
+
+        {editingStagesFor && (
+          <Modal title={`${categoryOf(editingStagesFor).name} stages`} onClose={() => setEditingStagesFor(null)}>
+            <StageEditor
+              key={editingStagesFor}
+              initial={stagesFor(editingStagesFor)}
+              onCancel={() => setEditingStagesFor(null)}
+              onReset={() => {
+                setPipelines((prev) => ({ ...prev, [editingStagesFor]: undefined }));
+                setEditingStagesFor(null);
+              }}
+              onSave={(stages) => {
+                setPipelines((prev) => ({ ...prev, [editingStagesFor]: stages }));
+                setEditingStagesFor(null);
+              }}
+            />
+          </Modal>
+        )}
+
+        {editingContact && (
+          <Modal title="Contact" onClose={() => setEditingContact(null)}>
+            <ContactForm
+              key={editingContact.id}
+              initial={editingContact}
+              onCancel={() => setEditingContact(null)}
+              onSave={upsertContact}
+            />
+          </Modal>
+        )}
+
+        {/* Utilities */}
+        <div className="mt-6 flex flex-wrap items-center gap-2">
+          <button
+            className="px-3 py-2 text-sm rounded-xl border bg-white hover:bg-neutral-50"
+            title="Data only; attached files are listed but not included"
+            onClick={() => downloadText(JSON.stringify(buildExport(appData), null, 2), `personal-crm-export-${toISODate(new Date())}.json`)}
+          >
+            Export JSON
+          </button>
+          <button
+            className="px-3 py-2 text-sm rounded-xl border bg-white hover:bg-neutral-50"
+            title="Data plus attached files, as a .zip"
+            onClick={() =>
+              buildBundle(appData, files)
+                .then((blob) => downloadBlob(blob, `personal-crm-bundle-${toISODate(new Date())}.zip`))
+                .catch((err) => setToast({ message: `Export failed: ${String(err)}` }))
+            }
+          >
+            Export bundle
+          </button>
+          <label className="px-3 py-2 text-sm rounded-xl border bg-white hover:bg-neutral-50 cursor-pointer">
+            Import JSON / bundle
+            <input type="file" accept="application/json,.json,application/zip,.zip" className="hidden" onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (!file) return;
+              e.currentTarget.value = "";
+              if (/\.zip$/i.test(file.name) || file.type.includes("zip")) {
+                file.arrayBuffer()
+                  .then((buffer) => readBundle(new Uint8Array(buffer)))
+                  .then(({ text, files }) => setPendingImport({ fileName: file.name, result: parseImport(text), files }))
+                  .catch((err) => setPendingImport({ fileName: file.name, result: { ok: false, error: err instanceof Error ? err.message : String(err) } }));
+                return;
+              }
+              const reader = new FileReader();
+              reader.onload = () => setPendingImport({ fileName: file.name, result: parseImport(String(reader.result)) });
+              reader.onerror = () => setPendingImport({ fileName: file.name, result: { ok: false, error: "The file could not be read." } });
+              reader.readAsText(file);
+            }} />
+          </label>
+          <button
+            className="px-3 py-2 text-sm rounded-xl border bg-white hover:bg-neutral-50"
+            title="Export the tasks currently shown"
+            onClick={() => setCsvExport({ tasks: filtered, scope: "currently shown" })}
+          >
+            Export CSV
+          </button>
+          <label className="px-3 py-2 text-sm rounded-xl border bg-white hover:bg-neutral-50 cursor-pointer">
+            Import CSV
+            <input type="file" accept=".csv,.tsv,text/csv" className="hidden" onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (!file) return;
+              file.text().then((text) => setPendingCSV({ fileName: file.name, rows: parseCSV(text) }));
+              e.currentTarget.value = "";
+            }} />
+          </label>
+          <button
+            className="px-3 py-2 text-sm rounded-xl border bg-white hover:bg-neutral-50"
+            onClick={() => downloadText(buildICS(tasks, categories, settings.icsUntimedAsTodos), "personal-crm.ics", "text/calendar")}
+          >
+            Export .ics
+          </button>
+          <label className="px-3 py-2 text-sm rounded-xl border bg-white hover:bg-neutral-50 cursor-pointer">
+            Import .ics
+            <input type="file" accept=".ics,text/calendar" className="hidden" onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (!file) return;
+              file.text().then((text) => setPendingICS({ fileName: file.name, items: parseICS(text) }));
+              e.currentTarget.value = "";
+            }} />
+          </label>
+          {feedFile ? (
+            <button
+              className="px-3 py-2 text-sm rounded-xl border bg-white hover:bg-neutral-50"
+              title="Stop updating the linked file"
+              onClick={() => setFeedFile(null)}
+            >
+              Feed: {feedFile.name} <X className="inline w-3 h-3" />
+            </button>
+          ) : (
+            <button
+              className="px-3 py-2 text-sm rounded-xl border bg-white hover:bg-neutral-50"
+              title="Pick an .ics file that is kept up to date for calendar subscriptions"
+              onClick={linkFeedFile}
+            >
+              Link calendar feed
+            </button>
+          )}
+          <label className="inline-flex items-center gap-2 text-sm text-neutral-600">
+            <input
+              type="checkbox"
+              checked={settings.icsUntimedAsTodos}
+              onChange={(e) => setSettings((prev) => ({ ...prev, icsUntimedAsTodos: e.target.checked }))}
+            />
+            Untimed items as to-dos
+          </label>
+          <label className="ml-auto inline-flex items-center gap-2 text-sm text-neutral-600">
+            <input
+              type="checkbox"
+              checked={settings.autoCompleteTasks}
+              onChange={(e) => setSettings((prev) => ({ ...prev, autoCompleteTasks: e.target.checked }))}
+            />
+            Complete tasks when all next steps are done
+          </label>
+        </div>
+      </div>
+
+      {toast && (
+        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 rounded-2xl bg-neutral-900 text-white px-4 py-2 text-sm shadow-lg">
+          <span>{toast.message}</span>
+          {history.past.length > 0 && !toast.message.startsWith("Undid") && (
+            <button className="font-semibold text-blue-300 hover:text-blue-200" onClick={undo}>Undo</button>
+          )}
+          <button className="text-neutral-400 hover:text-white" onClick={() => setToast(null)} title="Dismiss"><X className="h-4 w-4" /></button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// -----------------------------
+// Subcomponents
+// -----------------------------
+function MetricBox({ label, value, sub, tone }: { label: string; value: number | string; sub?: string; tone?: "danger" | "normal" }) {
+  return (
+    <div className={classNames(
+      "rounded-2xl border shadow-sm p-4",
+      tone === "danger" ? "border-red-200 bg-red-50" : "border-neutral-200 bg-white"
+    )}>
+      <div className="text-xs text-neutral-500">{label}</div>
+      <div className="text-2xl font-semibold leading-tight">{value}</div>
+      {sub && <div className="text-[11px] text-neutral-400">{sub}</div>}
+    </div>
+  );
+}
+
+function TaskCard({ task, category, contacts = [], blockers = [], onEdit, onRemove, onToggleComplete, onToggleStep, onToggleCheck, onCompose }: {
+  task: Task;
+  category: CategoryDef;
+  contacts?: Contact[];
+  blockers?: Task[]; // open tasks this one waits on
+  onEdit: () => void;
+  onRemove: () => void;
+  onToggleComplete: () => void;
+  onToggleStep: (stepId: string) => void;
+  onToggleCheck?: (line: number) => void; // a "- [ ]" item in the description
+  onCompose?: () => void;
+}) {
+  const nn = nearestNextStep(task);
+  const doneCount = task.nextSteps.filter((n) => n.done).length;
+  const checklist = checklistProgress(task.checklist);
+
+  return (
+    <div className="rounded-xl border border-neutral-200 p-3 hover:shadow-sm">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <div className="font-semibold text-sm leading-snug">
+            {task.priority && <PriorityBadge priority={task.priority} />} {task.title}
+            {task.effort && <span className="ml-1 text-[11px] font-normal text-neutral-400">{formatEffort(task.effort)}</span>}
+          </div>
+          {task.description && <Markdown className="text-xs text-neutral-500 mt-0.5" source={task.description} onToggleCheck={onToggleCheck} />}
+        </div>
+        <div className="flex items-center gap-1">
+          {onCompose && <button className="p-1 rounded hover:bg-neutral-100" onClick={onCompose} title="Follow-up message"><MessageSquare className="h-4 w-4"/></button>}
+          <button className="p-1 rounded hover:bg-neutral-100" onClick={onEdit} title="Edit"><Edit3 className="h-4 w-4"/></button>
+          <button className="p-1 rounded hover:bg-neutral-100" onClick={onRemove} title="Delete"><Trash2 className="h-4 w-4"/></button>
+        </div>
+      </div>
+      <div className="mt-2 flex items-center gap-2 flex-wrap">
+        <CategoryBadge category={category} />
+        <span className={classNames(
+          "inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-[11px]",
+          task.status === "Completed" ? "bg-green-100 text-green-700" : task.status === "Pending" ? "bg-amber-100 text-amber-800" : "bg-blue-100 text-blue-700"
+        )}>
+          <CheckCircle className="h-3.5 w-3.5" /> {task.status}
+        </span>
+        {contacts.map((c) => (
+          <span key={c.id} className="inline-flex items-center gap-1 rounded-full bg-neutral-100 px-2 py-0.5 text-[11px] text-neutral-700">
+            <Users className="h-3 w-3" /> {c.name}
+          </span>
+        ))}
+        {task.dueDate && (
+          <span className={classNames(
+            "inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-[11px] border",
+            isOverdue(task.dueDate) ? "border-red-300 text-red-700 bg-red-50" : isDueWithinDays(task.dueDate) ? "border-amber-300 text-amber-800 bg-amber-50" : "border-neutral-200 text-neutral-700"
+          )}>
+            <CalendarIcon className="h-3.5 w-3.5"/> due {formatDateShort(task.dueDate)}{task.startTime && ` · ${formatTime(task.startTime)}`}
+          </span>
+        )}
+        {task.recurrence && (
+          <span className="inline-flex items-center gap-1 rounded-full border border-neutral-200 px-2 py-0.5 text-[11px] text-neutral-700">
+            <Repeat className="h-3 w-3"/> {describeRecurrence(task.recurrence)}
+          </span>
+        )}
+        {checklist.total > 0 && (
+          <span className="inline-flex items-center gap-1 rounded-full border border-neutral-200 px-2 py-0.5 text-[11px] text-neutral-700">
+            <ListChecks className="h-3 w-3"/> {checklist.done}/{checklist.total}
+          </span>
+        )}
+        {!!task.attachments?.length && (
+          <span className="inline-flex items-center gap-1 rounded-full border border-neutral-200 px-2 py-0.5 text-[11px] text-neutral-700" title={task.attachments.map((a) => a.name).join("\n")}>
+            <Paperclip className="h-3 w-3"/> {task.attachments.length}
+          </span>
+        )}
+        <BlockedBadge blockers={blockers} />
+      </div>
+      {nn && (
+        <div className="mt-2 text-[12px]">
+          <div className="text-neutral-500">
+            Next step{task.nextSteps.length > 1 && ` · ${doneCount}/${task.nextSteps.length} done`}
+          </div>
+          <div className="flex items-center gap-2">
+            <input type="checkbox" checked={false} onChange={() => onToggleStep(nn.id)} title="Mark step done" />
+            <span className="font-medium">{nn.text}</span>
+            {nn.dueDate && <span className="text-neutral-500">· {formatDateShort(nn.dueDate)}{nn.startTime && ` ${formatTime(nn.startTime)}`}</span>}
+          </div>
+        </div>
+      )}
+      {!nn && doneCount > 0 && (
+        <div className="mt-2 text-[12px] text-neutral-400 line-through">All {doneCount} next steps done</div>
+      )}
+      <div className="mt-3 flex items-center gap-2">
+        <button className="text-xs px-2 py-1 rounded-lg border hover:bg-neutral-50" onClick={onToggleComplete}>
+          {task.status === "Completed" ? "Mark Active" : "Mark Completed"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function BlockedBadge({ blockers }: { blockers: Task[] }) {
+  if (!blockers.length) return null;
+  return (
+    <span
+      className="ml-1 inline-flex items-center gap-1 rounded-full border border-orange-300 bg-orange-50 px-2 py-0.5 text-[11px] font-normal text-orange-800"
+      title={`Waiting on: ${blockers.map((b) => b.title).join(", ")}`}
+    >
+      <Lock className="h-3 w-3"/> {blockers.length === 1 ? `Blocked by “${blockers[0].title}”` : `Blocked by ${blockers.length} tasks`}
+    </span>
+  );
+}
+
+function CategoryBadge({ category }: { category: CategoryDef }) {
+  const Icon = CATEGORY_ICONS[category.icon] || Tag;
+  return (
+    <span className={classNames("inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-[11px]", CATEGORY_COLORS[category.color]?.badge)}>
+      <Icon className="h-3 w-3" /> {category.name}
+    </span>
+  );
+}
+
+// disabled: a projected occurrence of a recurring step, not the stored one
+function StepCheck({ step, onToggle, disabled }: { step: NextStep; onToggle: () => void; disabled?: boolean }) {
+  return (
+    <label className="flex items-center gap-1.5 text-[11px] truncate" title={step.done ? `Done ${formatDateTime(step.completedAt)}` : step.text}>
+      <input type="checkbox" className="h-3 w-3" checked={!!step.done && !disabled} disabled={disabled} onChange={onToggle} />
+      <span className={classNames(step.done && !disabled ? "line-through text-neutral-400" : "text-neutral-700")}>{step.text}</span>
+      {step.recurrence && <Repeat className="h-3 w-3 shrink-0 text-neutral-400" />}
+    </label>
+  );
+}
+
+function MonthChipHandle({ itemRef, movable, onMove, children }: {
+  itemRef: ItemRef;
+  movable: boolean;
+  onMove: (days: number) => void;
+  children: React.ReactNode;
+}) {
+  if (!movable) return <div>{children}</div>;
+  return (
+    <div
+      data-move-key={itemRef.stepId || itemRef.taskId}
+      tabIndex={0}
+      draggable
+      aria-label="Drag to another day, or use Alt+arrow keys to move by a day or a week"
+      className="cursor-grab rounded focus:outline-none focus:ring-2 focus:ring-blue-300"
+      onDragStart={(e) => startDrag(e, itemRef)}
+      onKeyDown={(e) => {
+        const move = arrowMove(e);
+        if (move) onMove(move.dx + move.dy * 7);
+      }}
+    >
+      {children}
+    </div>
+  );
+}
+
+const HOUR_PX = 48;
+
+function TimeGrid({ days, entriesOn, categoryOf, onOpen, onToggleStep, onReschedule }: {
+  days: Date[];
+  categoryOf: (id: Category) => CategoryDef;
+  entriesOn: (date: Date) => CalendarEntry[];
+  onOpen: (task: Task) => void;
+  onToggleStep: (task: Task, stepId: string) => void;
+  onReschedule: (ref: ItemRef, day: Date, start?: number | null) => void;
+}) {
+  const scrollRef = useRef<HTMLDivElement>(null);
+  useEffect(() => {
+    // Start the working day in view rather than midnight
+    scrollRef.current?.scrollTo({ top: 7 * HOUR_PX });
+  }, []);
+
+  const now = new Date();
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  const template = { gridTemplateColumns: `3.5rem repeat(${days.length}, minmax(0, 1fr))` };
+  const columns = days.map((day) => {
+    const entries = entriesOn(day);
+    return {
+      day,
+      allDay: entries.filter((e) => e.start === undefined),
+      timed: layoutTimedEntries(entries.filter((e) => e.start !== undefined)),
+    };
+  });
+
+  function refOf(entry: CalendarEntry): ItemRef {
+    return { taskId: entry.task.id, stepId: entry.step?.id };
+  }
+
+  // Props that make a stored (non-projected) entry draggable and keyboard-movable
+  function movable(entry: CalendarEntry, day: Date) {
+    if (entry.virtual) return {};
+    return {
+      "data-move-key": entry.step?.id || entry.task.id,
+      tabIndex: 0,
+      draggable: true,
+      "aria-label": "Drag to reschedule, or use Alt+Left/Right to change day and Alt+Up/Down to change time",
+      onDragStart: (e: React.DragEvent<HTMLDivElement>) => {
+        startDrag(e, refOf(entry), e.clientY - e.currentTarget.getBoundingClientRect().top);
+      },
+      onKeyDown: (e: React.KeyboardEvent<HTMLDivElement>) => {
+        const move = arrowMove(e);
+        if (!move) return;
+        const start = entry.start === undefined ? undefined : entry.start + move.dy * SNAP_MINUTES;
+        onReschedule(refOf(entry), addDays(day, move.dx), start);
+      },
+    };
+  }
+
+  function dropAt(e: React.DragEvent<HTMLDivElement>, day: Date) {
+    const ref = readDrag(e);
+    if (!ref) return;
+    const y = e.clientY - e.currentTarget.getBoundingClientRect().top - ref.grab;
+    const minutes = Math.round(((y / HOUR_PX) * 60) / SNAP_MINUTES) * SNAP_MINUTES;
+    onReschedule({ taskId: ref.taskId, stepId: ref.stepId }, day, minutes);
+  }
+
+  function label(entry: CalendarEntry) {
+    return entry.step ? (
+      <div onClick={(e) => e.stopPropagation()}>
+        <StepCheck step={entry.step} disabled={entry.virtual} onToggle={() => onToggleStep(entry.task, entry.step!.id)} />
+        <div className="text-[10px] text-neutral-500 truncate">{entry.task.title}</div>
+      </div>
+    ) : (
+      <div className="text-[11px] truncate">
+        <span className="font-medium">{entry.task.title}</span>
+        <span className="ml-1 text-neutral-500">· {categoryOf(entry.task.category).name}</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="border rounded-xl overflow-hidden">
+      <div className="grid border-b bg-neutral-50" style={template}>
+        <div />
+        {columns.map(({ day }) => (
+          <div key={day.toDateString()} className={classNames("px-2 py-2 text-xs font-semibold border-l", isSameDay(day, now) && "text-blue-700")}>
+            {day.toLocaleDateString(dateLocale(), { weekday: days.length > 1 ? "short" : "long", month: "short", day: "numeric" })}
+          </div>
+        ))}
+      </div>
+
+      {/* All-day lane: items with a date but no time */}
+      <div className="grid border-b" style={template}>
+        <div className="px-1 py-2 text-[10px] text-neutral-400 text-right">all-day</div>
+        {columns.map(({ day, allDay }) => (
+          <div
+            key={day.toDateString()}
+            className="border-l p-1 space-y-1 min-h-[36px]"
+            onDragOver={allowDrop}
+            onDrop={(e) => {
+              const ref = readDrag(e);
+              if (ref) onReschedule({ taskId: ref.taskId, stepId: ref.stepId }, day, null);
+            }}
+          >
+            {allDay.map((entry) => (
+              <div
+                key={entry.key}
+                className={classNames(
+                  "px-2 py-1 rounded-md border border-l-4 bg-white cursor-pointer hover:bg-neutral-50 focus:outline-none focus:ring-2 focus:ring-blue-300",
+                  CATEGORY_COLORS[categoryOf(entry.task.category).color].bar
+                )}
+                onClick={() => onOpen(entry.task)}
+                {...movable(entry, day)}
+              >
+                {label(entry)}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div ref={scrollRef} className="max-h-[600px] overflow-y-auto">
+        <div className="grid relative" style={template}>
+          <div>
+            {[...Array(24)].map((_, h) => (
+              <div key={h} className="text-[10px] text-neutral-400 text-right pr-1 -mt-1.5" style={{ height: HOUR_PX }}>
+                {h ? formatTime(minutesToTime(h * 60)) : ""}
+              </div>
+            ))}
+          </div>
+          {columns.map(({ day, timed }) => (
+            <div
+              key={day.toDateString()}
+              className="relative border-l"
+              style={{ height: 24 * HOUR_PX }}
+              onDragOver={allowDrop}
+              onDrop={(e) => dropAt(e, day)}
+            >
+              {[...Array(24)].map((_, h) => (
+                <div key={h} className="absolute inset-x-0 border-t border-neutral-100" style={{ top: h * HOUR_PX }} />
+              ))}
+              {isSameDay(day, now) && (
+                <div className="absolute inset-x-0 border-t-2 border-red-400 z-10" style={{ top: (nowMinutes / 60) * HOUR_PX }} />
+              )}
+              {timed.map(({ entry, col, cols }) => (
+                <div
+                  key={entry.key}
+                  className={classNames(
+                    "absolute rounded-md border border-l-4 px-1.5 py-0.5 overflow-hidden cursor-pointer hover:shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-300",
+                    CATEGORY_COLORS[categoryOf(entry.task.category).color].badge,
+                    CATEGORY_COLORS[categoryOf(entry.task.category).color].bar
+                  )}
+                  style={{
+                    top: (entry.start! / 60) * HOUR_PX,
+                    height: Math.max(((entry.end! - entry.start!) / 60) * HOUR_PX, 20),
+                    left: `${(col / cols) * 100}%`,
+                    width: `${100 / cols}%`,
+                  }}
+                  title={`${formatTime(minutesToTime(entry.start!))}–${formatTime(minutesToTime(entry.end!))}`}
+                  onClick={() => onOpen(entry.task)}
+                  {...movable(entry, day)}
+                >
+                  <div className="text-[10px]">{formatTime(minutesToTime(entry.start!))}</div>
+                  {label(entry)}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Modal({ children, onClose, title = "Task" }: { children: React.ReactNode; onClose: () => void; title?: string }) {
+  useEffect(() => {
+    function handler(e: KeyboardEvent) { if (e.key === "Escape") onClose(); }
+    window.addEventListener("keydown", handler);
+    return () => window.removeEventListener("keydown", handler);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl overflow-hidden" role="dialog" aria-modal="true" aria-label={title} onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between px-4 py-3 border-b">
+          <div className="font-semibold">{title}</div>
+          <button className="p-2 rounded-lg hover:bg-neutral-100" onClick={onClose}><X className="h-4 w-4"/></button>
+        </div>
+        <div className="p-4">
+          {children}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function TaskForm({ initial, categories, contacts, tasks, files, stagesFor, interactions, onLogInteraction, onRemoveInteraction, onSave, onCancel }: {
+  initial: Task;
+  categories: CategoryDef[];
+  contacts: Contact[];
+  tasks: Task[]; // for picking blockers
+  files: AttachmentStore;
+  stagesFor: (category: Category) => Stage[];
+  interactions: Interaction[];
+  onLogInteraction: (entry: Interaction) => void;
+  onRemoveInteraction: (id: string) => void;
+  onSave: (task: Task) => void;
+  onCancel: () => void;
+}) {
+  const [task, setTask] = useState<Task>({ ...initial });
+  const [nsText, setNsText] = useState("");
+  const [nsDate, setNsDate] = useState<string>("");
+  const [loggingStepId, setLoggingStepId] = useState<string | null>(null);
+  const [remindersForStep, setRemindersForStep] = useState<string | null>(null);
+  const [nsRecurrence, setNsRecurrence] = useState<Recurrence | undefined>(undefined);
+  const [nsTime, setNsTime] = useState<{ startTime?: string; endTime?: string }>({});
+  const [nsPlan, setNsPlan] = useState<{ priority?: Priority; effort?: number }>({});
+  const [dependencyError, setDependencyError] = useState("");
+  const [previewDescription, setPreviewDescription] = useState(false);
+  const [attachError, setAttachError] = useState("");
+  const blockedBy = task.blockedBy || [];
+  const dependents = tasks.filter((t) => t.blockedBy?.includes(task.id));
+
+  function addNextStep() {
+    if (!nsText.trim()) return;
+    // A repeating step needs a first occurrence to anchor on
+    const dueDate = nsDate || (nsRecurrence ? toISODate(new Date()) : undefined);
+    const ns: NextStep = { id: uid(), text: nsText.trim(), dueDate, recurrence: nsRecurrence, ...nsTime, ...nsPlan };
+    setTask((t) => ({ ...t, nextSteps: [...(t.nextSteps || []), ns] }));
+    setNsText("");
+    setNsDate("");
+    setNsRecurrence(undefined);
+    setNsTime({});
+    setNsPlan({});
+  }
+
+  function removeNextStep(id: string) {
+    setTask((t) => ({ ...t, nextSteps: t.nextSteps.filter((n) => n.id !== id) }));
+  }
+
+  function toggleStepDone(id: string) {
+    const step = task.nextSteps.find((n) => n.id === id);
+    if (!step) return;
+    setTask((t) => ({ ...t, nextSteps: t.nextSteps.map((n) => (n.id === id ? setStepDone(n, !n.done) : n)) }));
+    // Offer to record the finished step so it outlives the step itself
+    setLoggingStepId(step.done ? null : id);
+  }
+
+  function log(entry: Interaction) {
+    onLogInteraction({ ...entry, taskId: task.id, contactIds: task.contactIds?.length ? task.contactIds : undefined });
+  }
+
+  async function attach(list: FileList | null) {
+    const picked = Array.from(list || []);
+    const tooBig = picked.filter((f) => f.size > MAX_ATTACHMENT_BYTES);
+    setAttachError(tooBig.length ? `${tooBig.map((f) => f.name).join(", ")}: larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB` : "");
+    for (const file of picked.filter((f) => f.size <= MAX_ATTACHMENT_BYTES)) {
+      const attachment: Attachment = { id: uid(), name: file.name, type: file.type, size: file.size, addedAt: new Date().toISOString() };
+      try {
+        await files.put(attachment.id, file);
+      } catch (err) {
+        setAttachError(`${file.name} couldn't be saved: ${String(err)}`);
+        continue;
+      }
+      setTask((t) => ({ ...t, attachments: [...(t.attachments || []), attachment] }));
+    }
+  }
+
+  // The file itself stays until the next start so undo can bring it back
+  function detach(id: string) {
+    setTask((t) => {
+      const rest = (t.attachments || []).filter((a) => a.id !== id);
+      return { ...t, attachments: rest.length ? rest : undefined };
+    });
+  }
+
+  function moveNextStep(id: string, delta: number) {
+    setTask((t) => ({ ...t, nextSteps: moveInList(t.nextSteps, t.nextSteps.findIndex((n) => n.id === id), delta) }));
+  }
+
+  function cycleError(ids: string[]) {
+    const cycle = dependencyCycle(tasks, task.id, ids);
+    if (!cycle) return "";
+    const title = (id: string) => (id === task.id ? task.title || "This task" : tasks.find((t) => t.id === id)?.title || "a deleted task");
+    return `That would be a circular dependency: ${cycle.map(title).join(" → ")}`;
+  }
+
+  function addBlocker(id: string) {
+    const error = cycleError([...blockedBy, id]);
+    setDependencyError(error);
+    if (!error) setTask((t) => ({ ...t, blockedBy: [...(t.blockedBy || []), id] }));
+  }
+
+  function removeBlocker(id: string) {
+    setDependencyError("");
+    setTask((t) => {
+      const rest = (t.blockedBy || []).filter((b) => b !== id);
+      return { ...t, blockedBy: rest.length ? rest : undefined };
+    });
+  }
+
+  function toggleContact(id: string) {
+    setTask((t) => {
+      const ids = t.contactIds || [];
+      return { ...t, contactIds: ids.includes(id) ? ids.filter((c) => c !== id) : [...ids, id] };
+    });
+  }
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        // Other tasks may have changed since a blocker was picked
+        const error = cycleError(blockedBy);
+        if (error) return setDependencyError(error);
+        const clean: Task = {
+          ...task,
+          title: task.title.trim(),
+          description: (task.description || "").trim(),
+          dueDate: task.dueDate || (task.recurrence ? toISODate(new Date()) : undefined),
+        };
+        onSave(clean);
+      }}
+      className="space-y-4"
+    >
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="text-xs text-neutral-500">Title</label>
+          <input
+            className="w-full px-3 py-2 rounded-xl border border-neutral-200"
+            value={task.title}
+            onChange={(e) => setTask({ ...task, title: e.target.value })}
+            required
+          />
+        </div>
+        <div>
+          <label className="text-xs text-neutral-500">Category</label>
+          <select
+            className="w-full px-3 py-2 rounded-xl border border-neutral-200 bg-white"
+            value={task.category}
+            onChange={(e) => setTask({ ...task, category: e.target.value as Category })}
+          >
+            {categories
+              .filter((c) => !c.archived || c.id === initial.category)
+              .map((c) => (
+                <option key={c.id} value={c.id}>{c.name}</option>
+              ))}
+          </select>
+        </div>
+        <div>
+          <label className="text-xs text-neutral-500">Stage</label>
+          <select
+            className="w-full px-3 py-2 rounded-xl border border-neutral-200 bg-white"
+            value={stageOf(task, stagesFor(task.category)).id}
+            onChange={(e) => {
+              const stage = stagesFor(task.category).find((s) => s.id === e.target.value)!;
+              setTask({ ...task, stageId: stage.id, status: stage.status });
+            }}
+          >
+            {stagesFor(task.category).map((s) => (
+              <option key={s.id} value={s.id}>{s.name === s.status ? s.name : `${s.name} (${s.status})`}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="text-xs text-neutral-500">Due Date</label>
+          <input
+            type="date"
+            className="w-full px-3 py-2 rounded-xl border border-neutral-200"
+            value={task.dueDate || ""}
+            onChange={(e) => setTask({ ...task, dueDate: e.target.value })}
+          />
+        </div>
+        <div>
+          <label className="text-xs text-neutral-500">Priority</label>
+          <PrioritySelect value={task.priority} onChange={(priority) => setTask((t) => ({ ...t, priority }))} />
+        </div>
+        <div>
+          <label className="text-xs text-neutral-500">Effort</label>
+          <EffortSelect value={task.effort} onChange={(effort) => setTask((t) => ({ ...t, effort }))} />
+        </div>
+        <div className="md:col-span-2">
+          <label className="text-xs text-neutral-500">Time</label>
+          <TimeRangeInput
+            value={task}
+            onChange={(range) => setTask((t) => ({ ...t, ...range }))}
+          />
+        </div>
+        <div className="md:col-span-2">
+          <label className="text-xs text-neutral-500">Repeat</label>
+          <RecurrenceEditor
+            value={task.recurrence}
+            anchor={task.dueDate}
+            onChange={(recurrence) => setTask((t) => ({ ...t, recurrence }))}
+          />
+        </div>
+        <div className="md:col-span-2">
+          <label className="text-xs text-neutral-500">Reminders</label>
+          <ReminderEditor
+            value={task.reminders}
+            inherited={findCategory(categories, task.category).reminders || []}
+            onChange={(reminders) => setTask((t) => ({ ...t, reminders }))}
+          />
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center gap-2">
+          <label className="text-xs text-neutral-500">Description</label>
+          <div className="ml-auto flex text-xs">
+            {([["Write", false], ["Preview", true]] as const).map(([label, preview]) => (
               <button
-                key={c}
-                onClick={() => toggleCategory(c)}
-                className={classNames(
-                  "rounded-full px-3 py-1.5 text-xs font-medium border",
-                  activeCategories.includes(c)
-                    ? "bg-neutral-900 text-white border-neutral-900"
-                    : "bg-white text-neutral-700 border-neutral-200"
-                )}
+                key={label}
+                type="button"
+                className={classNames("px-2 py-0.5 rounded-lg", previewDescription === preview ? "bg-neutral-900 text-white" : "text-neutral-500 hover:text-neutral-900")}
+                onClick={() => setPreviewDescription(preview)}
               >
-                {c} ({metrics.counts[c] || 0})
+                {label}
               </button>
             ))}
-          </div>
-          <div className="flex items-center gap-2 flex-1">
-            <div className="relative w-full">
-              <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-neutral-400" />
+          </div>
+        </div>
+        {previewDescription ? (
+          <div className="w-full px-3 py-2 rounded-xl border border-neutral-200 min-h-[80px] text-sm">
+            {task.description?.trim() ? (
+              <Markdown source={task.description} onToggleCheck={(line) => setTask((t) => ({ ...t, description: toggleMarkdownCheckbox(t.description || "", line) }))} />
+            ) : (
+              <span className="text-neutral-400">Nothing to preview.</span>
+            )}
+          </div>
+        ) : (
+          <textarea
+            className="w-full px-3 py-2 rounded-xl border border-neutral-200 min-h-[80px]"
+            value={task.description}
+            onChange={(e) => setTask({ ...task, description: e.target.value })}
+            placeholder="Notes, details, links… Markdown works: **bold**, [link](https://…), - [ ] to-do"
+          />
+        )}
+      </div>
+
+      <div
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={(e) => {
+          e.preventDefault();
+          attach(e.dataTransfer.files);
+        }}
+      >
+        <div className="flex items-center gap-2">
+          <label className="text-xs text-neutral-500">Attachments</label>
+          <label className="ml-auto inline-flex items-center gap-1 px-2 py-1 rounded-lg border bg-white hover:bg-neutral-50 text-xs cursor-pointer">
+            <Paperclip className="h-3.5 w-3.5" /> Attach files
+            <input type="file" multiple className="hidden" onChange={(e) => {
+              attach(e.target.files);
+              e.currentTarget.value = "";
+            }} />
+          </label>
+        </div>
+        {!files.persistent && (
+          <div className="mt-1 text-xs text-amber-700">This browser has no IndexedDB, so attached files are lost when the tab closes.</div>
+        )}
+        {attachError && <div className="mt-1 text-xs text-red-600">{attachError}</div>}
+        {task.attachments?.length ? (
+          <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {task.attachments.map((a) => (
+              <AttachmentPreview key={a.id} attachment={a} files={files} onRemove={() => detach(a.id)} />
+            ))}
+          </div>
+        ) : (
+          <div className="mt-1 text-xs text-neutral-400">Drop files here, e.g. a proposal PDF or photos.</div>
+        )}
+      </div>
+
+      <div>
+        <label className="text-xs text-neutral-500">People</label>
+        <div className="flex items-center gap-2 flex-wrap mt-1">
+          {contacts.map((c) => (
+            <button
+              key={c.id}
+              type="button"
+              onClick={() => toggleContact(c.id)}
+              className={classNames(
+                "rounded-full px-3 py-1 text-xs border",
+                (task.contactIds || []).includes(c.id)
+                  ? "bg-neutral-900 text-white border-neutral-900"
+                  : "bg-white text-neutral-700 border-neutral-200"
+              )}
+            >
+              {c.name}
+            </button>
+          ))}
+          {!contacts.length && <span className="text-xs text-neutral-400">No contacts yet.</span>}
+        </div>
+      </div>
+
+      <div>
+        <label className="text-xs text-neutral-500">Blocked by</label>
+        <div className="flex items-center gap-2 flex-wrap mt-1">
+          {blockedBy.map((id) => {
+            const blocker = tasks.find((t) => t.id === id);
+            return (
+              <span key={id} className={classNames(
+                "inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs",
+                blocker && blocker.status !== "Completed" ? "border-orange-300 bg-orange-50 text-orange-800" : "border-neutral-200 text-neutral-400 line-through"
+              )}>
+                <Lock className="h-3 w-3" /> {blocker?.title || "Deleted task"}
+                <button type="button" className="hover:text-neutral-900" onClick={() => removeBlocker(id)} title="Remove"><X className="h-3 w-3" /></button>
+              </span>
+            );
+          })}
+          <select
+            className="px-2 py-1 rounded-lg border border-neutral-200 bg-white text-xs"
+            value=""
+            onChange={(e) => e.target.value && addBlocker(e.target.value)}
+          >
+            <option value="">Add a task this waits on…</option>
+            {tasks
+              .filter((t) => t.id !== task.id && t.status !== "Completed" && !blockedBy.includes(t.id))
+              .sort((a, b) => a.title.localeCompare(b.title))
+              .map((t) => (
+                <option key={t.id} value={t.id}>{t.title}</option>
+              ))}
+          </select>
+        </div>
+        {dependencyError && <div className="mt-1 text-xs text-red-600">{dependencyError}</div>}
+        {dependents.length > 0 && (
+          <div className="mt-1 text-xs text-neutral-500">Blocks: {dependents.map((t) => t.title).join(", ")}</div>
+        )}
+      </div>
+
+      <div className="border rounded-2xl p-3">
+        <div className="text-sm font-semibold mb-2">Checklist</div>
+        <ChecklistEditor items={task.checklist || []} onChange={(checklist) => setTask((t) => ({ ...t, checklist: checklist.length ? checklist : undefined }))} />
+      </div>
+
+      {/* Next Steps */}
+      <div className="border rounded-2xl p-3">
+        <div className="text-sm font-semibold mb-2">Next steps</div>
+        <div className="grid grid-cols-1 md:grid-cols-6 gap-2">
+          <input
+            className="md:col-span-4 px-3 py-2 rounded-xl border border-neutral-200"
+            placeholder="Add a next step (e.g., Call Julie)"
+            value={nsText}
+            onChange={(e) => setNsText(e.target.value)}
+          />
+          <input
+            type="date"
+            className="md:col-span-1 px-3 py-2 rounded-xl border border-neutral-200"
+            value={nsDate}
+            onChange={(e) => setNsDate(e.target.value)}
+          />
+          <button type="button" onClick={addNextStep} className="md:col-span-1 px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">Add</button>
+        </div>
+        <div className="mt-2 flex items-center gap-2 flex-wrap">
+          <TimeRangeInput value={nsTime} onChange={setNsTime} />
+          <RecurrenceEditor value={nsRecurrence} anchor={nsDate} onChange={setNsRecurrence} />
+          <PrioritySelect compact value={nsPlan.priority} onChange={(priority) => setNsPlan((p) => ({ ...p, priority }))} />
+          <EffortSelect compact value={nsPlan.effort} onChange={(effort) => setNsPlan((p) => ({ ...p, effort }))} />
+        </div>
+        <ul className="mt-3 space-y-2">
+          {task.nextSteps.map((n, i) => (
+            <li key={n.id} className="text-sm bg-neutral-50 border border-neutral-200 rounded-xl px-3 py-2">
+              <div className="flex items-center justify-between">
+                <label className="flex items-center gap-2">
+                  <input type="checkbox" checked={!!n.done} onChange={() => toggleStepDone(n.id)} />
+                  <div>
+                    <div className={classNames("font-medium", n.done && "line-through text-neutral-400")}>
+                      {n.priority && <PriorityBadge priority={n.priority} />} {n.text}
+                    </div>
+                    <div className="text-xs text-neutral-500">
+                      {n.done ? `Done ${formatDateTime(n.completedAt)}` : n.dueDate ? `Due ${formatDateShort(n.dueDate)}` : "No date"}
+                      {!n.done && n.startTime && ` · ${formatTime(n.startTime)}`}
+                      {n.recurrence && ` · ${describeRecurrence(n.recurrence)}`}
+                      {n.effort && ` · ${formatEffort(n.effort)}`}
+                    </div>
+                  </div>
+                </label>
+                <div className="flex items-center gap-1">
+                  {!n.done && (
+                    <PrioritySelect
+                      compact
+                      value={n.priority}
+                      onChange={(priority) => setTask((t) => ({ ...t, nextSteps: t.nextSteps.map((s) => (s.id === n.id ? { ...s, priority } : s)) }))}
+                    />
+                  )}
+                  {n.dueDate && !n.done && (
+                    <button
+                      type="button"
+                      className={classNames("p-1 rounded hover:bg-neutral-100", n.reminders && "text-blue-600")}
+                      onClick={() => setRemindersForStep(remindersForStep === n.id ? null : n.id)}
+                      title="Reminders"
+                    >
+                      <Bell className="h-4 w-4"/>
+                    </button>
+                  )}
+                  <button type="button" className="p-1 rounded hover:bg-neutral-100 disabled:opacity-30" disabled={i === 0} onClick={() => moveNextStep(n.id, -1)} title="Move up"><ArrowUp className="h-4 w-4"/></button>
+                  <button type="button" className="p-1 rounded hover:bg-neutral-100 disabled:opacity-30" disabled={i === task.nextSteps.length - 1} onClick={() => moveNextStep(n.id, 1)} title="Move down"><ArrowDown className="h-4 w-4"/></button>
+                  <button type="button" className="p-1 rounded hover:bg-neutral-100" onClick={() => removeNextStep(n.id)}><Trash2 className="h-4 w-4"/></button>
+                </div>
+              </div>
+              {remindersForStep === n.id && (
+                <div className="mt-2">
+                  <ReminderEditor
+                    value={n.reminders}
+                    inherited={findCategory(categories, task.category).reminders || []}
+                    onChange={(reminders) => setTask((t) => ({ ...t, nextSteps: t.nextSteps.map((s) => (s.id === n.id ? { ...s, reminders } : s)) }))}
+                  />
+                </div>
+              )}
+              {loggingStepId === n.id && (
+                <div className="mt-2">
+                  <div className="text-xs text-neutral-500 mb-1">Log this as an interaction?</div>
+                  <InteractionForm
+                    defaults={{ type: guessInteractionType(n.text), summary: n.text, nextStepId: n.id }}
+                    onSave={(entry) => { log(entry); setLoggingStepId(null); }}
+                    onCancel={() => setLoggingStepId(null)}
+                  />
+                </div>
+              )}
+            </li>
+          ))}
+          {!task.nextSteps.length && (
+            <li className="text-xs text-neutral-400">No next steps yet.</li>
+          )}
+        </ul>
+      </div>
+
+      {/* Activity */}
+      <div className="border rounded-2xl p-3">
+        <div className="text-sm font-semibold mb-2">Activity</div>
+        <InteractionForm onSave={log} />
+        <InteractionTimeline items={interactions} onRemove={onRemoveInteraction} />
+      </div>
+
+      <div className="flex items-center justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">Cancel</button>
+        <button type="submit" className="px-3 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700 text-sm">Save Task</button>
+      </div>
+    </form>
+  );
+}
+
+function ContactsView({ contacts, tasks, categoryOf, selectedId, onSelect, onAdd, onEdit, onRemove, onMarkContacted, onEditTask, interactions, onLogInteraction, onRemoveInteraction }: {
+  contacts: Contact[];
+  tasks: Task[];
+  categoryOf: (id: Category) => CategoryDef;
+  selectedId: string | null;
+  onSelect: (id: string) => void;
+  onAdd: () => void;
+  onEdit: (contact: Contact) => void;
+  onRemove: (id: string) => void;
+  onMarkContacted: (contact: Contact) => void;
+  onEditTask: (task: Task) => void;
+  interactions: Interaction[];
+  onLogInteraction: (entry: Interaction) => void;
+  onRemoveInteraction: (id: string) => void;
+}) {
+  const [q, setQ] = useState("");
+  const list = useMemo(() => {
+    const needle = q.trim().toLowerCase();
+    const matches = needle
+      ? contacts.filter((c) =>
+          [c.name, c.company, c.email, ...c.tags].some((v) => (v || "").toLowerCase().includes(needle))
+        )
+      : contacts;
+    return [...matches].sort((a, b) => a.name.localeCompare(b.name));
+  }, [contacts, q]);
+
+  const selected = contacts.find((c) => c.id === selectedId) || null;
+  const linked = selected ? tasks.filter((t) => (t.contactIds || []).includes(selected.id)) : [];
+  const steps = linked
+    .flatMap((t) => t.nextSteps.map((n) => ({ step: n, task: t })))
+    .sort((a, b) => (a.step.dueDate || "9999").localeCompare(b.step.dueDate || "9999"));
+  const history = selected ? interactions.filter((i) => (i.contactIds || []).includes(selected.id)) : [];
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className="bg-white rounded-2xl border border-neutral-200 shadow-sm overflow-hidden">
+        <div className="px-4 py-3 border-b border-neutral-100 flex items-center justify-between">
+          <h3 className="text-sm font-semibold">Contacts</h3>
+          <button className="inline-flex items-center gap-1 text-xs px-2 py-1 rounded-lg border hover:bg-neutral-50" onClick={onAdd}>
+            <Plus className="h-3.5 w-3.5" /> Add
+          </button>
+        </div>
+        <div className="p-3 space-y-2">
+          <input
+            className="w-full px-3 py-2 rounded-xl border border-neutral-200 text-sm"
+            placeholder="Search people…"
+            value={q}
+            onChange={(e) => setQ(e.target.value)}
+          />
+          <ul className="space-y-1">
+            {list.map((c) => (
+              <li key={c.id}>
+                <button
+                  className={classNames(
+                    "w-full text-left rounded-xl px-3 py-2 text-sm border",
+                    c.id === selectedId ? "border-neutral-900" : "border-transparent hover:bg-neutral-50"
+                  )}
+                  onClick={() => onSelect(c.id)}
+                >
+                  <div className="font-medium">{c.name}</div>
+                  <div className="text-xs text-neutral-500">
+                    {c.company || "—"} · last contacted {formatDateShort(c.lastContacted)}
+                  </div>
+                </button>
+              </li>
+            ))}
+            {!list.length && <li className="text-xs text-neutral-400">No contacts found.</li>}
+          </ul>
+        </div>
+      </div>
+
+      <div className="md:col-span-2 bg-white rounded-2xl border border-neutral-200 shadow-sm p-4">
+        {!selected ? (
+          <p className="text-sm text-neutral-400">Select a contact to see their tasks and next steps.</p>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex items-start justify-between gap-2">
+              <div>
+                <div className="text-lg font-semibold">{selected.name}</div>
+                {selected.company && <div className="text-sm text-neutral-500">{selected.company}</div>}
+              </div>
+              <div className="flex items-center gap-1">
+                <button className="text-xs px-2 py-1 rounded-lg border hover:bg-neutral-50" onClick={() => onMarkContacted(selected)}>
+                  Contacted today
+                </button>
+                <button className="p-1 rounded hover:bg-neutral-100" onClick={() => onEdit(selected)} title="Edit"><Edit3 className="h-4 w-4"/></button>
+                <button className="p-1 rounded hover:bg-neutral-100" onClick={() => onRemove(selected.id)} title="Delete"><Trash2 className="h-4 w-4"/></button>
+              </div>
+            </div>
+            <div className="flex items-center gap-3 flex-wrap text-sm">
+              {selected.phone && (
+                <a className="inline-flex items-center gap-1 text-blue-700 hover:underline" href={`tel:${selected.phone}`}><Phone className="h-3.5 w-3.5"/>{selected.phone}</a>
+              )}
+              {selected.email && (
+                <a className="inline-flex items-center gap-1 text-blue-700 hover:underline" href={`mailto:${selected.email}`}><Mail className="h-3.5 w-3.5"/>{selected.email}</a>
+              )}
+              <span className="inline-flex items-center gap-1 text-xs text-neutral-500"><Clock className="h-3 w-3"/>last contacted {formatDateShort(selected.lastContacted)}</span>
+            </div>
+            {!!selected.tags.length && (
+              <div className="flex items-center gap-2 flex-wrap">
+                {selected.tags.map((tag) => (
+                  <span key={tag} className="inline-flex items-center rounded-full border px-2 py-0.5 text-[11px]">{tag}</span>
+                ))}
+              </div>
+            )}
+            {selected.notes && <p className="text-sm text-neutral-700 whitespace-pre-wrap">{selected.notes}</p>}
+
+            <div>
+              <div className="text-sm font-semibold mb-2">Tasks ({linked.length})</div>
+              <ul className="space-y-1">
+                {linked.map((t) => (
+                  <li key={t.id}>
+                    <button className="w-full text-left text-sm flex items-center gap-2 rounded-lg px-2 py-1 hover:bg-neutral-50" onClick={() => onEditTask(t)}>
+                      <CategoryBadge category={categoryOf(t.category)} />
+                      <span className="font-medium">{t.title}</span>
+                      <span className="text-neutral-500 text-xs">({t.status}) · due {formatDateShort(t.dueDate)}</span>
+                    </button>
+                  </li>
+                ))}
+                {!linked.length && <li className="text-xs text-neutral-400">No tasks linked to this person.</li>}
+              </ul>
+            </div>
+
+            <div>
+              <div className="text-sm font-semibold mb-2">Next steps ({steps.length})</div>
+              <ul className="space-y-1">
+                {steps.map(({ step, task }) => (
+                  <li key={step.id} className="text-sm flex items-center gap-2">
+                    <span className={classNames("font-medium", step.done && "line-through text-neutral-400")}>{step.text}</span>
+                    <span className="text-neutral-500 text-xs">· {formatDateShort(step.dueDate)} · {task.title}</span>
+                  </li>
+                ))}
+                {!steps.length && <li className="text-xs text-neutral-400">No next steps involving this person.</li>}
+              </ul>
+            </div>
+
+            <div>
+              <div className="text-sm font-semibold mb-2">Activity</div>
+              <InteractionForm
+                key={selected.id}
+                onSave={(entry) => onLogInteraction({ ...entry, contactIds: [selected.id] })}
+              />
+              <InteractionTimeline items={history} tasks={tasks} onRemove={onRemoveInteraction} />
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ContactForm({ initial, onSave, onCancel }: { initial: Contact; onSave: (contact: Contact) => void; onCancel: () => void }) {
+  const [contact, setContact] = useState<Contact>({ ...initial });
+  const [tagText, setTagText] = useState(initial.tags.join(", "));
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        const clean: Contact = {
+          ...contact,
+          name: contact.name.trim(),
+          company: (contact.company || "").trim() || undefined,
+          phone: (contact.phone || "").trim() || undefined,
+          email: (contact.email || "").trim() || undefined,
+          vehicle: (contact.vehicle || "").trim() || undefined,
+          notes: (contact.notes || "").trim() || undefined,
+          tags: tagText.split(",").map((t) => t.trim()).filter(Boolean),
+          lastContacted: contact.lastContacted || undefined,
+        };
+        onSave(clean);
+      }}
+      className="space-y-4"
+    >
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="text-xs text-neutral-500">Name</label>
+          <input
+            className="w-full px-3 py-2 rounded-xl border border-neutral-200"
+            value={contact.name}
+            onChange={(e) => setContact({ ...contact, name: e.target.value })}
+            required
+          />
+        </div>
+        <div>
+          <label className="text-xs text-neutral-500">Company</label>
+          <input
+            className="w-full px-3 py-2 rounded-xl border border-neutral-200"
+            value={contact.company || ""}
+            onChange={(e) => setContact({ ...contact, company: e.target.value })}
+          />
+        </div>
+        <div>
+          <label className="text-xs text-neutral-500">Phone</label>
+          <input
+            type="tel"
+            className="w-full px-3 py-2 rounded-xl border border-neutral-200"
+            value={contact.phone || ""}
+            onChange={(e) => setContact({ ...contact, phone: e.target.value })}
+          />
+        </div>
+        <div>
+          <label className="text-xs text-neutral-500">Email</label>
+          <input
+            type="email"
+            className="w-full px-3 py-2 rounded-xl border border-neutral-200"
+            value={contact.email || ""}
+            onChange={(e) => setContact({ ...contact, email: e.target.value })}
+          />
+        </div>
+        <div>
+          <label className="text-xs text-neutral-500">Vehicle of interest</label>
+          <input
+            className="w-full px-3 py-2 rounded-xl border border-neutral-200"
+            placeholder="e.g. 2025 BMW X3"
+            value={contact.vehicle || ""}
+            onChange={(e) => setContact({ ...contact, vehicle: e.target.value })}
+          />
+        </div>
+        <div>
+          <label className="text-xs text-neutral-500">Tags (comma separated)</label>
+          <input
+            className="w-full px-3 py-2 rounded-xl border border-neutral-200"
+            value={tagText}
+            onChange={(e) => setTagText(e.target.value)}
+          />
+        </div>
+        <div>
+          <label className="text-xs text-neutral-500">Last Contacted</label>
+          <input
+            type="date"
+            className="w-full px-3 py-2 rounded-xl border border-neutral-200"
+            value={contact.lastContacted || ""}
+            onChange={(e) => setContact({ ...contact, lastContacted: e.target.value })}
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="text-xs text-neutral-500">Notes</label>
+        <textarea
+          className="w-full px-3 py-2 rounded-xl border border-neutral-200 min-h-[80px]"
+          value={contact.notes || ""}
+          onChange={(e) => setContact({ ...contact, notes: e.target.value })}
+        />
+      </div>
+
+      <div className="flex items-center justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">Cancel</button>
+        <button type="submit" className="px-3 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700 text-sm">Save Contact</button>
+      </div>
+    </form>
+  );
+}
+
+// Not a <form>: it is rendered inside TaskForm, and forms can't nest
+function InteractionForm({ defaults, onSave, onCancel }: {
+  defaults?: Partial<Interaction>;
+  onSave: (entry: Interaction) => void;
+  onCancel?: () => void;
+}) {
+  const [type, setType] = useState<InteractionType>(defaults?.type || "call");
+  const [at, setAt] = useState(toLocalInputValue(new Date()));
+  const [summary, setSummary] = useState(defaults?.summary || "");
+  const [outcome, setOutcome] = useState(defaults?.outcome || "");
+
+  function submit() {
+    if (!summary.trim()) return;
+    onSave({
+      ...defaults,
+      id: uid(),
+      type,
+      at: new Date(at).toISOString(),
+      summary: summary.trim(),
+      outcome: outcome.trim() || undefined,
+    });
+    setSummary("");
+    setOutcome("");
+    setAt(toLocalInputValue(new Date()));
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-6 gap-2">
+      <select
+        className="md:col-span-1 px-2 py-2 rounded-xl border border-neutral-200 bg-white text-sm"
+        value={type}
+        onChange={(e) => setType(e.target.value as InteractionType)}
+      >
+        {INTERACTION_TYPES.map((t) => (
+          <option key={t} value={t}>{t[0].toUpperCase() + t.slice(1)}</option>
+        ))}
+      </select>
+      <input
+        type="datetime-local"
+        className="md:col-span-2 px-3 py-2 rounded-xl border border-neutral-200 text-sm"
+        value={at}
+        onChange={(e) => setAt(e.target.value)}
+      />
+      <input
+        className="md:col-span-3 px-3 py-2 rounded-xl border border-neutral-200 text-sm"
+        placeholder="What happened? (e.g., Called Grace)"
+        value={summary}
+        onChange={(e) => setSummary(e.target.value)}
+      />
+      <input
+        className="md:col-span-4 px-3 py-2 rounded-xl border border-neutral-200 text-sm"
+        placeholder="Outcome (e.g., Left voicemail, wants quote Friday)"
+        value={outcome}
+        onChange={(e) => setOutcome(e.target.value)}
+      />
+      <div className="md:col-span-2 flex items-center gap-2">
+        <button type="button" onClick={submit} className="flex-1 px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">Log</button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">Skip</button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function InteractionTimeline({ items, tasks, onRemove }: { items: Interaction[]; tasks?: Task[]; onRemove: (id: string) => void }) {
+  const sorted = [...items].sort((a, b) => b.at.localeCompare(a.at));
+  return (
+    <ul className="mt-3 space-y-2">
+      {sorted.map((i) => {
+        const task = tasks?.find((t) => t.id === i.taskId);
+        return (
+          <li key={i.id} className="flex items-start justify-between gap-2 text-sm border-l-2 border-neutral-200 pl-3">
+            <div>
+              <div className="flex items-center gap-2">
+                <span className="inline-flex items-center rounded-full border px-2 py-0.5 text-[11px]">{i.type}</span>
+                <span className="font-medium">{i.summary}</span>
+              </div>
+              {i.outcome && <div className="text-xs text-neutral-700">{i.outcome}</div>}
+              <div className="text-xs text-neutral-500">
+                {formatDateTime(i.at)}{task && ` · ${task.title}`}
+              </div>
+            </div>
+            <button type="button" className="p-1 rounded hover:bg-neutral-100" onClick={() => onRemove(i.id)} title="Delete"><Trash2 className="h-4 w-4"/></button>
+          </li>
+        );
+      })}
+      {!sorted.length && <li className="text-xs text-neutral-400">No interactions logged yet.</li>}
+    </ul>
+  );
+}
+
+function RecurrenceEditor({ value, anchor, onChange }: {
+  value?: Recurrence;
+  anchor?: string; // ISO date the series starts on
+  onChange: (rule: Recurrence | undefined) => void;
+}) {
+  const start = anchor ? parseISODate(anchor) : new Date();
+  const ends = value?.until ? "until" : value?.count !== undefined ? "count" : "never";
+
+  function setFreq(freq: string) {
+    if (!freq) return onChange(undefined);
+    const rule: Recurrence = { freq: freq as RecurrenceFreq, until: value?.until, count: value?.count };
+    if (rule.freq === "weekly") rule.byDay = [start.getDay()];
+    if (rule.freq === "monthly") {
+      rule.nth = Math.ceil(start.getDate() / 7);
+      rule.weekday = start.getDay();
+    }
+    if (rule.freq === "custom") rule.interval = 2;
+    onChange(rule);
+  }
+
+  function toggleDay(day: number) {
+    if (!value) return;
+    const days = value.byDay || [];
+    const next = days.includes(day) ? days.filter((d) => d !== day) : [...days, day].sort((a, b) => a - b);
+    onChange({ ...value, byDay: next.length ? next : days });
+  }
+
+  return (
+    <div className="flex items-center gap-2 flex-wrap text-sm">
+      <select
+        className="px-3 py-2 rounded-xl border border-neutral-200 bg-white"
+        value={value?.freq || ""}
+        onChange={(e) => setFreq(e.target.value)}
+      >
+        <option value="">Does not repeat</option>
+        <option value="daily">Daily</option>
+        <option value="weekdays">Every weekday</option>
+        <option value="weekly">Weekly on…</option>
+        <option value="monthly">Monthly on the nth weekday</option>
+        <option value="custom">Every N days</option>
+      </select>
+
+      {value?.freq === "weekly" && (
+        <div className="flex items-center gap-1">
+          {WEEKDAY_SHORT.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleDay(day)}
+              className={classNames(
+                "rounded-full px-2 py-1 text-xs border",
+                (value.byDay || []).includes(day) ? "bg-neutral-900 text-white border-neutral-900" : "bg-white border-neutral-200"
+              )}
+            >
+              {label[0]}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {value?.freq === "monthly" && (
+        <>
+          <select
+            className="px-2 py-2 rounded-xl border border-neutral-200 bg-white"
+            value={value.nth ?? 1}
+            onChange={(e) => onChange({ ...value, nth: Number(e.target.value) })}
+          >
+            {[1, 2, 3, 4, -1].map((n) => (
+              <option key={n} value={n}>{NTH_LABELS[n]}</option>
+            ))}
+          </select>
+          <select
+            className="px-2 py-2 rounded-xl border border-neutral-200 bg-white"
+            value={value.weekday ?? start.getDay()}
+            onChange={(e) => onChange({ ...value, weekday: Number(e.target.value) })}
+          >
+            {WEEKDAY_SHORT.map((label, day) => (
+              <option key={label} value={day}>{label}</option>
+            ))}
+          </select>
+        </>
+      )}
+
+      {(value?.freq === "custom" || value?.freq === "weekly") && (
+        <label className="inline-flex items-center gap-1 text-xs text-neutral-500">
+          every
+          <input
+            type="number"
+            min={1}
+            className="w-16 px-2 py-1.5 rounded-xl border border-neutral-200"
+            value={value.interval || 1}
+            onChange={(e) => onChange({ ...value, interval: Math.max(1, Number(e.target.value) || 1) })}
+          />
+          {value.freq === "custom" ? "days" : "weeks"}
+        </label>
+      )}
+
+      {value && (
+        <>
+          <select
+            className="px-2 py-2 rounded-xl border border-neutral-200 bg-white"
+            value={ends}
+            onChange={(e) => {
+              const mode = e.target.value;
+              onChange({
+                ...value,
+                until: mode === "until" ? value.until || toISODate(addDays(start, 30)) : undefined,
+                count: mode === "count" ? value.count ?? 10 : undefined,
+              });
+            }}
+          >
+            <option value="never">Never ends</option>
+            <option value="until">Ends on</option>
+            <option value="count">Ends after</option>
+          </select>
+          {ends === "until" && (
+            <input
+              type="date"
+              className="px-3 py-2 rounded-xl border border-neutral-200"
+              value={value.until || ""}
+              onChange={(e) => onChange({ ...value, until: e.target.value || undefined })}
+            />
+          )}
+          {ends === "count" && (
+            <label className="inline-flex items-center gap-1 text-xs text-neutral-500">
               <input
-                className="w-full pl-9 pr-3 py-2 rounded-xl border border-neutral-200 bg-white text-sm focus:outline-none focus:ring-2 focus:ring-neutral-300"
-                placeholder="Search title, description, or next steps…"
-                value={query}
-                onChange={(e) => setQuery(e.target.value)}
+                type="number"
+                min={1}
+                className="w-16 px-2 py-1.5 rounded-xl border border-neutral-200"
+                value={value.count ?? 1}
+                onChange={(e) => onChange({ ...value, count: Math.max(1, Number(e.target.value) || 1) })}
               />
+              occurrences
+            </label>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Start time plus a duration shortcut; the end time is what gets stored
+function TimeRangeInput({ value, onChange }: {
+  value: { startTime?: string; endTime?: string };
+  onChange: (range: { startTime?: string; endTime?: string }) => void;
+}) {
+  const range = timeRange(value);
+  const duration = range.start !== undefined ? range.end! - range.start : DEFAULT_DURATION_MINUTES;
+
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <input
+        type="time"
+        className="px-3 py-2 rounded-xl border border-neutral-200"
+        value={value.startTime || ""}
+        onChange={(e) => {
+          const startTime = e.target.value || undefined;
+          onChange({ startTime, endTime: startTime ? minutesToTime(timeToMinutes(startTime) + duration) : undefined });
+        }}
+      />
+      {value.startTime && (
+        <>
+          <select
+            className="px-2 py-2 rounded-xl border border-neutral-200 bg-white"
+            value={DURATION_OPTIONS.includes(duration) ? duration : ""}
+            onChange={(e) => {
+              if (!e.target.value) return;
+              onChange({ ...value, endTime: minutesToTime(timeToMinutes(value.startTime!) + Number(e.target.value)) });
+            }}
+          >
+            {!DURATION_OPTIONS.includes(duration) && <option value="">{duration} min</option>}
+            {DURATION_OPTIONS.map((m) => (
+              <option key={m} value={m}>{m < 60 ? `${m} min` : `${m / 60} h`}</option>
+            ))}
+          </select>
+          <span className="text-xs text-neutral-500">until</span>
+          <input
+            type="time"
+            className="px-3 py-2 rounded-xl border border-neutral-200"
+            value={value.endTime || ""}
+            onChange={(e) => onChange({ ...value, endTime: e.target.value || undefined })}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+function StageEditor({ initial, onSave, onCancel, onReset }: {
+  initial: Stage[];
+  onSave: (stages: Stage[]) => void;
+  onCancel: () => void;
+  onReset: () => void;
+}) {
+  const [stages, setStages] = useState<Stage[]>(initial.map((s) => ({ ...s })));
+
+  function update(id: string, patch: Partial<Stage>) {
+    setStages((prev) => prev.map((s) => (s.id === id ? { ...s, ...patch } : s)));
+  }
+
+  function move(idx: number, dir: -1 | 1) {
+    setStages((prev) => {
+      const next = [...prev];
+      const target = idx + dir;
+      if (target < 0 || target >= next.length) return prev;
+      [next[idx], next[target]] = [next[target], next[idx]];
+      return next;
+    });
+  }
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        const clean = stages
+          .map((s) => ({ ...s, name: s.name.trim() }))
+          .filter((s) => s.name);
+        if (clean.length) onSave(clean);
+      }}
+      className="space-y-4"
+    >
+      <p className="text-xs text-neutral-500">
+        Each stage counts as a status everywhere else in the app. Tasks in a removed stage move to the first stage with the same status.
+      </p>
+      <ul className="space-y-2">
+        {stages.map((s, idx) => (
+          <li key={s.id} className="grid grid-cols-12 gap-2 items-center">
+            <input
+              className="col-span-5 px-3 py-2 rounded-xl border border-neutral-200 text-sm"
+              value={s.name}
+              onChange={(e) => update(s.id, { name: e.target.value })}
+              required
+            />
+            <select
+              className="col-span-3 px-2 py-2 rounded-xl border border-neutral-200 bg-white text-sm"
+              value={s.status}
+              onChange={(e) => update(s.id, { status: e.target.value as Status })}
+            >
+              {STATUSES.map((st) => (
+                <option key={st} value={st}>{st}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min={0}
+              placeholder="WIP"
+              title="Work-in-progress limit (blank for none)"
+              className="col-span-2 px-2 py-2 rounded-xl border border-neutral-200 text-sm"
+              value={s.wipLimit ?? ""}
+              onChange={(e) => update(s.id, { wipLimit: Number(e.target.value) || undefined })}
+            />
+            <div className="col-span-2 flex items-center justify-end">
+              <button type="button" className="p-1 rounded hover:bg-neutral-100" onClick={() => move(idx, -1)} title="Move up"><ArrowUp className="h-4 w-4"/></button>
+              <button type="button" className="p-1 rounded hover:bg-neutral-100" onClick={() => move(idx, 1)} title="Move down"><ArrowDown className="h-4 w-4"/></button>
+              <button
+                type="button"
+                className="p-1 rounded hover:bg-neutral-100 disabled:opacity-30"
+                disabled={stages.length <= 1}
+                onClick={() => setStages((prev) => prev.filter((p) => p.id !== s.id))}
+                title="Remove"
+              >
+                <Trash2 className="h-4 w-4"/>
+              </button>
             </div>
-            <div className="flex items-center gap-2">
+          </li>
+        ))}
+      </ul>
+      <button
+        type="button"
+        className="inline-flex items-center gap-1 text-xs px-2 py-1 rounded-lg border hover:bg-neutral-50"
+        onClick={() => setStages((prev) => [...prev, { id: uid(), name: "", status: "Active" }])}
+      >
+        <Plus className="h-3.5 w-3.5" /> Add stage
+      </button>
+
+      <div className="flex items-center justify-between gap-2">
+        <button type="button" onClick={onReset} className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">Reset to defaults</button>
+        <div className="flex items-center gap-2">
+          <button type="button" onClick={onCancel} className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">Cancel</button>
+          <button type="submit" className="px-3 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700 text-sm">Save Stages</button>
+        </div>
+      </div>
+    </form>
+  );
+}
+
+// Edits apply immediately; deleting a category that still has tasks asks where they go
+function CategoryManager({ categories, counts, onChange, onDelete }: {
+  categories: CategoryDef[];
+  counts: Record<Category, number>;
+  onChange: (categories: CategoryDef[]) => void;
+  onDelete: (id: Category, reassignTo: Category | null) => void;
+}) {
+  const [newName, setNewName] = useState("");
+  const [deleting, setDeleting] = useState<Category | null>(null);
+  const [reassignTo, setReassignTo] = useState<string>("");
+  const [remindersFor, setRemindersFor] = useState<Category | null>(null);
+
+  function update(id: Category, patch: Partial<CategoryDef>) {
+    onChange(categories.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+  }
+
+  function move(idx: number, dir: -1 | 1) {
+    const target = idx + dir;
+    if (target < 0 || target >= categories.length) return;
+    const next = [...categories];
+    [next[idx], next[target]] = [next[target], next[idx]];
+    onChange(next);
+  }
+
+  function add() {
+    const name = newName.trim();
+    if (!name) return;
+    const colors = Object.keys(CATEGORY_COLORS) as CategoryColor[];
+    onChange([...categories, { id: uid(), name, color: colors[categories.length % colors.length], icon: "tag" }]);
+    setNewName("");
+  }
+
+  function startDelete(id: Category) {
+    if (!counts[id]) return onDelete(id, null);
+    setDeleting(id);
+    setReassignTo(categories.find((c) => c.id !== id && !c.archived)?.id || "");
+  }
+
+  return (
+    <div className="space-y-4">
+      <ul className="space-y-2">
+        {categories.map((c, idx) => {
+          const Icon = CATEGORY_ICONS[c.icon] || Tag;
+          return (
+            <li key={c.id} className={classNames("border rounded-xl p-2", c.archived && "opacity-60")}>
+              <div className="flex items-center gap-2 flex-wrap">
+                <Icon className="h-4 w-4 text-neutral-500" />
+                <input
+                  className="flex-1 min-w-[8rem] px-3 py-1.5 rounded-xl border border-neutral-200 text-sm"
+                  value={c.name}
+                  onChange={(e) => update(c.id, { name: e.target.value })}
+                  onBlur={(e) => !e.target.value.trim() && update(c.id, { name: "Untitled" })}
+                />
+                <select
+                  className="px-2 py-1.5 rounded-xl border border-neutral-200 bg-white text-sm"
+                  value={c.icon}
+                  onChange={(e) => update(c.id, { icon: e.target.value as CategoryIcon })}
+                  title="Icon"
+                >
+                  {(Object.keys(CATEGORY_ICONS) as CategoryIcon[]).map((icon) => (
+                    <option key={icon} value={icon}>{icon}</option>
+                  ))}
+                </select>
+                <div className="flex items-center gap-1" title="Color">
+                  {(Object.keys(CATEGORY_COLORS) as CategoryColor[]).map((color) => (
+                    <button
+                      key={color}
+                      type="button"
+                      onClick={() => update(c.id, { color })}
+                      className={classNames(
+                        "h-4 w-4 rounded-full",
+                        CATEGORY_COLORS[color].swatch,
+                        c.color === color && "ring-2 ring-offset-1 ring-neutral-900"
+                      )}
+                      aria-label={color}
+                    />
+                  ))}
+                </div>
+                <span className="text-xs text-neutral-500 w-14 text-right">{counts[c.id] || 0} tasks</span>
+                <button
+                  type="button"
+                  className={classNames("p-1 rounded hover:bg-neutral-100", !!c.reminders?.length && "text-blue-600")}
+                  onClick={() => setRemindersFor(remindersFor === c.id ? null : c.id)}
+                  title="Default reminders"
+                >
+                  <Bell className="h-4 w-4"/>
+                </button>
+                <button type="button" className="p-1 rounded hover:bg-neutral-100" onClick={() => move(idx, -1)} title="Move up"><ArrowUp className="h-4 w-4"/></button>
+                <button type="button" className="p-1 rounded hover:bg-neutral-100" onClick={() => move(idx, 1)} title="Move down"><ArrowDown className="h-4 w-4"/></button>
+                <button
+                  type="button"
+                  className="p-1 rounded hover:bg-neutral-100"
+                  onClick={() => update(c.id, { archived: !c.archived })}
+                  title={c.archived ? "Unarchive" : "Archive"}
+                >
+                  {c.archived ? <ArchiveRestore className="h-4 w-4"/> : <Archive className="h-4 w-4"/>}
+                </button>
+                <button
+                  type="button"
+                  className="p-1 rounded hover:bg-neutral-100 disabled:opacity-30"
+                  disabled={categories.length <= 1}
+                  onClick={() => startDelete(c.id)}
+                  title="Delete"
+                >
+                  <Trash2 className="h-4 w-4"/>
+                </button>
+              </div>
+              {remindersFor === c.id && (
+                <div className="mt-2 px-1">
+                  <div className="text-xs text-neutral-500 mb-1">Default reminders for tasks and next steps in {c.name}</div>
+                  <ReminderEditor value={c.reminders || []} onChange={(reminders) => update(c.id, { reminders: reminders?.length ? reminders : undefined })} />
+                </div>
+              )}
+              {deleting === c.id && (
+                <div className="mt-2 flex items-center gap-2 flex-wrap text-sm bg-red-50 border border-red-200 rounded-xl px-3 py-2">
+                  <span>{counts[c.id]} tasks use this category.</span>
+                  <select
+                    className="px-2 py-1.5 rounded-xl border border-neutral-200 bg-white"
+                    value={reassignTo}
+                    onChange={(e) => setReassignTo(e.target.value)}
+                  >
+                    {categories.filter((o) => o.id !== c.id).map((o) => (
+                      <option key={o.id} value={o.id}>Move them to {o.name}</option>
+                    ))}
+                    <option value="">Move them to the trash</option>
+                  </select>
+                  <button
+                    type="button"
+                    className="px-3 py-1.5 rounded-xl bg-red-600 text-white hover:bg-red-700"
+                    onClick={() => {
+                      onDelete(c.id, reassignTo || null);
+                      setDeleting(null);
+                    }}
+                  >
+                    Delete category
+                  </button>
+                  <button type="button" className="px-3 py-1.5 rounded-xl border bg-white hover:bg-neutral-50" onClick={() => setDeleting(null)}>Cancel</button>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      <div className="flex items-center gap-2">
+        <input
+          className="flex-1 px-3 py-2 rounded-xl border border-neutral-200 text-sm"
+          placeholder="New category name"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && add()}
+        />
+        <button type="button" onClick={add} className="inline-flex items-center gap-1 px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">
+          <Plus className="h-4 w-4" /> Add
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ImportDialog({ current, result, onApply, onCancel }: {
+  current: AppData;
+  result: ReturnType<typeof parseImport>;
+  onApply: (mode: ImportMode, incoming: AppData) => void;
+  onCancel: () => void;
+}) {
+  const [mode, setMode] = useState<ImportMode>("merge");
+
+  if (!result.ok) {
+    return (
+      <div className="space-y-4">
+        <div className="rounded-xl border border-red-200 bg-red-50 p-3 text-sm text-red-800">{result.error}</div>
+        <div className="flex justify-end">
+          <button type="button" onClick={onCancel} className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">Close</button>
+        </div>
+      </div>
+    );
+  }
+
+  const { source, data, errors } = result.value;
+  const taskDiff = diffRecords(current.tasks, data.tasks, (t) => t.createdAt);
+  const contactDiff = diffRecords(current.contacts, data.contacts, (c) => c.createdAt);
+  const interactionDiff = diffRecords(current.interactions, data.interactions, (i) => i.at);
+  const rows: Array<[string, RecordDiff<unknown>]> = [
+    ["Tasks", taskDiff],
+    ["Contacts", contactDiff],
+    ["Interactions", interactionDiff],
+  ];
+  const modes: Array<[ImportMode, string, string]> = [
+    ["merge", "Merge", "Add new records, update changed ones, keep both sides of a conflict"],
+    ["skip", "Skip duplicates", "Only add records whose id isn't here yet"],
+    ["replace", "Replace", "Discard everything here and use the file's records"],
+  ];
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="text-neutral-500">{source}</div>
+
+      <table className="min-w-full">
+        <thead>
+          <tr className="text-left text-xs text-neutral-600 border-b">
+            <th className="py-2"></th>
+            <th className="py-2">New</th>
+            <th className="py-2">Changed</th>
+            <th className="py-2">Conflicting</th>
+            <th className="py-2">Unchanged</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, diff]) => (
+            <tr key={label} className="border-b last:border-0">
+              <td className="py-2 font-medium">{label}</td>
+              <td className="py-2">{diff.added.length}</td>
+              <td className="py-2">{diff.changed.length}</td>
+              <td className={classNames("py-2", diff.conflicting.length > 0 && "text-amber-700 font-semibold")}>{diff.conflicting.length}</td>
+              <td className="py-2 text-neutral-500">{diff.unchanged.length}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {(taskDiff.changed.length > 0 || taskDiff.conflicting.length > 0) && (
+        <ul className="max-h-32 overflow-y-auto space-y-1 text-xs">
+          {taskDiff.changed.map((t) => (
+            <li key={t.id}><span className="text-blue-700">changed</span> · {t.title}</li>
+          ))}
+          {taskDiff.conflicting.map((t) => (
+            <li key={t.id}>
+              <span className="text-amber-700">conflict</span> · “{t.title}” shares an id with “{current.tasks.find((c) => c.id === t.id)?.title}”
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {errors.length > 0 && (
+        <div className="rounded-xl border border-amber-200 bg-amber-50 p-3">
+          <div className="font-semibold text-amber-800 mb-1">{errors.length} record{errors.length === 1 ? "" : "s"} will be skipped</div>
+          <ul className="max-h-40 overflow-y-auto space-y-1 text-xs text-amber-900">
+            {errors.map((err, i) => (
+              <li key={i}>
+                {err.collection}{err.index >= 0 && ` #${err.index + 1}`} ({err.label}): {err.messages.join("; ")}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        {modes.map(([value, label, hint]) => (
+          <label key={value} className="flex items-start gap-2">
+            <input type="radio" name="import-mode" checked={mode === value} onChange={() => setMode(value)} className="mt-1" />
+            <span>
+              <span className="font-medium">{label}</span>
+              <span className="block text-xs text-neutral-500">{hint}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">Cancel</button>
+        <button
+          type="button"
+          onClick={() => onApply(mode, data)}
+          className={classNames(
+            "px-3 py-2 rounded-xl text-white text-sm",
+            mode === "replace" ? "bg-red-600 hover:bg-red-700" : "bg-blue-600 hover:bg-blue-700"
+          )}
+        >
+          {mode === "replace" ? "Replace everything" : "Import"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function IcsImportDialog({ tasks, items, categories, onApply, onCancel }: {
+  tasks: Task[];
+  items: IcsComponent[];
+  categories: CategoryDef[];
+  onApply: (tasks: Task[]) => void;
+  onCancel: () => void;
+}) {
+  const [fallback, setFallback] = useState<Category>(categories[0]?.id);
+  const result = applyICS(tasks, items, categories, fallback);
+
+  return (
+    <div className="space-y-4 text-sm">
+      {items.length === 0 ? (
+        <div className="rounded-xl border border-red-200 bg-red-50 p-3 text-red-800">No events or to-dos found in this file.</div>
+      ) : (
+        <div>
+          {result.added} new, {result.updated} already here and will be updated (matched by UID).
+        </div>
+      )}
+      <label className="block">
+        <span className="text-xs text-neutral-600">Category for entries whose CATEGORIES don't match one of yours</span>
+        <select className="mt-1 w-full rounded-xl border px-3 py-2" value={fallback} onChange={(e) => setFallback(e.target.value)}>
+          {categories.map((c) => (
+            <option key={c.id} value={c.id}>{c.name}</option>
+          ))}
+        </select>
+      </label>
+      {result.skipped.length > 0 && (
+        <ul className="rounded-xl border border-amber-200 bg-amber-50 p-3 max-h-40 overflow-y-auto space-y-1 text-xs text-amber-900">
+          {result.skipped.map((msg, i) => (
+            <li key={i}>{msg}</li>
+          ))}
+        </ul>
+      )}
+      <div className="flex items-center justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">Cancel</button>
+        <button
+          type="button"
+          disabled={items.length === 0}
+          onClick={() => onApply(result.tasks)}
+          className="px-3 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 text-sm"
+        >
+          Import
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function CsvExportDialog({ count, scope, onExport, onCancel }: {
+  count: number;
+  scope: string; // "currently shown", "selected"
+  onExport: (columns: string[], perStep: boolean) => void;
+  onCancel: () => void;
+}) {
+  const [columns, setColumns] = useState<string[]>(CSV_DEFAULT_EXPORT);
+  const [perStep, setPerStep] = useState(false);
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="text-neutral-500">{count} {scope} task{count === 1 ? "" : "s"} will be exported.</div>
+      <div className="grid grid-cols-2 gap-2">
+        {CSV_EXPORT_COLUMNS.map((c) => (
+          <label key={c.key} className="inline-flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={columns.includes(c.key)}
+              onChange={(e) => setColumns((prev) => (e.target.checked ? [...prev, c.key] : prev.filter((k) => k !== c.key)))}
+            />
+            {c.label}
+          </label>
+        ))}
+      </div>
+      <div className="space-y-1">
+        <label className="flex items-center gap-2">
+          <input type="radio" name="csv-rows" checked={!perStep} onChange={() => setPerStep(false)} />
+          One row per task (with its nearest open next step)
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="radio" name="csv-rows" checked={perStep} onChange={() => setPerStep(true)} />
+          One row per next step
+        </label>
+      </div>
+      <div className="flex items-center justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">Cancel</button>
+        <button
+          type="button"
+          disabled={columns.length === 0}
+          onClick={() => onExport(columns, perStep)}
+          className="px-3 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 text-sm"
+        >
+          Download
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function CsvImportDialog({ rows, categories, contacts, onApply, onCancel }: {
+  rows: string[][];
+  categories: CategoryDef[];
+  contacts: Contact[];
+  onApply: (result: CsvImportResult) => void;
+  onCancel: () => void;
+}) {
+  const [step, setStep] = useState<"columns" | "values" | "review">("columns");
+  const header = rows[0] || [];
+  const body = rows.slice(1);
+  const [fields, setFields] = useState<CsvField[]>(() => header.map(guessCsvField));
+  const [dateFormat, setDateFormat] = useState<DateFormat | null>(null); // null = detected
+  const [defaultCategory, setDefaultCategory] = useState<Category>(categories[0]?.id);
+  const [categoryMap, setCategoryMap] = useState<Record<string, Category>>({});
+  const [statusMap, setStatusMap] = useState<Record<string, Status>>({});
+
+  const column = (field: CsvField) => {
+    const i = fields.indexOf(field);
+    return i >= 0 ? body.map((r) => (r[i] || "").trim()) : [];
+  };
+  const distinct = (field: CsvField) => Array.from(new Set(column(field).filter(Boolean))).sort();
+  const detected = detectDateFormat([...column("due"), ...column("stepDue")]);
+  const spec: CsvImportSpec = {
+    fields,
+    dateFormat: dateFormat || detected,
+    defaultCategory,
+    categoryMap: Object.fromEntries(distinct("category").map((v) => [
+      v,
+      categoryMap[v] || categories.find((c) => c.name.toLowerCase() === v.toLowerCase())?.id || defaultCategory,
+    ])),
+    statusMap: Object.fromEntries(distinct("status").map((v) => [v, statusMap[v] || guessStatus(v)])),
+  };
+  const result = step === "review" ? csvRowsToRecords(body, spec, contacts) : null;
+
+  if (rows.length < 2) {
+    return (
+      <div className="space-y-4 text-sm">
+        <div className="rounded-xl border border-red-200 bg-red-50 p-3 text-red-800">This file needs a header row and at least one data row.</div>
+        <div className="flex justify-end">
+          <button type="button" onClick={onCancel} className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">Close</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex gap-2 text-xs">
+        {(["columns", "values", "review"] as const).map((s, i) => (
+          <span key={s} className={classNames("rounded-full px-2 py-0.5", step === s ? "bg-blue-600 text-white" : "bg-neutral-100 text-neutral-600")}>
+            {i + 1}. {s[0].toUpperCase() + s.slice(1)}
+          </span>
+        ))}
+      </div>
+
+      {step === "columns" && (
+        <div className="max-h-80 overflow-y-auto space-y-2">
+          {header.map((h, i) => (
+            <div key={i} className="grid grid-cols-2 gap-2 items-center">
+              <div className="truncate" title={body[0]?.[i]}>
+                <span className="font-medium">{h || `Column ${i + 1}`}</span>
+                <span className="block text-xs text-neutral-400 truncate">{body[0]?.[i] || "—"}</span>
+              </div>
               <select
-                className="px-3 py-2 text-sm rounded-xl border border-neutral-200 bg-white"
-                value={statusFilter}
-                onChange={(e) => setStatusFilter(e.target.value as any)}
+                className="rounded-xl border px-2 py-1.5"
+                value={fields[i]}
+                onChange={(e) => setFields((prev) => prev.map((f, j) => (j === i ? (e.target.value as CsvField) : f)))}
               >
-                <option value="All">All Statuses</option>
-                {STATUSES.map((s) => (
-                  <option key={s} value={s}>{s}</option>
+                {CSV_FIELDS.map((f) => (
+                  <option key={f} value={f}>{CSV_FIELD_LABELS[f]}</option>
                 ))}
               </select>
-              <select
-                className="px-3 py-2 text-sm rounded-xl border border-neutral-200 bg-white"
-                value={sortKey}
-                onChange={(e) => setSortKey(e.target.value as any)}
-              >
-                <option value="dueDate">Sort: Due Date</option>
-                <option value="createdAt">Sort: Created</option>
-                <option value="category">Sort: Category</option>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {step === "values" && (
+        <div className="max-h-80 overflow-y-auto space-y-4">
+          {(fields.includes("due") || fields.includes("stepDue")) && (
+            <label className="block">
+              <span className="text-xs text-neutral-600">Date format (detected {DATE_FORMAT_LABELS[detected]})</span>
+              <select className="mt-1 w-full rounded-xl border px-3 py-2" value={dateFormat || detected} onChange={(e) => setDateFormat(e.target.value as DateFormat)}>
+                {DATE_FORMATS.map((f) => (
+                  <option key={f} value={f}>{DATE_FORMAT_LABELS[f]}</option>
+                ))}
               </select>
+            </label>
+          )}
+          <label className="block">
+            <span className="text-xs text-neutral-600">Category for rows without one</span>
+            <select className="mt-1 w-full rounded-xl border px-3 py-2" value={defaultCategory} onChange={(e) => setDefaultCategory(e.target.value)}>
+              {categories.map((c) => (
+                <option key={c.id} value={c.id}>{c.name}</option>
+              ))}
+            </select>
+          </label>
+          {distinct("category").length > 0 && (
+            <div className="space-y-1">
+              <div className="text-xs text-neutral-600">Categories</div>
+              {distinct("category").map((v) => (
+                <div key={v} className="grid grid-cols-2 gap-2 items-center">
+                  <span className="truncate">{v}</span>
+                  <select className="rounded-xl border px-2 py-1.5" value={spec.categoryMap[v]} onChange={(e) => setCategoryMap((prev) => ({ ...prev, [v]: e.target.value }))}>
+                    {categories.map((c) => (
+                      <option key={c.id} value={c.id}>{c.name}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          )}
+          {distinct("status").length > 0 && (
+            <div className="space-y-1">
+              <div className="text-xs text-neutral-600">Statuses</div>
+              {distinct("status").map((v) => (
+                <div key={v} className="grid grid-cols-2 gap-2 items-center">
+                  <span className="truncate">{v}</span>
+                  <select className="rounded-xl border px-2 py-1.5" value={spec.statusMap[v]} onChange={(e) => setStatusMap((prev) => ({ ...prev, [v]: e.target.value as Status }))}>
+                    {STATUSES.map((st) => (
+                      <option key={st} value={st}>{st}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
             </div>
-          </div>
+          )}
         </div>
+      )}
 
-        {/* Views */}
-        {view === "grid" && (
-          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-5 gap-4">
-            {CATEGORIES.map((cat) => (
-              <div key={cat} className="bg-white rounded-2xl border border-neutral-200 shadow-sm overflow-hidden">
-                <div className="px-4 py-3 border-b border-neutral-100 flex items-center justify-between">
-                  <h3 className="text-sm font-semibold">{cat}</h3>
-                  <span className="text-xs text-neutral-500">{byCategory[cat]?.length || 0} tasks</span>
-                </div>
-                <div className="p-3 space-y-3 min-h-[180px]">
-                  {(byCategory[cat] || []).map((t) => (
-                    <TaskCard key={t.id} task={t} onEdit={() => {setEditing(t); setShowModal(true);}} onRemove={() => removeTask(t.id)} onToggleComplete={() => {
-                      const next: Task = { ...t, status: t.status === "Completed" ? "Active" : "Completed" };
-                      upsertTask(next);
-                    }} />
-                  ))}
-                  {!(byCategory[cat] || []).length && (
-                    <p className="text-xs text-neutral-400">No tasks in this category.</p>
-                  )}
-                </div>
-              </div>
-            ))}
+      {result && (
+        <div className="space-y-3">
+          <div>
+            {result.tasks.length} task{result.tasks.length === 1 ? "" : "s"} and {result.contacts.length} new contact{result.contacts.length === 1 ? "" : "s"} will be added.
           </div>
-        )}
+          <ul className="max-h-40 overflow-y-auto space-y-1 text-xs">
+            {result.tasks.slice(0, 50).map((t) => (
+              <li key={t.id}>
+                {t.title} · {findCategory(categories, t.category).name} · {t.status}{t.dueDate && ` · ${t.dueDate}`}
+                {t.nextSteps.length > 0 && ` · ${t.nextSteps.length} next step${t.nextSteps.length === 1 ? "" : "s"}`}
+              </li>
+            ))}
+          </ul>
+          {result.errors.length > 0 && (
+            <ul className="rounded-xl border border-amber-200 bg-amber-50 p-3 max-h-40 overflow-y-auto space-y-1 text-xs text-amber-900">
+              {result.errors.map((err, i) => (
+                <li key={i}>{err}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
 
-        {view === "table" && (
-          <div className="bg-white rounded-2xl border border-neutral-200 shadow-sm overflow-hidden">
-            <div className="overflow-x-auto">
-              <table className="min-w-full text-sm">
-                <thead className="bg-neutral-50 border-b border-neutral-200">
-                  <tr className="text-left text-xs text-neutral-600">
-                    <th className="px-4 py-3">Title</th>
-                    <th className="px-4 py-3">Category</th>
-                    <th className="px-4 py-3">Status</th>
-                    <th className="px-4 py-3">Due</th>
-                    <th className="px-4 py-3">Next Step</th>
-                    <th className="px-4 py-3">Next Step Due</th>
-                    <th className="px-4 py-3"></th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {filtered.map((t) => {
-                    const nn = nearestNextStep(t);
-                    return (
-                      <tr key={t.id} className="border-b last:border-0 hover:bg-neutral-50/70">
-                        <td className="px-4 py-3 font-medium">{t.title}</td>
-                        <td className="px-4 py-3">
-                          <span className="inline-flex items-center rounded-full border px-2 py-0.5 text-xs">
-                            {t.category}
-                          </span>
-                        </td>
-                        <td className="px-4 py-3">
-                          <span className={classNames(
-                            "inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-xs",
-                            t.status === "Completed"
-                              ? "bg-green-100 text-green-700"
-                              : t.status === "Pending"
-                              ? "bg-amber-100 text-amber-800"
-                              : "bg-blue-100 text-blue-700"
-                          )}>
-                            <CheckCircle className="h-3.5 w-3.5" /> {t.status}
-                          </span>
-                        </td>
-                        <td className="px-4 py-3">{formatDateShort(t.dueDate)}</td>
-                        <td className="px-4 py-3 truncate max-w-[240px]" title={nn?.text || "—"}>{nn?.text || "—"}</td>
-                        <td className="px-4 py-3">{formatDateShort(nn?.dueDate)}</td>
-                        <td className="px-4 py-3">
-                          <div className="flex items-center gap-2">
-                            <button className="p-1 rounded hover:bg-neutral-100" onClick={() => {setEditing(t); setShowModal(true);}}><Edit3 className="h-4 w-4" /></button>
-                            <button className="p-1 rounded hover:bg-neutral-100" onClick={() => removeTask(t.id)}><Trash2 className="h-4 w-4" /></button>
-                          </div>
-                        </td>
-                      </tr>
-                    );
-                  })}
-                </tbody>
-              </table>
-            </div>
-          </div>
+      <div className="flex items-center justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">Cancel</button>
+        {step !== "columns" && (
+          <button type="button" onClick={() => setStep(step === "review" ? "values" : "columns")} className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">Back</button>
         )}
+        {step === "review" ? (
+          <button
+            type="button"
+            disabled={!result?.tasks.length}
+            onClick={() => result && onApply(result)}
+            className="px-3 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 text-sm"
+          >
+            Import
+          </button>
+        ) : (
+          <button
+            type="button"
+            disabled={!fields.includes("title")}
+            title={fields.includes("title") ? undefined : "Map a column to Title first"}
+            onClick={() => setStep(step === "columns" ? "values" : "review")}
+            className="px-3 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 text-sm"
+          >
+            Next
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
 
-        {view === "calendar" && (
-          <div className="bg-white rounded-2xl border border-neutral-200 shadow-sm p-4">
-            {/* Calendar header */}
-            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
-              <div className="flex items-center gap-2">
-                <button className="p-2 rounded-xl border hover:bg-neutral-50" onClick={() => setCalendarCursor(new Date())}>Today</button>
-                <div className="flex items-center gap-1">
-                  <button className="p-2 rounded-xl border hover:bg-neutral-50" onClick={() => setCalendarCursor((d) => new Date(d.getFullYear(), d.getMonth() - 1, 1))}><ChevronLeft className="h-4 w-4" /></button>
-                  <button className="p-2 rounded-xl border hover:bg-neutral-50" onClick={() => setCalendarCursor((d) => new Date(d.getFullYear(), d.getMonth() + 1, 1))}><ChevronRight className="h-4 w-4" /></button>
-                </div>
-                <div className="text-lg font-semibold ml-1">
-                  {calendarCursor.toLocaleString(undefined, { month: "long", year: "numeric" })}
-                </div>
-              </div>
-              <div className="flex items-center gap-2">
-                {(["month","week","day"] as const).map((m) => (
-                  <button
-                    key={m}
-                    className={classNames(
-                      "px-3 py-1.5 rounded-xl border text-sm",
-                      calendarMode === m ? "border-neutral-900" : "border-neutral-200 bg-white"
-                    )}
-                    onClick={() => setCalendarMode(m)}
-                  >
-                    {m[0].toUpperCase() + m.slice(1)}
-                  </button>
-                ))}
-              </div>
-            </div>
+function TrashView({ trash, categoryOf, retentionDays, onRetentionChange, onRestore, onPurge }: {
+  trash: TrashedTask[];
+  categoryOf: (id: Category) => CategoryDef;
+  retentionDays: number;
+  onRetentionChange: (days: number) => void;
+  onRestore: (id: string) => void;
+  onPurge: (ids: string[]) => void;
+}) {
+  const purgeDate = (deletedAt: string) => new Date(Date.parse(deletedAt) + retentionDays * 24 * 60 * 60 * 1000).toISOString();
 
-            {/* Month Grid */}
-            {calendarMode === "month" && (
-              <div>
-                <div className="grid grid-cols-7 text-xs text-neutral-500 mb-1">
-                  {["Sun","Mon","Tue","Wed","Thu","Fri","Sat"].map((d) => (
-                    <div key={d} className="px-2 py-1">{d}</div>
+  return (
+    <div className="bg-white rounded-2xl border border-neutral-200 shadow-sm overflow-hidden">
+      <div className="flex flex-wrap items-center gap-3 px-4 py-3 border-b border-neutral-200 text-sm">
+        <span className="font-semibold">Trash</span>
+        <label className="inline-flex items-center gap-2 text-neutral-600">
+          Delete permanently after
+          <select className="rounded-xl border px-2 py-1" value={retentionDays} onChange={(e) => onRetentionChange(Number(e.target.value))}>
+            {[7, 30, 90, 365].map((d) => (
+              <option key={d} value={d}>{d} days</option>
+            ))}
+            <option value={0}>never</option>
+          </select>
+        </label>
+        <button
+          className="ml-auto px-3 py-1.5 rounded-xl border text-red-600 hover:bg-red-50 disabled:opacity-40"
+          disabled={!trash.length}
+          onClick={() => onPurge(trash.map((t) => t.task.id))}
+        >
+          Empty trash
+        </button>
+      </div>
+      {trash.length === 0 ? (
+        <div className="p-8 text-center text-sm text-neutral-500">Deleted tasks show up here.</div>
+      ) : (
+        <table className="min-w-full text-sm">
+          <thead className="bg-neutral-50 border-b border-neutral-200">
+            <tr className="text-left text-xs text-neutral-600">
+              <th className="px-4 py-3">Title</th>
+              <th className="px-4 py-3">Category</th>
+              <th className="px-4 py-3">Deleted</th>
+              <th className="px-4 py-3">{retentionDays > 0 && "Purged"}</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {trash.map(({ task, deletedAt }) => (
+              <tr key={task.id} className="border-b last:border-0 hover:bg-neutral-50/70">
+                <td className="px-4 py-3 font-medium">{task.title}</td>
+                <td className="px-4 py-3"><CategoryBadge category={categoryOf(task.category)} /></td>
+                <td className="px-4 py-3">{formatDateTime(deletedAt)}</td>
+                <td className="px-4 py-3 text-neutral-500">{retentionDays > 0 && formatDateShort(purgeDate(deletedAt))}</td>
+                <td className="px-4 py-3">
+                  <div className="flex items-center gap-2">
+                    <button className="px-2 py-1 rounded-lg border hover:bg-neutral-50 inline-flex items-center gap-1" onClick={() => onRestore(task.id)}>
+                      <Undo2 className="h-3.5 w-3.5" /> Restore
+                    </button>
+                    <button className="p-1 rounded hover:bg-neutral-100 text-red-600" title="Delete forever" onClick={() => onPurge([task.id])}>
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// With `inherited`, undefined means "use the category default" and the
+// editor offers to switch between that and a list of the item's own
+function ReminderEditor({ value, inherited, onChange }: {
+  value?: Reminder[];
+  inherited?: Reminder[];
+  onChange: (value: Reminder[] | undefined) => void;
+}) {
+  const [custom, setCustom] = useState<{ daysBefore: number; at: string } | null>(null);
+  const list = value ?? inherited ?? [];
+
+  if (value === undefined && inherited) {
+    return (
+      <div className="flex items-center gap-2 flex-wrap text-sm">
+        <span className="text-neutral-600">
+          Category default: {inherited.length ? inherited.map(describeReminder).join(", ") : "none"}
+        </span>
+        <button type="button" className="text-xs text-blue-600 hover:underline" onClick={() => onChange([...inherited])}>Customize</button>
+      </div>
+    );
+  }
+
+  function add(r: Reminder) {
+    if (!list.some((x) => reminderId(x) === reminderId(r))) onChange([...list, r]);
+  }
+
+  return (
+    <div className="flex items-center gap-2 flex-wrap text-sm">
+      {list.map((r) => (
+        <span key={reminderId(r)} className="inline-flex items-center gap-1 rounded-full border border-neutral-200 bg-white px-2 py-0.5 text-xs">
+          <Bell className="h-3 w-3 text-neutral-400" /> {describeReminder(r)}
+          <button type="button" className="hover:text-red-600" onClick={() => onChange(list.filter((x) => x !== r))} aria-label="Remove reminder">
+            <X className="h-3 w-3" />
+          </button>
+        </span>
+      ))}
+      {!list.length && <span className="text-xs text-neutral-400">No reminders</span>}
+      <select
+        className="px-2 py-1 rounded-xl border border-neutral-200 bg-white text-xs"
+        value=""
+        onChange={(e) => {
+          if (e.target.value === "custom") setCustom({ daysBefore: 1, at: DEFAULT_REMINDER_TIME });
+          else add(REMINDER_PRESETS[Number(e.target.value)]);
+        }}
+      >
+        <option value="">Add reminder…</option>
+        {REMINDER_PRESETS.map((r, i) => (
+          <option key={i} value={i}>{describeReminder(r)}</option>
+        ))}
+        <option value="custom">Custom…</option>
+      </select>
+      {custom && (
+        <span className="inline-flex items-center gap-1 text-xs">
+          <input
+            type="number"
+            min={0}
+            className="w-14 px-2 py-1 rounded-lg border border-neutral-200"
+            value={custom.daysBefore}
+            onChange={(e) => setCustom({ ...custom, daysBefore: Math.max(0, Number(e.target.value) || 0) })}
+          />
+          days before at
+          <input
+            type="time"
+            className="px-2 py-1 rounded-lg border border-neutral-200"
+            value={custom.at}
+            onChange={(e) => setCustom({ ...custom, at: e.target.value })}
+          />
+          <button type="button" className="px-2 py-1 rounded-lg border bg-white hover:bg-neutral-50" onClick={() => { add(custom); setCustom(null); }}>Add</button>
+        </span>
+      )}
+      {inherited && (
+        <button type="button" className="text-xs text-blue-600 hover:underline" onClick={() => onChange(undefined)}>Use category default</button>
+      )}
+    </div>
+  );
+}
+
+function ReminderInbox({ items, log, onOpen, onSnooze, onDismiss }: {
+  items: ScheduledReminder[];
+  log: ReminderLog;
+  onOpen: (taskId: string) => void;
+  onSnooze: (key: string, until: Date) => void;
+  onDismiss: (keys: string[]) => void;
+}) {
+  const [permission, setPermission] = useState(typeof Notification === "undefined" ? "unsupported" : Notification.permission);
+
+  function snoozeOptions(): Array<[string, Date]> {
+    const now = new Date();
+    const tomorrow = addDays(now, 1);
+    tomorrow.setHours(0, timeToMinutes(DEFAULT_REMINDER_TIME), 0, 0);
+    return [
+      ["10 minutes", new Date(now.getTime() + 10 * 60 * 1000)],
+      ["1 hour", new Date(now.getTime() + 60 * 60 * 1000)],
+      ["Tomorrow morning", tomorrow],
+    ];
+  }
+
+  return (
+    <div className="space-y-4 text-sm">
+      {permission === "default" && (
+        <div className="flex items-center gap-2 rounded-xl border border-blue-200 bg-blue-50 p-3">
+          <span className="flex-1">Get desktop notifications while this tab is open.</span>
+          <button
+            type="button"
+            className="px-3 py-1.5 rounded-xl bg-blue-600 text-white hover:bg-blue-700"
+            onClick={() => Notification.requestPermission().then(setPermission)}
+          >
+            Turn on
+          </button>
+        </div>
+      )}
+      {permission === "denied" && (
+        <div className="text-xs text-neutral-500">Notifications are blocked for this site; reminders only show here.</div>
+      )}
+      {items.length === 0 ? (
+        <div className="text-neutral-500">Nothing due. Reminders that fire show up here until you dismiss them.</div>
+      ) : (
+        <ul className="space-y-2 max-h-96 overflow-y-auto">
+          {items.map((r) => (
+            <li key={r.key} className="border rounded-xl px-3 py-2">
+              <div className="flex items-start gap-2">
+                <button type="button" className="flex-1 text-left" onClick={() => onOpen(r.taskId)}>
+                  <div className="font-medium">{r.title}</div>
+                  <div className="text-xs text-neutral-500">
+                    Due {formatDateShort(r.dueDate)}{r.startTime && ` ${formatTime(r.startTime)}`}
+                    {" · "}
+                    {log[r.key]?.missed ? <span className="text-amber-700">missed while closed</span> : `reminded ${formatDateTime(log[r.key]?.firedAt)}`}
+                  </div>
+                </button>
+                <select
+                  className="px-2 py-1 rounded-xl border border-neutral-200 bg-white text-xs"
+                  value=""
+                  onChange={(e) => {
+                    const option = snoozeOptions()[Number(e.target.value)];
+                    if (option) onSnooze(r.key, option[1]);
+                  }}
+                >
+                  <option value="">Snooze…</option>
+                  {snoozeOptions().map(([label], i) => (
+                    <option key={label} value={i}>{label}</option>
                   ))}
-                </div>
-                <div className="grid grid-cols-7 gap-px bg-neutral-200 rounded-lg overflow-hidden">
-                  {calendarMatrix.map((day, idx) => {
-                    const dayTasks = tasksOn(day);
-                    const inMonth = isSameMonth(day, calendarCursor);
-                    const today = isSameDay(day, new Date());
-                    return (
-                      <div key={idx} className="min-h-[110px] bg-white p-2">
-                        <div className="flex items-center justify-between mb-1">
-                          <span className={classNames("text-xs", inMonth ? "text-neutral-800" : "text-neutral-300")}>{day.getDate()}</span>
-                          {today && <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-blue-600 text-white">Today</span>}
-                        </div>
-                        <div className="space-y-1">
-                          {dayTasks.slice(0,3).map((t) => (
-                            <div key={t.id} className="text-[11px] truncate px-2 py-1 rounded-md border"
-                              title={`${t.title} (${t.category})`}>
-                              <span className="font-medium">{t.title}</span>
-                              <span className="ml-1 text-neutral-500">· {t.category}</span>
-                            </div>
-                          ))}
-                          {dayTasks.length > 3 && (
-                            <div className="text-[11px] text-neutral-500">+{dayTasks.length - 3} more…</div>
-                          )}
-                        </div>
-                      </div>
-                    );
-                  })}
-                </div>
+                </select>
+                <button type="button" className="px-2 py-1 rounded-xl border text-xs hover:bg-neutral-50" onClick={() => onDismiss([r.key])}>Dismiss</button>
               </div>
-            )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {items.length > 1 && (
+        <div className="flex justify-end">
+          <button type="button" className="px-3 py-1.5 rounded-xl border hover:bg-neutral-50" onClick={() => onDismiss(items.map((r) => r.key))}>Dismiss all</button>
+        </div>
+      )}
+    </div>
+  );
+}
 
-            {/* Week & Day (simple lists) */}
-            {calendarMode === "week" && (
-              <div className="space-y-2">
-                {[...Array(7)].map((_, i) => {
-                  const start = startOfWeek(calendarCursor, 0);
-                  const d = addDays(start, i);
-                  const dayTasks = tasksOn(d);
-                  return (
-                    <div key={i} className="border rounded-xl p-3">
-                      <div className="text-sm font-semibold mb-2">{d.toLocaleDateString(undefined, { weekday: "long", month: "short", day: "numeric" })}</div>
-                      {dayTasks.length ? (
-                        <ul className="space-y-1">
-                          {dayTasks.map((t) => (
-                            <li key={t.id} className="text-sm flex items-center gap-2">
-                              <span className="inline-flex items-center rounded-full border px-2 py-0.5 text-[11px]">{t.category}</span>
-                              <span className="font-medium">{t.title}</span>
-                              <span className="text-neutral-500 text-xs">({t.status})</span>
-                            </li>
-                          ))}
-                        </ul>
-                      ) : (
-                        <div className="text-sm text-neutral-400">No tasks</div>
-                      )}
-                    </div>
-                  );
-                })}
-              </div>
-            )}
+function PriorityBadge({ priority }: { priority: Priority }) {
+  return <span className={classNames("inline-block rounded px-1 text-[10px] font-semibold align-middle", PRIORITY_STYLES[priority])}>{priority}</span>;
+}
 
-            {calendarMode === "day" && (
-              <div className="border rounded-xl p-4">
-                <div className="text-sm font-semibold mb-3">{calendarCursor.toLocaleDateString(undefined, { weekday: "long", month: "short", day: "numeric", year: "numeric" })}</div>
-                {(() => {
-                  const dayTasks = tasksOn(calendarCursor);
-                  return dayTasks.length ? (
-                    <ul className="space-y-2">
-                      {dayTasks.map((t) => (
-                        <li key={t.id} className="flex items-center gap-2 text-sm">
-                          <span className="inline-flex items-center rounded-full border px-2 py-0.5 text-[11px]">{t.category}</span>
-                          <span className="font-medium">{t.title}</span>
-                          {t.dueDate && (
-                            <span className="inline-flex items-center gap-1 text-xs text-neutral-500"><Clock className="h-3 w-3"/>due {formatDateShort(t.dueDate)}</span>
-                          )}
-                        </li>
-                      ))}
-                    </ul>
-                  ) : (
-                    <div className="text-sm text-neutral-400">No tasks for this date.</div>
-                  );
-                })()}
-              </div>
+function PrioritySelect({ value, onChange, compact }: { value?: Priority; onChange: (value: Priority | undefined) => void; compact?: boolean }) {
+  return (
+    <select
+      className={compact ? "px-2 py-1 rounded-xl border border-neutral-200 bg-white text-xs" : "w-full px-3 py-2 rounded-xl border border-neutral-200 bg-white"}
+      value={value || ""}
+      onChange={(e) => onChange((e.target.value || undefined) as Priority | undefined)}
+      title="Priority"
+    >
+      <option value="">{compact ? "Priority" : "No priority"}</option>
+      {PRIORITIES.map((p) => (
+        <option key={p} value={p}>{p}</option>
+      ))}
+    </select>
+  );
+}
+
+function EffortSelect({ value, onChange, compact }: { value?: number; onChange: (value: number | undefined) => void; compact?: boolean }) {
+  const options = value && !EFFORT_OPTIONS.includes(value) ? [...EFFORT_OPTIONS, value].sort((a, b) => a - b) : EFFORT_OPTIONS;
+  return (
+    <select
+      className={compact ? "px-2 py-1 rounded-xl border border-neutral-200 bg-white text-xs" : "w-full px-3 py-2 rounded-xl border border-neutral-200 bg-white"}
+      value={value || ""}
+      onChange={(e) => onChange(Number(e.target.value) || undefined)}
+      title="Effort estimate"
+    >
+      <option value="">{compact ? "Effort" : "No estimate"}</option>
+      {options.map((m) => (
+        <option key={m} value={m}>{formatEffort(m)}</option>
+      ))}
+    </select>
+  );
+}
+
+function TodayView({ items, plan, categoryOf, onToggle, onEdit, onPin, onDefer }: {
+  items: TodayItem<Task>[];
+  plan: DayPlan;
+  categoryOf: (id: Category) => CategoryDef;
+  onToggle: (item: TodayItem<Task>) => void;
+  onEdit: (task: Task) => void;
+  onPin: (key: string) => void;
+  onDefer: (key: string) => void;
+}) {
+  const active = items.filter((i) => !plan.deferred.includes(i.key));
+  const deferred = items.filter((i) => plan.deferred.includes(i.key));
+  const effort = active.reduce((sum, i) => sum + (i.effort || 0), 0);
+
+  function row(item: TodayItem<Task>) {
+    const pinned = plan.pinned.includes(item.key);
+    const isDeferred = plan.deferred.includes(item.key);
+    return (
+      <li key={item.key} className={classNames("flex items-center gap-3 px-4 py-3 border-b last:border-0", pinned && "bg-amber-50/60")}>
+        <input type="checkbox" checked={false} onChange={() => onToggle(item)} title={item.step ? "Mark step done" : "Complete task"} />
+        <div className="flex-1 min-w-0">
+          <button className="text-left font-medium truncate max-w-full" onClick={() => onEdit(item.task)}>
+            {item.priority && <PriorityBadge priority={item.priority} />} {item.title}
+          </button>
+          <div className="flex items-center gap-2 flex-wrap text-xs text-neutral-500">
+            <CategoryBadge category={categoryOf(item.task.category)} />
+            {item.step && <span>step of {item.task.title}</span>}
+            {item.dueDate && (
+              <span className={classNames(isOverdue(item.dueDate) && "text-red-700")}>
+                due {formatDateShort(item.dueDate)}{item.startTime && ` ${formatTime(item.startTime)}`}
+              </span>
             )}
+            {item.effort && <span>{formatEffort(item.effort)}</span>}
           </div>
-        )}
+        </div>
+        <div className="text-right" title={item.parts.map((p) => `${p.label} +${p.points}`).join("\n") || "No urgency signals"}>
+          <div className="text-lg font-semibold leading-none">{item.score}</div>
+          <div className="text-[10px] text-neutral-400 max-w-[12rem] truncate">{item.parts.map((p) => `${p.label} +${p.points}`).join(" · ")}</div>
+        </div>
+        <button className="p-1 rounded hover:bg-neutral-100" onClick={() => onPin(item.key)} title={pinned ? "Unpin" : "Pin to the top for today"}>
+          {pinned ? <PinOff className="h-4 w-4" /> : <Pin className="h-4 w-4" />}
+        </button>
+        <button className="p-1 rounded hover:bg-neutral-100" onClick={() => onDefer(item.key)} title={isDeferred ? "Bring back" : "Defer until tomorrow"}>
+          {isDeferred ? <Undo2 className="h-4 w-4" /> : <SkipForward className="h-4 w-4" />}
+        </button>
+      </li>
+    );
+  }
 
-        {/* Modal */}
-        {showModal && editing && (
-          <Modal onClose={resetForm}>
-            <TaskForm
-              key={editing.id}
-              initial={editing}
-              onCancel={resetForm}
-              onSave={(task) => upsertTask(task)}
-            />
-          </Modal>
-        )}
+  return (
+    <div className="bg-white rounded-2xl border border-neutral-200 shadow-sm overflow-hidden">
+      <div className="flex items-center gap-3 px-4 py-3 border-b border-neutral-200 text-sm">
+        <span className="font-semibold">Today</span>
+        <span className="text-neutral-500">
+          {active.length} item{active.length === 1 ? "" : "s"}{effort > 0 && ` · about ${formatEffort(effort)} estimated`}
+        </span>
+        <span className="ml-auto text-xs text-neutral-400" title={"Priority: P1 +40, P2 +25, P3 +10\nOverdue: +30, +2 per day (max +20)\nDue today +25, soon up to +8\nUntouched 3+ days: +1 per day (max +20)"}>
+          How is this ranked?
+        </span>
+      </div>
+      {active.length === 0 ? (
+        <div className="p-8 text-center text-sm text-neutral-500">Nothing overdue, due today or marked high priority.</div>
+      ) : (
+        <ul>{active.map(row)}</ul>
+      )}
+      {deferred.length > 0 && (
+        <details className="border-t border-neutral-200">
+          <summary className="px-4 py-2 text-xs text-neutral-500 cursor-pointer">Deferred until tomorrow ({deferred.length})</summary>
+          <ul className="opacity-70">{deferred.map(row)}</ul>
+        </details>
+      )}
+    </div>
+  );
+}
 
-        {/* Utilities */}
-        <div className="mt-6 flex items-center gap-2">
+function SavedViewsSidebar({ views, current, onApply, onSave, onUpdate, onDelete }: {
+  views: SavedView[];
+  current: ViewState;
+  onApply: (state: ViewState) => void;
+  onSave: (name: string) => void;
+  onUpdate: (id: string) => void;
+  onDelete: (id: string) => void;
+}) {
+  const [naming, setNaming] = useState<string | null>(null);
+  const activeId = views.find((v) => sameViewState(v.state, current))?.id;
+  const isDefault = sameViewState(DEFAULT_VIEW_STATE, current);
+
+  return (
+    <div className="bg-white rounded-2xl border border-neutral-200 shadow-sm p-3 text-sm">
+      <div className="text-xs font-semibold text-neutral-500 mb-2">Saved views</div>
+      <ul className="space-y-0.5">
+        <li>
           <button
-            className="px-3 py-2 text-sm rounded-xl border bg-white hover:bg-neutral-50"
-            onClick={() => {
-              const blob = new Blob([JSON.stringify(tasks, null, 2)], { type: "application/json" });
-              const url = URL.createObjectURL(blob);
-              const a = document.createElement("a");
-              a.href = url;
-              a.download = `personal-crm-tasks-${new Date().toISOString().slice(0,10)}.json`;
-              a.click();
-              URL.revokeObjectURL(url);
-            }}
+            className={classNames("w-full text-left rounded-lg px-2 py-1.5 hover:bg-neutral-50", isDefault && "bg-neutral-100 font-medium")}
+            onClick={() => onApply(DEFAULT_VIEW_STATE)}
           >
-            Export JSON
+            All tasks
           </button>
-          <label className="px-3 py-2 text-sm rounded-xl border bg-white hover:bg-neutral-50 cursor-pointer">
-            Import JSON
-            <input type="file" accept="application/json" className="hidden" onChange={(e) => {
-              const file = e.target.files?.[0];
-              if (!file) return;
-              const reader = new FileReader();
-              reader.onload = () => {
-                try {
-                  const data = JSON.parse(String(reader.result));
-                  if (Array.isArray(data)) setTasks(data);
-                } catch {}
-              };
-              reader.readAsText(file);
-              e.currentTarget.value = "";
-            }} />
-          </label>
+        </li>
+        {views.map((v) => (
+          <li key={v.id} className="group flex items-center">
+            <button
+              className={classNames("flex-1 min-w-0 truncate text-left rounded-lg px-2 py-1.5 hover:bg-neutral-50", v.id === activeId && "bg-neutral-100 font-medium")}
+              onClick={() => onApply(v.state)}
+              title={v.state.query || v.name}
+            >
+              {v.name}
+            </button>
+            {v.id !== activeId && !isDefault && (
+              <button className="p-1 rounded opacity-0 group-hover:opacity-100 hover:bg-neutral-100" onClick={() => onUpdate(v.id)} title="Replace with the current filters">
+                <ListFilter className="h-3.5 w-3.5" />
+              </button>
+            )}
+            <button className="p-1 rounded opacity-0 group-hover:opacity-100 hover:bg-neutral-100" onClick={() => onDelete(v.id)} title="Delete view">
+              <X className="h-3.5 w-3.5" />
+            </button>
+          </li>
+        ))}
+      </ul>
+      {naming === null ? (
+        !activeId && !isDefault && (
+          <button className="mt-2 w-full rounded-lg border border-dashed px-2 py-1.5 text-xs text-neutral-600 hover:bg-neutral-50" onClick={() => setNaming("")}>
+            <Plus className="inline h-3 w-3" /> Save current view
+          </button>
+        )
+      ) : (
+        <form
+          className="mt-2 flex items-center gap-1"
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (!naming.trim()) return;
+            onSave(naming.trim());
+            setNaming(null);
+          }}
+        >
+          <input
+            autoFocus
+            className="flex-1 min-w-0 px-2 py-1 rounded-lg border border-neutral-200 text-xs"
+            placeholder="View name"
+            value={naming}
+            onChange={(e) => setNaming(e.target.value)}
+            onKeyDown={(e) => e.key === "Escape" && setNaming(null)}
+          />
+          <button type="submit" className="px-2 py-1 rounded-lg bg-blue-600 text-white text-xs">Save</button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+function BatchBar({ count, categories, onStatus, onCategory, onShiftDue, onAddStep, onExport, onDelete, onClear }: {
+  count: number;
+  categories: CategoryDef[];
+  onStatus: (status: Status) => void;
+  onCategory: (category: Category) => void;
+  onShiftDue: (days: number, includeSteps: boolean) => void;
+  onAddStep: (text: string, dueDate?: string) => void;
+  onExport: () => void;
+  onDelete: () => void;
+  onClear: () => void;
+}) {
+  const [days, setDays] = useState(1);
+  const [includeSteps, setIncludeSteps] = useState(true);
+  const [stepText, setStepText] = useState("");
+  const [stepDate, setStepDate] = useState("");
+  const control = "px-2 py-1 rounded-lg border border-neutral-200 bg-white text-xs";
+
+  return (
+    <div className="flex items-center gap-3 flex-wrap px-4 py-2 border-b border-blue-200 bg-blue-50 text-xs">
+      <span className="font-semibold">{count} selected</span>
+      <select className={control} value="" onChange={(e) => e.target.value && onStatus(e.target.value as Status)}>
+        <option value="">Set status…</option>
+        {STATUSES.map((s) => (
+          <option key={s} value={s}>{s}</option>
+        ))}
+      </select>
+      <select className={control} value="" onChange={(e) => e.target.value && onCategory(e.target.value)}>
+        <option value="">Move to…</option>
+        {categories.map((c) => (
+          <option key={c.id} value={c.id}>{c.name}</option>
+        ))}
+      </select>
+      <span className="inline-flex items-center gap-1">
+        Shift due
+        <input type="number" className={classNames(control, "w-16")} value={days} onChange={(e) => setDays(Math.trunc(Number(e.target.value)) || 0)} />
+        days
+        <label className="inline-flex items-center gap-1 text-neutral-600">
+          <input type="checkbox" checked={includeSteps} onChange={(e) => setIncludeSteps(e.target.checked)} /> and steps
+        </label>
+        <button className={control} disabled={!days} onClick={() => onShiftDue(days, includeSteps)}>Apply</button>
+      </span>
+      <form
+        className="inline-flex items-center gap-1"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (!stepText.trim()) return;
+          onAddStep(stepText.trim(), stepDate || undefined);
+          setStepText("");
+          setStepDate("");
+        }}
+      >
+        <input className={classNames(control, "w-40")} placeholder="Add a next step to each" value={stepText} onChange={(e) => setStepText(e.target.value)} />
+        <input type="date" className={control} value={stepDate} onChange={(e) => setStepDate(e.target.value)} />
+        <button type="submit" className={control}>Add</button>
+      </form>
+      <button className={control} onClick={onExport}>Export CSV</button>
+      <button className={classNames(control, "text-red-600")} onClick={onDelete}>
+        <Trash2 className="inline h-3.5 w-3.5" /> Delete
+      </button>
+      <button className="ml-auto text-neutral-500 hover:text-neutral-900" onClick={onClear}>Clear selection</button>
+    </div>
+  );
+}
+
+function ChecklistEditor({ items, onChange }: { items: ChecklistItem[]; onChange: (items: ChecklistItem[]) => void }) {
+  const [text, setText] = useState("");
+  const edit = (id: string, change: (item: ChecklistItem) => ChecklistItem | null) =>
+    onChange(editSiblings(items, id, (list, i) => {
+      const next = change(list[i]);
+      return next ? list.map((c, k) => (k === i ? next : c)) : list.filter((_, k) => k !== i);
+    }));
+  const iconButton = "p-1 rounded hover:bg-neutral-100 disabled:opacity-30";
+
+  function add() {
+    if (!text.trim()) return;
+    onChange([...items, { id: uid(), text: text.trim() }]);
+    setText("");
+  }
+
+  function rows(list: ChecklistItem[], depth: number): React.ReactNode {
+    return list.map((item, i) => (
+      <li key={item.id}>
+        <div className="flex items-center gap-2 text-sm" style={{ paddingLeft: depth * 20 }}>
+          <input type="checkbox" checked={!!item.done} onChange={() => edit(item.id, (c) => setChecklistDone(c, !c.done))} />
+          <input
+            className={classNames("flex-1 min-w-0 bg-transparent px-1 py-0.5 rounded border border-transparent hover:border-neutral-200 focus:border-neutral-300 outline-none", item.done && "line-through text-neutral-400")}
+            value={item.text}
+            onChange={(e) => edit(item.id, (c) => ({ ...c, text: e.target.value }))}
+            onBlur={() => !item.text.trim() && edit(item.id, () => null)}
+          />
+          <button type="button" className={iconButton} disabled={i === 0} onClick={() => onChange(editSiblings(items, item.id, (l, k) => moveInList(l, k, -1)))} title="Move up"><ArrowUp className="h-3.5 w-3.5" /></button>
+          <button type="button" className={iconButton} disabled={i === list.length - 1} onClick={() => onChange(editSiblings(items, item.id, (l, k) => moveInList(l, k, 1)))} title="Move down"><ArrowDown className="h-3.5 w-3.5" /></button>
+          <button type="button" className={iconButton} disabled={i === 0 || depth + 1 >= MAX_CHECKLIST_DEPTH} onClick={() => onChange(indentChecklistItem(items, item.id))} title="Make a sub-item"><CornerDownRight className="h-3.5 w-3.5" /></button>
+          <button type="button" className={iconButton} disabled={depth === 0} onClick={() => onChange(outdentChecklistItem(items, item.id))} title="Move out a level"><CornerUpLeft className="h-3.5 w-3.5" /></button>
+          <button type="button" className={iconButton} onClick={() => edit(item.id, () => null)} title="Remove"><X className="h-3.5 w-3.5" /></button>
+        </div>
+        {item.children?.length ? <ul>{rows(item.children, depth + 1)}</ul> : null}
+      </li>
+    ));
+  }
+
+  const { done, total } = checklistProgress(items);
+  return (
+    <div>
+      {total > 0 && <div className="text-xs text-neutral-500 mb-1">{done}/{total} done</div>}
+      <ul className="space-y-1">{rows(items, 0)}</ul>
+      <div className="mt-2 flex items-center gap-2">
+        <input
+          className="flex-1 px-3 py-2 rounded-xl border border-neutral-200 text-sm"
+          placeholder="Add a checklist item"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key !== "Enter") return;
+            e.preventDefault(); // not the task form
+            add();
+          }}
+        />
+        <button type="button" onClick={add} className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">Add</button>
+      </div>
+    </div>
+  );
+}
+
+function DashboardView({ analytics, categories, onEditTask, onOpenContact }: {
+  analytics: Analytics<Task, Contact> | null;
+  categories: CategoryDef[];
+  onEditTask: (task: Task) => void;
+  onOpenContact: (id: string) => void;
+}) {
+  if (!analytics) return null;
+  const { weeks, completions, steps, onTime, late, daysToComplete, untracked, neglectedContacts, neglectedTasks } = analytics;
+  const charted = categories.filter((c) => completions[c.id]);
+  const weekTotals = weeks.map((_, i) => charted.reduce((sum, c) => sum + completions[c.id][i], 0));
+  const completed = weekTotals.reduce((a, b) => a + b, 0);
+  const maxWeek = Math.max(1, ...weekTotals);
+  const maxSteps = Math.max(1, ...steps);
+  const cycles = categories.filter((c) => daysToComplete[c.id]);
+  const all = cycles.reduce((acc, c) => ({ total: acc.total + daysToComplete[c.id].total, count: acc.count + daysToComplete[c.id].count }), { total: 0, count: 0 });
+  const days = (d: { total: number; count: number }) => (d.total / d.count).toFixed(1);
+  const panel = "bg-white rounded-2xl border border-neutral-200 shadow-sm p-4";
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <MetricBox label={`Completed (${DASHBOARD_WEEKS} wks)`} value={completed} sub={`${steps.reduce((a, b) => a + b, 0)} next steps done`} />
+        <MetricBox label="On time" value={onTime + late ? `${Math.round((onTime / (onTime + late)) * 100)}%` : "—"} sub={`${onTime} on time · ${late} late`} />
+        <MetricBox label="Avg. days to complete" value={all.count ? days(all) : "—"} sub="Created → completed" />
+        <MetricBox label="Neglected" value={neglectedContacts.length + neglectedTasks.length} sub="Contacts and open tasks" tone={neglectedContacts.length + neglectedTasks.length ? "danger" : "normal"} />
+      </div>
+
+      <div className={panel}>
+        <div className="text-sm font-semibold mb-3">Completed tasks per week</div>
+        <div className="flex items-end gap-2 h-40">
+          {weeks.map((week, i) => (
+            <div key={week} className="flex-1 flex flex-col items-center gap-1 h-full">
+              <div className="flex-1 w-full flex flex-col justify-end" title={charted.map((c) => `${c.name}: ${completions[c.id][i]}`).join("\n")}>
+                {charted.map((c) => completions[c.id][i] > 0 && (
+                  <div key={c.id} className={CATEGORY_COLORS[c.color]?.swatch} style={{ height: `${(completions[c.id][i] / maxWeek) * 100}%` }} />
+                ))}
+              </div>
+              <div className="text-[10px] text-neutral-500">{formatDateShort(week)}</div>
+            </div>
+          ))}
+        </div>
+        <div className="mt-3 flex items-center gap-3 flex-wrap text-xs text-neutral-600">
+          {charted.map((c) => (
+            <span key={c.id} className="inline-flex items-center gap-1"><span className={classNames("h-2.5 w-2.5 rounded-sm", CATEGORY_COLORS[c.color]?.swatch)} /> {c.name}</span>
+          ))}
+          {!charted.length && <span className="text-neutral-400">Nothing completed in the last {DASHBOARD_WEEKS} weeks.</span>}
+        </div>
+        {untracked > 0 && (
+          <div className="mt-2 text-[11px] text-neutral-400">
+            {untracked} completed task{untracked === 1 ? " was" : "s were"} finished before completion times were recorded and {untracked === 1 ? "is" : "are"} left out.
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className={panel}>
+          <div className="text-sm font-semibold mb-3">Next steps done per week</div>
+          <div className="flex items-end gap-2 h-28">
+            {weeks.map((week, i) => (
+              <div key={week} className="flex-1 flex flex-col items-center gap-1 h-full" title={`${steps[i]} done`}>
+                <div className="flex-1 w-full flex flex-col justify-end">
+                  {steps[i] > 0 && <div className="bg-neutral-800" style={{ height: `${(steps[i] / maxSteps) * 100}%` }} />}
+                </div>
+                <div className="text-[10px] text-neutral-500">{formatDateShort(week)}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className={panel}>
+          <div className="text-sm font-semibold mb-3">Average days to complete</div>
+          {cycles.length ? (
+            <table className="w-full text-sm">
+              <tbody>
+                {cycles.map((c) => (
+                  <tr key={c.id} className="border-b last:border-0">
+                    <td className="py-1.5"><CategoryBadge category={c} /></td>
+                    <td className="py-1.5 text-right font-medium">{days(daysToComplete[c.id])}</td>
+                    <td className="py-1.5 pl-3 text-right text-xs text-neutral-400">{daysToComplete[c.id].count} tasks</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="text-xs text-neutral-400">No completions with a recorded time yet.</div>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className={panel}>
+          <div className="text-sm font-semibold mb-2">Contacts not reached in {NEGLECTED_CONTACT_DAYS}+ days</div>
+          <ul className="divide-y text-sm">
+            {neglectedContacts.map(({ contact, days }) => (
+              <li key={contact.id} className="flex items-center justify-between py-1.5">
+                <button className="text-left hover:underline" onClick={() => onOpenContact(contact.id)}>{contact.name}</button>
+                <span className="text-xs text-neutral-500">{days === null ? "never" : `${days} days`}</span>
+              </li>
+            ))}
+            {!neglectedContacts.length && <li className="py-1.5 text-xs text-neutral-400">Everyone's been reached recently.</li>}
+          </ul>
+        </div>
+        <div className={panel}>
+          <div className="text-sm font-semibold mb-2">Open tasks untouched for {NEGLECTED_TASK_DAYS}+ days</div>
+          <ul className="divide-y text-sm">
+            {neglectedTasks.map(({ task, days }) => (
+              <li key={task.id} className="flex items-center justify-between py-1.5">
+                <button className="text-left hover:underline truncate" onClick={() => onEditTask(task)}>{task.title}</button>
+                <span className="text-xs text-neutral-500 shrink-0 ml-2">{days} days</span>
+              </li>
+            ))}
+            {!neglectedTasks.length && <li className="py-1.5 text-xs text-neutral-400">Nothing has gone quiet.</li>}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Markdown({ source, onToggleCheck, className }: {
+  source: string;
+  onToggleCheck?: (line: number) => void; // omit to render checklists read-only
+  className?: string;
+}) {
+  const blocks = useMemo(() => parseMarkdown(source), [source]);
+  const lines = (text: string) => text.split("\n").flatMap((l, i) => (i ? [<br key={i} />, ...renderInline(l)] : renderInline(l)));
+
+  return (
+    <div className={classNames("space-y-1.5 break-words", className)}>
+      {blocks.map((b, i) => {
+        switch (b.type) {
+          case "heading":
+            return <div key={i} className={classNames("font-semibold text-neutral-800", b.level === 1 && "text-[1.15em]")}>{renderInline(b.text)}</div>;
+          case "paragraph":
+            return <p key={i}>{lines(b.text)}</p>;
+          case "quote":
+            return <blockquote key={i} className="border-l-2 border-neutral-300 pl-2 italic">{lines(b.text)}</blockquote>;
+          case "code":
+            return <pre key={i} className="rounded-lg bg-neutral-100 p-2 font-mono text-[0.9em] overflow-x-auto whitespace-pre">{b.text}</pre>;
+          case "list": {
+            const items = b.items.map((item) => (
+              <li key={item.line} className={classNames(item.checked !== undefined && "list-none -ml-4 flex items-start gap-1.5")}>
+                {item.checked !== undefined && (
+                  <input
+                    type="checkbox"
+                    className="mt-0.5"
+                    checked={item.checked}
+                    disabled={!onToggleCheck}
+                    onChange={() => onToggleCheck?.(item.line)}
+                    onClick={(e) => e.stopPropagation()}
+                  />
+                )}
+                <span className={classNames(item.checked && "line-through text-neutral-400")}>{renderInline(item.text)}</span>
+              </li>
+            ));
+            return b.ordered
+              ? <ol key={i} className="list-decimal pl-5 space-y-0.5">{items}</ol>
+              : <ul key={i} className="list-disc pl-5 space-y-0.5">{items}</ul>;
+          }
+        }
+      })}
+    </div>
+  );
+}
+
+function formatBytes(bytes: number) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function AttachmentPreview({ attachment, files, onRemove }: { attachment: Attachment; files: AttachmentStore; onRemove: () => void }) {
+  const [url, setUrl] = useState<string | null>(null);
+  const [missing, setMissing] = useState(false);
+  const [open, setOpen] = useState(false);
+  const isImage = attachment.type.startsWith("image/");
+  const isPdf = attachment.type === "application/pdf";
+
+  useEffect(() => {
+    let cancelled = false;
+    let created: string | null = null;
+    files.get(attachment.id).then(
+      (blob) => {
+        if (cancelled) return;
+        if (!blob) return setMissing(true);
+        created = URL.createObjectURL(blob);
+        setUrl(created);
+      },
+      () => !cancelled && setMissing(true)
+    );
+    return () => {
+      cancelled = true;
+      if (created) URL.revokeObjectURL(created);
+    };
+  }, [files, attachment.id]);
+
+  return (
+    <div className="rounded-xl border border-neutral-200 bg-neutral-50 p-2 text-xs">
+      <div className="flex items-center gap-2">
+        <FileText className="h-4 w-4 shrink-0 text-neutral-400" />
+        <div className="min-w-0 flex-1">
+          <div className="truncate font-medium" title={attachment.name}>{attachment.name}</div>
+          <div className="text-neutral-400">{missing ? "File not on this device" : formatBytes(attachment.size)}</div>
         </div>
+        {url && isPdf && (
+          <button type="button" className="px-2 py-0.5 rounded-lg border bg-white hover:bg-neutral-50" onClick={() => setOpen(!open)}>
+            {open ? "Hide" : "Preview"}
+          </button>
+        )}
+        {url && (
+          <a className="p-1 rounded hover:bg-neutral-100" href={url} download={attachment.name} title="Download"><Download className="h-4 w-4" /></a>
+        )}
+        <button type="button" className="p-1 rounded hover:bg-neutral-100" onClick={onRemove} title="Remove"><Trash2 className="h-4 w-4" /></button>
       </div>
+      {url && isImage && (
+        <a href={url} target="_blank" rel="noopener noreferrer">
+          <img src={url} alt={attachment.name} className="mt-2 max-h-40 w-full rounded-lg object-contain bg-white" />
+        </a>
+      )}
+      {url && isPdf && open && <iframe src={url} title={attachment.name} className="mt-2 h-72 w-full rounded-lg border bg-white" />}
     </div>
   );
 }
 
-// -----------------------------
-// Subcomponents
-// -----------------------------
-function MetricBox({ label, value, sub, tone }: { label: string; value: number; sub?: string; tone?: "danger" | "normal" }) {
+const LOCALE_SUGGESTIONS = ["en-US", "en-GB", "en-AU", "en-CA", "de-DE", "fr-FR", "es-ES", "it-IT", "nl-NL", "pt-BR", "ja-JP", "zh-CN"];
+
+function SettingsPanel({ settings, onChange }: { settings: Settings; onChange: (patch: Partial<Settings>) => void }) {
+  const [locale, setLocale] = useState(settings.locale);
+  const localeOk = !locale.trim() || isValidLocale(locale.trim());
+  const sample = new Date();
+  const field = "w-full px-3 py-2 rounded-xl border border-neutral-200 bg-white text-sm";
+
   return (
-    <div className={classNames(
-      "rounded-2xl border shadow-sm p-4",
-      tone === "danger" ? "border-red-200 bg-red-50" : "border-neutral-200 bg-white"
-    )}>
-      <div className="text-xs text-neutral-500">{label}</div>
-      <div className="text-2xl font-semibold leading-tight">{value}</div>
-      {sub && <div className="text-[11px] text-neutral-400">{sub}</div>}
+    <div className="space-y-4 text-sm">
+      <div>
+        <label className="text-xs text-neutral-500">Week starts on</label>
+        <select className={field} value={settings.weekStartsOn} onChange={(e) => onChange({ weekStartsOn: Number(e.target.value) === 1 ? 1 : 0 })}>
+          <option value={0}>Sunday</option>
+          <option value={1}>Monday</option>
+        </select>
+      </div>
+      <div>
+        <label className="text-xs text-neutral-500">Language and region</label>
+        <input
+          className={classNames(field, !localeOk && "border-red-300")}
+          list="locale-suggestions"
+          placeholder={`Browser default (${Intl.DateTimeFormat().resolvedOptions().locale})`}
+          value={locale}
+          onChange={(e) => {
+            setLocale(e.target.value);
+            const next = e.target.value.trim();
+            if (!next || isValidLocale(next)) onChange({ locale: next });
+          }}
+        />
+        <datalist id="locale-suggestions">
+          {LOCALE_SUGGESTIONS.map((l) => <option key={l} value={l} />)}
+        </datalist>
+        {!localeOk && <div className="mt-1 text-xs text-red-600">Not a locale this browser knows, e.g. en-GB or de-DE.</div>}
+      </div>
+      <div>
+        <label className="text-xs text-neutral-500">Date format</label>
+        <select className={field} value={settings.dateFormat} onChange={(e) => onChange({ dateFormat: e.target.value as DateDisplay })}>
+          {DATE_DISPLAYS.map((f) => (
+            <option key={f} value={f}>{DATE_DISPLAY_LABELS[f]}</option>
+          ))}
+        </select>
+      </div>
+      <div className="rounded-xl bg-neutral-50 border border-neutral-200 p-3 text-xs text-neutral-600">
+        Today shows as <span className="font-medium">{formatDateShort(toISODate(sample))}</span>, now as{" "}
+        <span className="font-medium">{formatDateTime(sample.toISOString())}</span>; weeks run {weekdayLabels()[0]}–{weekdayLabels()[6]}.
+        Due dates are calendar days in this device's timezone ({Intl.DateTimeFormat().resolvedOptions().timeZone}).
+      </div>
     </div>
   );
 }
 
-function TaskCard({ task, onEdit, onRemove, onToggleComplete }: {
-  task: Task;
-  onEdit: () => void;
-  onRemove: () => void;
-  onToggleComplete: () => void;
+function syncValuePreview(value: unknown) {
+  if (value === undefined || value === "") return "(empty)";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > 140 ? `${text.slice(0, 140)}…` : text;
+}
+
+function SyncPanel({
+  sync,
+  syncing,
+  onConnect,
+  onSyncNow,
+  onResolve,
+}: {
+  sync: SyncState;
+  syncing: boolean;
+  onConnect: (serverUrl: string, token: string) => void;
+  onSyncNow: () => void;
+  onResolve: (key: string, choice: "mine" | "theirs") => void;
 }) {
-  const nn = (task.nextSteps && task.nextSteps.length) ? task.nextSteps.reduce((acc: NextStep | null, cur) => {
-    if (!acc) return cur;
-    if (!acc.dueDate) return cur.dueDate ? cur : acc;
-    if (!cur.dueDate) return acc;
-    return acc.dueDate <= cur.dueDate ? acc : cur;
-  }, null) : null;
+  const [serverUrl, setServerUrl] = useState(sync.serverUrl);
+  const [token, setToken] = useState(sync.token);
+  const urlOk = !serverUrl.trim() || /^https?:\/\/\S+$/i.test(serverUrl.trim());
+  const dirty = serverUrl.trim() !== sync.serverUrl || token !== sync.token;
+  const field = "w-full px-3 py-2 rounded-xl border border-neutral-200 bg-white text-sm";
 
   return (
-    <div className="rounded-xl border border-neutral-200 p-3 hover:shadow-sm">
-      <div className="flex items-start justify-between gap-2">
+    <div className="space-y-4 text-sm">
+      <div>
+        <label className="text-xs text-neutral-500">Server URL</label>
+        <input
+          className={classNames(field, !urlOk && "border-red-300")}
+          placeholder="http://localhost:8787 (leave empty to turn sync off)"
+          value={serverUrl}
+          onChange={(e) => setServerUrl(e.target.value)}
+        />
+        {!urlOk && <div className="mt-1 text-xs text-red-600">Use an http:// or https:// address.</div>}
+      </div>
+      <div>
+        <label className="text-xs text-neutral-500">Access token (optional)</label>
+        <input className={field} type="password" value={token} onChange={(e) => setToken(e.target.value)} />
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          className="px-3 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-40"
+          disabled={!urlOk || !dirty}
+          onClick={() => onConnect(serverUrl.trim(), token)}
+        >
+          {serverUrl.trim() ? "Save" : "Turn off sync"}
+        </button>
+        <button
+          className="inline-flex items-center gap-2 px-3 py-2 rounded-xl border border-neutral-200 bg-white hover:bg-neutral-50 disabled:opacity-40"
+          disabled={!sync.serverUrl || dirty || syncing}
+          onClick={onSyncNow}
+        >
+          <RefreshCw className={classNames("h-4 w-4", syncing && "animate-spin")} /> Sync now
+        </button>
+      </div>
+
+      <div className="rounded-xl bg-neutral-50 border border-neutral-200 p-3 text-xs text-neutral-600 space-y-1">
         <div>
-          <div className="font-semibold text-sm leading-snug">{task.title}</div>
-          <div className="text-xs text-neutral-500 mt-0.5">{task.description || ""}</div>
+          Status:{" "}
+          {!sync.serverUrl ? (
+            "off"
+          ) : sync.lastError ? (
+            <span className="text-red-600">failed — {sync.lastError}</span>
+          ) : sync.lastSyncAt ? (
+            `last synced ${formatDateTime(sync.lastSyncAt)}`
+          ) : (
+            "not synced yet"
+          )}
+          {sync.serverUrl && sync.outbox.length > 0 && ` · ${sync.outbox.length} change${sync.outbox.length === 1 ? "" : "s"} waiting`}
         </div>
-        <div className="flex items-center gap-1">
-          <button className="p-1 rounded hover:bg-neutral-100" onClick={onEdit} title="Edit"><Edit3 className="h-4 w-4"/></button>
-          <button className="p-1 rounded hover:bg-neutral-100" onClick={onRemove} title="Delete"><Trash2 className="h-4 w-4"/></button>
+        <div>
+          This device: <span className="font-mono">{sync.deviceId}</span>
         </div>
+        <div>Tasks, contacts, interactions and categories sync. Settings, pipelines, saved views, message templates, the trash and attached files stay on this device.</div>
       </div>
-      <div className="mt-2 flex items-center gap-2 flex-wrap">
-        <span className="inline-flex items-center rounded-full border px-2 py-0.5 text-[11px]">{task.category}</span>
-        <span className={classNames(
-          "inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-[11px]",
-          task.status === "Completed" ? "bg-green-100 text-green-700" : task.status === "Pending" ? "bg-amber-100 text-amber-800" : "bg-blue-100 text-blue-700"
-        )}>
-          <CheckCircle className="h-3.5 w-3.5" /> {task.status}
-        </span>
-        {task.dueDate && (
-          <span className={classNames(
-            "inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-[11px] border",
-            isOverdue(task.dueDate) ? "border-red-300 text-red-700 bg-red-50" : isDueWithinDays(task.dueDate) ? "border-amber-300 text-amber-800 bg-amber-50" : "border-neutral-200 text-neutral-700"
-          )}>
-            <CalendarIcon className="h-3.5 w-3.5"/> due {formatDateShort(task.dueDate)}
-          </span>
-        )}
+
+      {sync.conflicts.length > 0 && (
+        <div className="space-y-2">
+          <div className="font-medium">Conflicts ({sync.conflicts.length})</div>
+          <div className="text-xs text-neutral-500">Changed here and on another device since the last sync. This device keeps its version until you choose.</div>
+          {sync.conflicts.map((c) => (
+            <div key={c.key} className="rounded-xl border border-amber-200 bg-amber-50 p-3 space-y-2">
+              <div className="font-medium">
+                {c.label}
+                {c.field && <span className="text-neutral-500 font-normal"> · {c.field}</span>}
+              </div>
+              {c.field ? (
+                <div className="grid grid-cols-2 gap-2 text-xs">
+                  <div>
+                    <div className="text-neutral-500">This device</div>
+                    <div className="break-words">{syncValuePreview(c.local)}</div>
+                  </div>
+                  <div>
+                    <div className="text-neutral-500">Other device · {formatDateTime(new Date(c.remoteStamp.at).toISOString())}</div>
+                    <div className="break-words">{syncValuePreview(c.remote)}</div>
+                  </div>
+                </div>
+              ) : (
+                <div className="text-xs">Deleted on another device ({formatDateTime(new Date(c.remoteStamp.at).toISOString())}) but edited here.</div>
+              )}
+              <div className="flex gap-2">
+                <button className="px-3 py-1.5 rounded-xl border border-neutral-200 bg-white hover:bg-neutral-50 text-xs" onClick={() => onResolve(c.key, "mine")}>
+                  Keep mine
+                </button>
+                <button className="px-3 py-1.5 rounded-xl border border-neutral-200 bg-white hover:bg-neutral-50 text-xs" onClick={() => onResolve(c.key, "theirs")}>
+                  {c.field ? "Use theirs" : "Delete it"}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function QuickAddBar({
+  categories,
+  contacts,
+  tasks,
+  defaultCategory,
+  weekStartsOn,
+  dayFirst,
+  onAdd,
+}: {
+  categories: CategoryDef[];
+  contacts: Contact[];
+  tasks: Task[];
+  defaultCategory: Category;
+  weekStartsOn: number;
+  dayFirst: boolean;
+  onAdd: (parsed: QuickAddResult) => void;
+}) {
+  const [text, setText] = useState("");
+  const parsed = useMemo(
+    () => (text.trim() ? parseQuickAdd(text, { categories, contacts, tasks, today: new Date(), weekStartsOn, dayFirst }) : null),
+    [text, categories, contacts, tasks, weekStartsOn, dayFirst]
+  );
+  const target = parsed?.taskId ? tasks.find((t) => t.id === parsed.taskId) : undefined;
+  const linked = contacts.filter((c) => parsed?.contactIds.includes(c.id));
+
+  return (
+    <div className="mb-6">
+      <div className="relative">
+        <Plus className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-neutral-400" />
+        <input
+          id="quick-add"
+          className="w-full pl-9 pr-3 py-2 rounded-xl border border-neutral-200 bg-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-200"
+          placeholder="Quick add, e.g. Call Grace re X3 tomorrow 3pm #Dealership !p1 @Grace"
+          title={QUICK_ADD_HELP}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Escape") setText("");
+            if (e.key !== "Enter" || !parsed?.title) return;
+            e.preventDefault();
+            onAdd(parsed);
+            setText("");
+          }}
+        />
       </div>
-      {nn && (
-        <div className="mt-2 text-[12px]">
-          <div className="text-neutral-500">Next step</div>
-          <div className="flex items-center gap-2">
-            <span className="font-medium">{nn.text}</span>
-            {nn.dueDate && <span className="text-neutral-500">· {formatDateShort(nn.dueDate)}</span>}
+      {parsed && (
+        <div className="mt-2 rounded-xl border border-neutral-200 bg-white px-3 py-2 text-xs text-neutral-600 space-y-1">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-neutral-400">{target ? `Next step on “${target.title}”:` : "New task:"}</span>
+            <span className="font-medium text-neutral-900">{parsed.title || "—"}</span>
+            {!target && <CategoryBadge category={findCategory(categories, parsed.category ?? defaultCategory)} />}
+            {!target && <span>{parsed.status ?? "Active"}</span>}
+            {parsed.priority && <PriorityBadge priority={parsed.priority} />}
+            {parsed.dueDate ? (
+              <span className="inline-flex items-center gap-1">
+                <CalendarIcon className="h-3 w-3" /> {formatDateShort(parsed.dueDate)}
+                {parsed.startTime && ` ${formatTime(parsed.startTime)}${parsed.endTime ? `–${formatTime(parsed.endTime)}` : ""}`}
+              </span>
+            ) : (
+              <span className="text-neutral-400">no due date</span>
+            )}
+            {!target && linked.length > 0 && (
+              <span className="inline-flex items-center gap-1">
+                <Users className="h-3 w-3" /> {linked.map((c) => c.name).join(", ")}
+              </span>
+            )}
+            <span className="ml-auto text-neutral-400">{parsed.title ? "Enter to add · Esc to clear" : ""}</span>
           </div>
+          {parsed.warnings.length > 0 && <div className="text-amber-700">{parsed.warnings.join(" · ")}</div>}
         </div>
       )}
-      <div className="mt-3 flex items-center gap-2">
-        <button className="text-xs px-2 py-1 rounded-lg border hover:bg-neutral-50" onClick={onToggleComplete}>
-          {task.status === "Completed" ? "Mark Active" : "Mark Completed"}
-        </button>
-      </div>
     </div>
   );
 }
 
-function Modal({ children, onClose }: { children: React.ReactNode; onClose: () => void }) {
+function CommandPalette({ commands, onClose }: { commands: Command[]; onClose: () => void }) {
+  const [query, setQuery] = useState("");
+  const [index, setIndex] = useState(0);
+  const results = useMemo(() => rankCommands(commands, query), [commands, query]);
+  const listRef = useRef<HTMLDivElement | null>(null);
+  const current = Math.min(index, Math.max(0, results.length - 1));
+
   useEffect(() => {
-    function handler(e: KeyboardEvent) { if (e.key === "Escape") onClose(); }
-    window.addEventListener("keydown", handler);
-    return () => window.removeEventListener("keydown", handler);
-  }, [onClose]);
+    listRef.current?.querySelector(`[data-index="${current}"]`)?.scrollIntoView({ block: "nearest" });
+  }, [current]);
+
+  function run(command?: Command) {
+    if (!command) return;
+    onClose();
+    command.run();
+  }
 
   return (
-    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={onClose}>
-      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl overflow-hidden" onClick={(e) => e.stopPropagation()}>
-        <div className="flex items-center justify-between px-4 py-3 border-b">
-          <div className="font-semibold">Task</div>
-          <button className="p-2 rounded-lg hover:bg-neutral-100" onClick={onClose}><X className="h-4 w-4"/></button>
+    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm z-50 flex items-start justify-center p-4 pt-[12vh]" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-xl overflow-hidden" role="dialog" aria-modal="true" aria-label="Command palette" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center gap-2 px-4 py-3 border-b">
+          <Search className="h-4 w-4 text-neutral-400" />
+          <input
+            autoFocus
+            className="flex-1 text-sm focus:outline-none"
+            placeholder="Type a command, view or task…"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setIndex(0);
+            }}
+            onKeyDown={(e) => {
+              if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+                e.preventDefault();
+                const dir = e.key === "ArrowDown" ? 1 : -1;
+                setIndex((current + dir + results.length) % Math.max(1, results.length));
+              } else if (e.key === "Enter") {
+                e.preventDefault();
+                run(results[current]);
+              } else if (e.key === "Escape") {
+                e.preventDefault();
+                e.stopPropagation();
+                onClose();
+              }
+            }}
+          />
+          <kbd className="text-[10px] text-neutral-400 border rounded px-1">Esc</kbd>
         </div>
-        <div className="p-4">
-          {children}
+        <div ref={listRef} className="max-h-[50vh] overflow-y-auto py-1" role="listbox">
+          {results.map((c, i) => (
+            <div
+              key={c.id}
+              data-index={i}
+              role="option"
+              aria-selected={i === current}
+              className={classNames("flex items-center gap-3 px-4 py-2 text-sm cursor-pointer", i === current ? "bg-blue-50" : "hover:bg-neutral-50")}
+              onMouseMove={() => i !== current && setIndex(i)}
+              onClick={() => run(c)}
+            >
+              <span className="w-16 shrink-0 text-[11px] text-neutral-400">{c.group}</span>
+              <span className="flex-1 truncate">{c.label}</span>
+              {c.shortcut && <kbd className="text-[10px] text-neutral-500 border rounded px-1">{c.shortcut}</kbd>}
+            </div>
+          ))}
+          {results.length === 0 && <div className="px-4 py-6 text-sm text-center text-neutral-500">Nothing matches “{query}”.</div>}
         </div>
       </div>
     </div>
   );
 }
 
-function TaskForm({ initial, onSave, onCancel }: { initial: Task; onSave: (task: Task) => void; onCancel: () => void }) {
-  const [task, setTask] = useState<Task>({ ...initial });
-  const [nsText, setNsText] = useState("");
-  const [nsDate, setNsDate] = useState<string>("");
+function ShortcutList() {
+  return (
+    <div className="text-sm">
+      <div className="flex items-center gap-2 mb-3 text-neutral-500 text-xs">
+        <Keyboard className="h-4 w-4" /> Single-key shortcuts work whenever you're not typing in a field.
+      </div>
+      <table className="w-full">
+        <tbody>
+          {SHORTCUTS.map((s) => (
+            <tr key={s.keys} className="border-b last:border-0">
+              <td className="py-1.5 pr-4 whitespace-nowrap">
+                <kbd className="text-xs border rounded px-1.5 py-0.5 bg-neutral-50">{s.keys}</kbd>
+              </td>
+              <td className="py-1.5 text-neutral-700">{s.does}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
 
-  function addNextStep() {
-    if (!nsText.trim()) return;
-    const ns: NextStep = { id: uid(), text: nsText.trim(), dueDate: nsDate || undefined };
-    setTask((t) => ({ ...t, nextSteps: [...(t.nextSteps || []), ns] }));
-    setNsText("");
-    setNsDate("");
+function ComposeMessage({ task, contacts, categoryName, templates, onManageTemplates, onDone }: {
+  task: Task;
+  contacts: Contact[];
+  categoryName: string;
+  templates: MessageTemplate[];
+  onManageTemplates: () => void;
+  onDone: (outcome: FollowUpOutcome) => void;
+}) {
+  const linked = contacts.filter((c) => task.contactIds?.includes(c.id));
+  const others = contacts.filter((c) => !task.contactIds?.includes(c.id));
+  const step = nearestNextStep(task);
+  const [templateId, setTemplateId] = useState(templates[0]?.id || "");
+  const [contactId, setContactId] = useState(linked[0]?.id || "");
+  const [subject, setSubject] = useState("");
+  const [body, setBody] = useState("");
+  const [missing, setMissing] = useState<string[]>([]);
+  const [logTouch, setLogTouch] = useState(true);
+  const [completeStep, setCompleteStep] = useState(!!step);
+  const [followUp, setFollowUp] = useState(false);
+  const [followUpText, setFollowUpText] = useState("");
+  const [followUpDate, setFollowUpDate] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  // Falls back to the first template if the picked one was deleted
+  const template = templates.find((t) => t.id === templateId) ?? templates[0];
+  const contact = contacts.find((c) => c.id === contactId);
+  const field = "w-full px-3 py-2 rounded-xl border border-neutral-200 bg-white text-sm";
+
+  // Picking a template or a recipient, or editing the template, starts the
+  // text over; other updates to contacts leave the edited text alone
+  useEffect(() => {
+    if (!template) return;
+    const fields = mergeFieldsFor(task, contact, { categoryName, step, formatDate: formatDateShort });
+    const s = renderTemplate(template.channel === "email" ? template.subject || "" : "", fields);
+    const b = renderTemplate(template.body, fields);
+    setSubject(s.text);
+    setBody(b.text);
+    setMissing([...new Set([...s.missing, ...b.missing])]);
+    setFollowUp(template.followUpDays !== undefined);
+    setFollowUpText(renderTemplate(template.followUpText || "Follow up with {{first_name|them}}", fields).text);
+    setFollowUpDate(toISODate(addDays(new Date(), template.followUpDays ?? 3)));
+  }, [template?.id, contactId, template?.channel, template?.subject, template?.body, template?.followUpDays, template?.followUpText]);
+
+  if (!template) {
+    return (
+      <div className="text-sm text-neutral-600 space-y-3">
+        <div>There are no message templates yet.</div>
+        <button className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50" onClick={onManageTemplates}>Create a template</button>
+      </div>
+    );
   }
 
-  function removeNextStep(id: string) {
-    setTask((t) => ({ ...t, nextSteps: t.nextSteps.filter((n) => n.id !== id) }));
+  const channel = template.channel;
+  const address = channel === "email" ? contact?.email : contact?.phone;
+  const link = address ? (channel === "email" ? mailtoLink(address, subject, body) : smsLink(address, body)) : "";
+
+  function finish() {
+    onDone({
+      channel,
+      contactId: contact?.id,
+      summary: `${template!.name}${subject ? `: ${subject}` : ""}`,
+      logTouch,
+      completeStepId: completeStep ? step?.id : undefined,
+      followUp: followUp && followUpText.trim() && followUpDate ? { text: followUpText.trim(), dueDate: followUpDate } : undefined,
+    });
   }
 
   return (
-    <form
-      onSubmit={(e) => {
-        e.preventDefault();
-        const clean: Task = {
-          ...task,
-          title: task.title.trim(),
-          description: (task.description || "").trim(),
-          dueDate: task.dueDate || undefined,
-        };
-        onSave(clean);
-      }}
-      className="space-y-4"
-    >
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-        <div>
-          <label className="text-xs text-neutral-500">Title</label>
-          <input
-            className="w-full px-3 py-2 rounded-xl border border-neutral-200"
-            value={task.title}
-            onChange={(e) => setTask({ ...task, title: e.target.value })}
-            required
-          />
-        </div>
+    <div className="space-y-4 text-sm">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
         <div>
-          <label className="text-xs text-neutral-500">Category</label>
-          <select
-            className="w-full px-3 py-2 rounded-xl border border-neutral-200 bg-white"
-            value={task.category}
-            onChange={(e) => setTask({ ...task, category: e.target.value as Category })}
-          >
-            {CATEGORIES.map((c) => (
-              <option key={c} value={c}>{c}</option>
+          <label className="text-xs text-neutral-500">Template</label>
+          <select className={field} value={template.id} onChange={(e) => setTemplateId(e.target.value)}>
+            {templates.map((t) => (
+              <option key={t.id} value={t.id}>{t.name} ({t.channel === "email" ? "email" : "SMS"})</option>
             ))}
           </select>
         </div>
         <div>
-          <label className="text-xs text-neutral-500">Status</label>
-          <select
-            className="w-full px-3 py-2 rounded-xl border border-neutral-200 bg-white"
-            value={task.status}
-            onChange={(e) => setTask({ ...task, status: e.target.value as Status })}
-          >
-            {STATUSES.map((s) => (
-              <option key={s} value={s}>{s}</option>
-            ))}
+          <label className="text-xs text-neutral-500">To</label>
+          <select className={field} value={contactId} onChange={(e) => setContactId(e.target.value)}>
+            <option value="">No contact</option>
+            {linked.length > 0 && (
+              <optgroup label="On this task">
+                {linked.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+              </optgroup>
+            )}
+            {others.length > 0 && (
+              <optgroup label="Other contacts">
+                {others.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+              </optgroup>
+            )}
           </select>
         </div>
-        <div>
-          <label className="text-xs text-neutral-500">Due Date</label>
-          <input
-            type="date"
-            className="w-full px-3 py-2 rounded-xl border border-neutral-200"
-            value={task.dueDate || ""}
-            onChange={(e) => setTask({ ...task, dueDate: e.target.value })}
-          />
-        </div>
       </div>
 
+      {channel === "email" && (
+        <div>
+          <label className="text-xs text-neutral-500">Subject</label>
+          <input className={field} value={subject} onChange={(e) => setSubject(e.target.value)} />
+        </div>
+      )}
       <div>
-        <label className="text-xs text-neutral-500">Description</label>
-        <textarea
-          className="w-full px-3 py-2 rounded-xl border border-neutral-200 min-h-[80px]"
-          value={task.description}
-          onChange={(e) => setTask({ ...task, description: e.target.value })}
-          placeholder="Notes, details, links…"
-        />
+        <label className="text-xs text-neutral-500">Message</label>
+        <textarea className={classNames(field, "min-h-[140px]")} value={body} onChange={(e) => setBody(e.target.value)} />
+        {channel === "sms" && <div className="mt-1 text-xs text-neutral-400">{body.length} characters</div>}
+        {missing.length > 0 && (
+          <div className="mt-1 text-xs text-amber-700">
+            Nothing to fill in for {missing.map((m) => `{{${m}}}`).join(", ")}; edit the text above or add it to the contact or task.
+          </div>
+        )}
       </div>
 
-      {/* Next Steps */}
-      <div className="border rounded-2xl p-3">
-        <div className="text-sm font-semibold mb-2">Next steps</div>
-        <div className="grid grid-cols-1 md:grid-cols-6 gap-2">
-          <input
-            className="md:col-span-4 px-3 py-2 rounded-xl border border-neutral-200"
-            placeholder="Add a next step (e.g., Call Julie)"
-            value={nsText}
-            onChange={(e) => setNsText(e.target.value)}
-          />
-          <input
-            type="date"
-            className="md:col-span-1 px-3 py-2 rounded-xl border border-neutral-200"
-            value={nsDate}
-            onChange={(e) => setNsDate(e.target.value)}
-          />
-          <button type="button" onClick={addNextStep} className="md:col-span-1 px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">Add</button>
+      <div className="rounded-xl border border-neutral-200 p-3 space-y-2">
+        <div className="text-xs text-neutral-500">After sending or copying</div>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={logTouch} onChange={(e) => setLogTouch(e.target.checked)} />
+          Log {channel === "email" ? "an email" : "a text"}{contact ? ` to ${contact.name}` : ""}
+        </label>
+        {step && (
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={completeStep} onChange={(e) => setCompleteStep(e.target.checked)} />
+            Mark “{step.text}” done
+          </label>
+        )}
+        <div className="flex items-center gap-2 flex-wrap">
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={followUp} onChange={(e) => setFollowUp(e.target.checked)} />
+            Add a next step
+          </label>
+          <input className="flex-1 min-w-[10rem] px-2 py-1 rounded-lg border border-neutral-200 text-sm disabled:opacity-50" disabled={!followUp} value={followUpText} onChange={(e) => setFollowUpText(e.target.value)} />
+          <input type="date" className="px-2 py-1 rounded-lg border border-neutral-200 text-sm disabled:opacity-50" disabled={!followUp} value={followUpDate} onChange={(e) => setFollowUpDate(e.target.value)} />
         </div>
-        <ul className="mt-3 space-y-2">
-          {task.nextSteps.map((n) => (
-            <li key={n.id} className="flex items-center justify-between text-sm bg-neutral-50 border border-neutral-200 rounded-xl px-3 py-2">
-              <div>
-                <div className="font-medium">{n.text}</div>
-                <div className="text-xs text-neutral-500">{n.dueDate ? `Due ${formatDateShort(n.dueDate)}` : "No date"}</div>
-              </div>
-              <button className="p-1 rounded hover:bg-neutral-100" onClick={() => removeNextStep(n.id)}><Trash2 className="h-4 w-4"/></button>
-            </li>
-          ))}
-          {!task.nextSteps.length && (
-            <li className="text-xs text-neutral-400">No next steps yet.</li>
+      </div>
+
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <button className="text-xs text-neutral-500 hover:underline" onClick={onManageTemplates}>Edit templates…</button>
+        <div className="flex items-center gap-2">
+          <button
+            className="inline-flex items-center gap-2 px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50"
+            onClick={async () => {
+              try {
+                await navigator.clipboard.writeText(body);
+                setCopied(true);
+                finish();
+              } catch {
+                setCopied(false);
+              }
+            }}
+            title="Copy the message and record it"
+          >
+            <Copy className="h-4 w-4" /> {copied ? "Copied" : "Copy"}
+          </button>
+          {link ? (
+            <a
+              className="inline-flex items-center gap-2 px-3 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700"
+              href={link}
+              onClick={(e) => {
+                // Navigate before the dialog closes and takes the link with it
+                e.preventDefault();
+                window.location.href = link;
+                finish();
+              }}
+            >
+              {channel === "email" ? <Mail className="h-4 w-4" /> : <MessageSquare className="h-4 w-4" />}
+              {channel === "email" ? "Open in email app" : "Open in Messages"}
+            </a>
+          ) : (
+            <span className="text-xs text-neutral-500">
+              {contact ? `${contact.name} has no ${channel === "email" ? "email address" : "phone number"}` : "Pick a contact to open it"}; copy instead.
+            </span>
           )}
-        </ul>
+        </div>
       </div>
+    </div>
+  );
+}
 
-      <div className="flex items-center justify-end gap-2">
-        <button type="button" onClick={onCancel} className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">Cancel</button>
-        <button type="submit" className="px-3 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-700 text-sm">Save Task</button>
+function TemplateManager({ templates, onChange }: { templates: MessageTemplate[]; onChange: (templates: MessageTemplate[]) => void }) {
+  const [openId, setOpenId] = useState<string | null>(null);
+  const field = "w-full px-3 py-2 rounded-xl border border-neutral-200 bg-white text-sm";
+
+  function update(id: string, patch: Partial<MessageTemplate>) {
+    onChange(templates.map((t) => (t.id === id ? { ...t, ...patch } : t)));
+  }
+
+  function add() {
+    const template: MessageTemplate = { id: uid(), name: "New template", channel: "email", subject: "", body: "Hi {{first_name|there}},\n\n" };
+    onChange([...templates, template]);
+    setOpenId(template.id);
+  }
+
+  return (
+    <div className="space-y-4 text-sm">
+      <ul className="space-y-2">
+        {templates.map((t) => (
+          <li key={t.id} className="border rounded-xl p-2">
+            <div className="flex items-center gap-2">
+              {t.channel === "email" ? <Mail className="h-4 w-4 text-neutral-500" /> : <MessageSquare className="h-4 w-4 text-neutral-500" />}
+              <button className="flex-1 text-left font-medium truncate" onClick={() => setOpenId(openId === t.id ? null : t.id)}>{t.name}</button>
+              {t.followUpDays !== undefined && <span className="text-xs text-neutral-500">follow-up in {t.followUpDays}d</span>}
+              <button className="p-1 rounded hover:bg-neutral-100" onClick={() => setOpenId(openId === t.id ? null : t.id)} title="Edit"><Edit3 className="h-4 w-4" /></button>
+              <button className="p-1 rounded hover:bg-neutral-100" onClick={() => onChange(templates.filter((o) => o.id !== t.id))} title="Delete"><Trash2 className="h-4 w-4" /></button>
+            </div>
+            {openId === t.id && (
+              <div className="mt-3 space-y-3">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <div>
+                    <label className="text-xs text-neutral-500">Name</label>
+                    <input className={field} value={t.name} onChange={(e) => update(t.id, { name: e.target.value })} onBlur={(e) => !e.target.value.trim() && update(t.id, { name: "Untitled" })} />
+                  </div>
+                  <div>
+                    <label className="text-xs text-neutral-500">Channel</label>
+                    <select className={field} value={t.channel} onChange={(e) => update(t.id, { channel: e.target.value as TemplateChannel })}>
+                      <option value="email">Email</option>
+                      <option value="sms">SMS</option>
+                    </select>
+                  </div>
+                </div>
+                {t.channel === "email" && (
+                  <div>
+                    <label className="text-xs text-neutral-500">Subject</label>
+                    <input className={field} value={t.subject || ""} onChange={(e) => update(t.id, { subject: e.target.value })} />
+                  </div>
+                )}
+                <div>
+                  <label className="text-xs text-neutral-500">Message</label>
+                  <textarea className={classNames(field, "min-h-[120px] font-mono text-xs")} value={t.body} onChange={(e) => update(t.id, { body: e.target.value })} />
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-[8rem_1fr] gap-3">
+                  <div>
+                    <label className="text-xs text-neutral-500">Follow up after</label>
+                    <select
+                      className={field}
+                      value={t.followUpDays ?? ""}
+                      onChange={(e) => update(t.id, { followUpDays: e.target.value === "" ? undefined : Number(e.target.value) })}
+                    >
+                      <option value="">No follow-up</option>
+                      {[1, 2, 3, 5, 7, 14, 30].map((d) => <option key={d} value={d}>{d} day{d === 1 ? "" : "s"}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="text-xs text-neutral-500">Follow-up step</label>
+                    <input
+                      className={field}
+                      disabled={t.followUpDays === undefined}
+                      placeholder="Follow up with {{first_name|them}}"
+                      value={t.followUpText || ""}
+                      onChange={(e) => update(t.id, { followUpText: e.target.value || undefined })}
+                    />
+                  </div>
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+      <button className="inline-flex items-center gap-2 px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50" onClick={add}>
+        <Plus className="h-4 w-4" /> New template
+      </button>
+      <div className="rounded-xl bg-neutral-50 border border-neutral-200 p-3 text-xs text-neutral-600">
+        <div className="mb-1">Merge fields; add a fallback with {"{{first_name|there}}"}:</div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-0.5">
+          {MERGE_FIELDS.map((f) => (
+            <div key={f.key}>
+              <span className="font-mono">{`{{${f.key}}}`}</span> <span className="text-neutral-500">{f.describe}</span>
+            </div>
+          ))}
+        </div>
       </div>
-    </form>
+    </div>
   );
 }
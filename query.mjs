@@ -0,0 +1,264 @@
+// The search language of the Personal CRM's filter box.
+//
+// Words are ANDed; OR (or |) binds tighter, so `a b OR c` is a AND (b OR c).
+// -word / NOT word negate, parentheses group, "quoted phrases" keep spaces.
+// field:value filters: cat: status: stage: contact: priority: due: created:
+// has: is:. A field value may list alternatives, status:active|pending, which
+// match if any of them does. Dates take today/tomorrow/yesterday/overdue/none,
+// YYYY-MM-DD or a relative 7d / 2w / 1m (negative for the past), optionally
+// after < <= > >= =.
+
+import { ISO_DATE_RE, addDays, toISODate } from "./dates.mjs";
+
+/**
+ * @typedef {typeof QUERY_FIELDS[number]} QueryField
+ * @typedef {{ type: "and" | "or"; items: QueryNode[] }
+ *   | { type: "not"; item: QueryNode }
+ *   | { type: "term"; field?: QueryField; value: string }} QueryNode
+ * @typedef {{ kind: "(" | ")" | "or" | "not" } | { kind: "term"; field?: string; value: string }} QueryToken
+ * @typedef {{ text: string; done?: boolean }} QueryStep
+ * @typedef {{ title: string; description?: string; category: string; status: string; priority?: string; effort?: number; dueDate?: string; createdAt?: string; contactIds?: string[]; reminders?: unknown[]; recurrence?: unknown; nextSteps: QueryStep[] }} QueryTask
+ * @typedef {{
+ *   categoryOf(id: string): { id: string; name: string };
+ *   stageName(task: QueryTask): string;
+ *   contacts: { id: string; name: string }[];
+ *   today: Date;
+ *   isBlocked(task: QueryTask): boolean;
+ * }} QueryContext today is local midnight
+ */
+
+const QUERY_FIELDS = /** @type {const} */ (["cat", "status", "stage", "contact", "priority", "due", "created", "has", "is"]);
+/** @type {Record<string, QueryField>} */
+const QUERY_FIELD_ALIASES = { category: "cat", with: "contact", p: "priority", prio: "priority" };
+const PRIORITIES = ["P1", "P2", "P3", "P4"];
+
+export const QUERY_HELP = [
+  "Words must all match; OR between words, -word to exclude, (…) to group, \"quoted phrase\"",
+  "cat:Dealership  status:active|pending|completed|open  stage:lead  contact:grace",
+  "priority:p1  priority:<=2  due:<7d  due:today  due:overdue  due:none  due:>=2026-11-01",
+  "created:>-30d  has:steps|contact|due|reminder|effort  is:overdue|recurring|open|done|blocked",
+].join("\n");
+
+/** @param {string} text @returns {QueryToken[]} */
+export function tokenizeQuery(text) {
+  /** @type {QueryToken[]} */
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === "(" || ch === ")") {
+      tokens.push({ kind: ch });
+      i++;
+    } else if (ch === "-" && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+      tokens.push({ kind: "not" });
+      i++;
+    } else {
+      const prefix = /^([a-zA-Z]+):/.exec(text.slice(i));
+      const field = prefix ? prefix[1].toLowerCase() : undefined;
+      if (prefix) i += prefix[0].length;
+      let value;
+      let quoted = false;
+      if (text[i] === '"') {
+        const end = text.indexOf('"', i + 1);
+        value = text.slice(i + 1, end < 0 ? undefined : end);
+        i = end < 0 ? text.length : end + 1;
+        quoted = true;
+      } else {
+        value = /^[^\s()]*/.exec(text.slice(i))?.[0] || "";
+        i += value.length;
+      }
+      if (!field && !quoted && (value === "OR" || value === "|")) tokens.push({ kind: "or" });
+      else if (!field && !quoted && value === "NOT") tokens.push({ kind: "not" });
+      else if (field || quoted || value !== "AND") tokens.push({ kind: "term", field, value });
+    }
+  }
+  return tokens;
+}
+
+/** @param {string} text @returns {{ node: QueryNode | null; errors: string[] }} */
+export function parseQuery(text) {
+  const tokens = tokenizeQuery(text);
+  /** @type {string[]} */
+  const errors = [];
+  let pos = 0;
+
+  /** @returns {QueryNode | null} */
+  function parseAnd() {
+    /** @type {QueryNode[]} */
+    const items = [];
+    while (pos < tokens.length && tokens[pos].kind !== ")") {
+      const item = parseOr();
+      if (item) items.push(item);
+    }
+    return items.length === 0 ? null : items.length === 1 ? items[0] : { type: "and", items };
+  }
+
+  /** @returns {QueryNode | null} */
+  function parseOr() {
+    /** @type {QueryNode[]} */
+    const items = [];
+    const first = parseUnary();
+    if (first) items.push(first);
+    while (tokens[pos]?.kind === "or") {
+      pos++;
+      const next = parseUnary();
+      if (next) items.push(next);
+      else errors.push("OR needs something on both sides");
+    }
+    return items.length <= 1 ? items[0] || null : { type: "or", items };
+  }
+
+  /** @returns {QueryNode | null} */
+  function parseUnary() {
+    const token = tokens[pos];
+    if (!token) return null;
+    if (token.kind === "not") {
+      pos++;
+      const item = parseUnary();
+      return item && { type: "not", item };
+    }
+    if (token.kind === "(") {
+      pos++;
+      const inner = parseAnd();
+      if (tokens[pos]?.kind === ")") pos++;
+      else errors.push("Missing )");
+      return inner;
+    }
+    if (token.kind === "or") {
+      pos++;
+      errors.push("OR needs something on both sides");
+      return null;
+    }
+    // ")" only gets here at top level, where parseAnd stops on it
+    if (token.kind !== "term") return null;
+    pos++;
+    if (token.field === undefined) return token.value ? { type: "term", value: token.value } : null;
+    const name = token.field;
+    const field = QUERY_FIELD_ALIASES[name] || QUERY_FIELDS.find((f) => f === name);
+    if (!field) {
+      errors.push(`Unknown filter “${name}:”, searching for it as text`);
+      return { type: "term", value: `${name}:${token.value}` };
+    }
+    // a|b is one term per alternative; a bad date drops only its own
+    /** @type {QueryNode[]} */
+    const terms = [];
+    const values = token.value.includes("|") ? token.value.split("|").filter(Boolean) : [token.value];
+    for (const value of values) {
+      if ((field === "due" || field === "created") && !parseDateFilter(value, new Date())) {
+        errors.push(`“${name}:${value}” isn't a date filter (try due:<7d or due:2026-10-20)`);
+      } else {
+        terms.push({ type: "term", field, value });
+      }
+    }
+    return terms.length <= 1 ? terms[0] || null : { type: "or", items: terms };
+  }
+
+  let node = parseAnd();
+  while (pos < tokens.length) {
+    // Stray ")" — skip it and keep going
+    errors.push("Unmatched )");
+    pos++;
+    const rest = parseAnd();
+    if (rest) node = node ? { type: "and", items: [node, rest] } : rest;
+  }
+  return { node, errors };
+}
+
+// { op, date } for comparisons, "none"/"any" for presence checks
+/** @param {string} value @param {Date} today @returns {{ op: string; date: string } | "none" | "any" | null} */
+export function parseDateFilter(value, today) {
+  const v = value.trim().toLowerCase();
+  if (v === "none") return "none";
+  if (v === "any") return "any";
+  if (v === "overdue") return { op: "<", date: toISODate(today) };
+  const m = /^(<=|>=|<|>|=)?(.+)$/.exec(v);
+  if (!m) return null;
+  const op = m[1] || "=";
+  const rhs = m[2];
+  /** @type {Record<string, number>} */
+  const named = { today: 0, tomorrow: 1, yesterday: -1 };
+  if (rhs in named) return { op, date: toISODate(addDays(today, named[rhs])) };
+  const rel = /^([+-]?\d+)([dwm])$/.exec(rhs);
+  if (rel) {
+    const n = Number(rel[1]);
+    const date = rel[2] === "m" ? new Date(today.getFullYear(), today.getMonth() + n, today.getDate()) : addDays(today, rel[2] === "w" ? n * 7 : n);
+    return { op, date: toISODate(date) };
+  }
+  return ISO_DATE_RE.test(rhs) ? { op, date: rhs } : null;
+}
+
+/** @param {string} op @param {string | number} a @param {string | number} b */
+function compareWith(op, a, b) {
+  switch (op) {
+    case "<": return a < b;
+    case "<=": return a <= b;
+    case ">": return a > b;
+    case ">=": return a >= b;
+    default: return a === b;
+  }
+}
+
+/** @param {Extract<QueryNode, { type: "term" }>} term @param {QueryTask} task @param {QueryContext} ctx @returns {boolean} */
+function matchTerm(term, task, ctx) {
+  const v = term.value.toLowerCase();
+  const contains = (/** @type {string | undefined} */ s) => (s || "").toLowerCase().includes(v);
+  switch (term.field) {
+    case undefined:
+      return contains(task.title) || contains(task.description) || task.nextSteps.some((n) => contains(n.text));
+    case "cat": {
+      const cat = ctx.categoryOf(task.category);
+      return cat.name.toLowerCase().startsWith(v) || cat.id.toLowerCase() === v;
+    }
+    case "status":
+      return v === "open" ? task.status !== "Completed" : task.status.toLowerCase().startsWith(v);
+    case "stage":
+      return contains(ctx.stageName(task));
+    case "contact":
+      return ctx.contacts.some((c) => task.contactIds?.includes(c.id) && contains(c.name));
+    case "priority": {
+      const m = /^(<=|>=|<|>|=)?p?([1-4]|none)$/.exec(v);
+      if (!m) return false;
+      // Lower number = higher priority, so "priority:<=2" means P1 or P2
+      const rank = (/** @type {string | undefined} */ p) => (p ? PRIORITIES.indexOf(p) + 1 : 5);
+      return compareWith(m[1] || "=", rank(task.priority), m[2] === "none" ? 5 : Number(m[2]));
+    }
+    case "due":
+    case "created": {
+      const date = term.field === "due" ? task.dueDate : task.createdAt && toISODate(new Date(task.createdAt));
+      const filter = parseDateFilter(v, ctx.today);
+      if (filter === "none") return !date;
+      if (filter === "any") return !!date;
+      return !!filter && !!date && compareWith(filter.op, date, filter.date);
+    }
+    case "has":
+      return /** @type {Record<string, boolean>} */ ({
+        steps: task.nextSteps.some((n) => !n.done),
+        contact: !!task.contactIds?.length,
+        due: !!task.dueDate,
+        reminder: !!task.reminders?.length,
+        effort: !!task.effort,
+        description: !!task.description?.trim(),
+      })[v] ?? false;
+    case "is":
+      return /** @type {Record<string, boolean>} */ ({
+        overdue: !!task.dueDate && task.status !== "Completed" && task.dueDate < toISODate(ctx.today),
+        recurring: !!task.recurrence,
+        open: task.status !== "Completed",
+        done: task.status === "Completed",
+        blocked: ctx.isBlocked(task),
+      })[v] ?? false;
+  }
+}
+
+/** @param {QueryNode | null} node @param {QueryTask} task @param {QueryContext} ctx @returns {boolean} */
+export function matchQuery(node, task, ctx) {
+  if (!node) return true;
+  switch (node.type) {
+    case "and": return node.items.every((n) => matchQuery(n, task, ctx));
+    case "or": return node.items.some((n) => matchQuery(n, task, ctx));
+    case "not": return !matchQuery(node.item, task, ctx);
+    case "term": return matchTerm(node, task, ctx);
+  }
+}
@@ -0,0 +1,365 @@
+// Quick add (natural-language entry) for the Personal CRM.
+//
+// "Call Grace re X3 tomorrow 3pm #Dealership !p1 @Grace" → a task; add
+// ">deck" (or >"MG deck") to make it a next step on the open task whose title
+// contains that text instead. Recognised anywhere in the line:
+//   dates   today, tonight, tomorrow, friday, this fri, next fri, next week, next
+//           month, in 3 days / 2 weeks / 1 month, oct 25, 25 oct, 10/25, 2026-10-25
+//           (optionally after on / by / due; "on fri" but not a bare "fri", which
+//           is too often just a word: "Sat down with Bob", "sun visor")
+//   times   3pm, 3:30pm, 15:00, noon, at 9, 3-4pm, 9:30am-11
+//   #category  !p1…!p4  @contact  status:active|pending|done  >task
+// A leading backslash keeps a word literal (\#1).
+
+import { addDays, parseISODate, startOfWeek, toISODate } from "./dates.mjs";
+import { uid } from "./ids.mjs";
+
+/**
+ * @typedef {"Active" | "Pending" | "Completed"} QuickStatus
+ * @typedef {"P1" | "P2" | "P3" | "P4"} QuickPriority
+ *
+ * @typedef {object} QuickAddContext
+ * @property {{ id: string; name: string; archived?: boolean }[]} categories
+ * @property {{ id: string; name: string }[]} contacts
+ * @property {{ id: string; title: string; status: string }[]} tasks
+ * @property {Date} today
+ * @property {number} [weekStartsOn]
+ * @property {boolean} [dayFirst] read 3/4 as 3 April
+ *
+ * @typedef {{ kind: "date" | "time" | "category" | "priority" | "contact" | "status" | "target"; text: string }} QuickAddPart
+ *
+ * @typedef {object} QuickAddResult
+ * @property {"task" | "step"} kind
+ * @property {string} title
+ * @property {string} [taskId] kind "step": the task it goes on
+ * @property {string} [category]
+ * @property {QuickStatus} [status]
+ * @property {QuickPriority} [priority]
+ * @property {string} [dueDate]
+ * @property {string} [startTime]
+ * @property {string} [endTime]
+ * @property {string[]} contactIds
+ * @property {QuickAddPart[]} parts what was recognised, in order, for the preview
+ * @property {string[]} warnings
+ *
+ * @typedef {{ h: number; m: number; meridiem?: string }} QuickClock
+ */
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+/** @type {QuickPriority[]} */
+const PRIORITIES = ["P1", "P2", "P3", "P4"];
+const QUICK_WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const QUICK_MONTHS = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+/** @type {Record<string, number>} */
+const QUICK_NUMBERS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12 };
+/** @type {Record<string, QuickStatus>} */
+const QUICK_STATUSES = { active: "Active", pending: "Pending", done: "Completed", completed: "Completed" };
+
+// Any abbreviation of three letters or more: "fri", "tues", "thurs", "sept"
+/** @param {string[]} names @param {string} word */
+function quickNameIndex(names, word) {
+  const w = word.replace(/\.$/, "");
+  return w.length < 3 ? -1 : names.findIndex((name) => name.startsWith(w));
+}
+
+/** @param {string} word */
+function quickWeekday(word) {
+  return word === "weds" ? 3 : quickNameIndex(QUICK_WEEKDAYS, word);
+}
+
+/** @param {string} word */
+function quickMonth(word) {
+  return quickNameIndex(QUICK_MONTHS, word);
+}
+
+// A day in the given month, this year or next if that's already past
+/** @param {Date} today @param {number} month @param {number} day @param {number} [year] @returns {Date | null} */
+function quickUpcoming(today, month, day, year) {
+  const y = year ?? today.getFullYear();
+  const date = new Date(y, month, day);
+  if (date.getMonth() !== month || date.getDate() !== day) return null;
+  if (year === undefined && toISODate(date) < toISODate(today)) return new Date(y + 1, month, day);
+  return date;
+}
+
+// "3pm", "15:00", "9:30a", "noon"; a bare number only when `loose`
+/** @param {string} word @param {boolean} loose @returns {QuickClock | null} */
+function quickClock(word, loose) {
+  if (word === "noon") return { h: 12, m: 0, meridiem: "pm" };
+  if (word === "midnight") return { h: 0, m: 0, meridiem: "am" };
+  const match = /^(\d{1,2})(?::(\d{2}))?(am|pm|a|p)?$/.exec(word);
+  if (!match || (!match[2] && !match[3] && !loose)) return null;
+  const h = Number(match[1]);
+  const m = Number(match[2] || 0);
+  const meridiem = match[3] && (match[3].startsWith("a") ? "am" : "pm");
+  if (m > 59 || (meridiem ? h < 1 || h > 12 : h > 23)) return null;
+  return { h, m, meridiem };
+}
+
+/** @param {QuickClock} clock */
+function quickTimeString(clock, meridiem = clock.meridiem) {
+  let h = clock.h;
+  if (meridiem === "pm" && h < 12) h += 12;
+  if (meridiem === "am" && h === 12) h = 0;
+  return `${String(h).padStart(2, "0")}:${String(clock.m).padStart(2, "0")}`;
+}
+
+// "3pm", "at 9", "3-4pm", "9:30am-11"
+/** @param {string} word @param {boolean} loose @returns {{ start: string; end?: string } | null} */
+function quickTime(word, loose) {
+  const range = /^([^-–]+)[-–]([^-–]+)$/.exec(word);
+  if (range) {
+    const a = quickClock(range[1], true);
+    const b = quickClock(range[2], true);
+    if (!a || !b || (!a.meridiem && !b.meridiem && !a.m && !b.m && !loose && !range[1].includes(":"))) return null;
+    // The end's am/pm carries over to the start: "3-4pm" is 15:00–16:00
+    let start = quickTimeString(a, a.meridiem || b.meridiem);
+    const end = quickTimeString(b, b.meridiem || a.meridiem);
+    if (!a.meridiem && b.meridiem === "pm" && start > end) start = quickTimeString(a, "am"); // "11-1pm"
+    return { start, end };
+  }
+  const clock = quickClock(word, loose);
+  return clock && { start: quickTimeString(clock) };
+}
+
+// Tries to read a date starting at words[i]; returns it and how many words it
+// used. `led`: words[i] came after on / by / due.
+/** @param {string[]} words @param {number} i @param {QuickAddContext} ctx @returns {{ date: Date; used: number } | null} */
+function quickDate(words, i, ctx, led = false) {
+  const { today } = ctx;
+  const w = words[i];
+  const next = words[i + 1];
+  const weekStartsOn = ctx.weekStartsOn ?? 0;
+  if (w === "today" || w === "tonight") return { date: today, used: 1 };
+  if (w === "tomorrow" || w === "tmr" || w === "tmrw") return { date: addDays(today, 1), used: 1 };
+
+  const weekday = quickWeekday(w);
+  // Bare weekday, spelled out or after a lead word: the next one after today
+  const spelledOut = weekday >= 0 && QUICK_WEEKDAYS[weekday] === w.replace(/\.$/, "");
+  if (weekday >= 0 && (led || spelledOut)) return { date: addDays(today, ((weekday - today.getDay() + 6) % 7) + 1), used: 1 };
+  if (w === "this" && next && quickWeekday(next) >= 0) return { date: addDays(today, (quickWeekday(next) - today.getDay() + 7) % 7), used: 2 };
+  if (w === "next" && next) {
+    // "next fri" is the Friday of next week
+    const nextWeek = addDays(startOfWeek(today, weekStartsOn), 7);
+    if (quickWeekday(next) >= 0) return { date: addDays(nextWeek, (quickWeekday(next) - weekStartsOn + 7) % 7), used: 2 };
+    if (next === "week") return { date: nextWeek, used: 2 };
+    if (next === "month") return { date: new Date(today.getFullYear(), today.getMonth() + 1, 1), used: 2 };
+    if (next === "year") return { date: new Date(today.getFullYear() + 1, 0, 1), used: 2 };
+  }
+  if (w === "in" && next) {
+    const n = /^\d+$/.test(next) ? Number(next) : QUICK_NUMBERS[next];
+    const unit = words[i + 2]?.replace(/s$/, "");
+    if (n !== undefined && unit) {
+      if (unit === "day" || unit === "d") return { date: addDays(today, n), used: 3 };
+      if (unit === "week" || unit === "wk" || unit === "w") return { date: addDays(today, n * 7), used: 3 };
+      if (unit === "month" || unit === "mo") return { date: new Date(today.getFullYear(), today.getMonth() + n, today.getDate()), used: 3 };
+    }
+    // "in 2w", "in 3d"
+    const short = /^(\d+)([dw])$/.exec(next);
+    if (short) return { date: addDays(today, Number(short[1]) * (short[2] === "w" ? 7 : 1)), used: 2 };
+  }
+
+  if (ISO_DATE_RE.test(w)) {
+    const date = parseISODate(w);
+    return toISODate(date) === w ? { date, used: 1 } : null;
+  }
+  const numeric = /^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/.exec(w);
+  if (numeric) {
+    const [a, b] = [Number(numeric[1]), Number(numeric[2])];
+    const [month, day] = ctx.dayFirst ? [b, a] : [a, b];
+    const year = numeric[3] ? Number(numeric[3].length === 2 ? `20${numeric[3]}` : numeric[3]) : undefined;
+    const date = quickUpcoming(today, month - 1, day, year);
+    return date && { date, used: 1 };
+  }
+
+  const yearAt = (/** @type {number} */ k) => (/^\d{4}$/.test(words[k] || "") ? Number(words[k]) : undefined);
+  const dayOf = (/** @type {string | undefined} */ word) => (word && /^\d{1,2}(st|nd|rd|th)?,?$/.test(word) ? parseInt(word, 10) : undefined);
+  // "oct 25", "october 25th 2027"
+  const month = quickMonth(w);
+  const monthDay = dayOf(next);
+  if (month >= 0 && monthDay !== undefined) {
+    const year = yearAt(i + 2);
+    const date = quickUpcoming(today, month, monthDay, year);
+    return date && { date, used: year ? 3 : 2 };
+  }
+  // "25 oct", "25th of october"
+  const day = dayOf(w);
+  if (day !== undefined) {
+    const k = next === "of" ? i + 2 : i + 1;
+    const m = quickMonth(words[k] || "");
+    if (m >= 0) {
+      const year = yearAt(k + 1);
+      const date = quickUpcoming(today, m, day, year);
+      return date && { date, used: k - i + (year ? 2 : 1) };
+    }
+  }
+  return null;
+}
+
+// Picks the single name that starts with `needle` (spaces ignored); a list
+// of all candidates when more than one does
+/** @template T @param {T[]} items @param {string} needle @param {(item: T) => string[]} names @returns {T | T[] | undefined} */
+function quickMatch(items, needle, names) {
+  const squash = (/** @type {string} */ s) => s.toLowerCase().replace(/[\s._-]+/g, "");
+  const n = squash(needle);
+  if (!n) return undefined;
+  const exact = items.filter((item) => names(item).some((name) => squash(name) === n));
+  if (exact.length === 1) return exact[0];
+  const hits = items.filter((item) => names(item).some((name) => squash(name).startsWith(n)));
+  return hits.length === 1 ? hits[0] : hits.length ? hits : undefined;
+}
+
+// Splits on spaces but keeps @"…", #"…" and >"…" together
+/** @param {string} text @returns {string[]} */
+function quickWords(text) {
+  return text.match(/[@#>]"[^"]*"?|\S+/g) || [];
+}
+
+/** @param {string} text @param {QuickAddContext} ctx @returns {QuickAddResult} */
+export function parseQuickAdd(text, ctx) {
+  /** @type {QuickAddResult} */
+  const result = { kind: "task", title: "", contactIds: [], parts: [], warnings: [] };
+  const raw = quickWords(text);
+  const words = raw.map((w) => w.toLowerCase().replace(/,$/, ""));
+  /** @type {string[]} */
+  const title = [];
+  const unquote = (/** @type {string} */ s) => s.replace(/^"|"$/g, "");
+  const once = (/** @type {QuickAddPart["kind"]} */ kind, /** @type {string} */ label) => {
+    if (result.parts.some((p) => p.kind === kind)) result.warnings.push(`More than one ${label}; the last one wins`);
+  };
+
+  for (let i = 0; i < raw.length; i++) {
+    const word = raw[i];
+    const lower = words[i];
+    if (word.startsWith("\\") && word.length > 1) {
+      title.push(word.slice(1));
+      continue;
+    }
+
+    if (word.length > 1 && word[0] === "#") {
+      const found = quickMatch(ctx.categories.filter((c) => !c.archived), unquote(word.slice(1)), (c) => [c.name, c.id]);
+      if (found && !Array.isArray(found)) {
+        once("category", "category");
+        result.category = found.id;
+        result.parts.push({ kind: "category", text: word });
+        continue;
+      }
+      result.warnings.push(Array.isArray(found) ? `${word} matches ${found.map((c) => c.name).join(", ")}` : `No category called ${word.slice(1)}`);
+      title.push(word);
+      continue;
+    }
+
+    const prio = /^!p?([1-4])$/i.exec(word);
+    if (prio) {
+      once("priority", "priority");
+      result.priority = PRIORITIES[Number(prio[1]) - 1];
+      result.parts.push({ kind: "priority", text: word });
+      continue;
+    }
+
+    if (word.length > 1 && word[0] === "@") {
+      const found = quickMatch(ctx.contacts, unquote(word.slice(1)), (c) => [c.name, c.name.split(/\s+/)[0], c.name.split(/\s+/).slice(-1)[0]]);
+      if (found && !Array.isArray(found)) {
+        if (!result.contactIds.includes(found.id)) result.contactIds.push(found.id);
+        result.parts.push({ kind: "contact", text: word });
+        continue;
+      }
+      result.warnings.push(Array.isArray(found) ? `${word} matches ${found.map((c) => c.name).join(", ")}` : `No contact called ${word.slice(1)}`);
+      title.push(word);
+      continue;
+    }
+
+    const status = /^status:(\w+)$/i.exec(word);
+    if (status && QUICK_STATUSES[status[1].toLowerCase()]) {
+      once("status", "status");
+      result.status = QUICK_STATUSES[status[1].toLowerCase()];
+      result.parts.push({ kind: "status", text: word });
+      continue;
+    }
+
+    if (word.length > 1 && word[0] === ">") {
+      const needle = unquote(word.slice(1)).toLowerCase();
+      const hits = ctx.tasks.filter((t) => t.status !== "Completed" && t.title.toLowerCase().includes(needle));
+      if (hits.length === 1) {
+        once("target", "target task");
+        result.kind = "step";
+        result.taskId = hits[0].id;
+        result.parts.push({ kind: "target", text: word });
+        continue;
+      }
+      result.warnings.push(hits.length ? `${word} matches ${hits.length} open tasks; add more of the title` : `No open task matching ${word.slice(1)}`);
+      title.push(word);
+      continue;
+    }
+
+    // "on fri", "by tomorrow", "due oct 25", "at 3pm"
+    const lead = ["on", "by", "due", "at"].includes(lower) ? 1 : 0;
+    const date = lower !== "at" ? quickDate(words, i + lead, ctx, lead > 0) : null;
+    if (date) {
+      once("date", "date");
+      result.dueDate = toISODate(date.date);
+      result.parts.push({ kind: "date", text: raw.slice(i, i + lead + date.used).join(" ") });
+      i += lead + date.used - 1;
+      continue;
+    }
+    const time = words[i + lead] !== undefined ? quickTime(words[i + lead], lower === "at") : null;
+    if (time) {
+      once("time", "time");
+      result.startTime = time.start;
+      result.endTime = time.end;
+      result.parts.push({ kind: "time", text: raw.slice(i, i + lead + 1).join(" ") });
+      i += lead;
+      continue;
+    }
+    title.push(word);
+  }
+
+  result.title = title.join(" ").trim();
+  // A time needs a day to hang on
+  if (result.startTime && !result.dueDate) result.dueDate = toISODate(ctx.today);
+  if (result.kind === "step") {
+    const ignored = [result.category && "category", result.status && "status", result.contactIds.length && "contacts"].filter(Boolean);
+    if (ignored.length) result.warnings.push(`Next steps have no ${ignored.join(" or ")}; ignored`);
+  }
+  if (!result.title) result.warnings.push("Nothing left for the title");
+  return result;
+}
+
+export const QUICK_ADD_HELP = [
+  "Dates: today, tomorrow, friday, on fri, next fri, next week, in 2 weeks, oct 25, 10/25, 2026-10-25",
+  "Times: 3pm, 15:00, at 9, noon, 3-4pm",
+  "#category  !p1…!p4  @contact  status:active|pending|done",
+  ">task title adds a next step to that task; \\word keeps a word as typed",
+].join("\n");
+
+// The task a quick-add line creates; unset fields take the given defaults
+/** @param {QuickAddResult} parsed @param {{ category: string; status: QuickStatus }} defaults */
+export function quickAddTask(parsed, defaults, now = new Date()) {
+  return {
+    id: uid(),
+    title: parsed.title,
+    description: "",
+    category: parsed.category ?? defaults.category,
+    status: parsed.status ?? defaults.status,
+    dueDate: parsed.dueDate ?? "",
+    createdAt: now.toISOString(),
+    /** @type {never[]} */
+    nextSteps: [],
+    ...(parsed.startTime ? { startTime: parsed.startTime } : {}),
+    ...(parsed.endTime ? { endTime: parsed.endTime } : {}),
+    ...(parsed.priority ? { priority: parsed.priority } : {}),
+    ...(parsed.contactIds.length ? { contactIds: parsed.contactIds } : {}),
+  };
+}
+
+/** @param {QuickAddResult} parsed */
+export function quickAddStep(parsed) {
+  return {
+    id: uid(),
+    text: parsed.title,
+    ...(parsed.dueDate ? { dueDate: parsed.dueDate } : {}),
+    ...(parsed.startTime ? { startTime: parsed.startTime } : {}),
+    ...(parsed.endTime ? { endTime: parsed.endTime } : {}),
+    ...(parsed.priority ? { priority: parsed.priority } : {}),
+  };
+}
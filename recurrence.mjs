@@ -0,0 +1,153 @@
+// Recurrence rules for the Personal CRM. Occurrences are computed from the
+// item's due date (the anchor), never stored.
+
+import { addDays, daysBetween, parseISODate, startOfWeek, toISODate } from "./dates.mjs";
+import { setChecklistDone } from "./checklists.mjs";
+import { uid } from "./ids.mjs";
+
+/**
+ * @typedef {{ freq: string; interval?: number; byDay?: number[]; nth?: number; weekday?: number; until?: string; count?: number }} RecurrenceRule
+ * @typedef {{ id: string; dueDate?: string; recurrence?: RecurrenceRule }} RecurringItem
+ * @typedef {RecurringItem & { done?: boolean; completedAt?: string }} RecurringStep
+ * @typedef {import("./checklists.mjs").ChecklistItem} ChecklistItem
+ * @typedef {RecurringItem & { status: string; createdAt: string; seriesId?: string; icalUid?: string; statusChanges?: unknown[]; checklist?: ChecklistItem[]; attachments?: { id: string }[]; nextSteps: RecurringStep[] }} RecurringTask
+ */
+
+const MAX_RECURRENCE_SCAN_DAYS = 366 * 5;
+
+/** @param {RecurrenceRule} rule @param {Date} anchor @param {Date} d */
+function matchesRecurrence(rule, anchor, d) {
+  const diff = daysBetween(anchor, d);
+  if (diff < 0) return false;
+  const every = Math.max(1, rule.interval || 1);
+  switch (rule.freq) {
+    case "daily":
+      return true;
+    case "weekdays":
+      return d.getDay() >= 1 && d.getDay() <= 5;
+    case "weekly": {
+      const days = rule.byDay?.length ? rule.byDay : [anchor.getDay()];
+      const weeks = daysBetween(startOfWeek(anchor), startOfWeek(d)) / 7;
+      return days.includes(d.getDay()) && weeks % every === 0;
+    }
+    case "monthly": {
+      const weekday = rule.weekday ?? anchor.getDay();
+      const nth = rule.nth ?? Math.ceil(anchor.getDate() / 7);
+      if (d.getDay() !== weekday) return false;
+      if (nth === -1) return addDays(d, 7).getMonth() !== d.getMonth();
+      return Math.ceil(d.getDate() / 7) === nth;
+    }
+    case "custom":
+      return diff % every === 0;
+  }
+  return false;
+}
+
+// Occurrence dates (ISO) within [fromISO, toISO], honouring until/count
+/** @param {RecurrenceRule} rule @param {string} anchorISO @param {string} fromISO @param {string} toISO */
+export function occurrencesBetween(rule, anchorISO, fromISO, toISO) {
+  const anchor = parseISODate(anchorISO);
+  const end = rule.until && rule.until < toISO ? rule.until : toISO;
+  /** @type {string[]} */
+  const out = [];
+  let seen = 0;
+  for (let i = 0; i <= MAX_RECURRENCE_SCAN_DAYS; i++) {
+    const d = addDays(anchor, i);
+    const iso = toISODate(d);
+    if (iso > end) break;
+    // The anchor always counts, even if it doesn't fit the pattern
+    if (i > 0 && !matchesRecurrence(rule, anchor, d)) continue;
+    seen++;
+    if (rule.count && seen > rule.count) break;
+    if (iso >= fromISO) out.push(iso);
+  }
+  return out;
+}
+
+// The occurrence after anchorISO, or undefined when the series has ended
+/** @param {RecurrenceRule} rule @param {string} anchorISO @returns {string | undefined} */
+export function nextOccurrence(rule, anchorISO) {
+  if (rule.count !== undefined && rule.count <= 1) return undefined;
+  const anchor = parseISODate(anchorISO);
+  for (let i = 1; i <= MAX_RECURRENCE_SCAN_DAYS; i++) {
+    const d = addDays(anchor, i);
+    const iso = toISODate(d);
+    if (rule.until && iso > rule.until) return undefined;
+    if (matchesRecurrence(rule, anchor, d)) return iso;
+  }
+  return undefined;
+}
+
+// Open recurring tasks and steps expanded over [fromISO, toISO]: item id → ISO days
+/**
+ * @param {(RecurringItem & { status: string; nextSteps: (RecurringItem & { done?: boolean })[] })[]} tasks
+ * @param {string} fromISO
+ * @param {string} toISO
+ */
+export function occurrenceIndex(tasks, fromISO, toISO) {
+  /** @type {Map<string, Set<string>>} */
+  const index = new Map();
+  const add = (/** @type {RecurringItem} */ item) => {
+    if (!item.recurrence || !item.dueDate) return;
+    index.set(item.id, new Set(occurrencesBetween(item.recurrence, item.dueDate, fromISO, toISO)));
+  };
+  tasks.forEach((t) => {
+    if (t.status !== "Completed") add(t);
+    t.nextSteps.forEach((n) => !n.done && add(n));
+  });
+  return index;
+}
+
+// Rule for the following occurrence: the anchor moves, so pin anchor-derived fields
+/** @template {RecurrenceRule} R @param {R} rule @param {string} anchorISO @returns {R} */
+export function advanceRecurrence(rule, anchorISO) {
+  const anchor = parseISODate(anchorISO);
+  const next = { ...rule, count: rule.count !== undefined ? rule.count - 1 : undefined };
+  if (rule.freq === "weekly" && !rule.byDay?.length) next.byDay = [anchor.getDay()];
+  if (rule.freq === "monthly") {
+    next.weekday = rule.weekday ?? anchor.getDay();
+    next.nth = rule.nth ?? Math.ceil(anchor.getDate() / 7);
+  }
+  return next;
+}
+
+// Fresh copy of a recurring task for its following occurrence: steps and
+// checklist unchecked, steps shifted by the same number of days as the task
+// itself. The copy is a new record, so it doesn't inherit the calendar UID it
+// was imported under or the status history of the one before.
+/** @template {RecurringTask} T @param {T} task @returns {T | undefined} */
+export function nextRecurringTask(task) {
+  if (!task.recurrence || !task.dueDate) return undefined;
+  const due = nextOccurrence(task.recurrence, task.dueDate);
+  if (!due) return undefined;
+  const shift = daysBetween(parseISODate(task.dueDate), parseISODate(due));
+  return {
+    ...task,
+    id: uid(),
+    status: "Active",
+    dueDate: due,
+    createdAt: new Date().toISOString(),
+    recurrence: advanceRecurrence(task.recurrence, task.dueDate),
+    seriesId: task.seriesId || task.id,
+    icalUid: undefined,
+    statusChanges: undefined,
+    checklist: task.checklist?.map((c) => setChecklistDone(c, false)),
+    // Same files: the bytes are stored once and kept while any task refers to them
+    attachments: task.attachments?.map((a) => ({ ...a })),
+    nextSteps: task.nextSteps.map((n) => ({
+      ...n,
+      id: uid(),
+      done: false,
+      completedAt: undefined,
+      dueDate: n.dueDate ? toISODate(addDays(parseISODate(n.dueDate), shift)) : undefined,
+    })),
+  };
+}
+
+/** @template {RecurringStep} S @param {S} step @returns {S | undefined} */
+export function nextRecurringStep(step) {
+  if (!step.recurrence || !step.dueDate) return undefined;
+  const due = nextOccurrence(step.recurrence, step.dueDate);
+  if (!due) return undefined;
+  return { ...step, id: uid(), done: false, completedAt: undefined, dueDate: due, recurrence: advanceRecurrence(step.recurrence, step.dueDate) };
+}
@@ -0,0 +1,178 @@
+// Reminders for the Personal CRM.
+//
+// collectReminders turns tasks into concrete fire times; the scheduler arms
+// one timer for the next of them and reports what is due. Time only enters
+// through the Clock, so a fake one can drive it.
+
+import { parseISODate, timeToMinutes } from "./dates.mjs";
+
+/**
+ * @typedef {{ daysBefore?: number; at?: string; minutesBefore?: number }} ReminderRule
+ * @typedef {{ id: string; reminders?: ReminderRule[] }} ReminderCategory
+ * @typedef {{ dueDate?: string; startTime?: string; reminders?: ReminderRule[] }} RemindableItem
+ * @typedef {RemindableItem & { id: string; title: string; category: string; status: string; nextSteps: (RemindableItem & { id: string; text: string; done?: boolean })[] }} RemindableTask
+ *
+ * @typedef {object} ReminderLogEntry
+ * @property {string} firedAt ISO
+ * @property {boolean} [missed] came due while the app was closed
+ * @property {boolean} [dismissed]
+ * @property {string} [snoozedUntil] ISO; fires again then
+ * @typedef {Record<string, ReminderLogEntry>} ReminderLog
+ *
+ * @typedef {object} ScheduledReminder
+ * @property {string} key changes when the item is rescheduled, so moved items remind again
+ * @property {string} taskId
+ * @property {string} [stepId]
+ * @property {string} title
+ * @property {string} dueDate
+ * @property {string} [startTime]
+ * @property {number} fireAt epoch ms
+ *
+ * @typedef {object} Clock
+ * @property {() => number} now
+ * @property {(fn: () => void, ms: number) => unknown} setTimeout
+ * @property {(handle: unknown) => void} clearTimeout
+ */
+
+/** @type {Clock} */
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(/** @type {ReturnType<typeof setTimeout>} */ (handle)),
+};
+
+export const DEFAULT_REMINDER_TIME = "09:00"; // "due time" of items without one
+const MISSED_REMINDER_DAYS = 7; // older unfired reminders are dropped, not shown
+const MISSED_GRACE_MS = 5 * 60 * 1000; // background tabs fire late; that isn't "missed"
+const MAX_TIMER_MS = 60 * 60 * 1000; // re-check hourly so sleep/clock changes can't strand a timer
+
+/** @param {ReminderRule} r */
+export function reminderId(r) {
+  return r.at ? `${r.daysBefore || 0}d@${r.at}` : `${(r.daysBefore || 0) * 24 * 60 + (r.minutesBefore || 0)}m`;
+}
+
+/** @param {ReminderRule} r @param {string} dueDate @param {string} [startTime] */
+function reminderFireAt(r, dueDate, startTime) {
+  const due = parseISODate(dueDate);
+  const days = r.daysBefore || 0;
+  if (r.at) return new Date(due.getFullYear(), due.getMonth(), due.getDate() - days, 0, timeToMinutes(r.at)).getTime();
+  const minutes = timeToMinutes(startTime || DEFAULT_REMINDER_TIME) - (r.minutesBefore || 0);
+  return new Date(due.getFullYear(), due.getMonth(), due.getDate() - days, 0, minutes).getTime();
+}
+
+// Open, dated tasks and steps; their own reminders win over the category's
+/** @param {RemindableTask[]} tasks @param {ReminderCategory[]} categories @returns {ScheduledReminder[]} */
+export function collectReminders(tasks, categories) {
+  /** @type {ScheduledReminder[]} */
+  const out = [];
+  tasks.forEach((t) => {
+    if (t.status === "Completed") return;
+    const fallback = categories.find((c) => c.id === t.category)?.reminders || [];
+    /** @param {RemindableItem} item @param {string} title @param {string} [stepId] */
+    const add = (item, title, stepId) => {
+      const dueDate = item.dueDate;
+      if (!dueDate) return;
+      (item.reminders ?? fallback).forEach((r) => {
+        out.push({
+          key: [t.id, stepId || "", dueDate, item.startTime || "", reminderId(r)].join("|"),
+          taskId: t.id,
+          stepId,
+          title,
+          dueDate,
+          startTime: item.startTime,
+          fireAt: reminderFireAt(r, dueDate, item.startTime),
+        });
+      });
+    };
+    add(t, t.title);
+    t.nextSteps.forEach((n) => !n.done && add(n, `${n.text} · ${t.title}`, n.id));
+  });
+  return out;
+}
+
+/** @param {ScheduledReminder[]} reminders @param {ReminderLog} log @param {number} now */
+function pendingReminders(reminders, log, now) {
+  const oldest = now - MISSED_REMINDER_DAYS * 24 * 60 * 60 * 1000;
+  return reminders.filter((r) => {
+    const entry = log[r.key];
+    if (!entry) return r.fireAt <= now && r.fireAt >= oldest;
+    return !entry.dismissed && !!entry.snoozedUntil && Date.parse(entry.snoozedUntil) <= now;
+  });
+}
+
+/** @param {ScheduledReminder[]} reminders @param {ReminderLog} log @param {number} now */
+function nextReminderWakeUp(reminders, log, now) {
+  const times = reminders.flatMap((r) => {
+    const entry = log[r.key];
+    if (!entry) return r.fireAt > now ? [r.fireAt] : [];
+    return !entry.dismissed && entry.snoozedUntil ? [Date.parse(entry.snoozedUntil)] : [];
+  });
+  return times.length ? Math.min(...times) : undefined;
+}
+
+// Records the fired reminders and forgets entries for reminders that no
+// longer exist (completed, deleted or rescheduled items)
+/** @param {ReminderLog} log @param {ScheduledReminder[]} fired @param {ScheduledReminder[]} reminders @param {number} now @returns {ReminderLog} */
+function markRemindersFired(log, fired, reminders, now) {
+  const live = new Set(reminders.map((r) => r.key));
+  const next = Object.fromEntries(Object.entries(log).filter(([key]) => live.has(key)));
+  fired.forEach((r) => {
+    const missed = !log[r.key] && r.fireAt < now - MISSED_GRACE_MS;
+    next[r.key] = { firedAt: new Date(now).toISOString(), missed: missed || undefined };
+  });
+  return next;
+}
+
+/** @param {ReminderLog} log @param {string} key @param {Date} until @returns {ReminderLog} */
+export function snoozeReminder(log, key, until) {
+  return { ...log, [key]: { ...log[key], snoozedUntil: until.toISOString() } };
+}
+
+/** @param {ReminderLog} log @param {string[]} keys @returns {ReminderLog} */
+export function dismissReminders(log, keys) {
+  return { ...log, ...Object.fromEntries(keys.map((k) => [k, { ...log[k], dismissed: true }])) };
+}
+
+// Fired reminders still waiting for the user, newest first
+/** @param {ScheduledReminder[]} reminders @param {ReminderLog} log */
+export function reminderInbox(reminders, log) {
+  return reminders
+    .filter((r) => log[r.key] && !log[r.key].dismissed && !log[r.key].snoozedUntil)
+    .sort((a, b) => b.fireAt - a.fireAt);
+}
+
+/** @param {(fired: ScheduledReminder[], log: ReminderLog) => void} onFire */
+export function createReminderScheduler(onFire, clock = systemClock) {
+  /** @type {ScheduledReminder[]} */
+  let reminders = [];
+  /** @type {ReminderLog} */
+  let log = {};
+  /** @type {unknown} */
+  let timer = null;
+
+  function check() {
+    if (timer !== null) clock.clearTimeout(timer);
+    timer = null;
+    const now = clock.now();
+    const due = pendingReminders(reminders, log, now);
+    if (due.length) {
+      log = markRemindersFired(log, due, reminders, now);
+      onFire(due, log);
+    }
+    const next = nextReminderWakeUp(reminders, log, now);
+    if (next !== undefined) timer = clock.setTimeout(check, Math.min(next - now, MAX_TIMER_MS));
+  }
+
+  return {
+    /** @param {ScheduledReminder[]} nextReminders @param {ReminderLog} nextLog */
+    update(nextReminders, nextLog) {
+      reminders = nextReminders;
+      log = nextLog;
+      check();
+    },
+    stop() {
+      if (timer !== null) clock.clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
@@ -0,0 +1,275 @@
+// Versioned storage for the Personal CRM.
+//
+// Everything is saved as one document, { schemaVersion, savedAt, data },
+// behind a small key/value backend: IndexedDB when the browser has it,
+// localStorage otherwise. Older documents are migrated forward on load; one
+// that can't be read is copied aside first so nothing overwrites it. Attached
+// files are kept apart, in a store of their own.
+
+/**
+ * @typedef {object} StoredDocument
+ * @property {number} schemaVersion
+ * @property {string} savedAt ISO
+ * @property {unknown} data
+ *
+ * @typedef {object} StorageBackend
+ * @property {string} name
+ * @property {(key: string) => Promise<string | null>} get
+ * @property {(key: string, value: string) => Promise<void>} set
+ *
+ * @typedef {object} StorageDefaults what migrations fill in for collections older data lacks
+ * @property {unknown[]} categories
+ * @property {object} settings
+ * @property {object} dayPlan
+ * @property {unknown[]} templates
+ */
+
+// "corrupt": the unreadable payload was copied to quarantineKey before
+// anything else could overwrite it
+/**
+ * @template D
+ * @typedef {{ status: "ok"; data: D; migratedFrom?: number }
+ *   | { status: "empty" }
+ *   | { status: "corrupt"; reason: string; raw: string; quarantineKey: string }} LoadResult
+ */
+
+// Bump SCHEMA_VERSION whenever the stored shape changes and add the matching
+// MIGRATIONS entry; every step upgrades one version, oldest first.
+export const SCHEMA_VERSION = 7;
+export const STORAGE_KEY = "personal_crm_data";
+
+// Version 1 kept one localStorage key per collection
+const LEGACY_KEYS = {
+  tasks: "personal_crm_tasks_v1",
+  contacts: "personal_crm_contacts_v1",
+  interactions: "personal_crm_interactions_v1",
+  settings: "personal_crm_settings_v1",
+  pipelines: "personal_crm_pipelines_v1",
+  categories: "personal_crm_categories_v1",
+};
+
+/** @type {Record<number, (data: any, defaults: StorageDefaults) => any>} */
+const MIGRATIONS = {
+  // 1 → 2: collections added after the first release may be missing, and
+  // records written by early builds can lack their array fields
+  1: (data, defaults) => ({
+    tasks: (data.tasks || []).map((/** @type {any} */ t) => ({ ...t, nextSteps: Array.isArray(t.nextSteps) ? t.nextSteps : [] })),
+    contacts: (data.contacts || []).map((/** @type {any} */ c) => ({ ...c, tags: Array.isArray(c.tags) ? c.tags : [] })),
+    interactions: data.interactions || [],
+    categories: data.categories?.length ? data.categories : defaults.categories,
+    pipelines: data.pipelines || {},
+    settings: data.settings || defaults.settings,
+  }),
+  // 2 → 3: deleted tasks go to a trash instead of disappearing
+  2: (data) => ({ ...data, trash: [] }),
+  // 3 → 4: fired/snoozed/dismissed state of reminders
+  3: (data) => ({ ...data, reminderLog: {} }),
+  // 4 → 5: pins and deferrals of the Today view
+  4: (data, defaults) => ({ ...data, dayPlan: defaults.dayPlan }),
+  // 5 → 6: named filter/sort/view combinations
+  5: (data) => ({ ...data, savedViews: [] }),
+  // 6 → 7: follow-up message templates
+  6: (data, defaults) => ({ ...data, templates: defaults.templates }),
+};
+
+/** @returns {StorageBackend} */
+export function createLocalStorageBackend() {
+  return {
+    name: "localStorage",
+    get: async (key) => localStorage.getItem(key),
+    set: async (key, value) => localStorage.setItem(key, value),
+  };
+}
+
+// One object store in its own IndexedDB database, opened on first use
+/** @param {string} dbName @param {string} storeName */
+function openObjectStore(dbName, storeName) {
+  /** @type {Promise<IDBDatabase> | null} */
+  let db = null;
+
+  function open() {
+    db ??= new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return db;
+  }
+
+  /**
+   * @template T
+   * @param {IDBTransactionMode} mode
+   * @param {(store: IDBObjectStore) => IDBRequest<T>} op
+   * @returns {Promise<T>}
+   */
+  return async function run(mode, op) {
+    const conn = await open();
+    return new Promise((resolve, reject) => {
+      const tx = conn.transaction(storeName, mode);
+      const req = op(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  };
+}
+
+/** @returns {StorageBackend} */
+export function createIndexedDBBackend(dbName = "personal_crm") {
+  const run = openObjectStore(dbName, "kv");
+  return {
+    name: "indexedDB",
+    get: async (key) => {
+      const value = await run("readonly", (store) => store.get(key));
+      return typeof value === "string" ? value : null;
+    },
+    set: async (key, value) => {
+      await run("readwrite", (store) => store.put(value, key));
+    },
+  };
+}
+
+export function defaultStorageBackend() {
+  return typeof indexedDB !== "undefined" ? createIndexedDBBackend() : createLocalStorageBackend();
+}
+
+// Attached files are kept out of the JSON document, which has to stay small
+// enough to rewrite on every change
+/**
+ * @typedef {object} AttachmentStore
+ * @property {boolean} persistent
+ * @property {(id: string) => Promise<Blob | null>} get
+ * @property {(id: string, blob: Blob) => Promise<void>} put
+ * @property {(id: string) => Promise<void>} remove
+ * @property {() => Promise<string[]>} keys
+ *
+ * @typedef {{ tasks: { attachments?: { id: string }[] }[]; trash: { task: { attachments?: { id: string }[] } }[] }} AttachmentOwners
+ */
+
+export const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+/** @returns {AttachmentStore} */
+export function createIndexedDBAttachmentStore(dbName = "personal_crm_files") {
+  const run = openObjectStore(dbName, "files");
+  return {
+    persistent: true,
+    get: async (id) => {
+      const value = await run("readonly", (store) => store.get(id));
+      return value instanceof Blob ? value : null;
+    },
+    put: async (id, blob) => {
+      await run("readwrite", (store) => store.put(blob, id));
+    },
+    remove: async (id) => {
+      await run("readwrite", (store) => store.delete(id));
+    },
+    keys: async () => (await run("readonly", (store) => store.getAllKeys())).map(String),
+  };
+}
+
+// Without IndexedDB files only last until the tab closes
+/** @returns {AttachmentStore} */
+export function createMemoryAttachmentStore() {
+  /** @type {Map<string, Blob>} */
+  const files = new Map();
+  return {
+    persistent: false,
+    get: async (id) => files.get(id) ?? null,
+    put: async (id, blob) => void files.set(id, blob),
+    remove: async (id) => void files.delete(id),
+    keys: async () => [...files.keys()],
+  };
+}
+
+export function defaultAttachmentStore() {
+  return typeof indexedDB !== "undefined" ? createIndexedDBAttachmentStore() : createMemoryAttachmentStore();
+}
+
+/** @param {AttachmentOwners} data */
+export function referencedAttachments(data) {
+  return new Set([...data.tasks, ...data.trash.map((e) => e.task)].flatMap((t) => (t.attachments || []).map((a) => a.id)));
+}
+
+// Files dropped from every task (removed in the form, purged from the trash,
+// abandoned by a cancelled edit) are deleted on the next start, when no undo
+// history can bring them back
+/** @param {AttachmentStore} store @param {AttachmentOwners} data */
+export async function pruneAttachments(store, data) {
+  const keep = referencedAttachments(data);
+  for (const id of await store.keys()) if (!keep.has(id)) await store.remove(id);
+}
+
+/** @param {any} value */
+function isStoredData(value) {
+  return (
+    !!value &&
+    Array.isArray(value.tasks) &&
+    value.tasks.every((/** @type {any} */ t) => t && typeof t.id === "string" && typeof t.title === "string" && Array.isArray(t.nextSteps)) &&
+    Array.isArray(value.contacts) &&
+    Array.isArray(value.interactions) &&
+    Array.isArray(value.categories) &&
+    typeof value.pipelines === "object" &&
+    typeof value.settings === "object" &&
+    Array.isArray(value.trash) &&
+    typeof value.reminderLog === "object" &&
+    typeof value.dayPlan === "object" &&
+    Array.isArray(value.savedViews) &&
+    Array.isArray(value.templates)
+  );
+}
+
+// Gathers the version-1 keys into one payload; null when none exist
+/** @returns {string | null} */
+function readLegacyStorage() {
+  if (typeof localStorage === "undefined" || localStorage.getItem(LEGACY_KEYS.tasks) === null) return null;
+  const parts = Object.entries(LEGACY_KEYS).map(([field, key]) => `"${field}":${localStorage.getItem(key) ?? "null"}`);
+  return `{"schemaVersion":1,"savedAt":"","data":{${parts.join(",")}}}`;
+}
+
+/** @param {StoredDocument} doc @param {StorageDefaults} defaults @returns {any} */
+export function migrate(doc, defaults) {
+  let data = doc.data;
+  for (let v = doc.schemaVersion; v < SCHEMA_VERSION; v++) data = MIGRATIONS[v](data, defaults);
+  return data;
+}
+
+/**
+ * @template D
+ * @param {StorageBackend} backend
+ * @param {StorageDefaults} defaults
+ * @returns {Promise<LoadResult<D>>}
+ */
+export async function loadAppData(backend, defaults) {
+  const raw = (await backend.get(STORAGE_KEY)) ?? readLegacyStorage();
+  if (raw === null) return { status: "empty" };
+
+  let reason = "";
+  try {
+    const doc = /** @type {StoredDocument} */ (JSON.parse(raw));
+    if (typeof doc?.schemaVersion !== "number" || doc.schemaVersion < 1) reason = "missing schema version";
+    else if (doc.schemaVersion > SCHEMA_VERSION) reason = `written by a newer version (schema ${doc.schemaVersion})`;
+    else {
+      const data = migrate(doc, defaults);
+      if (isStoredData(data)) {
+        const migratedFrom = doc.schemaVersion < SCHEMA_VERSION ? doc.schemaVersion : undefined;
+        // Settings added since the data was saved take their defaults
+        return { status: "ok", data: { ...data, settings: { ...defaults.settings, ...data.settings } }, migratedFrom };
+      }
+      reason = "unexpected data shape";
+    }
+  } catch (err) {
+    reason = err instanceof SyntaxError ? "not valid JSON" : `migration failed: ${String(err)}`;
+  }
+
+  const quarantineKey = `${STORAGE_KEY}_corrupt_${Date.now()}`;
+  await backend.set(quarantineKey, raw);
+  return { status: "corrupt", reason, raw, quarantineKey };
+}
+
+/** @param {StorageBackend} backend @param {unknown} data */
+export async function saveAppData(backend, data, now = new Date()) {
+  /** @type {StoredDocument} */
+  const doc = { schemaVersion: SCHEMA_VERSION, savedAt: now.toISOString(), data };
+  await backend.set(STORAGE_KEY, JSON.stringify(doc));
+}
@@ -0,0 +1,480 @@
+// Sync engine for the Personal CRM: per-field last-writer-wins with a change log.
+//
+// Each device keeps a shadow of every synced record as last seen (field →
+// JSON) with a stamp per field, and diffs the live data against it to queue
+// local edits in an outbox. Sync pulls other devices' changes since a server
+// cursor, merges them field by field (newer stamp wins), then pushes the
+// outbox. A field edited on both sides since the last sync is merged when the
+// edits don't overlap (different list items, different object keys) and is
+// otherwise held as a conflict for review; the local value stays until then.
+//
+// Wire protocol (see sync_server.mjs for a reference server):
+//   GET  {url}/pull?since=<seq>         → { seq, changes: SyncChange[] } with seq > since, oldest first
+//   POST {url}/push { device, changes } → { seq }; the server numbers and stores each change
+// Both send "Authorization: Bearer <token>" when a token is set.
+//
+// Only tasks, contacts, interactions and categories sync. Settings,
+// pipelines, saved views, message templates, the trash and attached files
+// stay on each device.
+
+import { uid } from "./ids.mjs";
+
+/**
+ * @typedef {"tasks" | "contacts" | "interactions" | "categories"} SyncCollection
+ * @typedef {{ id: string; [field: string]: unknown }} SyncRecord
+ * @typedef {{ tasks: SyncRecord[]; contacts: SyncRecord[]; interactions: SyncRecord[]; categories: SyncRecord[] }} SyncData
+ * @typedef {SyncData & { trash: { task: any; deletedAt: string }[] }} SyncAppData
+ * @typedef {(collection: SyncCollection, record: any) => boolean} RecordValidator
+ *
+ * Ordered by time, then device id so every device breaks ties the same way
+ * @typedef {{ at: number; device: string }} FieldStamp
+ *
+ * @typedef {object} SyncChange
+ * @property {number} [seq] assigned by the server
+ * @property {string} device
+ * @property {SyncCollection} collection
+ * @property {string} id
+ * @property {Record<string, { value?: unknown; stamp: FieldStamp }>} [fields] no value = field removed
+ * @property {FieldStamp} [deleted]
+ *
+ * An outbox entry also remembers each field's last synced value and stamp,
+ * the base for three-way merges
+ * @typedef {SyncChange & { base: Record<string, { json?: string; stamp?: FieldStamp }> }} PendingChange
+ *
+ * @typedef {object} RecordShadow
+ * @property {Record<string, string>} fields stable JSON
+ * @property {Record<string, FieldStamp>} stamps
+ * @property {FieldStamp} [deleted]
+ *
+ * @typedef {object} SyncConflict
+ * @property {string} key "collection:id:field"
+ * @property {SyncCollection} collection
+ * @property {string} id
+ * @property {string} field "" when the record was deleted elsewhere but edited here
+ * @property {string} label
+ * @property {unknown} local
+ * @property {unknown} remote
+ * @property {FieldStamp} remoteStamp
+ *
+ * @typedef {object} SyncState
+ * @property {string} deviceId
+ * @property {string} serverUrl "" = sync off
+ * @property {string} token
+ * @property {number} cursor highest server seq pulled
+ * @property {Record<string, RecordShadow>} shadows keyed "collection:id"
+ * @property {PendingChange[]} outbox
+ * @property {SyncConflict[]} conflicts
+ * @property {string} [lastSyncAt] ISO
+ * @property {string} [lastError]
+ *
+ * @typedef {object} SyncTransport
+ * @property {(since: number) => Promise<{ seq: number; changes: SyncChange[] }>} pull
+ * @property {(device: string, changes: SyncChange[]) => Promise<{ seq: number }>} push
+ */
+
+/** @type {readonly SyncCollection[]} */
+export const SYNC_COLLECTIONS = ["tasks", "contacts", "interactions", "categories"];
+
+/** @returns {SyncState} */
+export function newSyncState(deviceId = `${uid()}${uid()}`) {
+  return { deviceId, serverUrl: "", token: "", cursor: 0, shadows: {}, outbox: [], conflicts: [] };
+}
+
+/** @param {FieldStamp} a @param {FieldStamp} b */
+function compareStamps(a, b) {
+  return a.at - b.at || (a.device < b.device ? -1 : a.device > b.device ? 1 : 0);
+}
+
+// JSON with object keys sorted, so equal values always compare equal
+/** @param {unknown} value @returns {string | undefined} */
+function stableJSON(value) {
+  if (value === undefined) return undefined;
+  return JSON.stringify(value, (_, v) =>
+    v && typeof v === "object" && !Array.isArray(v) ? Object.fromEntries(Object.entries(v).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))) : v
+  );
+}
+
+/** @param {string | undefined} json @returns {unknown} */
+function parseJSON(json) {
+  return json === undefined ? undefined : JSON.parse(json);
+}
+
+/** @param {unknown} value @returns {value is Record<string, unknown>} */
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+// Three-way merge; null when both sides changed the same thing differently.
+// Lists of records merge by id, lists of plain values as sets, objects by key.
+/** @param {unknown} base @param {unknown} local @param {unknown} remote @returns {{ value: unknown } | null} */
+export function mergeValues(base, local, remote) {
+  const same = (/** @type {unknown} */ a, /** @type {unknown} */ b) => stableJSON(a) === stableJSON(b);
+  if (same(local, remote) || same(remote, base)) return { value: local };
+  if (same(local, base)) return { value: remote };
+
+  if (Array.isArray(local) && Array.isArray(remote)) {
+    const b = Array.isArray(base) ? base : [];
+    const all = [...b, ...local, ...remote];
+    if (all.every((x) => isPlainObject(x) && typeof x.id === "string")) {
+      const byId = (/** @type {any[]} */ list) => new Map(list.map((x) => [x.id, x]));
+      const [bm, lm, rm] = [byId(b), byId(local), byId(remote)];
+      const out = [];
+      for (const id of new Set([...lm.keys(), ...rm.keys()])) {
+        const merged = mergeValues(bm.get(id), lm.get(id), rm.get(id));
+        if (!merged) return null;
+        if (merged.value !== undefined) out.push(merged.value);
+      }
+      return { value: out };
+    }
+    if (all.every((x) => !x || typeof x !== "object")) {
+      const kept = local.filter((x) => remote.includes(x) || !b.includes(x));
+      return { value: [...kept, ...remote.filter((x) => !local.includes(x) && !b.includes(x))] };
+    }
+    return null;
+  }
+
+  if (isPlainObject(local) && isPlainObject(remote)) {
+    const b = isPlainObject(base) ? base : {};
+    /** @type {Record<string, unknown>} */
+    const out = {};
+    for (const key of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+      const merged = mergeValues(b[key], local[key], remote[key]);
+      if (!merged) return null;
+      if (merged.value !== undefined) out[key] = merged.value;
+    }
+    return { value: out };
+  }
+  return null;
+}
+
+/** @param {SyncCollection} collection @param {string} id */
+function syncRecordKey(collection, id) {
+  return `${collection}:${id}`;
+}
+
+/** @param {SyncCollection} collection @param {any} record */
+function syncRecordLabel(collection, record) {
+  const name = record?.title || record?.name || record?.summary || record?.id;
+  return `${collection === "categories" ? "Category" : collection.charAt(0).toUpperCase() + collection.slice(1, -1)} “${name}”`;
+}
+
+// Folds a change into the outbox, keeping the oldest base per field
+/** @param {PendingChange[]} outbox @param {PendingChange} change @returns {PendingChange[]} */
+function queueChange(outbox, change) {
+  const i = outbox.findIndex((c) => c.collection === change.collection && c.id === change.id);
+  if (i < 0) return [...outbox, change];
+  const prev = outbox[i];
+  const merged = change.deleted
+    ? { ...change, fields: undefined, base: {} }
+    : { ...change, fields: { ...prev.fields, ...change.fields }, base: { ...change.base, ...prev.base }, deleted: undefined };
+  return outbox.map((c, k) => (k === i ? merged : c));
+}
+
+// Queues whatever changed in `data` since the shadows were last updated.
+// Returns `state` itself when nothing did.
+/** @param {SyncState} state @param {SyncData} data @returns {SyncState} */
+export function trackLocalChanges(state, data, now = Date.now()) {
+  /** @type {FieldStamp} */
+  const stamp = { at: now, device: state.deviceId };
+  let shadows = state.shadows;
+  let outbox = state.outbox;
+  const update = (/** @type {string} */ key, /** @type {RecordShadow} */ shadow, /** @type {PendingChange} */ change) => {
+    if (shadows === state.shadows) shadows = { ...shadows };
+    shadows[key] = shadow;
+    outbox = queueChange(outbox, change);
+  };
+
+  for (const collection of SYNC_COLLECTIONS) {
+    const present = new Set();
+    for (const record of data[collection]) {
+      const key = syncRecordKey(collection, record.id);
+      present.add(key);
+      const shadow = shadows[key] || { fields: {}, stamps: {} };
+      const revived = !!shadow.deleted; // restored after a delete: resend everything
+      /** @type {NonNullable<SyncChange["fields"]>} */
+      const fields = {};
+      /** @type {PendingChange["base"]} */
+      const base = {};
+      /** @type {RecordShadow} */
+      const next = { fields: { ...shadow.fields }, stamps: { ...shadow.stamps } };
+      for (const field of new Set([...Object.keys(record), ...Object.keys(shadow.fields)])) {
+        if (field === "id") continue;
+        const json = stableJSON(record[field]);
+        if (!revived && json === shadow.fields[field]) continue;
+        fields[field] = json === undefined ? { stamp } : { value: record[field], stamp };
+        base[field] = { json: shadow.fields[field], stamp: shadow.stamps[field] };
+        if (json === undefined) delete next.fields[field];
+        else next.fields[field] = json;
+        next.stamps[field] = stamp;
+      }
+      if (Object.keys(fields).length) update(key, next, { device: state.deviceId, collection, id: record.id, fields, base });
+    }
+    for (const [key, shadow] of Object.entries(shadows)) {
+      if (!key.startsWith(`${collection}:`) || present.has(key) || shadow.deleted) continue;
+      update(key, { ...shadow, deleted: stamp }, { device: state.deviceId, collection, id: key.slice(collection.length + 1), deleted: stamp, base: {} });
+    }
+  }
+  return shadows === state.shadows ? state : { ...state, shadows, outbox };
+}
+
+/** @template {SyncAppData} D @param {D} data @param {SyncCollection} collection @param {string} id @returns {D} */
+function removeSyncRecord(data, collection, id, now = Date.now()) {
+  const list = data[collection];
+  const record = list.find((r) => r.id === id);
+  if (!record) return data;
+  return {
+    ...data,
+    [collection]: list.filter((r) => r.id !== id),
+    // Deleted elsewhere, but recoverable here
+    trash: collection === "tasks" ? [{ task: record, deletedAt: new Date(now).toISOString() }, ...data.trash] : data.trash,
+  };
+}
+
+/** @template {SyncAppData} D @param {D} data @param {SyncCollection} collection @param {SyncRecord} record @returns {D} */
+function putSyncRecord(data, collection, record) {
+  const list = data[collection];
+  const exists = list.some((r) => r.id === record.id);
+  const next = exists ? list.map((r) => (r.id === record.id ? record : r)) : collection === "tasks" ? [record, ...list] : [...list, record];
+  return { ...data, [collection]: next };
+}
+
+// Merges other devices' changes into the data, shadows and outbox. Records
+// first seen here are only added once `isValidRecord` accepts them.
+/**
+ * @template {SyncAppData} D
+ * @param {SyncState} state
+ * @param {D} data
+ * @param {SyncChange[]} changes
+ * @param {RecordValidator} isValidRecord
+ * @returns {{ state: SyncState; data: D; applied: number }}
+ */
+export function applyRemoteChanges(state, data, changes, isValidRecord, now = Date.now()) {
+  const shadows = { ...state.shadows };
+  let outbox = state.outbox;
+  let conflicts = state.conflicts;
+  let applied = 0;
+  const addConflict = (/** @type {SyncConflict} */ conflict) => {
+    conflicts = [...conflicts.filter((c) => c.key !== conflict.key), conflict];
+  };
+
+  for (const change of changes) {
+    if (change.device === state.deviceId || !SYNC_COLLECTIONS.includes(change.collection)) continue;
+    const { collection, id } = change;
+    const key = syncRecordKey(collection, id);
+    /** @type {RecordShadow} */
+    const shadow = { fields: { ...shadows[key]?.fields }, stamps: { ...shadows[key]?.stamps }, deleted: shadows[key]?.deleted };
+    const pending = outbox.find((c) => c.collection === collection && c.id === id);
+    const current = data[collection].find((r) => r.id === id);
+    /** @type {SyncRecord | undefined} */
+    let record = current && { ...current };
+
+    if (change.deleted) {
+      // Stamps as of the last sync; edits made here since are checked below
+      const seen = Object.entries(shadow.stamps).map(([f, stamp]) => (pending?.fields?.[f] ? pending.base[f]?.stamp : stamp));
+      const newest = seen.filter((s) => !!s).sort(compareStamps).pop();
+      if (newest && compareStamps(newest, change.deleted) > 0) {
+        // edited elsewhere after the delete: the record lives on
+      } else if (record && pending?.fields && Object.keys(pending.fields).length) {
+        addConflict({ key: `${key}:`, collection, id, field: "", label: syncRecordLabel(collection, record), local: record, remote: undefined, remoteStamp: change.deleted });
+      } else {
+        shadow.deleted = change.deleted;
+        outbox = outbox.filter((c) => c !== pending);
+        if (record) {
+          data = removeSyncRecord(data, collection, id, now);
+          record = undefined;
+          applied++;
+        }
+      }
+    }
+
+    for (const [field, incoming] of Object.entries(change.fields || {})) {
+      const mine = pending?.fields?.[field] && pending.base[field];
+      // A field edited here is compared with what it was before the edit
+      const seen = mine ? mine.stamp : shadow.stamps[field];
+      if (seen && compareStamps(incoming.stamp, seen) <= 0) continue;
+      if (mine && record) {
+        const merged = mergeValues(parseJSON(mine.json), record[field], incoming.value);
+        if (!merged) {
+          addConflict({ key: `${key}:${field}`, collection, id, field, label: syncRecordLabel(collection, record), local: record[field], remote: incoming.value, remoteStamp: incoming.stamp });
+          continue;
+        }
+        // The merge is a new local edit that has to beat both sides
+        /** @type {FieldStamp} */
+        const stamp = { at: Math.max(now, incoming.stamp.at + 1), device: state.deviceId };
+        const json = stableJSON(merged.value);
+        if (merged.value === undefined) delete record[field];
+        else record[field] = merged.value;
+        if (json === undefined) delete shadow.fields[field];
+        else shadow.fields[field] = json;
+        shadow.stamps[field] = stamp;
+        outbox = queueChange(outbox, {
+          device: state.deviceId, collection, id,
+          fields: { [field]: merged.value === undefined ? { stamp } : { value: merged.value, stamp } },
+          base: { [field]: { json: stableJSON(incoming.value), stamp: incoming.stamp } },
+        });
+        applied++;
+        continue;
+      }
+      const json = stableJSON(incoming.value);
+      if (json === undefined) delete shadow.fields[field];
+      else shadow.fields[field] = json;
+      shadow.stamps[field] = incoming.stamp;
+      if (shadow.deleted && compareStamps(incoming.stamp, shadow.deleted) > 0) shadow.deleted = undefined;
+      if (record) {
+        if (incoming.value === undefined) delete record[field];
+        else record[field] = incoming.value;
+      }
+      applied++;
+    }
+
+    // New here (or revived): build it from everything synced so far, and
+    // wait for more changes if that isn't a complete record yet
+    if (!record && !shadow.deleted) {
+      /** @type {SyncRecord} */
+      const built = { id };
+      for (const [field, json] of Object.entries(shadow.fields)) built[field] = JSON.parse(json);
+      if (isValidRecord(collection, built)) record = built;
+    }
+    if (record && !shadow.deleted) data = putSyncRecord(data, collection, record);
+    shadows[key] = shadow;
+  }
+  return { state: { ...state, shadows, outbox, conflicts }, data, applied };
+}
+
+// What to send: the outbox without the base values, holding back fields that
+// are waiting on conflict review
+/** @param {SyncState} state @returns {SyncChange[]} */
+export function outgoingChanges(state) {
+  const held = new Set(state.conflicts.map((c) => c.key));
+  return state.outbox.flatMap(({ base, ...change }) => {
+    const key = syncRecordKey(change.collection, change.id);
+    if (held.has(`${key}:`)) return [];
+    const fields = change.fields && Object.fromEntries(Object.entries(change.fields).filter(([f]) => !held.has(`${key}:${f}`)));
+    if (!change.deleted && !Object.keys(fields || {}).length) return [];
+    return [{ ...change, fields }];
+  });
+}
+
+// Drops what the server accepted; anything edited again meanwhile has a
+// newer stamp and stays queued
+/** @param {SyncState} state @param {SyncChange[]} pushed @returns {SyncState} */
+export function acknowledgeChanges(state, pushed) {
+  let outbox = state.outbox;
+  for (const sent of pushed) {
+    outbox = outbox.flatMap((entry) => {
+      if (entry.collection !== sent.collection || entry.id !== sent.id) return [entry];
+      const fields = Object.fromEntries(
+        Object.entries(entry.fields || {}).filter(([f, v]) => !sent.fields?.[f] || compareStamps(sent.fields[f].stamp, v.stamp) !== 0)
+      );
+      const deleted = entry.deleted && sent.deleted && compareStamps(entry.deleted, sent.deleted) === 0 ? undefined : entry.deleted;
+      if (!deleted && !Object.keys(fields).length) return [];
+      return [{ ...entry, fields, deleted, base: Object.fromEntries(Object.entries(entry.base).filter(([f]) => f in fields)) }];
+    });
+  }
+  return { ...state, outbox };
+}
+
+// "mine" keeps this device's value, "theirs" takes the other one; either way
+// the choice goes out with a fresh stamp so every device ends up agreeing
+/**
+ * @template {SyncAppData} D
+ * @param {SyncState} state
+ * @param {D} data
+ * @param {string} key
+ * @param {"mine" | "theirs"} choice
+ * @returns {{ state: SyncState; data: D }}
+ */
+export function resolveConflict(state, data, key, choice, now = Date.now()) {
+  const conflict = state.conflicts.find((c) => c.key === key);
+  if (!conflict) return { state, data };
+  const { collection, id, field } = conflict;
+  const recordKey = syncRecordKey(collection, id);
+  /** @type {FieldStamp} */
+  const stamp = { at: Math.max(now, conflict.remoteStamp.at + 1), device: state.deviceId };
+  const conflicts = state.conflicts.filter((c) => c.key !== key);
+  const record = data[collection].find((r) => r.id === id);
+  const shadow = state.shadows[recordKey] || { fields: {}, stamps: {} };
+
+  if (!field) {
+    if (choice === "theirs") {
+      return {
+        state: { ...state, conflicts, shadows: { ...state.shadows, [recordKey]: { ...shadow, deleted: conflict.remoteStamp } }, outbox: state.outbox.filter((c) => c.collection !== collection || c.id !== id) },
+        data: removeSyncRecord(data, collection, id, now),
+      };
+    }
+    // Keeping it: resend every field so devices that deleted it get it back
+    const fields = Object.fromEntries(Object.entries(record || {}).filter(([f]) => f !== "id").map(([f, value]) => [f, { value, stamp }]));
+    const stamps = Object.fromEntries(Object.keys(fields).map((f) => [f, stamp]));
+    return {
+      state: { ...state, conflicts, shadows: { ...state.shadows, [recordKey]: { ...shadow, stamps: { ...shadow.stamps, ...stamps } } }, outbox: queueChange(state.outbox, { device: state.deviceId, collection, id, fields, base: {} }) },
+      data,
+    };
+  }
+
+  const value = choice === "mine" ? record?.[field] : conflict.remote;
+  const json = stableJSON(value);
+  const fields = { ...shadow.fields };
+  if (json === undefined) delete fields[field];
+  else fields[field] = json;
+  /** @type {SyncRecord | undefined} */
+  const next = record && { ...record, [field]: value };
+  if (next && value === undefined) delete next[field];
+  return {
+    state: {
+      ...state,
+      conflicts,
+      shadows: { ...state.shadows, [recordKey]: { ...shadow, fields, stamps: { ...shadow.stamps, [field]: stamp } } },
+      outbox: queueChange(state.outbox, { device: state.deviceId, collection, id, fields: { [field]: value === undefined ? { stamp } : { value, stamp } }, base: { [field]: { json: stableJSON(conflict.remote), stamp: conflict.remoteStamp } } }),
+    },
+    data: next ? putSyncRecord(data, collection, next) : data,
+  };
+}
+
+// One pull, merge and push. `read` is called again after the pull so edits
+// made while it was out are merged too; returning null there (e.g. the
+// server was changed meanwhile) abandons the round. Resolves with what was
+// pushed, for acknowledgeChanges. A failed push rejects and leaves the
+// outbox alone, so the next round sends the same changes again.
+/**
+ * @template {SyncAppData} D
+ * @param {SyncTransport} transport
+ * @param {{
+ *   read: () => { state: SyncState; data: D } | null;
+ *   onMerged: (merged: { state: SyncState; data: D; applied: number }) => void;
+ *   isValidRecord: RecordValidator;
+ *   now?: () => number;
+ * }} options
+ * @returns {Promise<SyncChange[] | null>}
+ */
+export async function syncRound(transport, { read, onMerged, isValidRecord, now = Date.now }) {
+  const start = read();
+  if (!start) return null;
+  const pulled = await transport.pull(start.state.cursor);
+  const current = read();
+  if (!current) return null;
+  const tracked = trackLocalChanges(current.state, current.data, now());
+  const merged = applyRemoteChanges({ ...tracked, cursor: Math.max(tracked.cursor, pulled.seq) }, current.data, pulled.changes, isValidRecord, now());
+  onMerged(merged);
+  const outgoing = outgoingChanges(merged.state);
+  if (outgoing.length) await transport.push(merged.state.deviceId, outgoing);
+  return outgoing;
+}
+
+/** @param {string} serverUrl @returns {SyncTransport} */
+export function createHttpTransport(serverUrl, token = "") {
+  const base = serverUrl.replace(/\/+$/, "");
+  /** @param {string} path @param {RequestInit} [init] */
+  async function call(path, init) {
+    const res = await fetch(base + path, {
+      ...init,
+      headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    });
+    const body = await res.json().catch(() => null);
+    if (!res.ok) throw new Error(body?.error || `Server answered ${res.status}`);
+    return body;
+  }
+  return {
+    pull: (since) => call(`/pull?since=${since}`),
+    push: (device, changes) => call("/push", { method: "POST", body: JSON.stringify({ device, changes }) }),
+  };
+}
@@ -0,0 +1,137 @@
+// Reference sync server for the Personal CRM (development and testing).
+//
+//   node sync_server.mjs [--port 8787] [--token secret] [--file sync-log.json]
+//
+// It keeps one append-only log of changes and hands out sequence numbers;
+// all merging happens on the devices. Without --file the log lives in memory.
+//
+// Protocol (JSON over HTTP, CORS open so the app can call it from any origin):
+//   GET  /health                         → { ok: true, seq }
+//   GET  /pull?since=<seq>               → { seq, changes }  every change with seq > since, oldest first
+//   POST /push  { device, changes }      → { seq }           changes are numbered and appended in order
+// A change is { device, collection, id, fields?: { [field]: { value?, stamp } }, deleted?: stamp }
+// where a stamp is { at: <ms since epoch>, device }. With --token, every
+// request but /health needs "Authorization: Bearer <token>".
+//
+// Tests import createServer() and listen on a port of their own; the server
+// only starts by itself when this file is run directly.
+
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+/**
+ * @typedef {import("./sync.mjs").SyncChange} SyncChange
+ * @typedef {SyncChange & { seq: number }} LoggedChange
+ * @typedef {Error & { status?: number }} HttpError
+ */
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const COLLECTIONS = ["tasks", "contacts", "interactions", "categories"];
+
+/** @param {string} name @param {string} fallback */
+function option(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+/** @param {any} s */
+function isStamp(s) {
+  return s && typeof s.at === "number" && typeof s.device === "string";
+}
+
+/** @param {any} c */
+function isChange(c) {
+  if (!c || typeof c.device !== "string" || !COLLECTIONS.includes(c.collection) || typeof c.id !== "string" || !c.id) return false;
+  if (c.deleted !== undefined && !isStamp(c.deleted)) return false;
+  if (c.fields !== undefined && (typeof c.fields !== "object" || !Object.values(c.fields).every((/** @type {any} */ f) => f && isStamp(f.stamp)))) return false;
+  return c.deleted !== undefined || c.fields !== undefined;
+}
+
+/** @param {http.ServerResponse} res @param {number} status @param {unknown} [body] @param {http.OutgoingHttpHeaders} [headers] */
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    ...headers,
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+// Past the limit further chunks are dropped rather than the request destroyed,
+// so the client still gets its 413
+/** @param {http.IncomingMessage} req @returns {Promise<any>} */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    /** @type {Buffer[]} */
+    const chunks = [];
+    let size = 0;
+    req.on("data", (/** @type {Buffer} */ chunk) => {
+      if (size > MAX_BODY_BYTES) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        chunks.length = 0;
+        reject(Object.assign(new Error("request body too large"), { status: 413 }));
+      } else chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(Object.assign(new Error("body is not valid JSON"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// An http.Server that isn't listening yet
+/** @returns {http.Server} */
+export function createServer({ token = "", file = "" } = {}) {
+  /** @type {LoggedChange[]} */
+  let log = [];
+  if (file && fs.existsSync(file)) log = JSON.parse(fs.readFileSync(file, "utf8"));
+  const head = () => (log.length ? log[log.length - 1].seq : 0);
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url || "/", "http://localhost");
+    if (req.method === "OPTIONS") return send(res, 204);
+    if (req.method === "GET" && url.pathname === "/health") return send(res, 200, { ok: true, seq: head() });
+    if (token && req.headers.authorization !== `Bearer ${token}`) return send(res, 401, { error: "missing or wrong token" });
+
+    try {
+      if (req.method === "GET" && url.pathname === "/pull") {
+        const since = Number(url.searchParams.get("since") || 0);
+        if (!Number.isFinite(since) || since < 0) return send(res, 400, { error: "since must be a sequence number" });
+        return send(res, 200, { seq: head(), changes: log.filter((c) => c.seq > since) });
+      }
+      if (req.method === "POST" && url.pathname === "/push") {
+        const body = await readBody(req);
+        if (typeof body?.device !== "string" || !Array.isArray(body.changes)) return send(res, 400, { error: "expected { device, changes }" });
+        const bad = body.changes.findIndex((/** @type {any} */ c) => !isChange(c) || c.device !== body.device);
+        if (bad >= 0) return send(res, 400, { error: `changes[${bad}] is not a valid change` });
+        let seq = head();
+        for (const { seq: _ignored, ...change } of body.changes) log.push({ ...change, seq: ++seq });
+        if (file) fs.writeFileSync(file, JSON.stringify(log));
+        return send(res, 200, { seq });
+      }
+      send(res, 404, { error: "not found" });
+    } catch (e) {
+      const err = /** @type {HttpError} */ (e);
+      // After a 413 the connection closes instead of reading the rest of the body
+      send(res, err.status || 500, { error: err.message }, err.status === 413 ? { Connection: "close" } : {});
+    }
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = Number(option("port", process.env.PORT || "8787"));
+  const token = option("token", process.env.SYNC_TOKEN || "");
+  const file = option("file", "");
+  createServer({ token, file }).listen(port, () => {
+    console.log(`Sync server on http://localhost:${port}${token ? " (token required)" : ""}${file ? `, log in ${file}` : ""}`);
+  });
+}
@@ -0,0 +1,147 @@
+// Follow-up message templates for the Personal CRM.
+//
+// {{field}} is replaced from the task, its nearest open next step and the
+// chosen contact; {{field|fallback}} uses the fallback when the value is
+// empty. Unknown fields are left in the text so typos stay visible.
+
+import { toISODate } from "./dates.mjs";
+
+/**
+ * @typedef {typeof TEMPLATE_CHANNELS[number]} TemplateChannel
+ *
+ * @typedef {object} MessageTemplate
+ * @property {string} id
+ * @property {string} name
+ * @property {TemplateChannel} channel
+ * @property {string} [subject] email only
+ * @property {string} body
+ * @property {number} [followUpDays] offer a follow-up step this many days out
+ * @property {string} [followUpText] that step's text; merge fields allowed
+ *
+ * @typedef {{ title: string; dueDate?: string }} TemplateTask
+ * @typedef {{ text: string; dueDate?: string }} TemplateStep
+ * @typedef {{ name: string; company?: string; vehicle?: string; email?: string; phone?: string }} TemplateContact
+ */
+
+export const TEMPLATE_CHANNELS = /** @type {const} */ (["email", "sms"]);
+
+/** @type {{ key: string; describe: string }[]} */
+export const MERGE_FIELDS = [
+  { key: "first_name", describe: "Contact's first name" },
+  { key: "last_name", describe: "Contact's last name" },
+  { key: "name", describe: "Contact's full name" },
+  { key: "company", describe: "Contact's company" },
+  { key: "vehicle", describe: "Contact's vehicle of interest" },
+  { key: "email", describe: "Contact's email" },
+  { key: "phone", describe: "Contact's phone" },
+  { key: "task", describe: "Task title" },
+  { key: "category", describe: "Task category" },
+  { key: "due_date", describe: "Task due date" },
+  { key: "step", describe: "Nearest open next step" },
+  { key: "step_due", describe: "That step's due date" },
+  { key: "today", describe: "Today's date" },
+];
+
+/** @type {MessageTemplate[]} */
+export const DEFAULT_TEMPLATES = [
+  {
+    id: "tpl-test-drive",
+    name: "After a test drive",
+    channel: "email",
+    subject: "Your {{vehicle|test drive}}",
+    body: "Hi {{first_name|there}},\n\nThanks for coming in to drive the {{vehicle|car}}. Happy to answer any questions or put numbers together whenever you're ready.\n\nBest regards",
+    followUpDays: 3,
+    followUpText: "Call {{first_name}} about the {{vehicle|test drive}}",
+  },
+  {
+    id: "tpl-check-in",
+    name: "Quick check-in",
+    channel: "sms",
+    body: "Hi {{first_name|there}}, just checking in on the {{vehicle|car}}. Anything I can help with?",
+    followUpDays: 2,
+    followUpText: "Follow up with {{first_name}}",
+  },
+  {
+    id: "tpl-appointment",
+    name: "Appointment reminder",
+    channel: "sms",
+    body: "Hi {{first_name|there}}, looking forward to seeing you on {{due_date}}. Reply here if anything changes.",
+  },
+  {
+    id: "tpl-next-step",
+    name: "Next step recap",
+    channel: "email",
+    subject: "{{task}}: next step",
+    body: "Hi {{first_name|there}},\n\nAs discussed, next up is: {{step}} (by {{step_due}}).\n\nTalk soon",
+    followUpDays: 7,
+    followUpText: "Check in with {{first_name}} on {{task}}",
+  },
+];
+
+// Dates go through `formatDate` so they read the way the app shows them
+/**
+ * @param {TemplateTask} task
+ * @param {TemplateContact | undefined} contact
+ * @param {{ categoryName: string; step?: TemplateStep; formatDate: (iso: string) => string }} options
+ * @returns {Record<string, string>}
+ */
+export function mergeFieldsFor(task, contact, { categoryName, step, formatDate }, now = new Date()) {
+  const parts = (contact?.name || "").trim().split(/\s+/);
+  return {
+    first_name: parts[0] || "",
+    last_name: parts.length > 1 ? parts[parts.length - 1] : "",
+    name: contact?.name.trim() || "",
+    company: contact?.company || "",
+    vehicle: contact?.vehicle || "",
+    email: contact?.email || "",
+    phone: contact?.phone || "",
+    task: task.title,
+    category: categoryName,
+    due_date: task.dueDate ? formatDate(task.dueDate) : "",
+    step: step?.text || "",
+    step_due: step?.dueDate ? formatDate(step.dueDate) : "",
+    today: formatDate(toISODate(now)),
+  };
+}
+
+// Returns the text and the fields that came out empty (no fallback given)
+/** @param {string} text @param {Record<string, string>} fields @returns {{ text: string; missing: string[] }} */
+export function renderTemplate(text, fields) {
+  /** @type {Set<string>} */
+  const missing = new Set();
+  const out = text.replace(/\{\{\s*([a-z_]+)\s*(?:\|([^}]*))?\}\}/gi, (match, /** @type {string} */ key, /** @type {string | undefined} */ fallback) => {
+    const k = key.toLowerCase();
+    if (!(k in fields)) return match;
+    if (fields[k]) return fields[k];
+    if (fallback !== undefined) return fallback.trim();
+    missing.add(k);
+    return "";
+  });
+  return { text: out, missing: [...missing] };
+}
+
+// RFC 6068: spaces as %20 since some mail apps show "+" literally, line breaks as CRLF
+/** @param {string} to @param {string} subject @param {string} body */
+export function mailtoLink(to, subject, body) {
+  const params = [subject && `subject=${encodeURIComponent(subject)}`, body && `body=${encodeURIComponent(body.replace(/\r?\n/g, "\r\n"))}`].filter(Boolean).join("&");
+  return `mailto:${to.trim()}${params ? `?${params}` : ""}`;
+}
+
+// RFC 5724; the number keeps only digits and a leading +
+/** @param {string} phone @param {string} body */
+export function smsLink(phone, body) {
+  const number = phone.trim().replace(/(?!^\+)[^\d]/g, "");
+  return `sms:${number}${body ? `?body=${encodeURIComponent(body)}` : ""}`;
+}
+
+/** @param {any} t @returns {string[]} */
+export function validateTemplate(t) {
+  if (!t || typeof t !== "object") return ["not an object"];
+  const errors = [];
+  if (typeof t.id !== "string" || !t.id) errors.push("id must be a non-empty string");
+  if (typeof t.name !== "string" || !t.name.trim()) errors.push("name must be a non-empty string");
+  if (!TEMPLATE_CHANNELS.includes(t.channel)) errors.push(`channel must be one of ${TEMPLATE_CHANNELS.join(", ")}`);
+  if (typeof t.body !== "string") errors.push("body must be a string");
+  if (t.followUpDays !== undefined && !(Number.isInteger(t.followUpDays) && t.followUpDays >= 0)) errors.push("followUpDays must be a whole number of days");
+  return errors;
+}
@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildAnalytics, recordStatusChanges, taskCompletedAt } from "../analytics.mjs";
+
+const now = new Date(2026, 4, 13, 9, 0); // Wednesday
+const at = (month, day) => new Date(2026, month, day, 10, 0).toISOString();
+
+const task = (extra) => ({ id: "t1", title: "Call Ann", category: "biz", status: "Active", createdAt: at(4, 1), nextSteps: [], ...extra });
+
+test("status changes are stamped only when the status moved", () => {
+  const prev = [task(), task({ id: "t2" })];
+  const next = [task({ status: "Completed" }), prev[1]];
+  const recorded = recordStatusChanges(prev, next, now);
+  assert.deepEqual(recorded[0].statusChanges, [{ status: "Completed", at: now.toISOString() }]);
+  assert.equal(recorded[1], prev[1]);
+  assert.equal(recordStatusChanges(prev, prev, now), prev);
+  assert.equal(recordStatusChanges([], next, now), next);
+});
+
+test("completion time is the last move to Completed", () => {
+  const changes = [{ status: "Completed", at: at(4, 2) }, { status: "Active", at: at(4, 3) }, { status: "Completed", at: at(4, 4) }];
+  assert.equal(taskCompletedAt(task({ status: "Completed", statusChanges: changes })), at(4, 4));
+  assert.equal(taskCompletedAt(task({ statusChanges: changes })), undefined);
+  assert.equal(taskCompletedAt(task({ status: "Completed" })), undefined);
+});
+
+test("weekly counts, on-time rate and time to complete", () => {
+  const done = (extra) => task({ status: "Completed", ...extra });
+  const tasks = [
+    done({ id: "a", dueDate: "2026-05-12", statusChanges: [{ status: "Completed", at: at(4, 11) }] }),
+    done({ id: "b", dueDate: "2026-05-01", statusChanges: [{ status: "Completed", at: at(4, 4) }] }),
+    done({ id: "c", category: "home", statusChanges: [{ status: "Completed", at: at(2, 1) }] }),
+    done({ id: "d" }),
+    task({ id: "e", nextSteps: [{ id: "s", text: "Draft", done: true, completedAt: at(4, 12) }] }),
+  ];
+  const a = buildAnalytics(tasks, [], [], now);
+  assert.equal(a.weeks.length, 8);
+  assert.equal(a.weeks[7], "2026-05-10");
+  assert.deepEqual(a.completions.biz.slice(-2), [1, 1]);
+  assert.equal(a.completions.home, undefined);
+  assert.deepEqual(a.steps.slice(-1), [1]);
+  assert.deepEqual([a.onTime, a.late, a.untracked], [1, 1, 1]);
+  assert.deepEqual(a.daysToComplete.biz, { total: 13, count: 2 });
+});
+
+test("contacts and tasks that have gone quiet", () => {
+  const contacts = [
+    { id: "c1", name: "Ann", lastContacted: "2026-03-01" },
+    { id: "c2", name: "Bob" },
+    { id: "c3", name: "Cara", lastContacted: "2026-03-01" },
+  ];
+  const interactions = [
+    { type: "call", at: at(4, 10), contactIds: ["c3"] },
+    { type: "note", at: at(4, 10), contactIds: ["c1"] },
+  ];
+  const tasks = [task({ createdAt: at(3, 1) }), task({ id: "t2", createdAt: at(3, 1), statusChanges: [{ status: "Pending", at: at(4, 9) }] })];
+  const a = buildAnalytics(tasks, contacts, interactions, now);
+  assert.deepEqual(a.neglectedContacts.map((n) => [n.contact.id, n.days]), [["c2", null], ["c1", 73]]);
+  assert.deepEqual(a.neglectedTasks.map((n) => [n.task.id, n.days]), [["t1", 42]]);
+});
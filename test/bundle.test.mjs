@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { deflateRawSync } from "node:zlib";
+import { buildBundle, buildZip, crc32, readBundle, readZip } from "../bundle.mjs";
+import { createMemoryAttachmentStore } from "../storage.mjs";
+import { readExport } from "../json_import.mjs";
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+test("crc32 matches the zip checksum", () => {
+  assert.equal(crc32(encoder.encode("123456789")), 0xcbf43926);
+  assert.equal(crc32(new Uint8Array()), 0);
+});
+
+test("zip entries round-trip with UTF-8 names", async () => {
+  const zip = buildZip([{ name: "a.txt", data: encoder.encode("hello") }, { name: "dir/ü.md", data: encoder.encode("# hi") }]);
+  const files = await readZip(zip);
+  assert.deepEqual([...files.keys()], ["a.txt", "dir/ü.md"]);
+  assert.equal(decoder.decode(files.get("dir/ü.md")), "# hi");
+});
+
+test("deflated entries are read; damaged or foreign ones are refused", async () => {
+  const zip = buildZip([{ name: "a.txt", data: encoder.encode("hello hello hello") }]);
+  const deflated = deflateRawSync(Buffer.from("hello hello hello"));
+  // Re-pack the single entry as method 8 by hand
+  const view = new DataView(zip.buffer);
+  const centralAt = view.getUint32(zip.length - 22 + 16, true);
+  const local = zip.slice(0, 30 + 5);
+  const central = zip.slice(centralAt, zip.length - 22);
+  const end = zip.slice(zip.length - 22);
+  for (const [bytes, at] of [[local, 8], [central, 10]]) new DataView(bytes.buffer).setUint16(at, 8, true);
+  new DataView(local.buffer).setUint32(18, deflated.length, true);
+  new DataView(central.buffer).setUint32(20, deflated.length, true);
+  new DataView(end.buffer).setUint32(16, local.length + deflated.length, true);
+  const repacked = new Uint8Array([...local, ...deflated, ...central, ...end]);
+  assert.equal(decoder.decode((await readZip(repacked)).get("a.txt")), "hello hello hello");
+
+  const damaged = zip.slice();
+  damaged[30 + 5] ^= 1;
+  await assert.rejects(readZip(damaged), /a\.txt is damaged/);
+  await assert.rejects(readZip(encoder.encode("not a zip")), /Not a zip file/);
+});
+
+test("bundles carry the export and the files it references", async () => {
+  const store = createMemoryAttachmentStore();
+  await store.put("f1", new Blob(["pdf bytes"], { type: "application/pdf" }));
+  const attachment = (id, name) => ({ id, name, type: "application/pdf", size: 9 });
+  const data = {
+    tasks: [{ id: "t1", title: "Call Ann", attachments: [attachment("f1", "a/b:c.pdf"), attachment("gone", "lost.pdf")] }],
+    contacts: [],
+    interactions: [],
+    trash: [{ task: { id: "t2", title: "Old", attachments: [attachment("f1", "a/b:c.pdf")] }, deletedAt: "" }],
+  };
+  const blob = await buildBundle(data, store, new Date(2026, 4, 10));
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const entries = await readZip(bytes);
+  assert.deepEqual([...entries.keys()], ["manifest.json", "data.json", "attachments/f1/a_b_c.pdf"]);
+  assert.deepEqual(JSON.parse(decoder.decode(entries.get("manifest.json"))).missing, ["gone"]);
+
+  const { text, files } = await readBundle(bytes);
+  assert.deepEqual(readExport(text, { categories: [], settings: {} }).raw.tasks, data.tasks);
+  assert.deepEqual([...files.keys()], ["f1"]);
+  assert.equal(await files.get("f1").text(), "pdf bytes");
+  assert.equal(files.get("f1").type, "application/pdf");
+});
+
+test("a zip that isn't a bundle is refused", async () => {
+  await assert.rejects(readBundle(buildZip([{ name: "data.json", data: encoder.encode("{}") }])), /no readable manifest\.json/);
+  const foreign = buildZip([{ name: "manifest.json", data: encoder.encode('{"format":"other"}') }]);
+  await assert.rejects(readBundle(foreign), /isn't a Personal CRM bundle/);
+});
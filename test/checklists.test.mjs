@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { checklistProgress, dependencyCycle, indentChecklistItem, moveInList, newlyUnblocked, openBlockers, outdentChecklistItem, setChecklistDone } from "../checklists.mjs";
+
+const items = [
+  { id: "a", text: "Draft", done: true },
+  { id: "b", text: "Review", children: [{ id: "b1", text: "Legal", done: true }, { id: "b2", text: "Finance" }] },
+  { id: "c", text: "Send" },
+];
+
+const shape = (list) => list.map((c) => (c.children ? [c.id, shape(c.children)] : c.id));
+
+test("progress counts nested items", () => {
+  assert.deepEqual(checklistProgress(items), { done: 2, total: 5 });
+  assert.deepEqual(checklistProgress(), { done: 0, total: 0 });
+});
+
+test("checking an item checks its children", () => {
+  const checked = setChecklistDone(items[1], true);
+  assert.deepEqual(checked.children.map((c) => c.done), [true, true]);
+  assert.equal(items[1].children[1].done, undefined);
+});
+
+test("indent and outdent move items between levels", () => {
+  const indented = indentChecklistItem(items, "c");
+  assert.deepEqual(shape(indented), ["a", ["b", ["b1", "b2", "c"]]]);
+  assert.equal(indentChecklistItem(items, "a"), items);
+  assert.deepEqual(shape(outdentChecklistItem(items, "b1")), ["a", ["b", ["b2"]], "b1", "c"]);
+  assert.deepEqual(shape(outdentChecklistItem(outdentChecklistItem(items, "b1"), "b2")), ["a", "b", "b2", "b1", "c"]);
+  assert.equal(outdentChecklistItem(items, "a"), items);
+});
+
+test("moving stays within the list", () => {
+  assert.deepEqual(moveInList([1, 2, 3], 0, 1), [2, 1, 3]);
+  const list = [1, 2];
+  assert.equal(moveInList(list, 1, 1), list);
+  assert.equal(moveInList(list, -1, 1), list);
+});
+
+const tasks = [
+  { id: "deck", status: "Active", blockedBy: ["nda"] },
+  { id: "nda", status: "Active", blockedBy: ["legal"] },
+  { id: "legal", status: "Active" },
+  { id: "gone", status: "Completed" },
+];
+
+test("dependency cycles are found with the path that closes them", () => {
+  assert.deepEqual(dependencyCycle(tasks, "legal", ["deck"]), ["legal", "deck", "nda", "legal"]);
+  assert.deepEqual(dependencyCycle(tasks, "deck", ["deck"]), ["deck", "deck"]);
+  assert.equal(dependencyCycle(tasks, "legal", ["gone"]), null);
+});
+
+test("only open blockers count, and completing the last one unblocks", () => {
+  assert.deepEqual(openBlockers({ id: "x", status: "Active", blockedBy: ["nda", "gone", "missing"] }, tasks).map((t) => t.id), ["nda"]);
+  const after = tasks.map((t) => (t.id === "legal" ? { ...t, status: "Completed" } : t));
+  assert.deepEqual(newlyUnblocked(tasks, after).map((t) => t.id), ["nda"]);
+  assert.deepEqual(newlyUnblocked(tasks, tasks), []);
+});
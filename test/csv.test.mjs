@@ -0,0 +1,86 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildCSV, csvRowsToRecords, detectDateFormat, guessCsvField, guessStatus, parseCSV, parseCsvDate, parseCsvTime, parsePriority } from "../csv.mjs";
+
+const ctx = {
+  categoryOf: (id) => ({ name: id === "biz" ? "Business" : id }),
+  stageName: () => "Lead",
+  nearestStep: (t) => t.nextSteps.find((n) => !n.done),
+  contacts: [{ id: "c1", name: "Ann" }, { id: "c2", name: "Bob" }],
+};
+
+const task = (extra) => ({ id: "t1", title: "Call Ann", category: "biz", status: "Active", dueDate: "2026-05-04", nextSteps: [], ...extra });
+
+const spec = (fields, extra) => ({ fields, dateFormat: "ymd", categoryMap: {}, statusMap: {}, defaultCategory: "Family", ...extra });
+
+test("export quotes cells that need it", () => {
+  const csv = buildCSV([task({ title: "Dinner, \"Ann\"", description: " padded", contactIds: ["c1", "c2"] })], ["title", "category", "description", "contacts"], false, ctx);
+  assert.equal(csv, 'Title,Category,Description,Contacts\r\n"Dinner, ""Ann""",Business," padded",Ann; Bob\r\n');
+});
+
+test("export neutralises cells a spreadsheet would run as formulas", () => {
+  const csv = buildCSV([task({ title: "=HYPERLINK(\"x\")", description: "@SUM(A1)" }), task({ title: "+1 555", description: "-5" })], ["title", "description"], false, ctx);
+  assert.deepEqual(parseCSV(csv).slice(1), [["'=HYPERLINK(\"x\")", "'@SUM(A1)"], ["'+1 555", "'-5"]]);
+});
+
+test("export writes one row per task or one per step", () => {
+  const steps = [{ id: "s1", text: "Send quote", done: true }, { id: "s2", text: "Follow up", dueDate: "2026-05-06" }];
+  const t = task({ nextSteps: steps });
+  assert.deepEqual(parseCSV(buildCSV([t], ["title", "step"], false, ctx)), [["Title", "Next Step"], ["Call Ann", "Follow up"]]);
+  assert.deepEqual(parseCSV(buildCSV([t, task({ id: "t2", title: "Other" })], ["title", "step", "stepDone"], true, ctx)).slice(1), [
+    ["Call Ann", "Send quote", "yes"],
+    ["Call Ann", "Follow up", "no"],
+    ["Other", "", ""],
+  ]);
+});
+
+test("parsing handles quotes, line breaks, a BOM and sniffed delimiters", () => {
+  assert.deepEqual(parseCSV('\uFEFFa,b\r\n"x, ""y""","multi\nline"\r\n\r\n'), [["a", "b"], ['x, "y"', "multi\nline"]]);
+  assert.deepEqual(parseCSV("a;b\n1;2"), [["a", "b"], ["1", "2"]]);
+  assert.deepEqual(parseCSV("a\tb\n1\t2"), [["a", "b"], ["1", "2"]]);
+});
+
+test("headers, dates, times and statuses are guessed", () => {
+  assert.deepEqual(["Title", "Next Step Due", "Follow-up", "E-mail", "Whatever"].map(guessCsvField), ["title", "stepDue", "step", "email", "ignore"]);
+  assert.deepEqual(parseCsvDate("5/4/26 3pm", "mdy"), { date: "2026-05-04", time: "15:00" });
+  assert.equal(parseCsvDate("2026-02-30", "ymd"), null);
+  assert.equal(detectDateFormat(["04/05/2026", "25/12/2026"]), "dmy");
+  assert.equal(detectDateFormat(["04/05/2026", ""]), "mdy");
+  assert.equal(parseCsvTime("12:30 am"), "00:30");
+  assert.equal(parseCsvTime("7"), null);
+  assert.deepEqual(["pending", "Won", "new"].map(guessStatus), ["Pending", "Completed", "Active"]);
+  assert.deepEqual(["p2", "3", "Hot", "low", "soon"].map(parsePriority), ["P2", "P3", "P2", "P4", undefined]);
+});
+
+test("rows become tasks, steps and contacts", () => {
+  const rows = [
+    ["Call Ann", "biz", "2026-05-04", "Send quote", "yes", "Ann"],
+    ["Call Ann", "biz", "2026-05-04", "Follow up", "", "Cara"],
+    ["", "biz", "", "", "", ""],
+    ["Lunch", "other", "May 4", "", "", "Dan; Ann"],
+  ];
+  const result = csvRowsToRecords(rows, spec(["title", "category", "due", "step", "stepDone", "contact"], { categoryMap: { biz: "Business" } }), [{ id: "c1", name: "ann" }]);
+  assert.deepEqual(result.errors, ["Row 4: no title, skipped", "Row 5: “May 4” isn't a YYYY-MM-DD date, left empty"]);
+  const [call, lunch] = result.tasks;
+  assert.equal(call.category, "Business");
+  assert.deepEqual(call.nextSteps.map((n) => [n.text, n.done]), [["Send quote", true], ["Follow up", undefined]]);
+  assert.equal(lunch.category, "Family");
+  assert.equal(lunch.dueDate, undefined);
+  assert.deepEqual(result.contacts.map((c) => c.name), ["Cara", "Dan"]);
+  assert.deepEqual(call.contactIds, ["c1", result.contacts[0].id]);
+  assert.deepEqual(lunch.contactIds, [result.contacts[1].id, "c1"]);
+});
+
+test("exported formula guards come back off on import", () => {
+  const rows = parseCSV(buildCSV([task({ title: "=1+1" })], ["title"], false, ctx)).slice(1);
+  assert.equal(csvRowsToRecords(rows, spec(["title"]), []).tasks[0].title, "=1+1");
+});
+
+test("priority and effort round-trip", () => {
+  const csv = buildCSV([task({ priority: "P1", effort: 45 })], ["title", "priority", "effort"], false, ctx);
+  const [header, ...rows] = parseCSV(csv);
+  assert.deepEqual(header, ["Title", "Priority", "Effort (min)"]);
+  const [t] = csvRowsToRecords(rows, spec(header.map(guessCsvField)), []).tasks;
+  assert.equal(t.priority, "P1");
+  assert.equal(t.effort, 45);
+});
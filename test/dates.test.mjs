@@ -0,0 +1,94 @@
+// Calendar-day helpers must give the same answers in every timezone. Run under
+// several with `npm run test:tz`; the DST cases only bite in America/Los_Angeles
+// (2026-03-08 is 23 hours long there, 2026-11-01 is 25).
+import test from "node:test";
+import assert from "node:assert/strict";
+import { addDays, daysBetween, isDueWithinDays, isOverdue, parseISODate, startOfWeek, tasksOn, toISODate } from "../dates.mjs";
+import { nextOccurrence, occurrenceIndex, occurrencesBetween } from "../recurrence.mjs";
+
+const tz = process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone;
+const task = (id, dueDate, extra = {}) => ({ id, dueDate, status: "Active", nextSteps: [], ...extra });
+
+test(`parseISODate and toISODate round-trip local days (${tz})`, () => {
+  for (const iso of ["2026-01-01", "2026-03-08", "2026-03-09", "2026-11-01", "2026-12-31", "2028-02-29"]) {
+    const d = parseISODate(iso);
+    assert.equal(d.getHours(), 0);
+    assert.equal(toISODate(d), iso);
+  }
+  // The UTC parse is what the helpers exist to avoid
+  assert.equal(toISODate(parseISODate("2026-06-15")), "2026-06-15");
+  assert.equal(toISODate(new Date(2026, 5, 15, 23, 59)), "2026-06-15");
+  assert.equal(toISODate(new Date(2026, 5, 15, 0, 1)), "2026-06-15");
+});
+
+test(`addDays and daysBetween step whole days across DST (${tz})`, () => {
+  assert.equal(toISODate(addDays(parseISODate("2026-03-07"), 1)), "2026-03-08");
+  assert.equal(toISODate(addDays(parseISODate("2026-03-07"), 2)), "2026-03-09");
+  assert.equal(toISODate(addDays(parseISODate("2026-10-31"), 2)), "2026-11-02");
+  assert.equal(toISODate(addDays(parseISODate("2026-11-01"), -1)), "2026-10-31");
+  assert.equal(daysBetween(parseISODate("2026-03-08"), parseISODate("2026-03-09")), 1);
+  assert.equal(daysBetween(parseISODate("2026-11-01"), parseISODate("2026-11-02")), 1);
+  assert.equal(daysBetween(parseISODate("2026-01-01"), parseISODate("2027-01-01")), 365);
+});
+
+test(`startOfWeek lands on the configured first day (${tz})`, () => {
+  // 2026-03-11 is a Wednesday in the week the clocks change in the US
+  assert.equal(toISODate(startOfWeek(parseISODate("2026-03-11"))), "2026-03-08");
+  assert.equal(toISODate(startOfWeek(parseISODate("2026-03-11"), 1)), "2026-03-09");
+  assert.equal(toISODate(startOfWeek(parseISODate("2026-03-08"))), "2026-03-08");
+  assert.equal(toISODate(startOfWeek(parseISODate("2026-03-08"), 1)), "2026-03-02");
+  assert.equal(toISODate(startOfWeek(parseISODate("2026-11-04"), 6)), "2026-10-31");
+  assert.equal(toISODate(startOfWeek(new Date(2026, 10, 1, 23, 30))), "2026-11-01");
+});
+
+test(`isOverdue and isDueWithinDays compare local calendar days (${tz})`, () => {
+  const lateEvening = new Date(2026, 2, 8, 23, 30);
+  const earlyMorning = new Date(2026, 2, 8, 0, 30);
+  for (const now of [lateEvening, earlyMorning]) {
+    assert.equal(isOverdue("2026-03-07", now), true);
+    assert.equal(isOverdue("2026-03-08", now), false);
+    assert.equal(isOverdue(undefined, now), false);
+    assert.equal(isDueWithinDays("2026-03-08", 3, now), true);
+    assert.equal(isDueWithinDays("2026-03-11", 3, now), true);
+    assert.equal(isDueWithinDays("2026-03-12", 3, now), false);
+    assert.equal(isDueWithinDays("2026-03-07", 3, now), false);
+  }
+  assert.equal(isDueWithinDays("2026-11-02", 1, new Date(2026, 10, 1, 12)), true);
+  assert.equal(isDueWithinDays("2026-11-03", 1, new Date(2026, 10, 1, 12)), false);
+});
+
+test(`recurrences keep their weekday and spacing across DST (${tz})`, () => {
+  const weekly = { freq: "weekly" };
+  assert.deepEqual(occurrencesBetween(weekly, "2026-03-01", "2026-03-01", "2026-03-22"), [
+    "2026-03-01",
+    "2026-03-08",
+    "2026-03-15",
+    "2026-03-22",
+  ]);
+  assert.deepEqual(occurrencesBetween({ freq: "custom", interval: 2 }, "2026-10-30", "2026-10-30", "2026-11-05"), [
+    "2026-10-30",
+    "2026-11-01",
+    "2026-11-03",
+    "2026-11-05",
+  ]);
+  assert.equal(nextOccurrence({ freq: "daily" }, "2026-03-07"), "2026-03-08");
+  assert.equal(nextOccurrence({ freq: "daily" }, "2026-03-08"), "2026-03-09");
+  assert.equal(nextOccurrence({ freq: "weekdays" }, "2026-10-30"), "2026-11-02");
+});
+
+test(`tasksOn finds tasks, steps and repeats on the DST day (${tz})`, () => {
+  const tasks = [
+    task("due", "2026-03-08"),
+    task("before", "2026-03-07"),
+    task("step", undefined, { nextSteps: [{ id: "s1", dueDate: "2026-03-08" }] }),
+    task("weekly", "2026-03-01", { recurrence: { freq: "weekly" } }),
+    task("done", "2026-03-01", { status: "Completed", recurrence: { freq: "weekly" } }),
+    task("steprepeat", "2026-04-01", { nextSteps: [{ id: "s2", dueDate: "2026-03-06", recurrence: { freq: "daily" } }] }),
+  ];
+  const occurrences = occurrenceIndex(tasks, "2026-03-01", "2026-03-31");
+  const ids = (date) => tasksOn(tasks, date, occurrences).map((t) => t.id);
+  assert.deepEqual(ids(parseISODate("2026-03-08")), ["due", "step", "weekly", "steprepeat"]);
+  assert.deepEqual(ids(new Date(2026, 2, 8, 23, 59)), ["due", "step", "weekly", "steprepeat"]);
+  assert.deepEqual(ids(parseISODate("2026-03-07")), ["before", "steprepeat"]);
+  assert.deepEqual(tasksOn(tasks, parseISODate("2026-03-08")).map((t) => t.id), ["due", "step"]);
+});
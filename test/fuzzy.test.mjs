@@ -0,0 +1,34 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { PALETTE_LIMIT, fuzzyScore, rankCommands } from "../fuzzy.mjs";
+
+const command = (label, group = "Views", keywords) => ({ id: label, group, label, keywords });
+
+test("fuzzyScore needs every letter in order", () => {
+  assert.equal(fuzzyScore("clr", "Calendar").toFixed(2), "4.42");
+  assert.equal(fuzzyScore("rlc", "Calendar"), null);
+  assert.equal(fuzzyScore("", "Calendar"), 0);
+  assert.equal(fuzzyScore("  ", "Calendar"), 0);
+  assert.equal(fuzzyScore("Go Cal", "go to calendar"), fuzzyScore("gocal", "Go to Calendar"));
+});
+
+test("fuzzyScore prefers runs and word starts over scattered letters", () => {
+  assert.ok(fuzzyScore("cal", "Calendar") > fuzzyScore("cal", "Clear all"));
+  assert.ok(fuzzyScore("nt", "New task") > fuzzyScore("nt", "Analytics"));
+  assert.ok(fuzzyScore("table", "Table") > fuzzyScore("table", "Table view"));
+});
+
+test("rankCommands puts label matches first and keeps order on ties", () => {
+  const commands = [command("Show table"), command("Show board"), command("Export CSV", "Actions", "spreadsheet table"), command("Undo", "Actions")];
+  assert.deepEqual(rankCommands(commands, "table").map((c) => c.label), ["Show table", "Export CSV"]);
+  assert.deepEqual(rankCommands(commands, "views").map((c) => c.label), ["Show table", "Show board"]);
+  assert.deepEqual(rankCommands(commands, "zz"), []);
+  assert.deepEqual(rankCommands(commands, " "), commands);
+});
+
+test("rankCommands returns at most PALETTE_LIMIT commands", () => {
+  const many = Array.from({ length: PALETTE_LIMIT + 10 }, (_, i) => command(`Open task ${i}`, "Tasks"));
+  assert.equal(rankCommands(many, "").length, PALETTE_LIMIT);
+  assert.equal(rankCommands(many, "open").length, PALETTE_LIMIT);
+  assert.equal(rankCommands(many, "open")[0].label, "Open task 0");
+});
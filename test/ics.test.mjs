@@ -0,0 +1,117 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { applyICS, buildICS, parseICS } from "../ics.mjs";
+import { nextRecurringTask } from "../recurrence.mjs";
+
+const categories = [{ id: "Business", name: "Business" }, { id: "Family", name: "Family" }];
+
+const tasks = [
+  {
+    id: "t1",
+    title: "Send contract",
+    category: "Business",
+    status: "Completed",
+    dueDate: "2026-05-04",
+    nextSteps: [
+      { id: "s1", text: "Print copies", done: true, dueDate: "2026-05-03" },
+      { id: "s2", text: "Call back", dueDate: "2026-05-05", startTime: "10:00" },
+    ],
+  },
+  { id: "t2", title: "Dinner, with \"friends\"; bring wine", category: "Family", status: "Pending", dueDate: "2026-05-06", startTime: "18:30", endTime: "20:00", nextSteps: [] },
+  { id: "t3", title: "Weekly review", category: "Business", status: "Active", dueDate: "2026-05-01", recurrence: { freq: "weekly", byDay: [5] }, priority: "P2", nextSteps: [] },
+];
+
+function roundTrip(untimedAsTodos) {
+  return applyICS(tasks, parseICS(buildICS(tasks, categories, untimedAsTodos)), categories, "Family");
+}
+
+for (const untimedAsTodos of [false, true]) {
+  test(`re-importing our own export keeps completion (${untimedAsTodos ? "VTODO" : "VEVENT"})`, () => {
+    const result = roundTrip(untimedAsTodos);
+    assert.equal(result.added, 0);
+    assert.equal(result.updated, 5);
+    assert.deepEqual(result.skipped, []);
+    const [t1, t2, t3] = result.tasks;
+    assert.equal(t1.status, "Completed");
+    assert.equal(t1.nextSteps[0].done, true);
+    assert.equal(t1.nextSteps[1].done, undefined);
+    assert.equal(t2.status, "Pending");
+    assert.equal(t3.status, "Active");
+  });
+}
+
+test("round trip keeps titles, times, categories, priority and repeats", () => {
+  const [t1, t2, t3] = roundTrip(false).tasks;
+  assert.equal(t2.title, tasks[1].title);
+  assert.equal(t2.category, "Family");
+  assert.equal(t2.startTime, "18:30");
+  assert.equal(t2.endTime, "20:00");
+  assert.equal(t1.nextSteps[1].startTime, "10:00");
+  assert.equal(t3.priority, "P2");
+  assert.deepEqual(t3.recurrence, { freq: "weekly", byDay: [5], interval: undefined, until: undefined, count: undefined });
+});
+
+test("events from other calendars without completion data leave status alone", () => {
+  const ics = [
+    "BEGIN:VCALENDAR",
+    "BEGIN:VEVENT",
+    "UID:t1@personal-crm",
+    "SUMMARY:Send contract",
+    "STATUS:CONFIRMED",
+    "DTSTART;VALUE=DATE:20260504",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "UID:s1@personal-crm",
+    "RELATED-TO:t1@personal-crm",
+    "SUMMARY:Print copies",
+    "DTSTART;VALUE=DATE:20260503",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\r\n");
+  const [t1] = applyICS(tasks, parseICS(ics), categories, "Family").tasks;
+  assert.equal(t1.status, "Completed");
+  assert.equal(t1.nextSteps[0].done, true);
+});
+
+test("a to-do's STATUS still completes or reopens", () => {
+  const todo = (uid, status, related = "") =>
+    ["BEGIN:VTODO", `UID:${uid}`, related && `RELATED-TO:${related}`, "SUMMARY:Item", "DUE;VALUE=DATE:20260504", `STATUS:${status}`, "END:VTODO"].filter(Boolean);
+  const ics = ["BEGIN:VCALENDAR", ...todo("t1@personal-crm", "NEEDS-ACTION"), ...todo("t3@personal-crm", "COMPLETED"), ...todo("s2@personal-crm", "COMPLETED", "t1@personal-crm"), "END:VCALENDAR"].join("\r\n");
+  const [t1, , t3] = applyICS(tasks, parseICS(ics), categories, "Family").tasks;
+  assert.equal(t1.status, "Active");
+  assert.equal(t3.status, "Completed");
+  assert.equal(t1.nextSteps[1].done, true);
+});
+
+test("new items from a foreign file use their status and the fallback category", () => {
+  const ics = ["BEGIN:VCALENDAR", "BEGIN:VTODO", "UID:abc@example.com", "SUMMARY:Renew passport", "STATUS:COMPLETED", "END:VTODO", "BEGIN:VEVENT", "UID:def@example.com", "SUMMARY:Lunch", "CATEGORIES:business", "DTSTART:20260507T120000", "END:VEVENT", "END:VCALENDAR"].join("\r\n");
+  const result = applyICS([], parseICS(ics), categories, "Family");
+  assert.equal(result.added, 2);
+  const [lunch, passport] = result.tasks;
+  assert.equal(passport.status, "Completed");
+  assert.equal(passport.category, "Family");
+  assert.equal(lunch.status, "Active");
+  assert.equal(lunch.category, "Business");
+  assert.equal(lunch.icalUid, "def@example.com");
+});
+
+test("categories with escaped commas are matched whole", () => {
+  const withComma = [...categories, { id: "c1", name: "Friends, old" }];
+  const ics = ["BEGIN:VCALENDAR", "BEGIN:VEVENT", "UID:x@example.com", "SUMMARY:Reunion", "CATEGORIES:Misc,Friends\\, old", "DTSTART;VALUE=DATE:20260508", "END:VEVENT", "END:VCALENDAR"].join("\r\n");
+  const [reunion] = applyICS([], parseICS(ics), withComma, "Family").tasks;
+  assert.equal(reunion.category, "c1");
+});
+
+test("re-importing after completing a repeating item leaves the next occurrence alone", () => {
+  const ics = ["BEGIN:VCALENDAR", "BEGIN:VEVENT", "UID:gym@example.com", "SUMMARY:Gym", "DTSTART;VALUE=DATE:20260504", "RRULE:FREQ=WEEKLY;BYDAY=MO", "END:VEVENT", "END:VCALENDAR"].join("\r\n");
+  const [imported] = applyICS([], parseICS(ics), categories, "Family").tasks;
+  const following = nextRecurringTask(imported);
+  assert.equal(following.icalUid, undefined);
+  const completed = [following, { ...imported, status: "Completed" }];
+
+  const result = applyICS(completed, parseICS(ics), categories, "Family");
+  assert.equal(result.added, 0);
+  assert.equal(result.updated, 1);
+  assert.equal(result.tasks.length, 2);
+  assert.deepEqual(result.tasks.map((t) => [t.dueDate, t.status]), [["2026-05-11", "Active"], ["2026-05-04", "Completed"]]);
+});
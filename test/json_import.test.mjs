@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { EXPORT_FORMAT, buildExport, diffRecords, keepValid, mergeRecords, readExport, validateContact, validateInteraction, validateTask } from "../json_import.mjs";
+import { SCHEMA_VERSION } from "../storage.mjs";
+
+const defaults = { categories: [{ id: "Family", name: "Family" }], settings: {} };
+
+const task = (extra) => ({ id: "t1", title: "Call Ann", category: "Family", status: "Active", createdAt: "2026-05-01T10:00:00.000Z", nextSteps: [], ...extra });
+const empty = { tasks: [], contacts: [], interactions: [], categories: [], pipelines: {}, settings: {} };
+
+test("exports are versioned envelopes that read back", () => {
+  const data = { ...empty, tasks: [task()] };
+  const envelope = buildExport(data, new Date("2026-05-02T08:00:00Z"));
+  assert.equal(envelope.format, EXPORT_FORMAT);
+  assert.equal(envelope.schemaVersion, SCHEMA_VERSION);
+  assert.equal(envelope.exportedAt, "2026-05-02T08:00:00.000Z");
+  assert.deepEqual(envelope.counts, { tasks: 1, contacts: 0, interactions: 0 });
+
+  const read = readExport(JSON.stringify(envelope), defaults);
+  assert.equal(read.ok, true);
+  assert.equal(read.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(read.raw.tasks, [task()]);
+});
+
+test("a bare task list from before envelopes is migrated", () => {
+  const read = readExport(JSON.stringify([{ id: "t1", title: "Call Ann" }]), defaults);
+  assert.equal(read.ok, true);
+  assert.equal(read.schemaVersion, undefined);
+  assert.deepEqual(read.raw.tasks, [{ id: "t1", title: "Call Ann", nextSteps: [] }]);
+  assert.deepEqual(read.raw.contacts, []);
+});
+
+test("unreadable files are refused with a reason", () => {
+  assert.deepEqual(readExport("{", defaults), { ok: false, error: "The file is not valid JSON." });
+  assert.deepEqual(readExport(JSON.stringify({ tasks: [] }), defaults), { ok: false, error: "This doesn't look like a Personal CRM export." });
+  const newer = { format: EXPORT_FORMAT, schemaVersion: SCHEMA_VERSION + 1, exportedAt: "", data: {} };
+  assert.equal(readExport(JSON.stringify(newer), defaults).ok, false);
+});
+
+test("validation names every problem in a record", () => {
+  assert.deepEqual(validateTask(task()), []);
+  assert.deepEqual(validateTask([]), ["not an object"]);
+  assert.deepEqual(validateTask(task({ title: " ", status: "Done", dueDate: "5/4/2026", nextSteps: [{ id: "", text: 3, done: "yes" }] })), [
+    "title must be a non-empty string",
+    "status must be one of Active, Pending, Completed",
+    "dueDate must be YYYY-MM-DD",
+    "nextSteps[0].id must be a non-empty string",
+    "nextSteps[0].text must be a string",
+    "nextSteps[0].done must be true or false",
+  ]);
+  assert.deepEqual(validateTask(task({ priority: "high", effort: 0 })), ["priority must be one of P1, P2, P3, P4", "effort must be a positive number of minutes"]);
+  assert.deepEqual(validateTask(task({ statusChanges: [{ status: "Done", at: "2026-05-01T10:00:00.000Z" }] })), ["statusChanges must be a list of { status, at }"]);
+  assert.deepEqual(validateTask(task({ attachments: [{ id: "f1", name: "a.pdf" }] })), ["attachments must be a list of { id, name, type, size }"]);
+  assert.deepEqual(validateTask(task({ blockedBy: "t2", checklist: [{ id: "a", text: "Draft", children: [{ id: "", text: "Send" }] }] })), [
+    "blockedBy must be a list of task ids",
+    "checklist[0].children[0].id must be a non-empty string",
+  ]);
+  assert.deepEqual(validateContact({ id: "c1", name: "Ann" }), ["tags must be a list"]);
+  assert.deepEqual(validateInteraction({ id: "i1", type: "fax", at: "later", summary: "" }), ["type must be one of call, meeting, email, text, note", "at must be an ISO timestamp"]);
+});
+
+test("keepValid drops broken records and reports them by label", () => {
+  const errors = [];
+  const kept = keepValid("tasks", [task(), task({ id: "t2", title: "" }), null], validateTask, (r) => r?.title, errors);
+  assert.deepEqual(kept.map((t) => t.id), ["t1"]);
+  assert.deepEqual(errors.map((e) => [e.index, e.label]), [[1, "#2"], [2, "#3"]]);
+
+  keepValid("contacts", { c1: {} }, validateContact, (r) => r?.name, errors);
+  assert.deepEqual(errors[2], { collection: "contacts", index: -1, label: "contacts", messages: ["expected a list"] });
+  assert.deepEqual(keepValid("contacts", undefined, validateContact, (r) => r?.name, errors), []);
+});
+
+test("records are diffed by id and creation stamp", () => {
+  const existing = [task(), task({ id: "t2" }), task({ id: "t3" })];
+  const incoming = [task(), task({ id: "t2", title: "Call Ann back" }), task({ id: "t3", createdAt: "2026-06-01T00:00:00.000Z" }), task({ id: "t4" })];
+  const diff = diffRecords(existing, incoming, (t) => t.createdAt);
+  assert.deepEqual(Object.fromEntries(Object.entries(diff).map(([k, v]) => [k, v.map((t) => t.id)])), {
+    added: ["t4"],
+    changed: ["t2"],
+    conflicting: ["t3"],
+    unchanged: ["t1"],
+  });
+});
+
+test("merge modes", () => {
+  const existing = [task(), task({ id: "t2" })];
+  const incoming = [task({ id: "t2", title: "Call Ann back" }), task({ id: "t1", createdAt: "2026-06-01T00:00:00.000Z", title: "Other" }), task({ id: "t3" })];
+  const stamp = (t) => t.createdAt;
+
+  assert.equal(mergeRecords(existing, incoming, stamp, "replace"), incoming);
+  assert.deepEqual(mergeRecords(existing, incoming, stamp, "skip").map((t) => [t.id, t.title]), [["t3", "Call Ann"], ["t1", "Call Ann"], ["t2", "Call Ann"]]);
+
+  const merged = mergeRecords(existing, incoming, stamp, "merge");
+  assert.equal(merged.length, 4);
+  assert.deepEqual(merged.slice(2).map((t) => [t.id, t.title]), [["t1", "Call Ann"], ["t2", "Call Ann back"]]);
+  // Both sides of the conflict survive; the incoming one gets a new id
+  const copy = merged.find((t) => t.title === "Other");
+  assert.ok(copy && !["t1", "t2", "t3"].includes(copy.id));
+});
@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { matchQuery, parseDateFilter, parseQuery, tokenizeQuery } from "../query.mjs";
+
+const today = new Date(2026, 4, 10);
+
+const ctx = {
+  categoryOf: (id) => ({ id, name: id === "biz" ? "Business" : id }),
+  stageName: (t) => (t.dueDate ? "Proposal" : "Lead"),
+  contacts: [{ id: "c1", name: "Grace Hopper" }],
+  today,
+  isBlocked: (t) => t.id === "t1",
+};
+
+const task = (extra) => ({ id: "t1", title: "Call Ann", category: "biz", status: "Active", createdAt: "2026-05-01T10:00:00.000Z", nextSteps: [], ...extra });
+
+const tasks = [
+  task(),
+  task({ id: "t2", title: "Lunch", category: "Family", status: "Pending", dueDate: "2026-05-08", priority: "P1", contactIds: ["c1"] }),
+  task({ id: "t3", title: "Gym", status: "Completed", dueDate: "2026-05-12", nextSteps: [{ text: "Pack bag" }] }),
+];
+
+const search = (text) => {
+  const { node, errors } = parseQuery(text);
+  return { ids: tasks.filter((t) => matchQuery(node, t, ctx)).map((t) => t.id), errors };
+};
+
+test("tokens cover fields, quotes, negation and OR", () => {
+  assert.deepEqual(tokenizeQuery('cat:biz -"big deal" OR (x)'), [
+    { kind: "term", field: "cat", value: "biz" },
+    { kind: "not" },
+    { kind: "term", field: undefined, value: "big deal" },
+    { kind: "or" },
+    { kind: "(" },
+    { kind: "term", field: undefined, value: "x" },
+    { kind: ")" },
+  ]);
+});
+
+test("words AND together and OR binds tighter", () => {
+  assert.deepEqual(search("call").ids, ["t1"]);
+  assert.deepEqual(search("is:open lunch OR gym").ids, ["t2"]);
+  assert.deepEqual(search("-cat:biz").ids, ["t2"]);
+  assert.deepEqual(search("pack").ids, ["t3"]);
+});
+
+test("field filters", () => {
+  assert.deepEqual(search("contact:grace").ids, ["t2"]);
+  assert.deepEqual(search("priority:<=2").ids, ["t2"]);
+  assert.deepEqual(search("stage:lead").ids, ["t1"]);
+  assert.deepEqual(search("due:overdue").ids, ["t2"]);
+  assert.deepEqual(search("due:none").ids, ["t1"]);
+  assert.deepEqual(search("is:overdue").ids, ["t2"]);
+  assert.deepEqual(search("has:steps").ids, ["t3"]);
+  assert.deepEqual(search("is:blocked").ids, ["t1"]);
+});
+
+test("a field value's | alternatives match if any does", () => {
+  assert.deepEqual(search("status:active|pending").ids, ["t1", "t2"]);
+  assert.deepEqual(search("has:contact|steps").ids, ["t2", "t3"]);
+  assert.deepEqual(search("-status:active|pending").ids, ["t3"]);
+  assert.deepEqual(parseQuery("status:active|").node, { type: "term", field: "status", value: "active" });
+});
+
+test("each date alternative is checked on its own", () => {
+  const { ids, errors } = search("due:overdue|soon|none");
+  assert.deepEqual(ids, ["t1", "t2"]);
+  assert.deepEqual(errors, ["“due:soon” isn't a date filter (try due:<7d or due:2026-10-20)"]);
+  assert.equal(parseQuery("due:x|y").node, null);
+});
+
+test("mistakes are reported and the rest still applies", () => {
+  assert.deepEqual(search("colour:red").errors, ["Unknown filter “colour:”, searching for it as text"]);
+  assert.deepEqual(search("call )").errors, ["Unmatched )"]);
+  assert.deepEqual(search("(call").errors, ["Missing )"]);
+  assert.deepEqual(search("OR call").errors, ["OR needs something on both sides"]);
+});
+
+test("date filters", () => {
+  assert.deepEqual(parseDateFilter("<7d", today), { op: "<", date: "2026-05-17" });
+  assert.deepEqual(parseDateFilter(">=-1m", today), { op: ">=", date: "2026-04-10" });
+  assert.deepEqual(parseDateFilter("tomorrow", today), { op: "=", date: "2026-05-11" });
+  assert.equal(parseDateFilter("any", today), "any");
+  assert.equal(parseDateFilter("5/4", today), null);
+});
@@ -0,0 +1,194 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseQuickAdd, quickAddStep, quickAddTask } from "../quick_add.mjs";
+
+const today = new Date(2026, 9, 21, 14, 30); // Wednesday 21 October 2026
+const ctx = {
+  today,
+  categories: [
+    { id: "Dealership", name: "Dealership" },
+    { id: "Family", name: "Family" },
+    { id: "Fitness", name: "Fitness" },
+    { id: "Old", name: "Oldies", archived: true },
+  ],
+  contacts: [
+    { id: "c1", name: "Grace Hopper" },
+    { id: "c2", name: "Bob Smith" },
+    { id: "c3", name: "Bob Jones" },
+  ],
+  tasks: [
+    { id: "t1", title: "MG deck refresh", status: "Active" },
+    { id: "t2", title: "Quarterly deck", status: "Active" },
+    { id: "t3", title: "Old deck", status: "Completed" },
+  ],
+};
+const parse = (text, extra = {}) => parseQuickAdd(text, { ...ctx, ...extra });
+const due = (text, extra) => parse(text, extra).dueDate;
+
+test("relative dates count from today", () => {
+  assert.equal(due("Call today"), "2026-10-21");
+  assert.equal(due("Call tonight"), "2026-10-21");
+  assert.equal(due("Call tomorrow"), "2026-10-22");
+  assert.equal(due("Call tmrw"), "2026-10-22");
+  assert.equal(due("Call in 3 days"), "2026-10-24");
+  assert.equal(due("Call in two weeks"), "2026-11-04");
+  assert.equal(due("Call in 2w"), "2026-11-04");
+  assert.equal(due("Call in 1 month"), "2026-11-21");
+  assert.equal(due("Call next week"), "2026-10-25");
+  assert.equal(due("Call next week", { weekStartsOn: 1 }), "2026-10-26");
+  assert.equal(due("Call next month"), "2026-11-01");
+  assert.equal(due("Call next year"), "2027-01-01");
+});
+
+test("weekdays: bare is the next one, this is this week's, next is next week's", () => {
+  assert.equal(due("Call friday"), "2026-10-23");
+  assert.equal(due("Call wednesday"), "2026-10-28");
+  assert.equal(due("Call this friday"), "2026-10-23");
+  assert.equal(due("Call this wednesday"), "2026-10-21");
+  assert.equal(due("Call next friday"), "2026-10-30");
+  assert.equal(due("Call next sunday"), "2026-10-25");
+  assert.equal(due("Call next sunday", { weekStartsOn: 1 }), "2026-11-01");
+  assert.equal(due("Call on thursday"), "2026-10-22");
+  assert.equal(due("Call by fri"), "2026-10-23");
+});
+
+test("short weekday names only count after on, by, due, this or next", () => {
+  for (const text of ["Replace sun visor for Grace", "Sat down with Bob", "Wed anniversary dinner", "Fri chicken for the party", "Mon-key business", "Tues meeting notes"]) {
+    const r = parse(text);
+    assert.equal(r.dueDate, undefined, text);
+    assert.equal(r.title, text, text);
+    assert.deepEqual(r.parts, [], text);
+  }
+  assert.equal(due("Call on fri"), "2026-10-23");
+  assert.equal(due("Call on sat"), "2026-10-24");
+  assert.equal(due("Call due weds"), "2026-10-28");
+  assert.equal(due("Call by thurs"), "2026-10-22");
+  assert.equal(due("Call this sat"), "2026-10-24");
+  assert.equal(due("Call next wed"), "2026-10-28");
+  assert.equal(due("Sunday school prep"), "2026-10-25");
+  assert.equal(due("Call Friday."), "2026-10-23");
+  const visor = parse("Replace sun visor on sat #Dealership");
+  assert.equal(visor.title, "Replace sun visor");
+  assert.equal(visor.dueDate, "2026-10-24");
+});
+
+test("calendar dates roll over to next year once they have passed", () => {
+  assert.equal(due("Renew oct 25"), "2026-10-25");
+  assert.equal(due("Renew oct 20"), "2027-10-20");
+  assert.equal(due("Renew 25th of december"), "2026-12-25");
+  assert.equal(due("Renew october 25th 2027"), "2027-10-25");
+  assert.equal(due("Renew due 2026-11-05"), "2026-11-05");
+  assert.equal(due("Renew 10/25"), "2026-10-25");
+  assert.equal(due("Renew 3/4"), "2027-03-04");
+  assert.equal(due("Renew 3/4/28"), "2028-03-04");
+  const invalid = parse("Renew 2026-02-30");
+  assert.equal(invalid.dueDate, undefined);
+  assert.equal(invalid.title, "Renew 2026-02-30");
+});
+
+test("dayFirst reads numeric dates as day/month", () => {
+  assert.equal(due("Renew 25/10", { dayFirst: true }), "2026-10-25");
+  assert.equal(due("Renew 3/4", { dayFirst: true }), "2027-04-03");
+  assert.equal(parse("Renew 25/10").dueDate, undefined);
+  assert.equal(parse("Renew 10/25", { dayFirst: true }).dueDate, undefined);
+});
+
+test("times, ranges and a day for times without one", () => {
+  const at = (text) => {
+    const r = parse(text);
+    return [r.startTime, r.endTime, r.dueDate];
+  };
+  assert.deepEqual(at("Call 3pm"), ["15:00", undefined, "2026-10-21"]);
+  assert.deepEqual(at("Call 3:30pm tomorrow"), ["15:30", undefined, "2026-10-22"]);
+  assert.deepEqual(at("Call 15:00"), ["15:00", undefined, "2026-10-21"]);
+  assert.deepEqual(at("Call at noon"), ["12:00", undefined, "2026-10-21"]);
+  assert.deepEqual(at("Call at 9"), ["09:00", undefined, "2026-10-21"]);
+  assert.deepEqual(at("Call 3-4pm"), ["15:00", "16:00", "2026-10-21"]);
+  assert.deepEqual(at("Call 11-1pm"), ["11:00", "13:00", "2026-10-21"]);
+  assert.deepEqual(at("Call 9:30am-11"), ["09:30", "11:00", "2026-10-21"]);
+  assert.deepEqual(at("Call 12am"), ["00:00", undefined, "2026-10-21"]);
+  // Bare numbers and ranges without am/pm are kept as text
+  const plain = parse("Order 9 tyres 2-3 sizes");
+  assert.equal(plain.title, "Order 9 tyres 2-3 sizes");
+  assert.equal(plain.startTime, undefined);
+  assert.equal(plain.dueDate, undefined);
+});
+
+test("# ! @ and status: tokens", () => {
+  const r = parse("Call Grace re X3 tomorrow 3pm #Dealership !p1 @Grace status:pending");
+  assert.equal(r.title, "Call Grace re X3");
+  assert.equal(r.kind, "task");
+  assert.equal(r.category, "Dealership");
+  assert.equal(r.priority, "P1");
+  assert.deepEqual(r.contactIds, ["c1"]);
+  assert.equal(r.status, "Pending");
+  assert.equal(r.dueDate, "2026-10-22");
+  assert.equal(r.startTime, "15:00");
+  assert.deepEqual(r.parts.map((p) => p.kind), ["date", "time", "category", "priority", "contact", "status"]);
+  assert.deepEqual(r.warnings, []);
+
+  assert.equal(parse("Run #fit").category, "Fitness");
+  assert.equal(parse("Run !3").priority, "P3");
+  assert.equal(parse("Run status:done").status, "Completed");
+  assert.deepEqual(parse('Lunch @"bob smith" @grace').contactIds, ["c2", "c1"]);
+});
+
+test("tokens that don't match stay in the title with a warning", () => {
+  const r = parse("Ping #f @bob #nope #oldies @zed");
+  assert.equal(r.title, "Ping #f @bob #nope #oldies @zed");
+  assert.equal(r.category, undefined);
+  assert.deepEqual(r.contactIds, []);
+  assert.deepEqual(r.warnings, [
+    "#f matches Family, Fitness",
+    "@bob matches Bob Smith, Bob Jones",
+    "No category called nope",
+    "No category called oldies",
+    "No contact called zed",
+  ]);
+  assert.deepEqual(parse("Run !p1 !p2").warnings, ["More than one priority; the last one wins"]);
+  assert.equal(parse("Run !p1 !p2").priority, "P2");
+});
+
+test("> makes a next step on the one open task it matches", () => {
+  const r = parse('Send draft >"MG deck" by fri !p2 #Family');
+  assert.equal(r.kind, "step");
+  assert.equal(r.taskId, "t1");
+  assert.equal(r.title, "Send draft");
+  assert.equal(r.dueDate, "2026-10-23");
+  assert.deepEqual(r.warnings, ["Next steps have no category; ignored"]);
+
+  assert.equal(parse("Send >quarterly").taskId, "t2");
+  const ambiguous = parse("Send >deck");
+  assert.equal(ambiguous.kind, "task");
+  assert.deepEqual(ambiguous.warnings, [">deck matches 2 open tasks; add more of the title"]);
+  assert.deepEqual(parse("Send >old").warnings, ["No open task matching old"]);
+});
+
+test("a backslash keeps a word as typed", () => {
+  const r = parse("Buy \\#1 fan mug \\tomorrow \\!p1 \\@home \\3pm");
+  assert.equal(r.title, "Buy #1 fan mug tomorrow !p1 @home 3pm");
+  assert.equal(r.dueDate, undefined);
+  assert.equal(r.priority, undefined);
+  assert.deepEqual(r.parts, []);
+  assert.deepEqual(r.warnings, []);
+  assert.deepEqual(parse("tomorrow 3pm").warnings, ["Nothing left for the title"]);
+});
+
+test("quickAddTask and quickAddStep fill in defaults", () => {
+  const r = parse("Call Grace tomorrow 3-4pm !p2 @grace");
+  const task = quickAddTask(r, { category: "Family", status: "Active" }, new Date(Date.UTC(2026, 9, 21)));
+  assert.equal(task.title, "Call Grace");
+  assert.equal(task.category, "Family");
+  assert.equal(task.status, "Active");
+  assert.equal(task.dueDate, "2026-10-22");
+  assert.equal(task.startTime, "15:00");
+  assert.equal(task.endTime, "16:00");
+  assert.equal(task.priority, "P2");
+  assert.deepEqual(task.contactIds, ["c1"]);
+  assert.equal(task.createdAt, "2026-10-21T00:00:00.000Z");
+  assert.deepEqual(task.nextSteps, []);
+
+  const step = quickAddStep(parse("Send draft >mg"));
+  assert.deepEqual(Object.keys(step), ["id", "text"]);
+  assert.equal(step.text, "Send draft");
+});
@@ -0,0 +1,33 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { nextOccurrence, nextRecurringTask, occurrencesBetween } from "../recurrence.mjs";
+
+const task = (extra) => ({ id: "t1", title: "Weekly review", status: "Completed", createdAt: "2026-05-01T10:00:00.000Z", dueDate: "2026-05-01", recurrence: { freq: "weekly" }, nextSteps: [], ...extra });
+
+test("occurrences follow the rule and stop at the count", () => {
+  assert.deepEqual(occurrencesBetween({ freq: "weekly", byDay: [1, 3] }, "2026-05-04", "2026-05-05", "2026-05-13"), ["2026-05-06", "2026-05-11", "2026-05-13"]);
+  assert.deepEqual(occurrencesBetween({ freq: "daily", count: 2 }, "2026-05-04", "2026-05-01", "2026-05-31"), ["2026-05-04", "2026-05-05"]);
+  assert.equal(nextOccurrence({ freq: "monthly", nth: -1, weekday: 5 }, "2026-05-29"), "2026-06-26");
+  assert.equal(nextOccurrence({ freq: "daily", until: "2026-05-04" }, "2026-05-04"), undefined);
+});
+
+test("the next occurrence is a fresh, unchecked copy", () => {
+  const done = task({
+    nextSteps: [{ id: "s1", text: "Collect notes", done: true, completedAt: "2026-04-30T09:00:00.000Z", dueDate: "2026-04-30" }],
+    statusChanges: [{ status: "Completed", at: "2026-05-01T18:00:00.000Z" }],
+    attachments: [{ id: "f1", name: "agenda.pdf", type: "application/pdf", size: 120 }],
+    checklist: [{ id: "c1", text: "Inbox", done: true, children: [{ id: "c2", text: "Mail", done: true }] }],
+  });
+  const next = nextRecurringTask(done);
+  assert.notEqual(next.id, done.id);
+  assert.equal(next.status, "Active");
+  assert.equal(next.dueDate, "2026-05-08");
+  assert.equal(next.seriesId, "t1");
+  assert.equal(next.statusChanges, undefined);
+  assert.deepEqual(next.nextSteps.map((n) => [n.done, n.completedAt, n.dueDate]), [[false, undefined, "2026-05-07"]]);
+  assert.deepEqual(next.checklist, [{ id: "c1", text: "Inbox", done: false, children: [{ id: "c2", text: "Mail", done: false, children: undefined }] }]);
+  assert.equal(done.checklist[0].done, true);
+  assert.deepEqual(next.attachments, done.attachments);
+  assert.notEqual(next.attachments, done.attachments);
+  assert.equal(nextRecurringTask(task({ recurrence: undefined })), undefined);
+});
@@ -0,0 +1,188 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { collectReminders, createReminderScheduler, dismissReminders, reminderInbox, snoozeReminder } from "../reminders.mjs";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Timers run in due order as time is advanced; nothing fires on its own
+function fakeClock(start) {
+  let now = start;
+  let nextHandle = 1;
+  const timers = new Map();
+  return {
+    now: () => now,
+    setTimeout(fn, ms) {
+      const handle = nextHandle++;
+      timers.set(handle, { fn, at: now + ms });
+      return handle;
+    },
+    clearTimeout: (handle) => timers.delete(handle),
+    pending: () => timers.size,
+    advance(ms) {
+      const end = now + ms;
+      for (;;) {
+        const [handle, timer] = [...timers].sort((a, b) => a[1].at - b[1].at)[0] || [];
+        if (!timer || timer.at > end) break;
+        timers.delete(handle);
+        now = timer.at;
+        timer.fn();
+      }
+      now = end;
+    },
+  };
+}
+
+function harness(start) {
+  const clock = fakeClock(start);
+  const fired = [];
+  let log = {};
+  const scheduler = createReminderScheduler((due, next) => {
+    fired.push(...due);
+    log = next;
+  }, clock);
+  return {
+    clock,
+    fired,
+    get log() {
+      return log;
+    },
+    update(reminders, next = log) {
+      log = next;
+      scheduler.update(reminders, log);
+    },
+    stop: () => scheduler.stop(),
+  };
+}
+
+const categories = [{ id: "Business", reminders: [{ daysBefore: 1, at: "09:00" }] }, { id: "Family" }];
+const task = (extra) => ({ id: "t1", title: "Call Ann", category: "Family", status: "Active", dueDate: "2026-05-04", startTime: "10:00", nextSteps: [], ...extra });
+const at = (d, h, m = 0) => new Date(2026, 4, d, h, m).getTime();
+
+test("a reminder fires at its offset before the due time", () => {
+  const reminders = collectReminders([task({ reminders: [{ minutesBefore: 15 }] })], categories);
+  assert.equal(reminders.length, 1);
+  assert.equal(reminders[0].fireAt, at(4, 9, 45));
+
+  const h = harness(at(4, 9));
+  h.update(reminders);
+  assert.equal(h.fired.length, 0);
+  h.clock.advance(44 * MINUTE);
+  assert.equal(h.fired.length, 0);
+  h.clock.advance(MINUTE);
+  assert.deepEqual(h.fired.map((r) => r.title), ["Call Ann"]);
+  assert.equal(h.log[reminders[0].key].firedAt, new Date(at(4, 9, 45)).toISOString());
+  assert.equal(h.log[reminders[0].key].missed, undefined);
+  assert.equal(h.clock.pending(), 0);
+  assert.deepEqual(reminderInbox(reminders, h.log), reminders);
+
+  // It fired once; running the check again doesn't repeat it
+  h.update(reminders);
+  h.clock.advance(24 * HOUR);
+  assert.equal(h.fired.length, 1);
+});
+
+test("long waits re-arm hourly instead of one far-off timer", () => {
+  const reminders = collectReminders([task({ reminders: [{}] })], categories);
+  const h = harness(at(1, 8));
+  h.update(reminders);
+  h.clock.advance(3 * 24 * HOUR + 2 * HOUR - MINUTE);
+  assert.equal(h.fired.length, 0);
+  assert.equal(h.clock.pending(), 1);
+  h.clock.advance(MINUTE);
+  assert.equal(h.fired.length, 1);
+});
+
+test("a snoozed reminder leaves the inbox and fires again later", () => {
+  const reminders = collectReminders([task({ reminders: [{}] })], categories);
+  const [{ key }] = reminders;
+  const h = harness(at(4, 10));
+  h.update(reminders);
+  assert.equal(h.fired.length, 1);
+
+  h.update(reminders, snoozeReminder(h.log, key, new Date(at(4, 10, 30))));
+  assert.deepEqual(reminderInbox(reminders, h.log), []);
+  h.clock.advance(29 * MINUTE);
+  assert.equal(h.fired.length, 1);
+  h.clock.advance(MINUTE);
+  assert.equal(h.fired.length, 2);
+  assert.equal(h.log[key].snoozedUntil, undefined);
+  assert.equal(h.log[key].missed, undefined);
+  assert.deepEqual(reminderInbox(reminders, h.log).map((r) => r.key), [key]);
+});
+
+test("a dismissed reminder never fires again", () => {
+  const reminders = collectReminders([task({ reminders: [{}] })], categories);
+  const [{ key }] = reminders;
+  const h = harness(at(4, 10));
+  h.update(reminders);
+  const snoozed = snoozeReminder(h.log, key, new Date(at(4, 11)));
+  h.update(reminders, dismissReminders(snoozed, [key]));
+  assert.equal(h.clock.pending(), 0);
+  h.clock.advance(24 * HOUR);
+  assert.equal(h.fired.length, 1);
+  assert.deepEqual(reminderInbox(reminders, h.log), []);
+});
+
+test("items without their own reminders use the category's", () => {
+  const reminders = collectReminders(
+    [
+      task({ id: "inherits", category: "Business", startTime: undefined, nextSteps: [{ id: "s1", text: "Send quote", dueDate: "2026-05-06" }] }),
+      task({ id: "own", category: "Business", reminders: [{ minutesBefore: 60 }] }),
+      task({ id: "none", category: "Business", reminders: [] }),
+      task({ id: "plain", category: "Family" }),
+      task({ id: "closed", category: "Business", status: "Completed" }),
+      task({ id: "undated", category: "Business", dueDate: undefined }),
+    ],
+    categories
+  );
+  assert.deepEqual(
+    reminders.map((r) => [r.taskId, r.stepId, r.title, new Date(r.fireAt).toString()]),
+    [
+      ["inherits", undefined, "Call Ann", new Date(at(3, 9)).toString()],
+      ["inherits", "s1", "Send quote · Call Ann", new Date(at(5, 9)).toString()],
+      ["own", undefined, "Call Ann", new Date(at(4, 9)).toString()],
+    ]
+  );
+  // Done steps and moved items: the key changes, so the new date reminds again
+  const moved = collectReminders([task({ category: "Business", dueDate: "2026-05-05" })], categories);
+  const original = collectReminders([task({ category: "Business" })], categories);
+  assert.notEqual(moved[0].key, original[0].key);
+  const doneStep = collectReminders([task({ category: "Business", dueDate: undefined, nextSteps: [{ id: "s1", text: "x", dueDate: "2026-05-06", done: true }] })], categories);
+  assert.deepEqual(doneStep, []);
+});
+
+test("reminders that came due while the app was closed fire at start-up as missed", () => {
+  const reminders = collectReminders(
+    [
+      task({ id: "late", title: "Late", reminders: [{ minutesBefore: 120 }] }),
+      task({ id: "justnow", title: "Just now", reminders: [{ minutesBefore: 2 }] }),
+      task({ id: "ancient", title: "Ancient", dueDate: "2026-04-20", reminders: [{}] }),
+      task({ id: "upcoming", title: "Upcoming", dueDate: "2026-05-05", reminders: [{}] }),
+    ],
+    categories
+  );
+  const h = harness(at(4, 10));
+  h.update(reminders);
+  assert.deepEqual(h.fired.map((r) => r.title), ["Late", "Just now"]);
+  const byTitle = Object.fromEntries(reminders.map((r) => [r.title, h.log[r.key]]));
+  assert.equal(byTitle.Late.missed, true);
+  assert.equal(byTitle["Just now"].missed, undefined);
+  assert.equal(byTitle.Ancient, undefined);
+  assert.equal(byTitle.Upcoming, undefined);
+
+  h.clock.advance(24 * HOUR);
+  assert.deepEqual(h.fired.map((r) => r.title), ["Late", "Just now", "Upcoming"]);
+  h.stop();
+  assert.equal(h.clock.pending(), 0);
+});
+
+test("log entries for reminders that no longer exist are dropped", () => {
+  const first = collectReminders([task({ reminders: [{}] })], categories);
+  const h = harness(at(4, 10));
+  h.update(first);
+  const moved = collectReminders([task({ dueDate: "2026-05-05", reminders: [{}] })], categories);
+  h.update(moved);
+  h.clock.advance(24 * HOUR);
+  assert.deepEqual(Object.keys(h.log), [moved[0].key]);
+});
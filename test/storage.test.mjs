@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { SCHEMA_VERSION, STORAGE_KEY, createMemoryAttachmentStore, loadAppData, migrate, pruneAttachments, saveAppData } from "../storage.mjs";
+
+const defaults = { categories: [{ id: "Family", name: "Family" }], settings: { autoCompleteTasks: false, trashRetentionDays: 30 }, dayPlan: { date: "", pinned: [], deferred: [] }, templates: [{ id: "tpl", name: "Hello", channel: "sms", body: "Hi" }] };
+
+function memoryBackend(entries = {}) {
+  const values = new Map(Object.entries(entries));
+  return { name: "memory", values, get: async (key) => values.get(key) ?? null, set: async (key, value) => void values.set(key, value) };
+}
+
+const stored = (schemaVersion, data) => JSON.stringify({ schemaVersion, savedAt: "2026-05-01T10:00:00.000Z", data });
+
+test("version 1 data gains missing collections and array fields", () => {
+  const data = migrate({ schemaVersion: 1, savedAt: "", data: { tasks: [{ id: "t1", title: "Call Ann" }], contacts: [{ id: "c1", name: "Ann" }] } }, defaults);
+  assert.deepEqual(data.tasks, [{ id: "t1", title: "Call Ann", nextSteps: [] }]);
+  assert.deepEqual(data.contacts, [{ id: "c1", name: "Ann", tags: [] }]);
+  assert.deepEqual(data.interactions, []);
+  assert.equal(data.categories, defaults.categories);
+  assert.deepEqual(data.pipelines, {});
+  assert.equal(data.settings, defaults.settings);
+  assert.deepEqual(data.trash, []);
+  assert.deepEqual(data.reminderLog, {});
+  assert.equal(data.dayPlan, defaults.dayPlan);
+  assert.deepEqual(data.savedViews, []);
+  assert.equal(data.templates, defaults.templates);
+});
+
+test("an empty backend loads as empty and writes nothing", async () => {
+  const backend = memoryBackend();
+  assert.deepEqual(await loadAppData(backend, defaults), { status: "empty" });
+  assert.equal(backend.values.size, 0);
+});
+
+test("saved data loads back, with settings added since filled in", async () => {
+  const backend = memoryBackend();
+  const data = { tasks: [{ id: "t1", title: "Call Ann", nextSteps: [] }], contacts: [], interactions: [], categories: [], pipelines: {}, settings: { autoCompleteTasks: true }, trash: [], reminderLog: {}, dayPlan: defaults.dayPlan, savedViews: [], templates: [] };
+  await saveAppData(backend, data, new Date("2026-05-01T10:00:00Z"));
+  const doc = JSON.parse(backend.values.get(STORAGE_KEY));
+  assert.equal(doc.schemaVersion, SCHEMA_VERSION);
+  assert.equal(doc.savedAt, "2026-05-01T10:00:00.000Z");
+
+  const result = await loadAppData(backend, defaults);
+  assert.equal(result.status, "ok");
+  assert.equal(result.migratedFrom, undefined);
+  assert.deepEqual(result.data.tasks, data.tasks);
+  assert.deepEqual(result.data.settings, { autoCompleteTasks: true, trashRetentionDays: 30 });
+});
+
+test("older documents are migrated and report where they came from", async () => {
+  const backend = memoryBackend({ [STORAGE_KEY]: stored(1, { tasks: [{ id: "t1", title: "Call Ann" }] }) });
+  const result = await loadAppData(backend, defaults);
+  assert.equal(result.status, "ok");
+  assert.equal(result.migratedFrom, 1);
+  assert.deepEqual(result.data.tasks[0].nextSteps, []);
+});
+
+test("unreadable documents are quarantined untouched", async () => {
+  const cases = [
+    ["{not json", "not valid JSON"],
+    [JSON.stringify({ tasks: [] }), "missing schema version"],
+    [stored(SCHEMA_VERSION + 1, {}), `written by a newer version (schema ${SCHEMA_VERSION + 1})`],
+    [stored(SCHEMA_VERSION, { tasks: "nope" }), "unexpected data shape"],
+  ];
+  for (const [raw, reason] of cases) {
+    const backend = memoryBackend({ [STORAGE_KEY]: raw });
+    const result = await loadAppData(backend, defaults);
+    assert.equal(result.status, "corrupt");
+    assert.equal(result.reason, reason);
+    assert.equal(result.raw, raw);
+    assert.match(result.quarantineKey, new RegExp(`^${STORAGE_KEY}_corrupt_\\d+$`));
+    assert.equal(backend.values.get(result.quarantineKey), raw);
+    assert.equal(backend.values.get(STORAGE_KEY), raw);
+  }
+});
+
+test("attached files no task or trashed task refers to are pruned", async () => {
+  const store = createMemoryAttachmentStore();
+  for (const id of ["kept", "trashed", "orphan"]) await store.put(id, new Blob([id]));
+  await pruneAttachments(store, {
+    tasks: [{ attachments: [{ id: "kept" }] }, {}],
+    trash: [{ task: { attachments: [{ id: "trashed" }] } }],
+  });
+  assert.deepEqual(await store.keys(), ["kept", "trashed"]);
+});
@@ -0,0 +1,274 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { acknowledgeChanges, createHttpTransport, mergeValues, newSyncState, outgoingChanges, resolveConflict, syncRound, trackLocalChanges } from "../sync.mjs";
+import { createServer } from "../sync_server.mjs";
+
+test("mergeValues takes whichever side changed", () => {
+  assert.deepEqual(mergeValues("a", "a", "b"), { value: "b" });
+  assert.deepEqual(mergeValues("a", "b", "a"), { value: "b" });
+  assert.deepEqual(mergeValues("a", "b", "b"), { value: "b" });
+  assert.deepEqual(mergeValues(undefined, undefined, "new"), { value: "new" });
+  assert.deepEqual(mergeValues("old", undefined, "old"), { value: undefined });
+  assert.deepEqual(mergeValues({ a: 1, b: 2 }, { b: 2, a: 1 }, { a: 1, b: 3 }), { value: { a: 1, b: 3 } });
+});
+
+test("mergeValues returns null when both sides changed the same value differently", () => {
+  assert.equal(mergeValues("a", "b", "c"), null);
+  assert.equal(mergeValues(undefined, "b", "c"), null);
+  assert.equal(mergeValues({ a: 1 }, { a: 2 }, { a: 3 }), null);
+  assert.equal(mergeValues([{ id: "1", text: "x" }], [{ id: "1", text: "y" }], [{ id: "1", text: "z" }]), null);
+  // Lists of other things can't be merged item by item
+  assert.equal(mergeValues([[1]], [[1], [2]], [[1], [3]]), null);
+});
+
+test("mergeValues merges lists of records by id", () => {
+  const base = [{ id: "1", text: "Call", done: false }, { id: "2", text: "Quote" }];
+  const local = [{ id: "1", text: "Call", done: true }, { id: "2", text: "Quote" }, { id: "3", text: "Mine" }];
+  const remote = [{ id: "1", text: "Call Ann", done: false }, { id: "4", text: "Theirs" }];
+  assert.deepEqual(mergeValues(base, local, remote), {
+    value: [{ id: "1", text: "Call Ann", done: true }, { id: "3", text: "Mine" }, { id: "4", text: "Theirs" }],
+  });
+});
+
+test("mergeValues merges lists of plain values as sets", () => {
+  assert.deepEqual(mergeValues(["a", "b"], ["a", "b", "c"], ["b", "d"]), { value: ["b", "c", "d"] });
+  assert.deepEqual(mergeValues([], ["x"], ["y"]), { value: ["x", "y"] });
+  assert.deepEqual(mergeValues(["x"], [], ["x", "y"]), { value: ["y"] });
+});
+
+test("mergeValues merges objects key by key", () => {
+  assert.deepEqual(mergeValues({ a: 1, b: 1 }, { a: 2, b: 1 }, { a: 1, b: 2, c: 3 }), { value: { a: 2, b: 2, c: 3 } });
+  assert.deepEqual(mergeValues({ a: 1, b: 1 }, { b: 1 }, { a: 1, b: 2 }), { value: { b: 2 } });
+});
+
+// Devices share one fake clock so stamps are ordered by when edits happen
+let time = Date.UTC(2026, 4, 4);
+const now = () => (time += 1000);
+
+const isValidRecord = (collection, r) => (collection === "tasks" ? typeof r.title === "string" && Array.isArray(r.nextSteps) : typeof r.name === "string");
+const newTask = (id, title, extra = {}) => ({ id, title, category: "Business", status: "Active", createdAt: "2026-05-04T09:00:00.000Z", nextSteps: [], ...extra });
+
+// Behaves like sync_server.mjs without the HTTP
+function memoryServer() {
+  const log = [];
+  return {
+    log,
+    pull: async (since) => ({ seq: log.length, changes: structuredClone(log.filter((c) => c.seq > since)) }),
+    push: async (_device, changes) => {
+      for (const { seq: _ignored, ...change } of structuredClone(changes)) log.push({ ...change, seq: log.length + 1 });
+      return { seq: log.length };
+    },
+  };
+}
+
+function device(name, transport) {
+  const d = {
+    state: newSyncState(name),
+    data: { tasks: [], contacts: [], interactions: [], categories: [], trash: [] },
+    // What the app's effect does after every local change
+    edit(fn) {
+      d.data = fn(d.data);
+      d.state = trackLocalChanges(d.state, d.data, now());
+    },
+    editTask(id, fields) {
+      d.edit((data) => ({ ...data, tasks: data.tasks.map((t) => (t.id === id ? { ...t, ...fields } : t)) }));
+    },
+    task: (id) => d.data.tasks.find((t) => t.id === id),
+    async sync(via = transport) {
+      const outgoing = await syncRound(via, {
+        read: () => ({ state: d.state, data: d.data }),
+        onMerged: (merged) => {
+          d.state = merged.state;
+          d.data = merged.data;
+        },
+        isValidRecord,
+        now,
+      });
+      d.state = acknowledgeChanges(d.state, outgoing);
+    },
+    resolve(key, choice) {
+      ({ state: d.state, data: d.data } = resolveConflict(d.state, d.data, key, choice, now()));
+    },
+  };
+  return d;
+}
+
+// Two devices that both have task t1 and nothing pending
+async function pair(transport = memoryServer()) {
+  const a = device("device-a", transport);
+  const b = device("device-b", transport);
+  a.edit((data) => ({ ...data, tasks: [newTask("t1", "Call Ann", { nextSteps: [{ id: "s1", text: "Find number" }] })] }));
+  await a.sync();
+  await b.sync();
+  await a.sync();
+  assert.deepEqual(b.task("t1"), a.task("t1"));
+  assert.equal(a.state.outbox.length, 0);
+  assert.equal(b.state.outbox.length, 0);
+  return { a, b, transport };
+}
+
+test("edits to different fields on two devices both survive", async () => {
+  const { a, b } = await pair();
+  a.editTask("t1", { title: "Call Ann back" });
+  b.editTask("t1", { status: "Pending" });
+  await a.sync();
+  await b.sync();
+  await a.sync();
+  for (const d of [a, b]) {
+    assert.equal(d.task("t1").title, "Call Ann back");
+    assert.equal(d.task("t1").status, "Pending");
+    assert.deepEqual(d.state.conflicts, []);
+  }
+});
+
+test("concurrent edits to different steps merge without a conflict", async () => {
+  const { a, b } = await pair();
+  a.editTask("t1", { nextSteps: [{ id: "s1", text: "Find number", done: true }] });
+  b.editTask("t1", { nextSteps: [{ id: "s1", text: "Find number" }, { id: "s2", text: "Book table" }] });
+  await a.sync();
+  await b.sync();
+  await a.sync();
+  const expected = [{ id: "s1", text: "Find number", done: true }, { id: "s2", text: "Book table" }];
+  assert.deepEqual(a.task("t1").nextSteps, expected);
+  assert.deepEqual(b.task("t1").nextSteps, expected);
+  assert.deepEqual(b.state.conflicts, []);
+});
+
+test("the same field edited on both devices is held as a conflict until resolved", async () => {
+  const { a, b, transport } = await pair();
+  a.editTask("t1", { title: "Call Ann (A)" });
+  b.editTask("t1", { title: "Call Ann (B)" });
+  await a.sync();
+  await b.sync();
+
+  assert.equal(b.state.conflicts.length, 1);
+  const [conflict] = b.state.conflicts;
+  assert.equal(conflict.key, "tasks:t1:title");
+  assert.equal(conflict.local, "Call Ann (B)");
+  assert.equal(conflict.remote, "Call Ann (A)");
+  assert.equal(b.task("t1").title, "Call Ann (B)");
+  // The held field isn't sent while it waits for review
+  assert.deepEqual(outgoingChanges(b.state), []);
+  assert.equal(transport.log.filter((c) => c.device === "device-b").length, 0);
+
+  b.resolve(conflict.key, "mine");
+  assert.equal(b.state.conflicts.length, 0);
+  await b.sync();
+  await a.sync();
+  assert.equal(a.task("t1").title, "Call Ann (B)");
+  assert.equal(b.task("t1").title, "Call Ann (B)");
+  assert.deepEqual(a.state.conflicts, []);
+});
+
+test("taking the other device's value also settles both devices", async () => {
+  const { a, b } = await pair();
+  a.editTask("t1", { description: "from A" });
+  b.editTask("t1", { description: "from B" });
+  await a.sync();
+  await b.sync();
+  b.resolve("tasks:t1:description", "theirs");
+  assert.equal(b.task("t1").description, "from A");
+  await b.sync();
+  await a.sync();
+  assert.equal(a.task("t1").description, "from A");
+  assert.deepEqual(a.state.outbox, []);
+  assert.deepEqual(b.state.outbox, []);
+});
+
+test("a delete on one device and an edit on the other is a conflict", async () => {
+  const { a, b } = await pair();
+  a.edit((data) => ({ ...data, tasks: [] }));
+  b.editTask("t1", { title: "Still needed" });
+  await a.sync();
+  await b.sync();
+  assert.equal(b.state.conflicts.length, 1);
+  assert.equal(b.state.conflicts[0].field, "");
+  assert.equal(b.task("t1").title, "Still needed");
+
+  b.resolve(b.state.conflicts[0].key, "mine");
+  await b.sync();
+  await a.sync();
+  assert.equal(a.task("t1").title, "Still needed");
+});
+
+test("a delete without local edits moves the task to the trash", async () => {
+  const { a, b } = await pair();
+  a.edit((data) => ({ ...data, tasks: [] }));
+  await a.sync();
+  await b.sync();
+  assert.equal(b.task("t1"), undefined);
+  assert.deepEqual(b.data.trash.map((e) => e.task.id), ["t1"]);
+  assert.deepEqual(b.state.conflicts, []);
+});
+
+test("changes queued during a failed push are sent on the next round", async () => {
+  const server = memoryServer();
+  const { a, b } = await pair(server);
+  let failures = 1;
+  const flaky = {
+    pull: server.pull,
+    push: async (device, changes) => {
+      if (failures-- > 0) throw new Error("offline");
+      return server.push(device, changes);
+    },
+  };
+
+  a.editTask("t1", { title: "Edited offline" });
+  await assert.rejects(a.sync(flaky), /offline/);
+  assert.equal(a.state.outbox.length, 1);
+  assert.equal(server.log.length, 1); // only the original create
+
+  a.editTask("t1", { status: "Pending" });
+  await a.sync(flaky);
+  assert.deepEqual(a.state.outbox, []);
+  await b.sync();
+  assert.equal(b.task("t1").title, "Edited offline");
+  assert.equal(b.task("t1").status, "Pending");
+  // Sent once, not once per attempt
+  assert.equal(server.log.filter((c) => c.fields?.title).length, 2);
+});
+
+test("two devices sync through the reference server", async (t) => {
+  const server = createServer({ token: "secret" });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const url = `http://127.0.0.1:${server.address().port}/`;
+  const transport = createHttpTransport(url, "secret");
+
+  const { a, b } = await pair(transport);
+  b.edit((data) => ({ ...data, categories: [{ id: "Garden", name: "Garden", color: "green", icon: "tag" }] }));
+  b.editTask("t1", { dueDate: "2026-05-06" });
+  await b.sync();
+  await a.sync();
+  assert.equal(a.task("t1").dueDate, "2026-05-06");
+  assert.deepEqual(a.data.categories, b.data.categories);
+
+  a.edit((data) => ({ ...data, tasks: [newTask("t2", "Renew passport"), ...data.tasks.filter((x) => x.id !== "t1")] }));
+  await a.sync();
+  await b.sync();
+  assert.deepEqual(b.data.tasks.map((x) => x.id), ["t2"]);
+  assert.deepEqual(b.data.trash.map((e) => e.task.id), ["t1"]);
+
+  await assert.rejects(createHttpTransport(url, "wrong").pull(0), /token/);
+  const health = await (await fetch(`${url}health`)).json();
+  assert.equal(health.ok, true);
+  assert.ok(health.seq >= 4);
+});
+
+test("the reference server answers an oversized push with 413", async (t) => {
+  const server = createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const url = `http://127.0.0.1:${server.address().port}/`;
+  const body = JSON.stringify({ device: "a", changes: [], padding: "x".repeat(6 * 1024 * 1024) });
+  const res = await fetch(`${url}push`, { method: "POST", headers: { "Content-Type": "application/json" }, body });
+  assert.equal(res.status, 413);
+  assert.deepEqual(await res.json(), { error: "request body too large" });
+  assert.equal((await (await fetch(`${url}pull?since=0`)).json()).seq, 0);
+});
@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_TEMPLATES, mailtoLink, mergeFieldsFor, renderTemplate, smsLink, validateTemplate } from "../templates.mjs";
+
+const now = new Date(2026, 4, 10, 9);
+const task = { title: "X3 deal", dueDate: "2026-05-12" };
+const contact = { name: " Grace  Brewster Hopper ", vehicle: "X3", phone: "+1 (555) 010-2030" };
+const options = { categoryName: "Dealership", step: { text: "Send quote", dueDate: "2026-05-11" }, formatDate: (iso) => `<${iso}>` };
+
+test("merge fields come from the task, its step and the contact", () => {
+  assert.deepEqual(mergeFieldsFor(task, contact, options, now), {
+    first_name: "Grace",
+    last_name: "Hopper",
+    name: "Grace  Brewster Hopper",
+    company: "",
+    vehicle: "X3",
+    email: "",
+    phone: "+1 (555) 010-2030",
+    task: "X3 deal",
+    category: "Dealership",
+    due_date: "<2026-05-12>",
+    step: "Send quote",
+    step_due: "<2026-05-11>",
+    today: "<2026-05-10>",
+  });
+  const alone = mergeFieldsFor({ title: "Gym" }, undefined, { categoryName: "Health", formatDate: String }, now);
+  assert.equal(alone.first_name, "");
+  assert.equal(alone.due_date, "");
+  assert.equal(alone.step_due, "");
+});
+
+test("renderTemplate fills fields, uses fallbacks and reports what came out empty", () => {
+  const fields = mergeFieldsFor(task, { name: "Ann" }, options, now);
+  assert.deepEqual(renderTemplate("Hi {{ First_Name }}, your {{vehicle|car}} ({{company}})", fields), {
+    text: "Hi Ann, your car ()",
+    missing: ["company"],
+  });
+  assert.deepEqual(renderTemplate("{{nickname}} {{company}} {{company}}", fields), { text: "{{nickname}}  ", missing: ["company"] });
+});
+
+test("mailto and sms links are encoded for mail and messaging apps", () => {
+  assert.equal(mailtoLink(" ann@example.com ", "Your X3", "Hi Ann,\nSee you"), "mailto:ann@example.com?subject=Your%20X3&body=Hi%20Ann%2C%0D%0ASee%20you");
+  assert.equal(mailtoLink("ann@example.com", "", ""), "mailto:ann@example.com");
+  assert.equal(smsLink(contact.phone, "Hi & bye"), "sms:+15550102030?body=Hi%20%26%20bye");
+  assert.equal(smsLink("555-0100", ""), "sms:5550100");
+});
+
+test("the default templates are valid and others are checked field by field", () => {
+  for (const t of DEFAULT_TEMPLATES) assert.deepEqual(validateTemplate(t), []);
+  assert.deepEqual(validateTemplate({ id: "", name: " ", channel: "fax", followUpDays: 1.5 }), [
+    "id must be a non-empty string",
+    "name must be a non-empty string",
+    "channel must be one of email, sms",
+    "body must be a string",
+    "followUpDays must be a whole number of days",
+  ]);
+  assert.deepEqual(validateTemplate(null), ["not an object"]);
+});
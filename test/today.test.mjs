@@ -0,0 +1,48 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { EMPTY_DAY_PLAN, buildToday, lastTouched, scoreParts } from "../today.mjs";
+
+const now = new Date(2026, 4, 10, 9, 0);
+const today = new Date(2026, 4, 10);
+
+const task = (extra) => ({ id: "t1", title: "Call Ann", status: "Active", createdAt: new Date(2026, 4, 9).toISOString(), nextSteps: [], ...extra });
+
+test("score parts explain priority, due date and staleness", () => {
+  assert.deepEqual(scoreParts({ priority: "P1", dueDate: "2026-05-07" }, today, today), [
+    { label: "P1", points: 40 },
+    { label: "3 days overdue", points: 36 },
+  ]);
+  assert.deepEqual(scoreParts({ dueDate: "2026-05-10" }, today, today), [{ label: "due today", points: 25 }]);
+  assert.deepEqual(scoreParts({ priority: "P4", dueDate: "2026-05-12" }, new Date(2026, 3, 1), today), [
+    { label: "due in 2 days", points: 6 },
+    { label: "untouched 39 days", points: 20 },
+  ]);
+  assert.deepEqual(scoreParts({ dueDate: "2026-05-20" }, today, today), []);
+});
+
+test("the latest status change, interaction or finished step counts as a touch", () => {
+  const t = task({ nextSteps: [{ id: "s1", text: "Email", completedAt: "2026-05-09T15:00:00.000Z" }] });
+  const interactions = [{ taskId: "t1", at: "2026-05-09T18:00:00.000Z" }, { taskId: "t2", at: "2026-05-10T08:00:00.000Z" }];
+  assert.equal(lastTouched(t, interactions).toISOString(), "2026-05-09T18:00:00.000Z");
+  assert.equal(lastTouched(task({ createdAt: "" }), [], 123).getTime(), 123);
+  assert.equal(lastTouched(task({ statusChanges: [{ status: "Pending", at: "2026-05-09T20:00:00.000Z" }] }), interactions).toISOString(), "2026-05-09T20:00:00.000Z");
+});
+
+test("today lists overdue, due, high-priority and pinned items, pinned first", () => {
+  const tasks = [
+    task({ id: "due", title: "Due", dueDate: "2026-05-10" }),
+    task({ id: "late", title: "Late", dueDate: "2026-05-01" }),
+    task({ id: "later", title: "Later", dueDate: "2026-05-15", nextSteps: [
+      { id: "hot", text: "Hot step", priority: "P2" },
+      { id: "cold", text: "Cold step", priority: "P3" },
+      { id: "done", text: "Done step", dueDate: "2026-05-01", done: true },
+    ] }),
+    task({ id: "pinned", title: "Pinned" }),
+    task({ id: "closed", title: "Closed", status: "Completed", dueDate: "2026-05-01" }),
+  ];
+  const items = buildToday(tasks, [], { date: "2026-05-10", pinned: ["pinned"], deferred: [] }, now);
+  assert.deepEqual(items.map((i) => i.key), ["pinned", "late", "due", "later/hot"]);
+  assert.equal(items[3].step, tasks[2].nextSteps[0]);
+  assert.equal(items[1].score, 48);
+  assert.deepEqual(buildToday(tasks, [], EMPTY_DAY_PLAN, now).map((i) => i.key), ["late", "due", "later/hot"]);
+});
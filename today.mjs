@@ -0,0 +1,104 @@
+// The Today view's list for the Personal CRM: what is overdue, due today,
+// high priority or pinned, ordered by a score whose parts are shown to the
+// user.
+
+import { daysBetween, parseISODate, toISODate } from "./dates.mjs";
+
+/**
+ * @typedef {"P1" | "P2" | "P3" | "P4"} Priority
+ * @typedef {{ id: string; text: string; done?: boolean; completedAt?: string; dueDate?: string; startTime?: string; priority?: Priority; effort?: number }} TodayStep
+ * @typedef {{ id: string; title: string; status: string; createdAt: string; dueDate?: string; startTime?: string; priority?: Priority; effort?: number; statusChanges?: { status: string; at: string }[]; nextSteps: TodayStep[] }} TodayTask
+ * @typedef {{ label: string; points: number }} ScorePart
+ */
+
+/**
+ * @template {TodayTask} [T=TodayTask]
+ * @typedef {object} TodayItem
+ * @property {string} key task id, or "taskId/stepId"
+ * @property {T} task
+ * @property {T["nextSteps"][number]} [step]
+ * @property {string} title
+ * @property {string} [dueDate]
+ * @property {string} [startTime]
+ * @property {Priority} [priority]
+ * @property {number} [effort]
+ * @property {ScorePart[]} parts shown as the score's explanation
+ * @property {number} score
+ */
+
+// Today's pins and deferrals; a plan from an earlier date no longer applies
+/** @typedef {{ date: string; pinned: string[]; deferred: string[] }} DayPlan */
+/** @type {DayPlan} */
+export const EMPTY_DAY_PLAN = { date: "", pinned: [], deferred: [] };
+
+// Score = priority + due proximity + staleness; each part is listed in the
+// view, so the weights below are the whole story
+/** @type {Record<Priority, number>} */
+const PRIORITY_POINTS = { P1: 40, P2: 25, P3: 10, P4: 0 };
+/** @type {Priority[]} */
+const HIGH_PRIORITIES = ["P1", "P2"];
+
+/** @param {{ dueDate?: string; priority?: Priority }} item @param {Date} lastTouched @param {Date} today @returns {ScorePart[]} */
+export function scoreParts(item, lastTouched, today) {
+  /** @type {ScorePart[]} */
+  const parts = [];
+  if (item.priority && PRIORITY_POINTS[item.priority]) parts.push({ label: item.priority, points: PRIORITY_POINTS[item.priority] });
+  if (item.dueDate) {
+    const days = daysBetween(today, parseISODate(item.dueDate));
+    if (days < 0) parts.push({ label: `${-days} day${days === -1 ? "" : "s"} overdue`, points: 30 + Math.min(20, -days * 2) });
+    else if (days === 0) parts.push({ label: "due today", points: 25 });
+    else if (days < 5) parts.push({ label: `due in ${days} day${days === 1 ? "" : "s"}`, points: 10 - days * 2 });
+  }
+  const idle = daysBetween(new Date(lastTouched.getFullYear(), lastTouched.getMonth(), lastTouched.getDate()), today);
+  if (idle >= 3) parts.push({ label: `untouched ${idle} days`, points: Math.min(20, idle) });
+  return parts;
+}
+
+// Most recent sign of life: creation, a status change, a logged interaction or
+// a finished step
+/** @param {TodayTask} task @param {{ taskId?: string; at: string }[]} interactions */
+export function lastTouched(task, interactions, now = Date.now()) {
+  const stamps = [
+    task.createdAt,
+    ...(task.statusChanges || []).map((c) => c.at),
+    ...interactions.filter((i) => i.taskId === task.id).map((i) => i.at),
+    ...task.nextSteps.map((n) => n.completedAt || ""),
+  ].map((s) => Date.parse(s)).filter((n) => !isNaN(n));
+  return new Date(stamps.length ? Math.max(...stamps) : now);
+}
+
+// Overdue and due-today tasks and steps, high-priority steps whatever their
+// date, and anything pinned; pinned first, then by score
+/**
+ * @template {TodayTask} T
+ * @param {T[]} tasks
+ * @param {{ taskId?: string; at: string }[]} interactions
+ * @param {DayPlan} plan
+ * @returns {TodayItem<T>[]}
+ */
+export function buildToday(tasks, interactions, plan, now = new Date()) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const todayISO = toISODate(today);
+  /** @type {TodayItem<T>[]} */
+  const items = [];
+  tasks.forEach((task) => {
+    if (task.status === "Completed") return;
+    const touched = lastTouched(task, interactions, now.getTime());
+    /** @param {string} key @param {Omit<TodayItem, "key" | "task" | "step" | "parts" | "score">} fields @param {T["nextSteps"][number]} [step] */
+    const add = (key, fields, step) => {
+      const parts = scoreParts(fields, touched, today);
+      items.push({ key, task, step, ...fields, parts, score: parts.reduce((sum, p) => sum + p.points, 0) });
+    };
+    if ((task.dueDate && task.dueDate <= todayISO) || plan.pinned.includes(task.id)) {
+      add(task.id, { title: task.title, dueDate: task.dueDate, startTime: task.startTime, priority: task.priority, effort: task.effort });
+    }
+    task.nextSteps.forEach((n) => {
+      const key = `${task.id}/${n.id}`;
+      if (n.done) return;
+      const include = (n.dueDate && n.dueDate <= todayISO) || (n.priority && HIGH_PRIORITIES.includes(n.priority)) || plan.pinned.includes(key);
+      if (include) add(key, { title: n.text, dueDate: n.dueDate, startTime: n.startTime, priority: n.priority, effort: n.effort }, n);
+    });
+  });
+  const pinned = (/** @type {TodayItem<T>} */ i) => (plan.pinned.includes(i.key) ? 0 : 1);
+  return items.sort((a, b) => pinned(a) - pinned(b) || b.score - a.score || (a.dueDate || "9999").localeCompare(b.dueDate || "9999"));
+}